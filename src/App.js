@@ -2,7 +2,7 @@ import React, { useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import { DatabaseService } from './services/database';
-import { generateSeedData, generateJobApplications } from './data/seedData';
+import { queryClient } from './services/queryClient';
 import Layout from './components/Layout';
 import LandingPage from './pages/LandingPage';
 import Dashboard from './pages/Dashboard';
@@ -12,6 +12,10 @@ import CandidatesPage from './pages/CandidatesPage';
 import CandidateDetail from './pages/CandidateDetail';
 import AssessmentsPage from './pages/AssessmentsPage';
 import AssessmentBuilder from './pages/AssessmentBuilder';
+import AssessmentGrading from './pages/AssessmentGrading';
+import SettingsPage from './pages/SettingsPage';
+import TrashPage from './pages/TrashPage';
+import TakeAssessmentPage from './pages/TakeAssessmentPage';
 import './App.css';
 
 function App() {
@@ -25,34 +29,18 @@ function App() {
         // If no data exists, seed the database
         if (stats.jobs === 0) {
           console.log('Seeding database with initial data...');
-          const seedData = generateSeedData();
-          
-          // Add jobs
-          for (const job of seedData.jobs) {
-            await DatabaseService.createJob(job);
-          }
-          
-          // Add candidates
-          for (const candidate of seedData.candidates) {
-            await DatabaseService.createCandidate(candidate);
-          }
-          
-          // Add assessments
-          for (const assessment of seedData.assessments) {
-            await DatabaseService.createAssessment(assessment);
-          }
-          
-          // Add job applications
-          const jobApplications = generateJobApplications(seedData.candidates, seedData.jobs);
-          for (const application of jobApplications) {
-            await DatabaseService.createJobApplication(application);
-          }
+          await DatabaseService.seedDatabase();
+          // Pages may have rendered before seeding finished
+          queryClient.invalidateQueries();
           
           console.log('Database seeded successfully!');
           console.log('Final stats after seeding:', await DatabaseService.getStats());
         } else {
           console.log('Database already has data, skipping seeding');
         }
+        
+        // Trash entries past the retention period are deleted for good
+        await DatabaseService.purgeTrash();
       } catch (error) {
         console.error('Error initializing database:', error);
       }
@@ -66,6 +54,7 @@ function App() {
       <div className="App min-h-screen bg-gray-50">
         <Routes>
           <Route path="/" element={<LandingPage />} />
+          <Route path="/take/:token" element={<TakeAssessmentPage />} />
           <Route path="/app/*" element={
             <Layout>
               <Routes>
@@ -77,6 +66,9 @@ function App() {
                 <Route path="/candidates/:id" element={<CandidateDetail />} />
                 <Route path="/assessments" element={<AssessmentsPage />} />
                 <Route path="/assessments/:jobId" element={<AssessmentBuilder />} />
+                <Route path="/assessments/:jobId/grade" element={<AssessmentGrading />} />
+                <Route path="/trash" element={<TrashPage />} />
+                <Route path="/settings" element={<SettingsPage />} />
               </Routes>
             </Layout>
           } />
@@ -0,0 +1,136 @@
+import React from 'react';
+import { QUESTION_TYPES } from '../types';
+import { getVisibility } from '../utils/conditions';
+
+/**
+ * The questions of an assessment as form fields, section by section, hiding
+ * the sections and questions whose conditional logic isn't met or that a
+ * branch skipped. Used by the builder's preview and
+ * by the page candidates take the assessment on; the caller owns the answers
+ * and the submit button.
+ */
+export default function AssessmentForm({ assessment, responses, errors = {}, onChange, disabled = false }) {
+  const visibility = getVisibility(assessment, responses);
+
+  return (
+    <fieldset disabled={disabled} className="space-y-6">
+      {assessment.sections.map((section, sectionIndex) => visibility.sections[section.id] && (
+        <div key={section.id} className="border border-gray-200 rounded-lg p-6">
+          <h3 className="text-lg font-medium text-gray-900 mb-2">
+            {section.title || `Section ${sectionIndex + 1}`}
+          </h3>
+          {section.description && (
+            <p className="text-sm text-gray-500 mb-4">{section.description}</p>
+          )}
+          
+          <div className="space-y-4">
+            {section.questions.map((question, questionIndex) => (
+              visibility.questions[question.id] && (
+                <div key={question.id} className="border-l-4 border-primary-200 pl-4">
+                  <div className="flex items-center space-x-2 mb-2">
+                    <span className="text-sm font-medium text-gray-500">
+                      Q{questionIndex + 1}
+                    </span>
+                    {question.required && (
+                      <span className="text-red-500">*</span>
+                    )}
+                  </div>
+                  
+                  <h4 className="text-sm font-medium text-gray-900 mb-1">
+                    {question.title}
+                  </h4>
+                  
+                  {question.description && (
+                    <p className="text-sm text-gray-500 mb-2">{question.description}</p>
+                  )}
+
+                  {question.type === QUESTION_TYPES.SHORT_TEXT && (
+                    <input
+                      type="text"
+                      className={`block w-full rounded-md shadow-sm sm:text-sm ${errors[question.id] ? 'border-red-500 focus:border-red-500 focus:ring-red-500' : 'border-gray-300 focus:border-primary-500 focus:ring-primary-500'}`}
+                      placeholder="Enter your answer..."
+                      value={responses[question.id] ?? ''}
+                      onChange={(e) => onChange(question.id, e.target.value)}
+                    />
+                  )}
+
+                  {question.type === QUESTION_TYPES.LONG_TEXT && (
+                    <textarea
+                      rows={3}
+                      className={`block w-full rounded-md shadow-sm sm:text-sm ${errors[question.id] ? 'border-red-500 focus:border-red-500 focus:ring-red-500' : 'border-gray-300 focus:border-primary-500 focus:ring-primary-500'}`}
+                      placeholder="Enter your answer..."
+                      value={responses[question.id] ?? ''}
+                      onChange={(e) => onChange(question.id, e.target.value)}
+                    />
+                  )}
+
+                  {question.type === QUESTION_TYPES.NUMERIC && (
+                    <input
+                      type="number"
+                      className={`block w-full rounded-md shadow-sm sm:text-sm ${errors[question.id] ? 'border-red-500 focus:border-red-500 focus:ring-red-500' : 'border-gray-300 focus:border-primary-500 focus:ring-primary-500'}`}
+                      placeholder="Enter a number..."
+                      value={responses[question.id] ?? ''}
+                      onChange={(e) => onChange(question.id, e.target.value)}
+                    />
+                  )}
+
+                  {(question.type === QUESTION_TYPES.SINGLE_CHOICE || question.type === QUESTION_TYPES.MULTI_CHOICE) && (
+                    <div className="space-y-2">
+                      {question.options?.map((option, optionIndex) => {
+                        const name = `question-${question.id}`;
+                        if (question.type === QUESTION_TYPES.SINGLE_CHOICE) {
+                          return (
+                            <label key={optionIndex} className="flex items-center">
+                              <input
+                                type="radio"
+                                name={name}
+                                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300"
+                                checked={responses[question.id] === option}
+                                onChange={() => onChange(question.id, option)}
+                              />
+                              <span className="ml-2 text-sm text-gray-700">{option}</span>
+                            </label>
+                          );
+                        }
+                        const arr = Array.isArray(responses[question.id]) ? responses[question.id] : [];
+                        const checked = arr.includes(option);
+                        const toggle = () => {
+                          const next = checked ? arr.filter(v => v !== option) : [...arr, option];
+                          onChange(question.id, next);
+                        };
+                        return (
+                          <label key={optionIndex} className="flex items-center">
+                            <input
+                              type="checkbox"
+                              name={name}
+                              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300"
+                              checked={checked}
+                              onChange={toggle}
+                            />
+                            <span className="ml-2 text-sm text-gray-700">{option}</span>
+                          </label>
+                        );
+                      })}
+                    </div>
+                  )}
+
+                  {question.type === QUESTION_TYPES.FILE_UPLOAD && (
+                    <input
+                      type="file"
+                      className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-primary-50 file:text-primary-700 hover:file:bg-primary-100"
+                      onChange={(e) => onChange(question.id, e.target.files?.[0]?.name || '')}
+                    />
+                  )}
+
+                  {errors[question.id] && (
+                    <p className="mt-1 text-sm text-red-600">{errors[question.id]}</p>
+                  )}
+                </div>
+              )
+            ))}
+          </div>
+        </div>
+      ))}
+    </fieldset>
+  );
+}
@@ -0,0 +1,99 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { assessmentsApi, queryKeys } from '../services/api';
+import { useQuery } from '../hooks/useQuery';
+import Modal, { ModalBody } from './ui/Modal';
+import AssessmentScoreBadge from './AssessmentScoreBadge';
+
+/**
+ * The responses submitted to an assessment, newest first, each with its
+ * total and section scores.
+ */
+export default function AssessmentResponsesModal({ isOpen, onClose, assessment }) {
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={`Responses · ${assessment?.title || ''}`} size="lg">
+      {isOpen && assessment && <ResponseList assessment={assessment} />}
+    </Modal>
+  );
+}
+
+function ResponseList({ assessment }) {
+  const { data: responses = [], isLoading } = useQuery(
+    queryKeys.assessments.responses(assessment.jobId),
+    () => assessmentsApi.getResponses(assessment.jobId),
+    {
+      onError: (error) => {
+        console.error('Error loading assessment responses:', error);
+        toast.error('Failed to load responses');
+      },
+    }
+  );
+
+  if (isLoading) {
+    return (
+      <ModalBody>
+        <div className="animate-pulse h-32 bg-gray-100 rounded"></div>
+      </ModalBody>
+    );
+  }
+
+  if (responses.length === 0) {
+    return (
+      <ModalBody>
+        <p className="text-sm text-gray-500 text-center py-6">No responses yet.</p>
+      </ModalBody>
+    );
+  }
+
+  return (
+    <ModalBody className="space-y-3">
+      {responses.some(response => response.scoring?.needsGrading) && (
+        <p className="text-sm text-gray-600">
+          Some answers need grading.{' '}
+          <Link to={`/app/assessments/${assessment.jobId}/grade`} className="font-medium text-primary-600 hover:underline">
+            Grade responses
+          </Link>
+        </p>
+      )}
+      <ul className="divide-y divide-gray-200 max-h-[60vh] overflow-y-auto">
+        {responses.map(response => (
+          <li key={response.id} className="py-3 flex items-start justify-between space-x-4">
+            <div className="min-w-0">
+              {response.candidate ? (
+                <Link
+                  to={`/app/candidates/${response.candidate.id}`}
+                  className="text-sm font-medium text-primary-600 hover:underline"
+                >
+                  {response.candidate.name}
+                </Link>
+              ) : (
+                <span className="text-sm italic text-gray-400">Deleted candidate</span>
+              )}
+              <p className="text-xs text-gray-500">
+                {new Date(response.completedAt || response.createdAt).toLocaleString()}
+                {response.timedOut && ' · submitted when time ran out'}
+              </p>
+              {response.scoring?.sections.some(section => section.possible > 0) && (
+                <p className="text-xs text-gray-500 mt-1">
+                  {response.scoring.sections
+                    .filter(section => section.possible > 0)
+                    .map(section => `${section.title || 'Untitled section'}: ${section.earned}/${section.possible}`)
+                    .join(' · ')}
+                </p>
+              )}
+            </div>
+            <AssessmentScoreBadge
+              className="flex-shrink-0"
+              result={{
+                score: response.score,
+                passed: response.scoring?.passed ?? null,
+                needsGrading: !!response.scoring?.needsGrading,
+              }}
+            />
+          </li>
+        ))}
+      </ul>
+    </ModalBody>
+  );
+}
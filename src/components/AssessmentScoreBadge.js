@@ -0,0 +1,29 @@
+import React from 'react';
+import { clsx } from 'clsx';
+import { formatScore } from '../utils/scoring';
+
+/**
+ * A response's score as a pill: green when it passed, red when it failed,
+ * yellow while answers wait to be graded. `result` is
+ * { score, passed, needsGrading }, as the API attaches to lists.
+ */
+export default function AssessmentScoreBadge({ result, className }) {
+  if (!result) return null;
+
+  return (
+    <span
+      className={clsx(
+        'inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium',
+        result.needsGrading && 'bg-yellow-100 text-yellow-800',
+        !result.needsGrading && result.passed === true && 'bg-green-100 text-green-800',
+        !result.needsGrading && result.passed === false && 'bg-red-100 text-red-700',
+        !result.needsGrading && result.passed === null && 'bg-gray-100 text-gray-700',
+        className
+      )}
+      title={result.needsGrading ? 'Some answers need grading' : undefined}
+    >
+      {formatScore(result)}
+      {!result.needsGrading && result.passed !== null && (result.passed ? ' · Passed' : ' · Failed')}
+    </span>
+  );
+}
@@ -0,0 +1,76 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { ExclamationTriangleIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
+
+// Helper function to link to the candidates past SLA, optionally in one job and stage
+const overdueCandidatesLink = ({ jobId, stageId } = {}) => {
+  const params = new URLSearchParams({ overdue: 'true' });
+  if (jobId) params.set('jobId', jobId);
+  if (stageId) params.set('stage', stageId);
+  return `/app/candidates?${params.toString()}`;
+};
+
+/**
+ * Applications that have been in their stage longer than the stage's SLA,
+ * grouped by job and stage (see groupOverdueByStage). Each group opens the
+ * matching candidates.
+ */
+export default function AttentionNeeded({ groups, limit = 6 }) {
+  const total = groups.reduce((sum, group) => sum + group.count, 0);
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center">
+          <div className="p-2 rounded-xl bg-gradient-to-r from-amber-500 to-red-500 shadow-lg">
+            <ExclamationTriangleIcon className="h-6 w-6 text-white" />
+          </div>
+          <div className="ml-3">
+            <h3 className="text-xl font-bold text-gray-900">Attention Needed</h3>
+            <p className="text-sm text-gray-600">
+              {total > 0
+                ? `${total} application${total !== 1 ? 's have' : ' has'} been in a stage longer than its SLA`
+                : 'Applications past their stage SLA show up here'}
+            </p>
+          </div>
+        </div>
+        {total > 0 && (
+          <Link
+            to={overdueCandidatesLink()}
+            className="text-sm font-medium text-primary-600 hover:text-primary-700"
+          >
+            View all
+          </Link>
+        )}
+      </div>
+
+      {groups.length === 0 ? (
+        <div className="flex items-center text-sm text-gray-500">
+          <CheckCircleIcon className="h-5 w-5 mr-2 text-emerald-500" />
+          Every application is within its stage SLA.
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 gap-3 md:grid-cols-2 lg:grid-cols-3">
+          {groups.slice(0, limit).map(group => (
+            <Link
+              key={`${group.jobId}|${group.stageId}`}
+              to={overdueCandidatesLink(group)}
+              className="rounded-2xl border border-amber-200/60 bg-gradient-to-br from-amber-50/80 to-white/80 p-4 hover:shadow-lg hover:border-amber-300 transition-all duration-200"
+            >
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-semibold text-gray-900 truncate">{group.stageName}</span>
+                <span className="ml-2 rounded-full bg-red-100 px-2 py-0.5 text-xs font-bold text-red-700">
+                  {group.count}
+                </span>
+              </div>
+              <p className="mt-1 text-xs text-gray-600 truncate">{group.jobTitle}</p>
+              <p className="mt-2 text-xs text-gray-500">
+                SLA {group.slaDays}d · longest {group.longestDays}d
+              </p>
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
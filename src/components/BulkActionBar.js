@@ -0,0 +1,335 @@
+import React, { useState } from 'react';
+import {
+  ArrowRightIcon,
+  NoSymbolIcon,
+  BriefcaseIcon,
+  TagIcon,
+  ArrowDownTrayIcon,
+  TrashIcon,
+  XMarkIcon,
+} from '@heroicons/react/24/outline';
+import { settingsApi, queryKeys } from '../services/api';
+import { useQuery } from '../hooks/useQuery';
+import { getJobPipeline } from '../utils/pipeline';
+import { getRequiredFields } from '../utils/transitions';
+import { BULK_ACTIONS, SETTINGS_KEYS, REJECTION_SOURCE_LABELS } from '../types';
+import Button from './ui/Button';
+import Input from './ui/Input';
+import Select from './ui/Select';
+import Modal, { ModalBody, ModalFooter } from './ui/Modal';
+
+const fieldClassName = 'block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm';
+
+const ACTION_TITLES = {
+  [BULK_ACTIONS.MOVE]: 'Move to stage',
+  [BULK_ACTIONS.REJECT]: 'Reject',
+  [BULK_ACTIONS.APPLY]: 'Apply to job',
+  [BULK_ACTIONS.TAG]: 'Add tag',
+  [BULK_ACTIONS.DELETE]: 'Delete candidates',
+};
+
+/**
+ * Shown while candidates (list view) or applications (kanban) are selected.
+ * Actions that need input open a modal; `onRun(action, options)` performs
+ * them. `selectsApplications` is true on the board, where stage moves act on
+ * the selected cards rather than on a job picked here.
+ */
+export default function BulkActionBar({
+  count,
+  totalMatching,
+  selectsApplications,
+  jobs,
+  stages,
+  defaultJobId = '',
+  isRunning = false,
+  onSelectAll,
+  onClear,
+  onRun,
+}) {
+  const [action, setAction] = useState(null);
+  const itemLabel = selectsApplications
+    ? `application${count !== 1 ? 's' : ''}`
+    : `candidate${count !== 1 ? 's' : ''}`;
+
+  const run = async (options = {}) => {
+    await onRun(action, options);
+    setAction(null);
+  };
+
+  return (
+    <div className="sticky top-0 z-20 flex flex-wrap items-center justify-between gap-3 rounded-xl border border-primary-200 bg-primary-50/95 backdrop-blur-sm px-4 py-3 shadow-soft">
+      <div className="flex items-center space-x-3 text-sm text-primary-900">
+        <span className="font-semibold">{count} {itemLabel} selected</span>
+        {totalMatching !== count && (
+          <button type="button" onClick={onSelectAll} className="font-medium text-primary-700 hover:underline">
+            {totalMatching ? `Select all ${totalMatching} matching` : 'Select all matching'}
+          </button>
+        )}
+        <button type="button" onClick={onClear} className="inline-flex items-center text-gray-500 hover:text-gray-700">
+          <XMarkIcon className="h-4 w-4 mr-1" />
+          Clear
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <Button variant="outline" size="sm" onClick={() => setAction(BULK_ACTIONS.MOVE)} disabled={isRunning}>
+          <ArrowRightIcon className="h-4 w-4 mr-1" />
+          Move
+        </Button>
+        <Button variant="outline" size="sm" onClick={() => setAction(BULK_ACTIONS.REJECT)} disabled={isRunning}>
+          <NoSymbolIcon className="h-4 w-4 mr-1" />
+          Reject
+        </Button>
+        <Button variant="outline" size="sm" onClick={() => setAction(BULK_ACTIONS.APPLY)} disabled={isRunning}>
+          <BriefcaseIcon className="h-4 w-4 mr-1" />
+          Apply to job
+        </Button>
+        <Button variant="outline" size="sm" onClick={() => setAction(BULK_ACTIONS.TAG)} disabled={isRunning}>
+          <TagIcon className="h-4 w-4 mr-1" />
+          Tag
+        </Button>
+        <Button variant="outline" size="sm" onClick={() => onRun(BULK_ACTIONS.EXPORT)} disabled={isRunning}>
+          <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+          Export
+        </Button>
+        <Button variant="danger" size="sm" onClick={() => setAction(BULK_ACTIONS.DELETE)} disabled={isRunning}>
+          <TrashIcon className="h-4 w-4 mr-1" />
+          Delete
+        </Button>
+      </div>
+
+      <Modal
+        isOpen={!!action}
+        onClose={() => setAction(null)}
+        title={action ? `${ACTION_TITLES[action]} · ${count} ${itemLabel}` : ''}
+        size="md"
+      >
+        {action && (
+          <BulkActionForm
+            key={action}
+            action={action}
+            count={count}
+            itemLabel={itemLabel}
+            selectsApplications={selectsApplications}
+            jobs={jobs}
+            stages={stages}
+            defaultJobId={defaultJobId}
+            isRunning={isRunning}
+            onSubmit={run}
+            onCancel={() => setAction(null)}
+          />
+        )}
+      </Modal>
+    </div>
+  );
+}
+
+function BulkActionForm({ action, count, itemLabel, selectsApplications, jobs, stages, defaultJobId, isRunning, onSubmit, onCancel }) {
+  const [values, setValues] = useState({ jobId: action === BULK_ACTIONS.APPLY ? '' : defaultJobId });
+  const [error, setError] = useState(null);
+
+  const needsReasons = action === BULK_ACTIONS.REJECT || action === BULK_ACTIONS.MOVE;
+  const { data: rejectionReasons = [] } = useQuery(
+    queryKeys.settings.detail(SETTINGS_KEYS.REJECTION_REASONS),
+    () => settingsApi.get(SETTINGS_KEYS.REJECTION_REASONS),
+    {
+      enabled: needsReasons,
+      onError: (loadError) => console.error('Error loading rejection reasons:', loadError),
+    }
+  );
+
+  const change = (field, value) => {
+    setValues(prev => ({ ...prev, [field]: value }));
+    setError(null);
+  };
+
+  // Picking a job in the list view narrows moves to that job's applications
+  const selectedJob = jobs.find(job => job.id === values.jobId);
+  const stageChoices = !selectsApplications && selectedJob ? getJobPipeline(selectedJob) : stages;
+  const targetStage = stageChoices.find(stage => stage.id === values.stage);
+  const requiredFields = action === BULK_ACTIONS.MOVE ? getRequiredFields(targetStage) : [];
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const jobId = selectsApplications ? undefined : values.jobId || undefined;
+
+    switch (action) {
+      case BULK_ACTIONS.MOVE: {
+        if (!values.stage) {
+          setError('Choose a stage');
+          return;
+        }
+        const details = {};
+        for (const { field, label, input } of requiredFields) {
+          const value = values[field]?.toString().trim();
+          if (!value) {
+            setError(`${label} is required for ${targetStage.name}`);
+            return;
+          }
+          details[field] = input === 'number' ? Number(value) : value;
+        }
+        onSubmit({ stage: values.stage, stageName: targetStage.name, details, jobId });
+        return;
+      }
+      case BULK_ACTIONS.REJECT:
+        if (!values.rejectionReasonId) {
+          setError('Choose a rejection reason');
+          return;
+        }
+        onSubmit({ rejectionReasonId: values.rejectionReasonId, rejectionNote: values.rejectionNote?.trim(), jobId });
+        return;
+      case BULK_ACTIONS.APPLY:
+        if (!values.jobId) {
+          setError('Choose a job');
+          return;
+        }
+        onSubmit({ jobId: values.jobId, jobTitle: selectedJob?.title });
+        return;
+      case BULK_ACTIONS.TAG:
+        if (!values.tag?.trim()) {
+          setError('Enter a tag');
+          return;
+        }
+        onSubmit({ tag: values.tag.trim() });
+        return;
+      default:
+        onSubmit();
+    }
+  };
+
+  const reasonSelect = (
+    <div className="space-y-2">
+      <label className="block text-sm font-semibold text-gray-700">
+        Rejection reason
+        <span className="text-red-500 ml-1">*</span>
+      </label>
+      <select
+        value={values.rejectionReasonId || ''}
+        onChange={(e) => change('rejectionReasonId', e.target.value)}
+        className={fieldClassName}
+      >
+        <option value="">Choose a reason...</option>
+        {Object.entries(REJECTION_SOURCE_LABELS).map(([source, sourceLabel]) => (
+          <optgroup key={source} label={sourceLabel}>
+            {rejectionReasons
+              .filter(reason => reason.source === source)
+              .map(reason => (
+                <option key={reason.id} value={reason.id}>{reason.label}</option>
+              ))}
+          </optgroup>
+        ))}
+      </select>
+    </div>
+  );
+
+  const jobScope = !selectsApplications && (
+    <Select
+      label="Applications"
+      value={values.jobId}
+      onChange={(e) => setValues(prev => ({ ...prev, jobId: e.target.value, stage: '' }))}
+      options={[
+        { value: '', label: 'Every application of the selected candidates' },
+        ...jobs.map(job => ({ value: job.id, label: `Only ${job.title}` })),
+      ]}
+    />
+  );
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <ModalBody className="space-y-4">
+        {action === BULK_ACTIONS.MOVE && (
+          <>
+            {jobScope}
+            <Select
+              label="Stage"
+              value={values.stage || ''}
+              onChange={(e) => change('stage', e.target.value)}
+              placeholder="Choose a stage..."
+              options={stageChoices.map(stage => ({ value: stage.id, label: stage.name }))}
+            />
+            {requiredFields.map(({ field, label, input }) => (
+              input === 'rejection_reason' ? (
+                <React.Fragment key={field}>{reasonSelect}</React.Fragment>
+              ) : (
+                <Input
+                  key={field}
+                  label={label}
+                  type={input}
+                  min={input === 'number' ? 0 : undefined}
+                  value={values[field] || ''}
+                  onChange={(e) => change(field, e.target.value)}
+                />
+              )
+            ))}
+            <p className="text-sm text-gray-500">
+              Applications whose pipeline doesn't allow the move are skipped.
+            </p>
+          </>
+        )}
+
+        {action === BULK_ACTIONS.REJECT && (
+          <>
+            {jobScope}
+            {reasonSelect}
+            <div className="space-y-2">
+              <label className="block text-sm font-semibold text-gray-700">Details</label>
+              <textarea
+                value={values.rejectionNote || ''}
+                onChange={(e) => change('rejectionNote', e.target.value)}
+                rows={3}
+                className={fieldClassName}
+                placeholder="Optional context for the funnel review..."
+              />
+            </div>
+          </>
+        )}
+
+        {action === BULK_ACTIONS.APPLY && (
+          <>
+            <Select
+              label="Job"
+              value={values.jobId}
+              onChange={(e) => change('jobId', e.target.value)}
+              placeholder="Choose a job..."
+              options={jobs
+                .filter(job => job.status === 'active')
+                .map(job => ({ value: job.id, label: `${job.title} - ${job.department}` }))}
+            />
+            <p className="text-sm text-gray-500">
+              Candidates who already applied to this job are skipped.
+            </p>
+          </>
+        )}
+
+        {action === BULK_ACTIONS.TAG && (
+          <Input
+            label="Tag"
+            value={values.tag || ''}
+            onChange={(e) => change('tag', e.target.value)}
+            placeholder="e.g. referral, strong-portfolio"
+            autoFocus
+          />
+        )}
+
+        {action === BULK_ACTIONS.DELETE && (
+          <p className="text-sm text-gray-500">
+            {selectsApplications
+              ? `Delete the candidates behind the ${count} selected ${itemLabel}`
+              : `Delete ${count} ${itemLabel}`}
+            , with their applications, notes and timelines? You can undo this right after.
+          </p>
+        )}
+
+        {error && <p className="text-sm text-red-600 font-medium">{error}</p>}
+      </ModalBody>
+      <ModalFooter>
+        <Button type="button" variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" variant={action === BULK_ACTIONS.DELETE ? 'danger' : 'primary'} disabled={isRunning}>
+          {ACTION_TITLES[action]}
+        </Button>
+      </ModalFooter>
+    </form>
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { LinkIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { candidatesApi, queryKeys } from '../services/api';
+import { useQuery } from '../hooks/useQuery';
+import { useMutation } from '../hooks/useMutation';
+import { ERROR_TYPES } from '../types';
+import Card, { CardHeader, CardBody } from './ui/Card';
+import Button from './ui/Button';
+import AssessmentScoreBadge from './AssessmentScoreBadge';
+
+const getAssessmentLink = (token) => `${window.location.origin}/take/${token}`;
+
+// Where the candidate is with an assessment, from their latest link
+const describeProgress = ({ invite, submissions, lastSubmittedAt }) => {
+  if (invite?.startedAt && !invite.submittedAt) return 'In progress';
+  if (submissions > 0) {
+    const count = submissions > 1 ? ` ${submissions} times` : '';
+    return `Submitted${count} · ${new Date(lastSubmittedAt).toLocaleDateString()}`;
+  }
+  if (invite) return 'Link sent, not started';
+  return 'Not sent';
+};
+
+/**
+ * The assessments for the jobs a candidate applied to, with a link the
+ * recruiter can copy and send so the candidate can take each one.
+ */
+export default function CandidateAssessments({ candidateId }) {
+  const [copyingId, setCopyingId] = useState(null);
+
+  const { data: assessments = [], isLoading } = useQuery(
+    queryKeys.candidates.assessments(candidateId),
+    () => candidatesApi.getAssessments(candidateId),
+    { onError: (error) => console.error('Error loading candidate assessments:', error) }
+  );
+  const inviteMutation = useMutation(
+    (assessmentId) => candidatesApi.inviteToAssessment(candidateId, assessmentId),
+    { invalidates: [queryKeys.candidates.assessments(candidateId)] }
+  );
+
+  const handleCopyLink = async (assessmentId) => {
+    setCopyingId(assessmentId);
+    try {
+      const invite = await inviteMutation.mutateAsync(assessmentId);
+      await navigator.clipboard.writeText(getAssessmentLink(invite.id));
+      toast.success('Assessment link copied');
+    } catch (error) {
+      console.error('Error copying assessment link:', error);
+      toast.error(error.type === ERROR_TYPES.VALIDATION_ERROR ? error.message : 'Failed to copy the assessment link');
+    } finally {
+      setCopyingId(null);
+    }
+  };
+
+  if (!isLoading && assessments.length === 0) return null;
+
+  return (
+    <Card>
+      <CardHeader>
+        <h3 className="text-lg font-medium text-gray-900">Assessments</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          Send the candidate a link to take an assessment
+        </p>
+      </CardHeader>
+      <CardBody>
+        {isLoading ? (
+          <div className="animate-pulse h-16 bg-gray-100 rounded"></div>
+        ) : (
+          <ul className="space-y-3">
+            {assessments.map((item) => {
+              const canRetake = item.assessment.settings?.allowMultipleAttempts;
+              const isOpen = item.invite && !item.invite.submittedAt;
+              const isDone = item.submissions > 0 && !isOpen && !canRetake;
+              return (
+                <li key={item.assessment.id} className="flex items-start justify-between space-x-2">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900 truncate">{item.assessment.title}</p>
+                    {item.jobTitle && <p className="text-xs text-gray-500 truncate">{item.jobTitle}</p>}
+                    <p className="text-xs text-gray-500">{describeProgress(item)}</p>
+                    <AssessmentScoreBadge result={item.result} className="mt-1" />
+                  </div>
+                  {!isDone && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleCopyLink(item.assessment.id)}
+                      disabled={copyingId === item.assessment.id}
+                    >
+                      <LinkIcon className="h-4 w-4 mr-1" />
+                      Copy Link
+                    </Button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </CardBody>
+    </Card>
+  );
+}
@@ -0,0 +1,392 @@
+import React, { useState } from 'react';
+import { ArrowUpTrayIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { clsx } from 'clsx';
+import { candidatesApi } from '../services/api';
+import { useMutation } from '../hooks/useMutation';
+import { IMPORT_DUPLICATE_ACTIONS } from '../types';
+import { parseDelimited } from '../utils/csv';
+import { getJobPipeline, getStageLabel } from '../utils/pipeline';
+import {
+  IMPORT_FIELDS,
+  guessColumnMapping,
+  validateColumnMapping,
+  buildImportRows,
+} from '../utils/candidateImport';
+import Button from './ui/Button';
+import Modal, { ModalBody, ModalFooter } from './ui/Modal';
+
+const fieldClassName = 'block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm';
+
+// Rows sent per request; each batch is written in one transaction
+const IMPORT_BATCH_SIZE = 25;
+
+// Rows shown in the review table
+const PREVIEW_LIMIT = 200;
+
+const STEPS = [
+  { id: 'upload', label: 'Upload' },
+  { id: 'map', label: 'Map columns' },
+  { id: 'review', label: 'Review' },
+  { id: 'import', label: 'Import' },
+];
+
+const pluralize = (count, noun) => `${count} ${noun}${count !== 1 ? 's' : ''}`;
+
+/**
+ * Imports candidates from a CSV or TSV file: upload, map columns to
+ * candidate fields, review each row's problems and matches with existing
+ * candidates, then import in batches. A batch that fails can be retried
+ * without repeating the ones before it. `onImported` runs once something
+ * has been written.
+ */
+export default function CandidateImportWizard({ isOpen, onClose, jobs = [], onImported }) {
+  const [step, setStep] = useState('upload');
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [rows, setRows] = useState([]);
+  const [matches, setMatches] = useState([]);
+  const [onDuplicate, setOnDuplicate] = useState(IMPORT_DUPLICATE_ACTIONS.SKIP);
+  const [onlyProblems, setOnlyProblems] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const importMutation = useMutation(({ batch, duplicateAction }) => candidatesApi.import(batch, duplicateAction));
+
+  const reset = () => {
+    setStep('upload');
+    setFile(null);
+    setMapping({});
+    setRows([]);
+    setMatches([]);
+    setOnDuplicate(IMPORT_DUPLICATE_ACTIONS.SKIP);
+    setOnlyProblems(false);
+    setProgress(null);
+    setError(null);
+  };
+
+  const handleClose = () => {
+    if (isWorking) return;
+    reset();
+    onClose();
+  };
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files?.[0];
+    if (!selected) return;
+    setError(null);
+
+    const [headers, ...dataRows] = parseDelimited(await selected.text());
+    if (!headers || dataRows.length === 0) {
+      setError(`${selected.name} needs a header row and at least one candidate`);
+      return;
+    }
+    setFile({ name: selected.name, headers, dataRows });
+    setMapping(guessColumnMapping(headers));
+    setStep('map');
+  };
+
+  const handleReview = async () => {
+    const mappingErrors = validateColumnMapping(mapping);
+    if (mappingErrors.length > 0) {
+      setError(mappingErrors[0]);
+      return;
+    }
+
+    const importRows = buildImportRows(file.dataRows, mapping, { jobs });
+    setIsWorking(true);
+    try {
+      setMatches(await candidatesApi.findMatches(importRows.map(({ candidate }) => ({
+        email: candidate.email,
+        phone: candidate.phone,
+      }))));
+      setRows(importRows);
+      setError(null);
+      setStep('review');
+    } catch (matchError) {
+      console.error('Error checking for duplicates:', matchError);
+      setError('Failed to check for existing candidates. Try again.');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const validRows = rows.filter(row => row.errors.length === 0);
+  const duplicateCount = rows.filter((row, index) => row.errors.length === 0 && matches[index]).length;
+
+  // Continues from the first batch not yet imported, so a failed batch can be retried
+  const runImport = async (start = progress || { done: 0, created: 0, merged: 0, skipped: [] }) => {
+    setStep('import');
+    setIsWorking(true);
+    setError(null);
+    let current = start;
+    setProgress(current);
+
+    try {
+      while (current.done < validRows.length) {
+        const batchRows = validRows.slice(current.done, current.done + IMPORT_BATCH_SIZE);
+        const result = await importMutation.mutateAsync({
+          batch: batchRows.map(row => row.candidate),
+          duplicateAction: onDuplicate,
+        });
+        current = {
+          done: current.done + batchRows.length,
+          created: current.created + result.created,
+          merged: current.merged + result.merged,
+          skipped: [
+            ...current.skipped,
+            ...result.skipped.map(item => ({ row: batchRows[item.index].row, reason: item.reason })),
+          ],
+        };
+        setProgress(current);
+      }
+    } catch (importError) {
+      console.error('Error importing candidates:', importError);
+      setError(`The import stopped after ${pluralize(current.done, 'row')}: ${importError.message}`);
+    } finally {
+      setIsWorking(false);
+      if (current.done > 0) onImported?.();
+    }
+  };
+
+  const stepIndex = STEPS.findIndex(item => item.id === step);
+  const isFinished = step === 'import' && !isWorking && !error && progress?.done === validRows.length;
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Import Candidates" size="xl" closeOnOverlayClick={false}>
+      <ModalBody className="space-y-5">
+        <ol className="flex items-center space-x-4 text-sm">
+          {STEPS.map((item, index) => (
+            <li
+              key={item.id}
+              className={clsx(
+                'flex items-center',
+                index === stepIndex ? 'font-semibold text-primary-700' : index < stepIndex ? 'text-gray-700' : 'text-gray-400'
+              )}
+            >
+              <span
+                className={clsx(
+                  'mr-2 flex h-6 w-6 items-center justify-center rounded-full text-xs',
+                  index <= stepIndex ? 'bg-primary-600 text-white' : 'bg-gray-200 text-gray-500'
+                )}
+              >
+                {index + 1}
+              </span>
+              {item.label}
+            </li>
+          ))}
+        </ol>
+
+        {step === 'upload' && (
+          <label className="flex flex-col items-center justify-center rounded-xl border-2 border-dashed border-gray-300 p-10 text-center cursor-pointer hover:border-primary-400">
+            <ArrowUpTrayIcon className="h-10 w-10 text-gray-400" />
+            <span className="mt-2 text-sm font-medium text-gray-900">Choose a CSV or TSV file</span>
+            <span className="mt-1 text-sm text-gray-500">
+              The first row should name the columns, e.g. Name, Email, Phone, Job, Stage, Tags
+            </span>
+            <input
+              type="file"
+              accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+              onChange={handleFileChange}
+              className="sr-only"
+            />
+          </label>
+        )}
+
+        {step === 'map' && (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-500">
+              {file.name} has {pluralize(file.dataRows.length, 'row')}. Choose the column that holds each field.
+              Jobs are matched by title and stages by name.
+            </p>
+            {IMPORT_FIELDS.map(field => {
+              const column = mapping[field.id];
+              const example = column === null ? '' : file.dataRows[0][column];
+              return (
+                <div key={field.id} className="grid grid-cols-3 items-center gap-3">
+                  <span className="text-sm font-semibold text-gray-700">
+                    {field.label}
+                    {field.required && <span className="text-red-500 ml-1">*</span>}
+                  </span>
+                  <select
+                    value={column ?? ''}
+                    onChange={(e) => {
+                      setMapping(prev => ({ ...prev, [field.id]: e.target.value === '' ? null : Number(e.target.value) }));
+                      setError(null);
+                    }}
+                    className={fieldClassName}
+                    aria-label={`Column for ${field.label}`}
+                  >
+                    <option value="">Don't import</option>
+                    {file.headers.map((header, index) => (
+                      <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                    ))}
+                  </select>
+                  <span className="text-sm text-gray-500 truncate">{example && `e.g. ${example}`}</span>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {step === 'review' && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-3 gap-3 text-sm">
+              <div className="rounded-lg bg-green-50 px-4 py-3 text-green-800">
+                <span className="font-semibold">{validRows.length - duplicateCount}</span> new
+              </div>
+              <div className="rounded-lg bg-amber-50 px-4 py-3 text-amber-800">
+                <span className="font-semibold">{duplicateCount}</span> match existing candidates
+              </div>
+              <div className="rounded-lg bg-red-50 px-4 py-3 text-red-800">
+                <span className="font-semibold">{rows.length - validRows.length}</span> with errors, won't be imported
+              </div>
+            </div>
+
+            {duplicateCount > 0 && (
+              <fieldset className="space-y-1 text-sm text-gray-700">
+                <legend className="font-semibold">Rows matching an existing candidate by email or phone</legend>
+                <label className="flex items-center space-x-2">
+                  <input
+                    type="radio"
+                    checked={onDuplicate === IMPORT_DUPLICATE_ACTIONS.SKIP}
+                    onChange={() => setOnDuplicate(IMPORT_DUPLICATE_ACTIONS.SKIP)}
+                  />
+                  <span>Skip them</span>
+                </label>
+                <label className="flex items-center space-x-2">
+                  <input
+                    type="radio"
+                    checked={onDuplicate === IMPORT_DUPLICATE_ACTIONS.MERGE}
+                    onChange={() => setOnDuplicate(IMPORT_DUPLICATE_ACTIONS.MERGE)}
+                  />
+                  <span>Merge into the existing candidate: add a missing phone, new tags and the job application</span>
+                </label>
+              </fieldset>
+            )}
+
+            <label className="flex items-center space-x-2 text-sm text-gray-600">
+              <input type="checkbox" checked={onlyProblems} onChange={(e) => setOnlyProblems(e.target.checked)} />
+              <span>Only show rows with errors or matches</span>
+            </label>
+
+            <ImportPreview rows={rows} matches={matches} jobs={jobs} onlyProblems={onlyProblems} />
+          </div>
+        )}
+
+        {step === 'import' && progress && (
+          <div className="space-y-4">
+            <div>
+              <div className="flex justify-between text-sm text-gray-600">
+                <span>{isFinished ? 'Import complete' : `Importing ${pluralize(validRows.length, 'row')}...`}</span>
+                <span>{progress.done} / {validRows.length}</span>
+              </div>
+              <div className="mt-2 h-2 rounded-full bg-gray-200">
+                <div
+                  className="h-2 rounded-full bg-primary-600 transition-all"
+                  style={{ width: `${validRows.length ? (progress.done / validRows.length) * 100 : 100}%` }}
+                />
+              </div>
+            </div>
+            <p className="text-sm text-gray-700">
+              {pluralize(progress.created, 'candidate')} created
+              {progress.merged > 0 && `, ${progress.merged} merged into existing candidates`}
+              {progress.skipped.length > 0 && `, ${progress.skipped.length} skipped`}
+            </p>
+            {progress.skipped.length > 0 && (
+              <ul className="max-h-40 overflow-y-auto text-sm text-gray-500">
+                {progress.skipped.map((item, index) => (
+                  <li key={index}>Row {item.row}: {item.reason}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {error && (
+          <p className="flex items-center text-sm text-red-600 font-medium">
+            <ExclamationTriangleIcon className="h-4 w-4 mr-1 flex-shrink-0" />
+            {error}
+          </p>
+        )}
+      </ModalBody>
+      <ModalFooter>
+        {step === 'map' && (
+          <>
+            <Button variant="outline" onClick={reset}>Back</Button>
+            <Button onClick={handleReview} disabled={isWorking}>Review Rows</Button>
+          </>
+        )}
+        {step === 'review' && (
+          <>
+            <Button variant="outline" onClick={() => { setStep('map'); setError(null); }}>Back</Button>
+            <Button onClick={() => runImport()} disabled={validRows.length === 0}>
+              Import {pluralize(validRows.length, 'Row')}
+            </Button>
+          </>
+        )}
+        {step === 'import' && (
+          isFinished ? (
+            <Button onClick={handleClose}>Done</Button>
+          ) : (
+            <>
+              <Button variant="outline" onClick={handleClose} disabled={isWorking}>Close</Button>
+              <Button onClick={() => runImport()} disabled={isWorking}>Retry</Button>
+            </>
+          )
+        )}
+        {step === 'upload' && (
+          <Button variant="outline" onClick={handleClose}>Cancel</Button>
+        )}
+      </ModalFooter>
+    </Modal>
+  );
+}
+
+function ImportPreview({ rows, matches, jobs, onlyProblems }) {
+  const jobsById = new Map(jobs.map(job => [job.id, job]));
+  const shown = rows
+    .map((row, index) => ({ ...row, match: row.errors.length === 0 ? matches[index] : null }))
+    .filter(row => !onlyProblems || row.errors.length > 0 || row.match);
+
+  return (
+    <div className="max-h-80 overflow-auto rounded-lg border border-gray-200">
+      <table className="min-w-full divide-y divide-gray-200 text-sm">
+        <thead className="bg-gray-50 sticky top-0">
+          <tr>
+            {['Row', 'Name', 'Email', 'Job', 'Status'].map(heading => (
+              <th key={heading} className="px-3 py-2 text-left font-semibold text-gray-600">{heading}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100 bg-white">
+          {shown.slice(0, PREVIEW_LIMIT).map(({ row, candidate, errors, match }) => {
+            const job = jobsById.get(candidate.jobId);
+            return (
+              <tr key={row} className={clsx(errors.length > 0 && 'bg-red-50/50')}>
+                <td className="px-3 py-2 text-gray-500">{row}</td>
+                <td className="px-3 py-2 text-gray-900">{candidate.name}</td>
+                <td className="px-3 py-2 text-gray-700">{candidate.email}</td>
+                <td className="px-3 py-2 text-gray-700">
+                  {job && `${job.title}${candidate.stage ? ` · ${getStageLabel(getJobPipeline(job), candidate.stage)}` : ''}`}
+                </td>
+                <td className="px-3 py-2">
+                  {errors.length > 0 ? (
+                    <span className="text-red-700">{errors.join('; ')}</span>
+                  ) : match ? (
+                    <span className="text-amber-700">Matches {match.name} by {match.matchedOn}</span>
+                  ) : (
+                    <span className="text-green-700">New</span>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {shown.length > PREVIEW_LIMIT && (
+        <p className="px-3 py-2 text-xs text-gray-500">Showing the first {PREVIEW_LIMIT} of {shown.length} rows</p>
+      )}
+    </div>
+  );
+}
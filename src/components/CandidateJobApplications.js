@@ -1,6 +1,19 @@
-import React, { useState, useEffect } from 'react';
-import { DatabaseService } from '../services/database';
-import { CANDIDATE_STAGES, STAGE_LABELS } from '../types';
+import React, { useState, useMemo } from 'react';
+import toast from 'react-hot-toast';
+import { applicationsApi, jobsApi, queryKeys } from '../services/api';
+import { useQuery } from '../hooks/useQuery';
+import { useMutation } from '../hooks/useMutation';
+import {
+  getJobPipeline,
+  getStageColors,
+  getStageLabel,
+  findStage,
+  isHiredStage,
+  isRejectedStage,
+} from '../utils/pipeline';
+import { evaluateTransition, getAllowedTransitions, REQUIREMENT_DEFINITIONS } from '../utils/transitions';
+import { ERROR_TYPES, REJECTION_SOURCE_LABELS } from '../types';
+import StageTransitionModal from './StageTransitionModal';
 import Card from './ui/Card';
 import Button from './ui/Button';
 import Select from './ui/Select';
@@ -15,81 +28,100 @@ import {
 } from '@heroicons/react/24/outline';
 import { clsx } from 'clsx';
 
-const STATUS_COLORS = {
-  [CANDIDATE_STAGES.APPLIED]: 'bg-blue-100 text-blue-800',
-  [CANDIDATE_STAGES.SCREEN]: 'bg-yellow-100 text-yellow-800',
-  [CANDIDATE_STAGES.TECH]: 'bg-orange-100 text-orange-800',
-  [CANDIDATE_STAGES.OFFER]: 'bg-purple-100 text-purple-800',
-  [CANDIDATE_STAGES.HIRED]: 'bg-green-100 text-green-800',
-  [CANDIDATE_STAGES.REJECTED]: 'bg-red-100 text-red-800',
-};
-
-const STATUS_ICONS = {
-  [CANDIDATE_STAGES.APPLIED]: ClockIcon,
-  [CANDIDATE_STAGES.SCREEN]: CalendarDaysIcon,
-  [CANDIDATE_STAGES.TECH]: CalendarDaysIcon,
-  [CANDIDATE_STAGES.OFFER]: CalendarDaysIcon,
-  [CANDIDATE_STAGES.HIRED]: CheckCircleIcon,
-  [CANDIDATE_STAGES.REJECTED]: XCircleIcon,
+// Helper function to pick the icon for a stage of a job's pipeline
+const getStatusIcon = (pipeline, status) => {
+  const stage = findStage(pipeline, status);
+  if (isHiredStage(stage)) return CheckCircleIcon;
+  if (isRejectedStage(stage)) return XCircleIcon;
+  if (pipeline[0]?.id === status) return ClockIcon;
+  return CalendarDaysIcon;
 };
 
 export default function CandidateJobApplications({ candidateId, onStatusUpdate }) {
-  const [applications, setApplications] = useState([]);
-  const [statusSummary, setStatusSummary] = useState(null);
-  const [loading, setLoading] = useState(true);
   const [updatingStatus, setUpdatingStatus] = useState(null);
   const [showApplyModal, setShowApplyModal] = useState(false);
-  const [availableJobs, setAvailableJobs] = useState([]);
   const [selectedJobId, setSelectedJobId] = useState('');
+  const [pendingMove, setPendingMove] = useState(null);
 
-  useEffect(() => {
-    loadJobApplications();
-  }, [candidateId]);
+  const { data, isLoading: loading } = useQuery(
+    queryKeys.applications.forCandidate(candidateId),
+    () => applicationsApi.getForCandidate(candidateId),
+    { onError: (error) => console.error('Error loading job applications:', error) }
+  );
+  const applications = useMemo(() => data?.applications || [], [data]);
+  const statusSummary = data?.statusSummary || null;
 
-  const loadJobApplications = async () => {
-    try {
-      setLoading(true);
-      const data = await DatabaseService.getCandidateJobStatus(candidateId);
-      setApplications(data.applications);
-      setStatusSummary(data.statusSummary);
-    } catch (error) {
-      console.error('Error loading job applications:', error);
-    } finally {
-      setLoading(false);
+  const { data: activeJobs } = useQuery(
+    queryKeys.jobs.allMatching({ status: 'active' }),
+    () => jobsApi.getAll({ status: 'active' }),
+    {
+      enabled: showApplyModal,
+      onError: (error) => console.error('Error loading available jobs:', error),
     }
-  };
+  );
+  // Filter out jobs the candidate has already applied to
+  const availableJobs = useMemo(() => {
+    const appliedJobIds = applications.map(app => app.jobId);
+    return (activeJobs || []).filter(job => !appliedJobIds.includes(job.id));
+  }, [activeJobs, applications]);
 
-  const loadAvailableJobs = async () => {
-    try {
-      const jobs = await DatabaseService.getJobs({ status: 'active' });
-      // Filter out jobs the candidate has already applied to
-      const appliedJobIds = applications.map(app => app.jobId);
-      const available = jobs.filter(job => !appliedJobIds.includes(job.id));
-      setAvailableJobs(available);
-    } catch (error) {
-      console.error('Error loading available jobs:', error);
-    }
-  };
+  const applicationInvalidation = [
+    queryKeys.applications.all,
+    queryKeys.candidates.timeline(candidateId),
+  ];
+  const updateStatusMutation = useMutation(
+    ({ applicationId, status, details }) => applicationsApi.updateStatus(applicationId, status, '', details),
+    { invalidates: [...applicationInvalidation, queryKeys.reports.all, queryKeys.timeline.all] }
+  );
+  const applyMutation = useMutation(
+    (jobId) => applicationsApi.apply(candidateId, jobId),
+    { invalidates: applicationInvalidation }
+  );
 
-  const handleStatusChange = async (applicationId, newStatus) => {
+  const updateStatus = async (applicationId, newStatus, details) => {
     try {
       setUpdatingStatus(applicationId);
-      await DatabaseService.updateJobApplicationStatus(applicationId, newStatus);
-      await loadJobApplications();
+      await updateStatusMutation.mutateAsync({ applicationId, status: newStatus, details });
       onStatusUpdate?.();
     } catch (error) {
       console.error('Error updating status:', error);
+      toast.error(error.type === ERROR_TYPES.VALIDATION_ERROR ? error.message : 'Failed to update status');
     } finally {
       setUpdatingStatus(null);
     }
   };
 
+  const handleStatusChange = (application, newStatus) => {
+    const pipeline = getJobPipeline(application.jobDetails);
+    const { allowed, reason, missingFields } = evaluateTransition(pipeline, application.status, newStatus);
+    if (!allowed && missingFields.length === 0) {
+      toast.error(reason);
+      return;
+    }
+    if (missingFields.length > 0) {
+      setPendingMove({
+        applicationId: application.id,
+        status: newStatus,
+        candidateName: `the ${application.jobTitle} application`,
+        toStage: findStage(pipeline, newStatus),
+        fields: missingFields,
+      });
+      return;
+    }
+    updateStatus(application.id, newStatus);
+  };
+
+  const handleConfirmPendingMove = (details) => {
+    const { applicationId, status } = pendingMove;
+    setPendingMove(null);
+    updateStatus(applicationId, status, details);
+  };
+
   const handleApplyToJob = async () => {
     if (!selectedJobId) return;
     
     try {
-      await DatabaseService.applyCandidateToJob(candidateId, selectedJobId);
-      await loadJobApplications();
+      await applyMutation.mutateAsync(selectedJobId);
       setShowApplyModal(false);
       setSelectedJobId('');
     } catch (error) {
@@ -98,7 +130,6 @@ export default function CandidateJobApplications({ candidateId, onStatusUpdate }
   };
 
   const openApplyModal = () => {
-    loadAvailableJobs();
     setShowApplyModal(true);
   };
 
@@ -175,8 +206,11 @@ export default function CandidateJobApplications({ candidateId, onStatusUpdate }
           ) : (
             <div className="space-y-4">
               {applications.map((application) => {
-                const StatusIcon = STATUS_ICONS[application.status];
+                const pipeline = getJobPipeline(application.jobDetails);
+                const StatusIcon = getStatusIcon(pipeline, application.status);
                 const isUpdating = updatingStatus === application.id;
+                const allowedStages = getAllowedTransitions(pipeline, application.status);
+                const currentDetails = application.stageDetails?.[application.status] || {};
                 
                 return (
                   <div
@@ -191,11 +225,11 @@ export default function CandidateJobApplications({ candidateId, onStatusUpdate }
                           <span
                             className={clsx(
                               'inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium',
-                              STATUS_COLORS[application.status]
+                              getStageColors(pipeline, application.status).badge
                             )}
                           >
                             <StatusIcon className="h-3 w-3 mr-1" />
-                            {STAGE_LABELS[application.status]}
+                            {getStageLabel(pipeline, application.status)}
                           </span>
                         </div>
                         
@@ -208,6 +242,23 @@ export default function CandidateJobApplications({ candidateId, onStatusUpdate }
                           )}
                         </div>
                         
+                        {Object.values(REQUIREMENT_DEFINITIONS)
+                          .filter(({ field, input }) => field && input === 'number' && currentDetails[field])
+                          .map(({ field, label }) => (
+                            <div key={field} className="mt-2 text-sm text-gray-600">
+                              <strong>{label}:</strong>{' '}
+                              {Number(currentDetails[field]).toLocaleString()}
+                            </div>
+                          ))}
+
+                        {application.rejection && (
+                          <div className="mt-2 text-sm text-gray-600">
+                            <strong>{REJECTION_SOURCE_LABELS[application.rejection.source]}:</strong>{' '}
+                            {application.rejection.reasonLabel}
+                            {application.rejection.note && ` — ${application.rejection.note}`}
+                          </div>
+                        )}
+
                         {application.notes && (
                           <div className="mt-2 text-sm text-gray-600">
                             <strong>Notes:</strong> {application.notes}
@@ -218,16 +269,19 @@ export default function CandidateJobApplications({ candidateId, onStatusUpdate }
                       <div className="flex items-center space-x-2">
                         <Select
                           value={application.status}
-                          onChange={(e) => handleStatusChange(application.id, e.target.value)}
+                          onChange={(e) => handleStatusChange(application, e.target.value)}
                           disabled={isUpdating}
                           className="min-w-[120px]"
                         >
-                          <option value={CANDIDATE_STAGES.APPLIED}>Applied</option>
-                          <option value={CANDIDATE_STAGES.SCREEN}>Screen</option>
-                          <option value={CANDIDATE_STAGES.TECH}>Tech Interview</option>
-                          <option value={CANDIDATE_STAGES.OFFER}>Offer</option>
-                          <option value={CANDIDATE_STAGES.HIRED}>Hired</option>
-                          <option value={CANDIDATE_STAGES.REJECTED}>Rejected</option>
+                          {pipeline.map(stage => (
+                            <option
+                              key={stage.id}
+                              value={stage.id}
+                              disabled={stage.id !== application.status && !allowedStages.includes(stage.id)}
+                            >
+                              {stage.name}
+                            </option>
+                          ))}
                         </Select>
                         
                         {application.jobDetails && (
@@ -249,6 +303,13 @@ export default function CandidateJobApplications({ candidateId, onStatusUpdate }
         </div>
       </Card>
 
+      <StageTransitionModal
+        key={pendingMove?.applicationId}
+        move={pendingMove}
+        onConfirm={handleConfirmPendingMove}
+        onCancel={() => setPendingMove(null)}
+      />
+
       {/* Apply to Job Modal */}
       {showApplyModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { clsx } from 'clsx';
+import { candidatesApi, queryKeys } from '../services/api';
+import { useQuery } from '../hooks/useQuery';
+import { useMutation } from '../hooks/useMutation';
+import { ERROR_TYPES } from '../types';
+import { MERGE_FIELDS } from '../utils/duplicates';
+import Button from './ui/Button';
+import Modal, { ModalBody, ModalFooter } from './ui/Modal';
+
+/**
+ * Merges the candidate `duplicateId` into `candidate`, picking each profile
+ * field from one of the two. The duplicate's applications, notes, timeline
+ * and responses move to `candidate`, and the duplicate is removed.
+ */
+export default function CandidateMergeModal({ isOpen, onClose, candidate, duplicateId, onMerged }) {
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Merge Duplicate" size="lg">
+      {isOpen && duplicateId && (
+        <MergeForm key={duplicateId} candidate={candidate} duplicateId={duplicateId} onClose={onClose} onMerged={onMerged} />
+      )}
+    </Modal>
+  );
+}
+
+function MergeForm({ candidate, duplicateId, onClose, onMerged }) {
+  const [keep, setKeep] = useState({});
+
+  const { data: duplicate, isLoading } = useQuery(
+    queryKeys.candidates.detail(duplicateId),
+    () => candidatesApi.get(duplicateId),
+    {
+      onError: (error) => {
+        console.error('Error loading duplicate candidate:', error);
+        toast.error('Failed to load the duplicate');
+      },
+    }
+  );
+  const mergeMutation = useMutation((fields) => candidatesApi.merge(candidate.id, duplicateId, fields), {
+    invalidates: [
+      queryKeys.candidates.all,
+      queryKeys.applications.all,
+      queryKeys.notes.all,
+      queryKeys.timeline.all,
+      queryKeys.stats,
+      queryKeys.reports.all,
+    ],
+  });
+
+  // Fields where the two records differ; by default the surviving record's
+  // value wins unless it is empty
+  const fields = duplicate
+    ? MERGE_FIELDS.filter(field => (candidate[field.id] || '') !== (duplicate[field.id] || ''))
+    : [];
+  const keepsDuplicate = (fieldId) => keep[fieldId] ?? (!candidate[fieldId] && !!duplicate[fieldId]);
+
+  const handleMerge = async () => {
+    const chosen = Object.fromEntries(fields.filter(field => keepsDuplicate(field.id)).map(field => [field.id, true]));
+    try {
+      const merged = await mergeMutation.mutateAsync(chosen);
+      toast.success(`Merged ${duplicate.name} into ${merged.name}`);
+      onMerged?.(merged);
+      onClose();
+    } catch (error) {
+      console.error('Error merging candidates:', error);
+      toast.error(error.type === ERROR_TYPES.VALIDATION_ERROR ? error.message : 'Failed to merge candidates');
+    }
+  };
+
+  if (isLoading || !duplicate) {
+    return (
+      <ModalBody>
+        <div className="animate-pulse h-32 bg-gray-100 rounded"></div>
+      </ModalBody>
+    );
+  }
+
+  const renderOption = (field, record, isDuplicate) => {
+    const selected = keepsDuplicate(field.id) === isDuplicate;
+    return (
+      <label
+        className={clsx(
+          'flex items-start space-x-2 rounded-md border p-2 text-sm cursor-pointer',
+          selected ? 'border-primary-500 bg-primary-50' : 'border-gray-200'
+        )}
+      >
+        <input
+          type="radio"
+          className="mt-0.5"
+          checked={selected}
+          onChange={() => setKeep(prev => ({ ...prev, [field.id]: isDuplicate }))}
+        />
+        <span className={clsx('break-words line-clamp-2', record[field.id] ? 'text-gray-900' : 'italic text-gray-400')}>
+          {record[field.id] || 'Empty'}
+        </span>
+      </label>
+    );
+  };
+
+  return (
+    <>
+      <ModalBody className="space-y-4">
+        <p className="text-sm text-gray-500">
+          {duplicate.name}'s applications, notes, timeline and assessment responses move to {candidate.name}, and
+          their tags are added. Where both applied to the same job or answered the same assessment, the more
+          recently updated one is kept. {duplicate.name}'s profile is then removed; this can't be undone.
+        </p>
+
+        {fields.length === 0 ? (
+          <p className="text-sm text-gray-700">Both profiles have the same details.</p>
+        ) : (
+          <div className="space-y-3">
+            <div className="grid grid-cols-[8rem_1fr_1fr] gap-3 text-xs font-semibold uppercase text-gray-500">
+              <span>Field</span>
+              <span>Keep ({candidate.name})</span>
+              <span>Merge ({duplicate.name})</span>
+            </div>
+            {fields.map(field => (
+              <div key={field.id} className="grid grid-cols-[8rem_1fr_1fr] gap-3 items-start">
+                <span className="text-sm font-medium text-gray-700 pt-2">{field.label}</span>
+                {renderOption(field, candidate, false)}
+                {renderOption(field, duplicate, true)}
+              </div>
+            ))}
+          </div>
+        )}
+      </ModalBody>
+      <ModalFooter>
+        <Button variant="outline" onClick={onClose} disabled={mergeMutation.isLoading}>
+          Cancel
+        </Button>
+        <Button variant="danger" onClick={handleMerge} disabled={mergeMutation.isLoading}>
+          {mergeMutation.isLoading ? 'Merging...' : 'Merge'}
+        </Button>
+      </ModalFooter>
+    </>
+  );
+}
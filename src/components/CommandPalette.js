@@ -0,0 +1,394 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import {
+  MagnifyingGlassIcon,
+  UserIcon,
+  BriefcaseIcon,
+  ClipboardDocumentListIcon,
+  PlusIcon,
+  ArrowRightIcon,
+  ClockIcon,
+  HomeIcon,
+  UsersIcon,
+  Cog6ToothIcon,
+  TrashIcon,
+  WrenchScrewdriverIcon,
+} from '@heroicons/react/24/outline';
+import { clsx } from 'clsx';
+import { searchApi, applicationsApi, queryKeys } from '../services/api';
+import { useQuery } from '../hooks/useQuery';
+import { useMutation } from '../hooks/useMutation';
+import { useSearch } from '../hooks/useSearch';
+import { ERROR_TYPES } from '../types';
+import { getJobPipeline, getStageLabel } from '../utils/pipeline';
+import { evaluateTransition } from '../utils/transitions';
+import { fuzzyScore, parseMoveCommand, matchStages, pushRecentItem } from '../utils/commands';
+import Modal from './ui/Modal';
+import Highlight from './ui/Highlight';
+import StageTransitionModal from './StageTransitionModal';
+
+const RECENT_ITEMS_KEY = 'commandPalette:recent';
+
+const TYPE_ICONS = {
+  candidate: UserIcon,
+  job: BriefcaseIcon,
+  assessment: ClipboardDocumentListIcon,
+};
+
+// Commands available without searching. `state` is passed to the page, which
+// opens its create form when it sees { create: true }.
+const ACTIONS = [
+  { key: 'action:create-job', title: 'Create job', icon: PlusIcon, href: '/app/jobs', state: { create: true } },
+  { key: 'action:add-candidate', title: 'Add candidate', icon: PlusIcon, href: '/app/candidates', state: { create: true } },
+  { key: 'nav:dashboard', title: 'Go to Dashboard', icon: HomeIcon, href: '/app' },
+  { key: 'nav:jobs', title: 'Go to Jobs', icon: BriefcaseIcon, href: '/app/jobs' },
+  { key: 'nav:candidates', title: 'Go to Candidates', icon: UsersIcon, href: '/app/candidates' },
+  { key: 'nav:assessments', title: 'Go to Assessments', icon: ClipboardDocumentListIcon, href: '/app/assessments' },
+  { key: 'nav:trash', title: 'Go to Trash', icon: TrashIcon, href: '/app/trash' },
+  { key: 'nav:settings', title: 'Go to Settings', icon: Cog6ToothIcon, href: '/app/settings' },
+];
+
+const readRecentItems = () => {
+  try {
+    return JSON.parse(localStorage.getItem(RECENT_ITEMS_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+};
+
+// Helper function to turn a search result into the palette item that opens it
+const toEntityItem = ({ type, id, item, highlights }) => {
+  const titleField = type === 'candidate' ? 'name' : 'title';
+  const titleMatch = highlights.find(highlight => highlight.docType === type && highlight.field === titleField);
+  const otherMatch = highlights.find(highlight => highlight !== titleMatch);
+  const entity = {
+    candidate: {
+      title: item.name,
+      subtitle: item.email,
+      href: `/app/candidates/${id}`,
+    },
+    job: {
+      title: item.title,
+      subtitle: [item.department, item.location].filter(Boolean).join(' · '),
+      href: `/app/jobs/${id}`,
+    },
+    assessment: {
+      title: item.title || 'Untitled assessment',
+      subtitle: 'Assessment',
+      href: `/app/assessments/${item.jobId}`,
+    },
+  }[type];
+
+  return {
+    key: `${type}:${id}`,
+    type,
+    ...entity,
+    titleFragments: titleMatch?.fragments,
+    match: otherMatch,
+  };
+};
+
+/**
+ * Cmd/Ctrl+K palette: jumps to jobs, candidates and assessments found by the
+ * search index, and runs actions. "move <candidate> to <stage>" lists the
+ * stage moves for the matching candidates' applications.
+ */
+export default function CommandPalette({ isOpen, onClose }) {
+  const navigate = useNavigate();
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [recentItems, setRecentItems] = useState(readRecentItems);
+  const [pendingMove, setPendingMove] = useState(null);
+  const listRef = useRef(null);
+  const { searchValue, debouncedValue, handleSearchChange, clearSearch } = useSearch('', 150);
+
+  const term = debouncedValue.trim();
+  const move = parseMoveCommand(term);
+
+  // Every time the palette opens it starts empty
+  useEffect(() => {
+    if (isOpen) {
+      clearSearch();
+      setActiveIndex(0);
+    }
+  }, [isOpen, clearSearch]);
+
+  const searchParams = { types: 'candidate,job,assessment', limit: 8 };
+  const { data: results = [], isLoading: searching } = useQuery(
+    queryKeys.search(term, searchParams),
+    () => searchApi.search(term, searchParams).then(data => data.results),
+    {
+      enabled: isOpen && !!term && !move,
+      keepPreviousData: true,
+      onError: (error) => console.error('Error searching:', error),
+    }
+  );
+
+  // Candidates for a move, each with the applications that could be moved
+  const { data: moveTargets = [], isLoading: loadingMoves } = useQuery(
+    queryKeys.search(move?.candidateQuery, { moves: true }),
+    async () => {
+      const { results: candidates } = await searchApi.search(move.candidateQuery, { types: 'candidate', limit: 5 });
+      return Promise.all(candidates.map(async ({ item }) => ({
+        candidate: item,
+        applications: (await applicationsApi.getForCandidate(item.id)).applications,
+      })));
+    },
+    {
+      enabled: isOpen && !!move,
+      keepPreviousData: true,
+      onError: (error) => console.error('Error loading applications to move:', error),
+    }
+  );
+
+  const moveMutation = useMutation(
+    ({ applicationId, status, details }) => applicationsApi.updateStatus(applicationId, status, '', details),
+    {
+      invalidates: [
+        queryKeys.applications.all,
+        queryKeys.candidates.all,
+        queryKeys.reports.all,
+        queryKeys.timeline.all,
+        queryKeys.stats,
+      ],
+    }
+  );
+
+  const rememberItem = (item) => {
+    const { key, type, title, subtitle, href } = item;
+    const next = pushRecentItem(readRecentItems(), { key, type, title, subtitle, href });
+    setRecentItems(next);
+    try {
+      localStorage.setItem(RECENT_ITEMS_KEY, JSON.stringify(next));
+    } catch (e) {}
+  };
+
+  const runMove = ({ candidate, application, stage }) => {
+    const pipeline = getJobPipeline(application.jobDetails);
+    const { allowed, reason, missingFields } = evaluateTransition(pipeline, application.status, stage.id);
+    if (!allowed && missingFields.length === 0) {
+      toast.error(reason);
+      return;
+    }
+
+    onClose();
+    if (missingFields.length > 0) {
+      setPendingMove({
+        applicationId: application.id,
+        status: stage.id,
+        candidateName: candidate.name,
+        toStage: stage,
+        fields: missingFields,
+      });
+      return;
+    }
+    submitMove({ applicationId: application.id, status: stage.id, candidateName: candidate.name, toStage: stage });
+  };
+
+  const submitMove = async ({ applicationId, status, candidateName, toStage }, details) => {
+    try {
+      await moveMutation.mutateAsync({ applicationId, status, details });
+      toast.success(`Moved ${candidateName} to ${toStage.name}`);
+    } catch (error) {
+      console.error('Error moving candidate:', error);
+      toast.error(error.type === ERROR_TYPES.VALIDATION_ERROR ? error.message : 'Failed to move candidate');
+    }
+  };
+
+  const handleConfirmPendingMove = (details) => {
+    const confirmed = pendingMove;
+    setPendingMove(null);
+    submitMove(confirmed, details);
+  };
+
+  const getGroups = () => {
+    const openItem = item => ({
+      ...item,
+      icon: item.icon || TYPE_ICONS[item.type],
+      perform: () => {
+        if (item.type) rememberItem(item);
+        navigate(item.href, item.state ? { state: item.state } : undefined);
+        onClose();
+      },
+    });
+
+    if (move) {
+      const moves = moveTargets.flatMap(({ candidate, applications }) =>
+        applications.flatMap((application) => {
+          const pipeline = getJobPipeline(application.jobDetails);
+          return matchStages(pipeline, move.stageQuery, application.status)
+            .slice(0, move.stageQuery ? 1 : 4)
+            .map(stage => ({
+              key: `move:${application.id}:${stage.id}`,
+              icon: ArrowRightIcon,
+              title: `Move ${candidate.name} to ${stage.name}`,
+              subtitle: `${application.jobTitle} · now in ${getStageLabel(pipeline, application.status)}`,
+              perform: () => runMove({ candidate, application, stage }),
+            }));
+        })
+      );
+      return [{ name: 'Move', items: moves }];
+    }
+
+    if (!term) {
+      return [
+        { name: 'Recent', items: recentItems.map(openItem) },
+        { name: 'Actions', items: ACTIONS.map(openItem) },
+      ];
+    }
+
+    const entities = results.map(toEntityItem).map(openItem);
+    const related = results.flatMap(({ type, item }) => {
+      if (type === 'job') {
+        return [openItem({
+          key: `builder:${item.id}`,
+          icon: WrenchScrewdriverIcon,
+          title: `Open assessment builder for ${item.title}`,
+          href: `/app/assessments/${item.id}`,
+        })];
+      }
+      if (type === 'candidate') {
+        return [{
+          key: `move-prompt:${item.id}`,
+          icon: ArrowRightIcon,
+          title: `Move ${item.name} to…`,
+          // Switches the palette to picking a stage
+          perform: () => handleSearchChange(`move ${item.name} to `),
+        }];
+      }
+      return [];
+    }).slice(0, 4);
+    const actions = ACTIONS
+      .map(action => ({ action, score: fuzzyScore(term, action.title) }))
+      .filter(({ score }) => score >= 0.6)
+      .sort((a, b) => b.score - a.score)
+      .map(({ action }) => openItem(action));
+
+    return [
+      { name: 'Actions', items: actions },
+      { name: 'Results', items: entities },
+      { name: 'Related actions', items: related },
+    ];
+  };
+
+  const groups = getGroups();
+  const items = groups.flatMap(group => group.items);
+  const active = Math.min(activeIndex, Math.max(items.length - 1, 0));
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [searchValue]);
+
+  useEffect(() => {
+    listRef.current?.querySelector(`[data-index="${active}"]`)?.scrollIntoView?.({ block: 'nearest' });
+  }, [active]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (items.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((active + step + items.length) % items.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      items[active]?.perform();
+    }
+  };
+
+  const isBusy = searchValue.trim() !== term || (move ? loadingMoves : !!term && searching);
+  let index = -1;
+
+  return (
+    <>
+      <Modal isOpen={isOpen} onClose={onClose} size="lg" showCloseButton={false}>
+        <div className="-mx-6 -my-6">
+          <div className="flex items-center px-5 border-b border-gray-100">
+            <MagnifyingGlassIcon className="h-5 w-5 text-gray-400" />
+            <input
+              autoFocus
+              type="text"
+              value={searchValue}
+              onChange={(e) => handleSearchChange(e.target.value)}
+              onKeyDown={handleKeyDown}
+              placeholder="Search jobs, candidates and assessments, or type a command…"
+              className="flex-1 border-0 bg-transparent px-3 py-4 text-sm text-gray-900 placeholder-gray-400 focus:ring-0 focus:outline-none"
+              role="combobox"
+              aria-expanded="true"
+              aria-controls="command-palette-list"
+              aria-activedescendant={items[active] ? `command-palette-item-${active}` : undefined}
+            />
+          </div>
+
+          <div ref={listRef} id="command-palette-list" role="listbox" className="max-h-96 overflow-y-auto py-2">
+            {groups.filter(group => group.items.length > 0).map(group => (
+              <div key={group.name} className="py-1">
+                <p className="px-5 py-1 text-xs font-semibold uppercase tracking-wide text-gray-400">
+                  {group.name === 'Recent' && <ClockIcon className="inline h-3.5 w-3.5 mr-1 -mt-0.5" />}
+                  {group.name}
+                </p>
+                {group.items.map((item) => {
+                  index += 1;
+                  const itemIndex = index;
+                  const Icon = item.icon;
+                  return (
+                    <div
+                      key={item.key}
+                      id={`command-palette-item-${itemIndex}`}
+                      data-index={itemIndex}
+                      role="option"
+                      aria-selected={itemIndex === active}
+                      onMouseMove={() => itemIndex !== active && setActiveIndex(itemIndex)}
+                      onClick={() => item.perform()}
+                      className={clsx(
+                        'mx-2 flex items-center px-3 py-2 rounded-lg cursor-pointer',
+                        itemIndex === active ? 'bg-primary-50 text-primary-900' : 'text-gray-700'
+                      )}
+                    >
+                      <Icon className={clsx('h-5 w-5 flex-shrink-0', itemIndex === active ? 'text-primary-600' : 'text-gray-400')} />
+                      <div className="ml-3 min-w-0 flex-1">
+                        <p className="text-sm font-medium truncate">
+                          {item.titleFragments ? <Highlight fragments={item.titleFragments} /> : item.title}
+                        </p>
+                        {(item.match || item.subtitle) && (
+                          <p className="text-xs text-gray-500 truncate">
+                            {item.match ? (
+                              <>
+                                <span className="font-medium">{item.match.label}: </span>
+                                <Highlight fragments={item.match.fragments} />
+                              </>
+                            ) : item.subtitle}
+                          </p>
+                        )}
+                      </div>
+                      {itemIndex === active && (
+                        <span className="ml-3 text-xs text-primary-600">↵</span>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+
+            {items.length === 0 && (
+              <p className="px-5 py-8 text-center text-sm text-gray-500">
+                {isBusy ? 'Searching…' : move ? 'No matching moves' : 'No results'}
+              </p>
+            )}
+          </div>
+
+          <div className="flex items-center justify-between px-5 py-2.5 border-t border-gray-100 bg-gray-50/50 text-xs text-gray-500">
+            <span>↑↓ to navigate · ↵ to select · esc to close</span>
+            <span>Try “move Ada to tech”</span>
+          </div>
+        </div>
+      </Modal>
+
+      <StageTransitionModal
+        key={pendingMove?.applicationId}
+        move={pendingMove}
+        onConfirm={handleConfirmPendingMove}
+        onCancel={() => setPendingMove(null)}
+      />
+    </>
+  );
+}
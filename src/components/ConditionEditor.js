@@ -0,0 +1,179 @@
+import React from 'react';
+import { PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { clsx } from 'clsx';
+import { QUESTION_TYPES } from '../types';
+import {
+  CONDITION_OPERATOR_LABELS,
+  createCondition,
+  createConditionGroup,
+  getOperatorsForQuestion,
+  normalizeLogic,
+  operatorTakesValue,
+} from '../utils/conditions';
+import Button from './ui/Button';
+import Input from './ui/Input';
+import Select from './ui/Select';
+
+const compactClassName = 'px-3 py-2';
+
+/**
+ * Edits assessment logic: conditions on the answers to `questions` (the
+ * ones that come earlier), joined by AND or OR, with one level of nested
+ * groups.
+ */
+export default function ConditionEditor({ value, onChange, questions }) {
+  const root = normalizeLogic(value) || createConditionGroup();
+  return <ConditionGroup group={root} onChange={onChange} questions={questions} depth={0} />;
+}
+
+function ConditionGroup({ group, onChange, onRemove, questions, depth }) {
+  const updateChild = (index, child) => {
+    onChange({ ...group, conditions: group.conditions.map((item, i) => (i === index ? child : item)) });
+  };
+  const removeChild = (index) => {
+    onChange({ ...group, conditions: group.conditions.filter((item, i) => i !== index) });
+  };
+  const addChild = (child) => onChange({ ...group, conditions: [...group.conditions, child] });
+  const firstQuestionId = questions[0]?.id || null;
+
+  return (
+    <div className={clsx('space-y-3', depth > 0 && 'rounded-lg border border-gray-200 bg-gray-50 p-3')}>
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2 text-sm text-gray-600">
+          <span>Match</span>
+          <div className="inline-flex rounded-lg border border-gray-200 bg-white p-0.5">
+            {['and', 'or'].map(combinator => (
+              <button
+                key={combinator}
+                type="button"
+                onClick={() => onChange({ ...group, combinator })}
+                className={clsx(
+                  'px-3 py-1 text-xs font-semibold rounded-md transition-colors',
+                  group.combinator === combinator ? 'bg-primary-600 text-white' : 'text-gray-600 hover:bg-gray-100'
+                )}
+              >
+                {combinator === 'and' ? 'All' : 'Any'}
+              </button>
+            ))}
+          </div>
+          <span>of these conditions</span>
+        </div>
+        {onRemove && (
+          <button type="button" onClick={onRemove} className="p-1 text-gray-400 hover:text-red-600" title="Remove group">
+            <TrashIcon className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+
+      {group.conditions.map((child, index) => (
+        child.type === 'group' ? (
+          <ConditionGroup
+            key={index}
+            group={child}
+            onChange={updated => updateChild(index, updated)}
+            onRemove={() => removeChild(index)}
+            questions={questions}
+            depth={depth + 1}
+          />
+        ) : (
+          <ConditionRow
+            key={index}
+            condition={child}
+            onChange={updated => updateChild(index, updated)}
+            onRemove={() => removeChild(index)}
+            questions={questions}
+          />
+        )
+      ))}
+
+      <div className="flex items-center space-x-2">
+        <Button type="button" variant="outline" size="sm" onClick={() => addChild(createCondition(firstQuestionId))}>
+          <PlusIcon className="h-4 w-4 mr-1" />
+          Condition
+        </Button>
+        {depth === 0 && (
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            onClick={() => addChild(createConditionGroup({ combinator: group.combinator === 'and' ? 'or' : 'and', conditions: [createCondition(firstQuestionId)] }))}
+          >
+            <PlusIcon className="h-4 w-4 mr-1" />
+            Group
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ConditionRow({ condition, onChange, onRemove, questions }) {
+  const question = questions.find(candidate => candidate.id === condition.questionId);
+  const operators = getOperatorsForQuestion(question);
+
+  // A new question keeps the operator when it still applies, but not the value
+  const handleQuestionChange = (questionId) => {
+    const next = questions.find(candidate => candidate.id === questionId);
+    const nextOperators = getOperatorsForQuestion(next);
+    onChange({
+      ...condition,
+      questionId,
+      operator: nextOperators.includes(condition.operator) ? condition.operator : nextOperators[0],
+      value: '',
+    });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <div className="w-56">
+        <Select
+          value={question ? condition.questionId : ''}
+          options={questions.map(candidate => ({ value: candidate.id, label: candidate.title || 'Untitled question' }))}
+          placeholder="Choose a question..."
+          onChange={(e) => handleQuestionChange(e.target.value)}
+          className={compactClassName}
+        />
+      </div>
+      <div className="w-40">
+        <Select
+          value={condition.operator}
+          options={operators.map(operator => ({ value: operator, label: CONDITION_OPERATOR_LABELS[operator] }))}
+          onChange={(e) => onChange({ ...condition, operator: e.target.value })}
+          className={compactClassName}
+        />
+      </div>
+      <div className="flex-1 min-w-[10rem]">
+        {operatorTakesValue(condition.operator) && (
+          <ConditionValue question={question} value={condition.value} onChange={value => onChange({ ...condition, value })} />
+        )}
+      </div>
+      <button type="button" onClick={onRemove} className="p-1 text-gray-400 hover:text-red-600" title="Remove condition">
+        <TrashIcon className="h-4 w-4" />
+      </button>
+    </div>
+  );
+}
+
+function ConditionValue({ question, value, onChange }) {
+  if (question?.type === QUESTION_TYPES.SINGLE_CHOICE || question?.type === QUESTION_TYPES.MULTI_CHOICE) {
+    return (
+      <Select
+        value={value}
+        options={(question.options || []).filter(Boolean).map(option => ({ value: option, label: option }))}
+        placeholder="Choose an option..."
+        onChange={(e) => onChange(e.target.value)}
+        className={compactClassName}
+      />
+    );
+  }
+
+  return (
+    <Input
+      type={question?.type === QUESTION_TYPES.NUMERIC ? 'number' : 'text'}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder={question?.type === QUESTION_TYPES.NUMERIC ? 'Number' : 'e.g., Yes'}
+      className={compactClassName}
+    />
+  );
+}
@@ -0,0 +1,63 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { candidatesApi, queryKeys } from '../services/api';
+import { useQuery } from '../hooks/useQuery';
+import { DUPLICATE_MATCH_LABELS } from '../utils/duplicates';
+
+/**
+ * Warns, as a candidate's details are typed, about existing candidates that
+ * may be the same person. `excludeId` is the candidate being edited. Nothing
+ * is blocked: the check is advisory and its failures are only logged.
+ */
+export default function DuplicateWarning({ name, email, phone, excludeId = null }) {
+  const [contact, setContact] = useState(null);
+
+  // Debounced so the check runs once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setContact(name.trim() || email.trim() || phone.trim() ? { name, email, phone, excludeId } : null);
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [name, email, phone, excludeId]);
+
+  const { data: duplicates = [] } = useQuery(
+    queryKeys.candidates.duplicates(contact),
+    () => candidatesApi.findDuplicates(contact),
+    {
+      enabled: !!contact,
+      onError: (error) => console.error('Error checking for duplicate candidates:', error),
+    }
+  );
+
+  if (!contact || duplicates.length === 0) return null;
+
+  return (
+    <div className="rounded-md bg-yellow-50 border border-yellow-200 p-3">
+      <div className="flex items-start space-x-2">
+        <ExclamationTriangleIcon className="h-5 w-5 text-yellow-500 flex-shrink-0" />
+        <div className="text-sm text-yellow-800 space-y-1">
+          <p className="font-medium">
+            {duplicates.length === 1 ? 'This may be an existing candidate' : 'This may be one of these existing candidates'}
+          </p>
+          <ul className="space-y-1">
+            {duplicates.map(({ candidate, matchedOn }) => (
+              <li key={candidate.id}>
+                <Link
+                  to={`/app/candidates/${candidate.id}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="font-medium underline"
+                >
+                  {candidate.name}
+                </Link>
+                <span className="text-yellow-700"> · {candidate.email}</span>
+                <span className="text-yellow-600"> ({matchedOn.map(match => DUPLICATE_MATCH_LABELS[match]).join(', ')})</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
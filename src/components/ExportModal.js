@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { downloadFile } from '../utils/csv';
+import { EXPORT_FORMATS, EXPORT_FORMAT_LABELS, buildExportFile } from '../utils/export';
+import Button from './ui/Button';
+import Modal, { ModalBody, ModalFooter } from './ui/Modal';
+
+// The last columns and format chosen for each export, by export name
+const storageKey = (name) => `export:${name}`;
+
+const readPreferences = (name) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(name))) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+/**
+ * Lets the user pick columns and a format, then loads the rows and saves the
+ * file. `loadRows` is called on export, so large lists are only fetched when
+ * needed; `name` names the file and remembers the choices for next time.
+ */
+export default function ExportModal({ isOpen, onClose, title, description, name, columns, loadRows }) {
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={title} size="md">
+      {isOpen && (
+        <ExportForm
+          key={name}
+          description={description}
+          name={name}
+          columns={columns}
+          loadRows={loadRows}
+          onClose={onClose}
+        />
+      )}
+    </Modal>
+  );
+}
+
+function ExportForm({ description, name, columns, loadRows, onClose }) {
+  const [preferences] = useState(() => readPreferences(name));
+  const [format, setFormat] = useState(preferences.format || EXPORT_FORMATS.CSV);
+  const [selected, setSelected] = useState(() => {
+    const known = columns.map(column => column.id);
+    const saved = (preferences.columns || []).filter(id => known.includes(id));
+    return new Set(saved.length > 0 ? saved : known);
+  });
+  const [isExporting, setIsExporting] = useState(false);
+
+  const toggleColumn = (id) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const handleExport = async () => {
+    const chosen = columns.filter(column => selected.has(column.id));
+    setIsExporting(true);
+    try {
+      const rows = await loadRows();
+      const { content, filename, type } = buildExportFile(rows, chosen, format, { name });
+      downloadFile(content, filename, type);
+      localStorage.setItem(storageKey(name), JSON.stringify({ format, columns: Array.from(selected) }));
+      toast.success(`Exported ${rows.length} row${rows.length !== 1 ? 's' : ''}`);
+      onClose();
+    } catch (error) {
+      console.error('Error exporting:', error);
+      toast.error('Failed to export');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <>
+      <ModalBody className="space-y-5">
+        {description && <p className="text-sm text-gray-500">{description}</p>}
+
+        <div className="space-y-2">
+          <span className="block text-sm font-semibold text-gray-700">Format</span>
+          <div className="flex space-x-4">
+            {Object.values(EXPORT_FORMATS).map(value => (
+              <label key={value} className="flex items-center space-x-2 text-sm text-gray-700">
+                <input type="radio" checked={format === value} onChange={() => setFormat(value)} />
+                <span>{EXPORT_FORMAT_LABELS[value]}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <span className="block text-sm font-semibold text-gray-700">Columns</span>
+            <div className="space-x-3 text-sm">
+              <button type="button" className="text-primary-600 hover:underline" onClick={() => setSelected(new Set(columns.map(column => column.id)))}>
+                All
+              </button>
+              <button type="button" className="text-primary-600 hover:underline" onClick={() => setSelected(new Set())}>
+                None
+              </button>
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-2 max-h-64 overflow-y-auto">
+            {columns.map(column => (
+              <label key={column.id} className="flex items-center space-x-2 text-sm text-gray-700">
+                <input type="checkbox" checked={selected.has(column.id)} onChange={() => toggleColumn(column.id)} />
+                <span className="truncate">{column.label}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+      </ModalBody>
+      <ModalFooter>
+        <Button variant="outline" onClick={onClose}>
+          Cancel
+        </Button>
+        <Button onClick={handleExport} disabled={selected.size === 0 || isExporting}>
+          <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+          {isExporting ? 'Exporting...' : 'Export'}
+        </Button>
+      </ModalFooter>
+    </>
+  );
+}
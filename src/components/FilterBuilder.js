@@ -0,0 +1,200 @@
+import React from 'react';
+import { PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { clsx } from 'clsx';
+import { TEAM_MEMBERS } from '../types';
+import {
+  FILTER_FIELDS,
+  FILTER_OPERATORS,
+  OPERATOR_LABELS,
+  getFilterField,
+  createFilterCondition,
+  createFilterGroup,
+} from '../utils/candidateFilters';
+import Button from './ui/Button';
+import Input from './ui/Input';
+import Select from './ui/Select';
+
+const compactClassName = 'px-3 py-2';
+
+/**
+ * Edits an advanced candidate filter: a group of conditions joined by AND or
+ * OR, which may hold one level of nested groups. `options` supplies the
+ * choices for job, stage, department and tag conditions.
+ */
+export default function FilterBuilder({ value, onChange, options }) {
+  const root = value || createFilterGroup();
+  return <FilterGroup group={root} onChange={onChange} options={options} depth={0} />;
+}
+
+function FilterGroup({ group, onChange, onRemove, options, depth }) {
+  const updateChild = (index, child) => {
+    onChange({ ...group, conditions: group.conditions.map((item, i) => (i === index ? child : item)) });
+  };
+  const removeChild = (index) => {
+    onChange({ ...group, conditions: group.conditions.filter((item, i) => i !== index) });
+  };
+  const addChild = (child) => onChange({ ...group, conditions: [...group.conditions, child] });
+
+  return (
+    <div className={clsx('space-y-3', depth > 0 && 'rounded-lg border border-gray-200 bg-gray-50 p-3')}>
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2 text-sm text-gray-600">
+          <span>Match</span>
+          <div className="inline-flex rounded-lg border border-gray-200 bg-white p-0.5">
+            {['and', 'or'].map(combinator => (
+              <button
+                key={combinator}
+                type="button"
+                onClick={() => onChange({ ...group, combinator })}
+                className={clsx(
+                  'px-3 py-1 text-xs font-semibold rounded-md transition-colors',
+                  group.combinator === combinator ? 'bg-primary-600 text-white' : 'text-gray-600 hover:bg-gray-100'
+                )}
+              >
+                {combinator === 'and' ? 'All' : 'Any'}
+              </button>
+            ))}
+          </div>
+          <span>of these conditions</span>
+        </div>
+        {onRemove && (
+          <button type="button" onClick={onRemove} className="p-1 text-gray-400 hover:text-red-600" title="Remove group">
+            <TrashIcon className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+
+      {group.conditions.map((child, index) => (
+        child.type === 'group' ? (
+          <FilterGroup
+            key={index}
+            group={child}
+            onChange={updated => updateChild(index, updated)}
+            onRemove={() => removeChild(index)}
+            options={options}
+            depth={depth + 1}
+          />
+        ) : (
+          <FilterCondition
+            key={index}
+            condition={child}
+            onChange={updated => updateChild(index, updated)}
+            onRemove={() => removeChild(index)}
+            options={options}
+          />
+        )
+      ))}
+
+      <div className="flex items-center space-x-2">
+        <Button type="button" variant="outline" size="sm" onClick={() => addChild(createFilterCondition())}>
+          <PlusIcon className="h-4 w-4 mr-1" />
+          Condition
+        </Button>
+        {depth === 0 && (
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            onClick={() => addChild(createFilterGroup({ combinator: group.combinator === 'and' ? 'or' : 'and', conditions: [createFilterCondition()] }))}
+          >
+            <PlusIcon className="h-4 w-4 mr-1" />
+            Group
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function FilterCondition({ condition, onChange, onRemove, options }) {
+  const field = getFilterField(condition.field);
+
+  const handleFieldChange = (fieldId) => onChange(createFilterCondition(fieldId));
+  const handleOperatorChange = (operator) => {
+    const wasRange = condition.operator === FILTER_OPERATORS.BETWEEN;
+    const isRange = operator === FILTER_OPERATORS.BETWEEN;
+    onChange({
+      ...condition,
+      operator,
+      value: wasRange === isRange ? condition.value : (isRange ? { from: '', to: '' } : ''),
+    });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <div className="w-48">
+        <Select
+          value={condition.field}
+          options={FILTER_FIELDS.map(item => ({ value: item.id, label: item.label }))}
+          onChange={(e) => handleFieldChange(e.target.value)}
+          className={compactClassName}
+        />
+      </div>
+      <div className="w-40">
+        <Select
+          value={condition.operator}
+          options={field.operators.map(operator => ({ value: operator, label: OPERATOR_LABELS[operator] }))}
+          onChange={(e) => handleOperatorChange(e.target.value)}
+          className={compactClassName}
+        />
+      </div>
+      <div className="flex-1 min-w-[12rem]">
+        <ConditionValue field={field} condition={condition} onChange={value => onChange({ ...condition, value })} options={options} />
+      </div>
+      <button type="button" onClick={onRemove} className="p-1 text-gray-400 hover:text-red-600" title="Remove condition">
+        <TrashIcon className="h-4 w-4" />
+      </button>
+    </div>
+  );
+}
+
+function ConditionValue({ field, condition, onChange, options }) {
+  const { operator, value } = condition;
+  if (operator === FILTER_OPERATORS.IS_SET || operator === FILTER_OPERATORS.IS_NOT_SET) {
+    return null;
+  }
+
+  if (field.type === 'date') {
+    if (operator === FILTER_OPERATORS.BETWEEN) {
+      return (
+        <div className="flex items-center space-x-2">
+          <Input type="date" value={value.from} onChange={(e) => onChange({ ...value, from: e.target.value })} className={compactClassName} />
+          <span className="text-sm text-gray-500">and</span>
+          <Input type="date" value={value.to} onChange={(e) => onChange({ ...value, to: e.target.value })} className={compactClassName} />
+        </div>
+      );
+    }
+    return <Input type="date" value={value} onChange={(e) => onChange(e.target.value)} className={compactClassName} />;
+  }
+
+  if (field.type === 'number') {
+    return (
+      <Input
+        type="number"
+        min="0"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder={field.id === 'timeInStage' ? 'Days' : 'Score'}
+        className={compactClassName}
+      />
+    );
+  }
+
+  const choices = {
+    job: options.jobs.map(job => ({ value: job.id, label: job.title })),
+    stage: options.stages.map(stage => ({ value: stage.id, label: stage.name })),
+    department: options.departments.map(department => ({ value: department, label: department })),
+    tag: options.tags.map(tag => ({ value: tag, label: tag })),
+    member: TEAM_MEMBERS.map(member => ({ value: member.id, label: member.name })),
+  }[field.type];
+
+  return (
+    <Select
+      value={value}
+      options={choices}
+      placeholder={`Choose ${field.label.toLowerCase()}...`}
+      onChange={(e) => onChange(e.target.value)}
+      className={compactClassName}
+    />
+  );
+}
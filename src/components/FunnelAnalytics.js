@@ -0,0 +1,104 @@
+import React from 'react';
+import { FunnelIcon } from '@heroicons/react/24/outline';
+import { getStageColors } from '../utils/pipeline';
+import { formatDelta, formatDuration } from '../utils/analytics';
+
+const formatPercent = (value) => (value === null ? '—' : `${Math.round(value * 100)}%`);
+
+/**
+ * Funnel metrics for applications received within a date range, as computed
+ * by the dashboard report: stage-to-stage conversion, time in stage, time to
+ * hire and weekly volume.
+ */
+export default function FunnelAnalytics({ rangeLabel, funnel }) {
+  if (!funnel) return null;
+
+  const maxWeek = Math.max(1, ...funnel.weeks.map(week => week.count));
+  const firstReached = funnel.stages[0]?.reached || 0;
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center mb-6">
+        <div className="p-2 rounded-xl bg-gradient-to-r from-sky-500 to-indigo-600 shadow-lg">
+          <FunnelIcon className="h-6 w-6 text-white" />
+        </div>
+        <div className="ml-3">
+          <h3 className="text-xl font-bold text-gray-900">Hiring Funnel</h3>
+          <p className="text-sm text-gray-600">Applications received {rangeLabel}</p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4 mb-8 md:grid-cols-4">
+        <MetricTile
+          label="Applications"
+          value={funnel.applicationsDelta.current.toLocaleString()}
+          delta={funnel.applicationsDelta}
+        />
+        <MetricTile label="Hires" value={funnel.hires.count.toLocaleString()} delta={funnel.hiresDelta} />
+        <MetricTile label="Avg. time to hire" value={formatDuration(funnel.hires.averageMs)} />
+        <MetricTile label="Median time to hire" value={formatDuration(funnel.hires.medianMs)} />
+      </div>
+
+      <div className="grid grid-cols-1 gap-8 lg:grid-cols-3">
+        <div className="lg:col-span-2">
+          <div className="flex items-center justify-between mb-3 text-xs font-medium uppercase tracking-wide text-gray-500">
+            <span>Stage</span>
+            <span className="flex space-x-6">
+              <span className="w-16 text-right">Reached</span>
+              <span className="w-16 text-right">Conversion</span>
+              <span className="w-16 text-right">Avg. time</span>
+            </span>
+          </div>
+          <div className="space-y-3">
+            {funnel.stages.map(({ stage, reached, conversion }) => (
+              <div key={stage.id}>
+                <div className="flex items-center justify-between text-sm">
+                  <span className="font-medium text-gray-900">{stage.name}</span>
+                  <span className="flex space-x-6 text-gray-700">
+                    <span className="w-16 text-right font-semibold">{reached}</span>
+                    <span className="w-16 text-right">{formatPercent(conversion)}</span>
+                    <span className="w-16 text-right">{formatDuration(funnel.durations[stage.id]?.averageMs)}</span>
+                  </span>
+                </div>
+                <div className="mt-1 h-2 w-full rounded-full bg-gray-200">
+                  <div
+                    className={`h-2 rounded-full ${getStageColors(funnel.pipeline, stage.id).bar}`}
+                    style={{ width: `${firstReached > 0 ? (reached / firstReached) * 100 : 0}%` }}
+                  ></div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <p className="mb-3 text-xs font-medium uppercase tracking-wide text-gray-500">Applications per week</p>
+          <div className="flex h-40 items-end space-x-1">
+            {funnel.weeks.map(week => (
+              <div
+                key={week.weekStart}
+                className="flex-1 rounded-t bg-gradient-to-t from-sky-500 to-indigo-500"
+                style={{ height: `${(week.count / maxWeek) * 100}%`, minHeight: week.count > 0 ? '2px' : 0 }}
+                title={`Week of ${new Date(week.weekStart).toLocaleDateString()}: ${week.count}`}
+              ></div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function MetricTile({ label, value, delta }) {
+  return (
+    <div className="rounded-2xl border border-gray-200/50 bg-gradient-to-br from-gray-50/80 to-white/80 p-4 text-center">
+      <div className="text-2xl font-bold text-gray-900">{value}</div>
+      <div className="text-sm text-gray-500">{label}</div>
+      {delta && (
+        <div className={`mt-1 text-xs font-semibold ${delta.direction === 'down' ? 'text-red-600' : 'text-emerald-600'}`}>
+          {formatDelta(delta)} vs previous period
+        </div>
+      )}
+    </div>
+  );
+}
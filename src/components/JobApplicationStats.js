@@ -1,6 +1,15 @@
-import React, { useState, useEffect } from 'react';
-import { DatabaseService } from '../services/database';
-import { CANDIDATE_STAGES, STAGE_LABELS } from '../types';
+import React, { useMemo } from 'react';
+import { applicationsApi, jobsApi, queryKeys } from '../services/api';
+import { useQuery } from '../hooks/useQuery';
+import {
+  getJobPipeline,
+  mergePipelines,
+  findStage,
+  getStageColors,
+  isHiredStage,
+  isRejectedStage,
+  isInterviewStage,
+} from '../utils/pipeline';
 import Card from './ui/Card';
 import { 
   CheckCircleIcon, 
@@ -10,68 +19,52 @@ import {
   BriefcaseIcon
 } from '@heroicons/react/24/outline';
 
-const STATUS_COLORS = {
-  [CANDIDATE_STAGES.APPLIED]: 'text-blue-600',
-  [CANDIDATE_STAGES.SCREEN]: 'text-yellow-600',
-  [CANDIDATE_STAGES.TECH]: 'text-orange-600',
-  [CANDIDATE_STAGES.OFFER]: 'text-purple-600',
-  [CANDIDATE_STAGES.HIRED]: 'text-green-600',
-  [CANDIDATE_STAGES.REJECTED]: 'text-red-600',
-};
-
-const STATUS_ICONS = {
-  [CANDIDATE_STAGES.APPLIED]: ClockIcon,
-  [CANDIDATE_STAGES.SCREEN]: CalendarDaysIcon,
-  [CANDIDATE_STAGES.TECH]: CalendarDaysIcon,
-  [CANDIDATE_STAGES.OFFER]: CalendarDaysIcon,
-  [CANDIDATE_STAGES.HIRED]: CheckCircleIcon,
-  [CANDIDATE_STAGES.REJECTED]: XCircleIcon,
+// Helper function to pick the icon for a stage
+const getStageIcon = (stage, isFirst) => {
+  if (isHiredStage(stage)) return CheckCircleIcon;
+  if (isRejectedStage(stage)) return XCircleIcon;
+  return isFirst ? ClockIcon : CalendarDaysIcon;
 };
 
 export default function JobApplicationStats() {
-  const [stats, setStats] = useState(null);
-  const [loading, setLoading] = useState(true);
-
-  useEffect(() => {
-    loadStats();
-  }, []);
+  const { data: applications, isLoading: applicationsLoading } = useQuery(
+    queryKeys.applications.list(),
+    () => applicationsApi.list(),
+    { onError: (error) => console.error('Error loading job application stats:', error) }
+  );
+  const { data: jobs, isLoading: jobsLoading } = useQuery(
+    queryKeys.jobs.allMatching(),
+    () => jobsApi.getAll(),
+    { onError: (error) => console.error('Error loading jobs for application stats:', error) }
+  );
+  const loading = applicationsLoading || jobsLoading;
 
-  const loadStats = async () => {
-    try {
-      setLoading(true);
-      
-      // Get all job applications grouped by status
-      const allApplications = await Promise.all(
-        Object.values(CANDIDATE_STAGES).map(async (status) => {
-          const applications = await DatabaseService.getJobApplicationsByStatus(status);
-          return { status, applications };
-        })
-      );
-      
-      // Calculate summary statistics
-      const totalApplications = allApplications.reduce((sum, group) => sum + group.applications.length, 0);
-      const hiredCount = allApplications.find(g => g.status === CANDIDATE_STAGES.HIRED)?.applications.length || 0;
-      const rejectedCount = allApplications.find(g => g.status === CANDIDATE_STAGES.REJECTED)?.applications.length || 0;
-      const interviewCount = allApplications
-        .filter(g => [CANDIDATE_STAGES.SCREEN, CANDIDATE_STAGES.TECH, CANDIDATE_STAGES.OFFER].includes(g.status))
-        .reduce((sum, group) => sum + group.applications.length, 0);
-      
-      setStats({
-        totalApplications,
-        hiredCount,
-        rejectedCount,
-        interviewCount,
-        byStatus: allApplications.reduce((acc, group) => {
-          acc[group.status] = group.applications.length;
-          return acc;
-        }, {}),
-      });
-    } catch (error) {
-      console.error('Error loading job application stats:', error);
-    } finally {
-      setLoading(false);
-    }
-  };
+  const stats = useMemo(() => {
+    if (!applications || !jobs) return null;
+    
+    // Each application is classified by the pipeline of its own job
+    const pipelinesByJob = new Map(jobs.map(job => [job.id, getJobPipeline(job)]));
+    const pipelineFor = (app) => pipelinesByJob.get(app.jobId) || getJobPipeline(null);
+    const stageFor = (app) => findStage(pipelineFor(app), app.status);
+    
+    const stages = mergePipelines(jobs.map(getJobPipeline));
+    const byStage = stages
+      .map(stage => ({
+        stage,
+        isFirst: stages[0]?.id === stage.id,
+        count: applications.filter(app => app.status === stage.id).length,
+      }))
+      .filter(group => group.count > 0);
+    
+    return {
+      totalApplications: applications.length,
+      hiredCount: applications.filter(app => isHiredStage(stageFor(app))).length,
+      rejectedCount: applications.filter(app => isRejectedStage(stageFor(app))).length,
+      interviewCount: applications.filter(app => isInterviewStage(pipelineFor(app), stageFor(app))).length,
+      stages,
+      byStage,
+    };
+  }, [applications, jobs]);
 
   if (loading) {
     return (
@@ -140,35 +133,31 @@ export default function JobApplicationStats() {
           Status Breakdown
         </h4>
         <div className="space-y-3">
-          {Object.entries(stats.byStatus).map(([status, count], index) => {
-            const Icon = STATUS_ICONS[status];
+          {stats.byStage.map(({ stage, isFirst, count }, index) => {
+            const Icon = getStageIcon(stage, isFirst);
+            const colors = getStageColors(stats.stages, stage.id);
             return (
               <div 
-                key={status} 
+                key={stage.id} 
                 className="group/stage flex items-center justify-between p-4 rounded-2xl bg-gradient-to-r from-gray-50/80 to-white/80 backdrop-blur-sm border border-gray-200/50 hover:shadow-lg hover:border-indigo-200/50 transition-all duration-300 transform hover:scale-[1.02]"
                 style={{ animationDelay: `${index * 100}ms` }}
               >
                 <div className="flex items-center space-x-3">
                   <div className="p-2 rounded-xl bg-gradient-to-r from-indigo-100 to-purple-100 shadow-md group-hover/stage:shadow-lg transition-all duration-300">
-                    <Icon className={`h-5 w-5 ${STATUS_COLORS[status]}`} />
+                    <Icon className={`h-5 w-5 ${colors.text}`} />
                   </div>
                   <div>
-                    <span className="text-sm font-semibold text-gray-900 group-hover/stage:text-gray-800 transition-colors">{STAGE_LABELS[status]}</span>
+                    <span className="text-sm font-semibold text-gray-900 group-hover/stage:text-gray-800 transition-colors">{stage.name}</span>
                     <p className="text-xs text-gray-500">Applications in this stage</p>
                   </div>
                 </div>
                 <div className="flex items-center space-x-3">
-                  <span className={`text-lg font-bold ${STATUS_COLORS[status]} group-hover/stage:text-gray-800 transition-colors`}>
+                  <span className={`text-lg font-bold ${colors.text} group-hover/stage:text-gray-800 transition-colors`}>
                     {count}
                   </span>
                   <div className="w-16 bg-gray-200 rounded-full h-2 shadow-inner group-hover/stage:shadow-md transition-all duration-300">
                     <div 
-                      className={`h-2 rounded-full shadow-sm transition-all duration-500 ${
-                        status === 'hired' ? 'bg-gradient-to-r from-emerald-500 to-emerald-600' :
-                        status === 'rejected' ? 'bg-gradient-to-r from-red-500 to-red-600' :
-                        status === 'offer' ? 'bg-gradient-to-r from-yellow-500 to-yellow-600' :
-                        'bg-gradient-to-r from-indigo-500 to-purple-600'
-                      }`}
+                      className={`h-2 rounded-full shadow-sm transition-all duration-500 ${colors.bar}`}
                       style={{ 
                         width: `${stats.totalApplications > 0 ? (count / stats.totalApplications) * 100 : 0}%` 
                       }}
@@ -1,26 +1,60 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { 
   HomeIcon, 
   BriefcaseIcon, 
   UsersIcon, 
   ClipboardDocumentListIcon,
+  TrashIcon,
+  Cog6ToothIcon,
   Bars3Icon,
   XMarkIcon,
+  MagnifyingGlassIcon,
 } from '@heroicons/react/24/outline';
 import { clsx } from 'clsx';
 import TalentFlowLogo from './TalentFlowLogo';
+import CommandPalette from './CommandPalette';
+import { settingsApi, queryKeys } from '../services/api';
+import { useQuery } from '../hooks/useQuery';
+import { getViewUrl } from '../utils/candidateFilters';
+import { SETTINGS_KEYS } from '../types';
+
+const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.userAgent);
 
 const navigation = [
   { name: 'Dashboard', href: '/app', icon: HomeIcon },
   { name: 'Jobs', href: '/app/jobs', icon: BriefcaseIcon },
   { name: 'Candidates', href: '/app/candidates', icon: UsersIcon },
   { name: 'Assessments', href: '/app/assessments', icon: ClipboardDocumentListIcon },
+  { name: 'Trash', href: '/app/trash', icon: TrashIcon },
+  { name: 'Settings', href: '/app/settings', icon: Cog6ToothIcon },
 ];
 
 export default function Layout({ children }) {
   const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [paletteOpen, setPaletteOpen] = useState(false);
   const location = useLocation();
+  const closePalette = useCallback(() => setPaletteOpen(false), []);
+  const activeViewId = new URLSearchParams(location.search).get('view');
+
+  // Saved candidate views are listed under Candidates
+  const { data: savedViews = [] } = useQuery(
+    queryKeys.settings.detail(SETTINGS_KEYS.CANDIDATE_VIEWS),
+    () => settingsApi.get(SETTINGS_KEYS.CANDIDATE_VIEWS),
+    { onError: (error) => console.error('Error loading saved views:', error) }
+  );
+
+  // Cmd/Ctrl+K opens the command palette from anywhere
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setPaletteOpen(open => !open);
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, []);
 
   return (
     <div className="h-screen flex overflow-hidden bg-gradient-to-br from-gray-50 to-gray-100">
@@ -73,6 +107,17 @@ export default function Layout({ children }) {
           
           <div className="flex-1 px-6 flex justify-between items-center">
             <div className="flex-1 flex items-center">
+              <button
+                type="button"
+                onClick={() => setPaletteOpen(true)}
+                className="w-full max-w-md flex items-center px-4 py-2 text-sm text-gray-500 bg-gray-50 border border-gray-200 rounded-lg hover:bg-white hover:border-gray-300 focus:outline-none focus:ring-2 focus:ring-primary-500 transition-colors"
+              >
+                <MagnifyingGlassIcon className="h-5 w-5 mr-3 text-gray-400" />
+                <span className="flex-1 text-left truncate">Search or jump to…</span>
+                <kbd className="hidden sm:inline-flex items-center px-2 py-0.5 ml-3 text-xs font-medium text-gray-500 bg-white border border-gray-200 rounded">
+                  {isMac ? '⌘' : 'Ctrl'} K
+                </kbd>
+              </button>
             </div>
             
             <div className="ml-4 flex items-center md:ml-6">
@@ -96,6 +141,8 @@ export default function Layout({ children }) {
           </div>
         </main>
       </div>
+
+      <CommandPalette isOpen={paletteOpen} onClose={closePalette} />
     </div>
   );
 
@@ -119,24 +166,40 @@ export default function Layout({ children }) {
                 (item.href !== '/' && location.pathname.startsWith(item.href));
               
               return (
-                <Link
-                  key={item.name}
-                  to={item.href}
-                  className={clsx(
-                    'group flex items-center px-4 py-3 text-sm font-medium rounded-xl transition-all duration-200 transform hover:scale-105',
-                    isActive
-                      ? 'bg-gradient-to-r from-primary-100 to-primary-50 text-primary-900 shadow-md border border-primary-200'
-                      : 'text-gray-600 hover:bg-gray-50 hover:text-gray-900 hover:shadow-sm'
-                  )}
-                >
-                  <item.icon
+                <React.Fragment key={item.name}>
+                  <Link
+                    to={item.href}
                     className={clsx(
-                      'mr-3 flex-shrink-0 h-5 w-5 transition-colors',
-                      isActive ? 'text-primary-600' : 'text-gray-400 group-hover:text-gray-600'
+                      'group flex items-center px-4 py-3 text-sm font-medium rounded-xl transition-all duration-200 transform hover:scale-105',
+                      isActive
+                        ? 'bg-gradient-to-r from-primary-100 to-primary-50 text-primary-900 shadow-md border border-primary-200'
+                        : 'text-gray-600 hover:bg-gray-50 hover:text-gray-900 hover:shadow-sm'
                     )}
-                  />
-                  {item.name}
-                </Link>
+                  >
+                    <item.icon
+                      className={clsx(
+                        'mr-3 flex-shrink-0 h-5 w-5 transition-colors',
+                        isActive ? 'text-primary-600' : 'text-gray-400 group-hover:text-gray-600'
+                      )}
+                    />
+                    {item.name}
+                  </Link>
+                  {item.href === '/app/candidates' && savedViews.map(view => (
+                    <Link
+                      key={view.id}
+                      to={getViewUrl(view)}
+                      className={clsx(
+                        'flex items-center ml-8 px-4 py-2 text-sm rounded-lg truncate transition-colors',
+                        isActive && activeViewId === view.id
+                          ? 'bg-primary-50 text-primary-800 font-medium'
+                          : 'text-gray-500 hover:bg-gray-50 hover:text-gray-900'
+                      )}
+                      title={view.name}
+                    >
+                      {view.name}
+                    </Link>
+                  ))}
+                </React.Fragment>
               );
             })}
           </nav>
@@ -0,0 +1,140 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { XCircleIcon, Cog6ToothIcon } from '@heroicons/react/24/outline';
+import { reportsApi, queryKeys } from '../services/api';
+import { useQuery } from '../hooks/useQuery';
+import { REJECTION_SOURCES, REJECTION_SOURCE_LABELS } from '../types';
+
+const sourceColors = {
+  [REJECTION_SOURCES.COMPANY]: { bar: 'bg-red-500', text: 'text-red-600', tile: 'from-red-50/80 to-red-100/60 border-red-200/50' },
+  [REJECTION_SOURCES.CANDIDATE]: { bar: 'bg-amber-500', text: 'text-amber-600', tile: 'from-amber-50/80 to-amber-100/60 border-amber-200/50' },
+};
+
+const percentOf = (count, total) => (total > 0 ? Math.round((count / total) * 100) : 0);
+
+/**
+ * Why applications ended: rejection reasons by source, reason, the stage the
+ * application was rejected from and (across all jobs) by job.
+ */
+export default function RejectionReport({ jobId }) {
+  const params = jobId ? { jobId } : {};
+  const { data: report, isLoading } = useQuery(
+    queryKeys.reports.rejections(params),
+    () => reportsApi.getRejections(params),
+    { onError: (error) => console.error('Error loading rejection report:', error) }
+  );
+
+  if (isLoading) {
+    return (
+      <div className="p-6">
+        <div className="animate-pulse">
+          <div className="h-4 bg-gray-200 rounded w-1/3 mb-4"></div>
+          <div className="grid grid-cols-2 gap-4">
+            <div className="h-8 bg-gray-200 rounded"></div>
+            <div className="h-8 bg-gray-200 rounded"></div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!report) {
+    return null;
+  }
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center">
+          <div className="p-2 rounded-xl bg-gradient-to-r from-red-500 to-amber-500 shadow-lg">
+            <XCircleIcon className="h-6 w-6 text-white" />
+          </div>
+          <div className="ml-3">
+            <h3 className="text-xl font-bold text-gray-900">Rejection Reasons</h3>
+            <p className="text-sm text-gray-600">Why applications ended, by stage{jobId ? '' : ' and job'}</p>
+          </div>
+        </div>
+        <Link
+          to="/app/settings"
+          className="inline-flex items-center text-sm font-medium text-primary-600 hover:text-primary-700"
+        >
+          <Cog6ToothIcon className="h-4 w-4 mr-1" />
+          Manage reasons
+        </Link>
+      </div>
+
+      {report.total === 0 ? (
+        <p className="text-sm text-gray-500">No rejections with a recorded reason yet.</p>
+      ) : (
+        <div className="space-y-8">
+          <div className="grid grid-cols-2 gap-4">
+            {report.bySource.map(({ source, count }) => (
+              <div
+                key={source}
+                className={`rounded-2xl bg-gradient-to-br border p-4 text-center ${sourceColors[source].tile}`}
+              >
+                <div className={`text-2xl font-bold ${sourceColors[source].text}`}>{count}</div>
+                <div className="text-sm text-gray-600">
+                  {REJECTION_SOURCE_LABELS[source]} · {percentOf(count, report.total)}%
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <h4 className="text-sm font-semibold text-gray-900 mb-3">By reason</h4>
+            <div className="space-y-2">
+              {report.byReason.map(({ reasonId, label, source, count }) => (
+                <div key={reasonId} className="flex items-center justify-between text-sm">
+                  <span className="text-gray-700">{label}</span>
+                  <div className="flex items-center space-x-3">
+                    <span className="font-semibold text-gray-900">{count}</span>
+                    <div className="w-24 bg-gray-200 rounded-full h-2">
+                      <div
+                        className={`h-2 rounded-full ${sourceColors[source]?.bar || 'bg-gray-400'}`}
+                        style={{ width: `${percentOf(count, report.total)}%` }}
+                      ></div>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-semibold text-gray-900 mb-3">By stage rejected from</h4>
+            <div className="space-y-3">
+              {report.byStage.map(({ stageId, stageName, count, reasons }) => (
+                <div key={stageId} className="rounded-xl border border-gray-200/70 bg-white/60 p-3">
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="font-medium text-gray-900">{stageName}</span>
+                    <span className="text-gray-600">{count}</span>
+                  </div>
+                  <p className="mt-1 text-xs text-gray-500">
+                    {reasons.slice(0, 3).map(reason => `${reason.label} (${reason.count})`).join(' · ')}
+                  </p>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {!jobId && (
+            <div>
+              <h4 className="text-sm font-semibold text-gray-900 mb-3">By job</h4>
+              <div className="space-y-2">
+                {report.byJob.slice(0, 5).map(({ jobId: rowJobId, jobTitle, count }) => (
+                  <div key={rowJobId} className="flex items-center justify-between text-sm">
+                    <Link to={`/app/jobs/${rowJobId}`} className="text-primary-600 hover:text-primary-700">
+                      {jobTitle}
+                    </Link>
+                    <span className="font-semibold text-gray-900">{count}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
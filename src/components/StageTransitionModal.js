@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { settingsApi, queryKeys } from '../services/api';
+import { useQuery } from '../hooks/useQuery';
+import { SETTINGS_KEYS, REJECTION_SOURCE_LABELS } from '../types';
+import Modal, { ModalBody, ModalFooter } from './ui/Modal';
+import Input from './ui/Input';
+import Button from './ui/Button';
+
+const fieldClassName = 'block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm';
+
+/**
+ * Asks for the data a stage requires before an application can enter it.
+ * `move` describes the pending move: { candidateName, toStage, fields }, where
+ * fields come from getRequiredFields in utils/transitions.js.
+ */
+export default function StageTransitionModal({ move, onConfirm, onCancel, isSubmitting = false }) {
+  const [values, setValues] = useState({});
+  const [errors, setErrors] = useState({});
+
+  const needsRejectionReason = !!move?.fields.some(({ input }) => input === 'rejection_reason');
+  const { data: rejectionReasons = [] } = useQuery(
+    queryKeys.settings.detail(SETTINGS_KEYS.REJECTION_REASONS),
+    () => settingsApi.get(SETTINGS_KEYS.REJECTION_REASONS),
+    {
+      enabled: needsRejectionReason,
+      onError: (error) => console.error('Error loading rejection reasons:', error),
+    }
+  );
+
+  const handleChange = (field, value) => {
+    setValues(prev => ({ ...prev, [field]: value }));
+    setErrors(prev => ({ ...prev, [field]: null }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const nextErrors = {};
+    move.fields.forEach(({ field, label, input }) => {
+      const value = values[field]?.toString().trim();
+      if (!value) {
+        nextErrors[field] = `${label} is required`;
+      } else if (input === 'number' && !(Number(value) > 0)) {
+        nextErrors[field] = `${label} must be a positive number`;
+      }
+    });
+    if (Object.keys(nextErrors).length > 0) {
+      setErrors(nextErrors);
+      return;
+    }
+
+    const details = {};
+    move.fields.forEach(({ field, input }) => {
+      const value = values[field].toString().trim();
+      details[field] = input === 'number' ? Number(value) : value;
+    });
+    if (needsRejectionReason && values.rejectionNote?.trim()) {
+      details.rejectionNote = values.rejectionNote.trim();
+    }
+    onConfirm(details);
+  };
+
+  return (
+    <Modal
+      isOpen={!!move}
+      onClose={onCancel}
+      title={move ? `Move to ${move.toStage.name}` : ''}
+      size="md"
+    >
+      {move && (
+        <form onSubmit={handleSubmit}>
+          <ModalBody className="space-y-4">
+            <p className="text-sm text-gray-500">
+              Moving {move.candidateName} to {move.toStage.name} needs a bit more information.
+            </p>
+            {move.fields.map(({ field, label, input }) => (
+              input === 'rejection_reason' ? (
+                <div key={field} className="space-y-4">
+                  <div className="space-y-2">
+                    <label className="block text-sm font-semibold text-gray-700">
+                      {label}
+                      <span className="text-red-500 ml-1">*</span>
+                    </label>
+                    <select
+                      value={values[field] || ''}
+                      onChange={(e) => handleChange(field, e.target.value)}
+                      className={fieldClassName}
+                    >
+                      <option value="">Choose a reason...</option>
+                      {Object.entries(REJECTION_SOURCE_LABELS).map(([source, sourceLabel]) => (
+                        <optgroup key={source} label={sourceLabel}>
+                          {rejectionReasons
+                            .filter(reason => reason.source === source)
+                            .map(reason => (
+                              <option key={reason.id} value={reason.id}>{reason.label}</option>
+                            ))}
+                        </optgroup>
+                      ))}
+                    </select>
+                    {errors[field] && <p className="text-sm text-red-600 font-medium">{errors[field]}</p>}
+                  </div>
+                  <div className="space-y-2">
+                    <label className="block text-sm font-semibold text-gray-700">Details</label>
+                    <textarea
+                      value={values.rejectionNote || ''}
+                      onChange={(e) => handleChange('rejectionNote', e.target.value)}
+                      rows={3}
+                      className={fieldClassName}
+                      placeholder="Optional context for the funnel review..."
+                    />
+                  </div>
+                </div>
+              ) : (
+                <Input
+                  key={field}
+                  label={label}
+                  type={input}
+                  min={input === 'number' ? 0 : undefined}
+                  value={values[field] || ''}
+                  onChange={(e) => handleChange(field, e.target.value)}
+                  error={errors[field]}
+                  required
+                />
+              )
+            ))}
+          </ModalBody>
+          <ModalFooter>
+            <Button type="button" variant="outline" onClick={onCancel}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={isSubmitting}>
+              Move to {move.toStage.name}
+            </Button>
+          </ModalFooter>
+        </form>
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,83 @@
+import React from 'react';
+import toast from 'react-hot-toast';
+import { trashApi } from '../services/api';
+import { queryClient } from '../services/queryClient';
+import { ERROR_TYPES } from '../types';
+import { describeLeftOut } from '../utils/trash';
+
+const UNDO_TOAST_DURATION = 10000;
+
+function ActionToast({ message, details = [], actionLabel, onAction }) {
+  return (
+    <div className="text-sm">
+      <div className="flex items-center space-x-4">
+        <span className="font-medium">{message}</span>
+        <button type="button" onClick={onAction} className="font-semibold text-primary-300 hover:underline">
+          {actionLabel}
+        </button>
+      </div>
+      {details.length > 0 && (
+        <ul className="mt-1 text-gray-300">
+          {details.map((detail, index) => (
+            <li key={index} className="truncate">{detail}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Confirms an action with an Undo button. `onUndo` reverts it; when `onRedo`
+ * is given, the toast that confirms the undo offers to run the action again.
+ */
+export const showUndoToast = ({ message, details, onUndo, onRedo, undoneMessage = 'Undone' }) => {
+  const undo = async (toastId) => {
+    toast.dismiss(toastId);
+    try {
+      await onUndo();
+    } catch (error) {
+      console.error('Error undoing action:', error);
+      // An undo can be refused, e.g. when what it would revert changed since
+      toast.error(error.type === ERROR_TYPES.VALIDATION_ERROR ? error.message : 'Failed to undo');
+      return;
+    }
+
+    if (!onRedo) {
+      toast.success(undoneMessage);
+      return;
+    }
+    toast((t) => (
+      <ActionToast
+        message={undoneMessage}
+        actionLabel="Redo"
+        onAction={() => {
+          toast.dismiss(t.id);
+          onRedo();
+        }}
+      />
+    ), { duration: UNDO_TOAST_DURATION });
+  };
+
+  toast((t) => (
+    <ActionToast message={message} details={details} actionLabel="Undo" onAction={() => undo(t.id)} />
+  ), { duration: UNDO_TOAST_DURATION });
+};
+
+/**
+ * Undo toast for something just moved to the trash. Undoing restores the whole
+ * trash entry (a job comes back with its applications and assessment), so
+ * every cached query is refreshed afterwards.
+ */
+export const showTrashUndoToast = (trashEntry, { onRedo } = {}) =>
+  showUndoToast({
+    message: `Moved "${trashEntry.label}" to the trash`,
+    undoneMessage: `Restored "${trashEntry.label}"`,
+    onUndo: async () => {
+      const restored = await trashApi.restore(trashEntry.id);
+      queryClient.invalidateQueries();
+      const leftOut = describeLeftOut(restored.leftOut);
+      if (leftOut) toast(leftOut);
+    },
+    onRedo,
+  });
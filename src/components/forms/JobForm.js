@@ -1,10 +1,13 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useForm } from 'react-hook-form';
-import { JOB_STATUS } from '../../types';
-import { DatabaseService } from '../../services/database';
+import { JOB_STATUS, createDefaultPipeline } from '../../types';
+import { jobsApi } from '../../services/api';
+import { generateSlug } from '../../utils/slug';
+import { getJobPipeline, validatePipeline } from '../../utils/pipeline';
 import Input from '../ui/Input';
 import Select from '../ui/Select';
 import Button from '../ui/Button';
+import PipelineEditor from './PipelineEditor';
 
 export default function JobForm({ initialData, onSubmit, onCancel }) {
   const [slugError, setSlugError] = useState('');
@@ -19,7 +22,7 @@ export default function JobForm({ initialData, onSubmit, onCancel }) {
     setError,
     clearErrors,
   } = useForm({
-    defaultValues: initialData || {
+    defaultValues: initialData ? { ...initialData, pipeline: getJobPipeline(initialData) } : {
       title: '',
       slug: '',
       description: '',
@@ -31,17 +34,19 @@ export default function JobForm({ initialData, onSubmit, onCancel }) {
       type: 'full-time',
       department: '',
       status: JOB_STATUS.ACTIVE,
+      pipeline: createDefaultPipeline(),
     },
   });
 
   const watchedTags = watch('tags') || [];
+  const watchedPipeline = watch('pipeline') || [];
   const watchedTitle = watch('title');
   const watchedSlug = watch('slug');
   
   // Auto-generate slug from title
   useEffect(() => {
     if (watchedTitle && !initialData?.slug) {
-      const generatedSlug = DatabaseService.generateSlug(watchedTitle);
+      const generatedSlug = generateSlug(watchedTitle);
       setValue('slug', generatedSlug);
     }
   }, [watchedTitle, setValue, initialData?.slug]);
@@ -53,8 +58,8 @@ export default function JobForm({ initialData, onSubmit, onCancel }) {
       
       setIsCheckingSlug(true);
       try {
-        const isUnique = await DatabaseService.isSlugUnique(slug, initialData?.id);
-        if (!isUnique) {
+        const { available } = await jobsApi.checkSlug(slug, initialData?.id);
+        if (!available) {
           setSlugError('This slug is already taken');
           setError('slug', { message: 'This slug is already taken' });
           return false;
@@ -105,6 +110,13 @@ export default function JobForm({ initialData, onSubmit, onCancel }) {
 
   const handleFormSubmit = async (data) => {
     try {
+      const pipelineErrors = validatePipeline(data.pipeline);
+      if (pipelineErrors.length > 0) {
+        setError('pipeline', { message: pipelineErrors[0] });
+        return;
+      }
+      
+
       // Final slug validation before submission
       if (data.slug) {
         const isSlugValid = await validateSlug(data.slug);
@@ -303,6 +315,24 @@ export default function JobForm({ initialData, onSubmit, onCancel }) {
         </div>
       </div>
 
+      {/* Pipeline */}
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Hiring Pipeline
+        </label>
+        <p className="text-sm text-gray-500 mb-2">
+          Stages applications move through, in order. Terminal stages end an application.
+        </p>
+        <PipelineEditor
+          stages={watchedPipeline}
+          onChange={(pipeline) => {
+            setValue('pipeline', pipeline);
+            clearErrors('pipeline');
+          }}
+          error={errors.pipeline?.message}
+        />
+      </div>
+
       {/* Tags */}
       <div>
         <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -0,0 +1,238 @@
+import React, { useState } from 'react';
+import { ArrowUpIcon, ArrowDownIcon, TrashIcon, AdjustmentsHorizontalIcon } from '@heroicons/react/24/outline';
+import { STAGE_COLOR_OPTIONS, STAGE_OUTCOMES, createPipelineStage } from '../../types';
+import { REQUIREMENT_DEFINITIONS, getAllowedTransitions } from '../../utils/transitions';
+import Button from '../ui/Button';
+
+// A stage's terminal flag and outcome are edited through one select
+const STAGE_KIND_OPTIONS = [
+  { value: 'open', label: 'In progress' },
+  { value: STAGE_OUTCOMES.POSITIVE, label: 'Terminal – positive' },
+  { value: STAGE_OUTCOMES.NEGATIVE, label: 'Terminal – negative' },
+  { value: 'closed', label: 'Terminal – neutral' },
+];
+
+const getStageKind = (stage) => {
+  if (!stage.terminal) return 'open';
+  return stage.outcome || 'closed';
+};
+
+const stageFieldsForKind = (kind) => {
+  if (kind === 'open') return { terminal: false, outcome: null };
+  if (kind === 'closed') return { terminal: true, outcome: null };
+  return { terminal: true, outcome: kind };
+};
+
+const inputClassName = 'block rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm';
+
+/**
+ * Ordered list editor for a job's pipeline stages. Controlled: receives the
+ * stages and reports every change through onChange.
+ */
+export default function PipelineEditor({ stages, onChange, error }) {
+  const [rulesOpenFor, setRulesOpenFor] = useState(null);
+
+  const updateStage = (index, changes) => {
+    onChange(stages.map((stage, i) => (i === index ? { ...stage, ...changes } : stage)));
+  };
+
+  const moveStage = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= stages.length) return;
+    const reordered = [...stages];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    onChange(reordered);
+  };
+
+  const removeStage = (index) => {
+    onChange(stages.filter((_, i) => i !== index));
+  };
+
+  const addStage = () => {
+    // New stages go before the terminal ones
+    const firstTerminal = stages.findIndex(stage => stage.terminal);
+    const insertAt = firstTerminal === -1 ? stages.length : firstTerminal;
+    const next = [...stages];
+    next.splice(insertAt, 0, createPipelineStage({ color: 'indigo' }));
+    onChange(next);
+  };
+
+  return (
+    <div className="space-y-2">
+      {stages.map((stage, index) => (
+        <div key={stage.id || `new-${index}`}>
+          <div className="flex items-center space-x-2">
+            <span className={`h-3 w-3 flex-shrink-0 rounded-full ${STAGE_COLOR_OPTIONS[stage.color]?.bar || STAGE_COLOR_OPTIONS.gray.bar}`} />
+            <input
+              type="text"
+              value={stage.name}
+              onChange={(e) => updateStage(index, { name: e.target.value })}
+              className={`flex-1 ${inputClassName}`}
+              placeholder="Stage name..."
+              aria-label={`Stage ${index + 1} name`}
+            />
+            <select
+              value={stage.color}
+              onChange={(e) => updateStage(index, { color: e.target.value })}
+              className={inputClassName}
+              aria-label={`Stage ${index + 1} color`}
+            >
+              {Object.entries(STAGE_COLOR_OPTIONS).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <select
+              value={getStageKind(stage)}
+              onChange={(e) => updateStage(index, stageFieldsForKind(e.target.value))}
+              className={inputClassName}
+              aria-label={`Stage ${index + 1} type`}
+            >
+              {STAGE_KIND_OPTIONS.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <Button
+              type="button"
+              variant={rulesOpenFor === index ? 'primary' : 'outline'}
+              size="sm"
+              onClick={() => setRulesOpenFor(rulesOpenFor === index ? null : index)}
+              title="Transition rules"
+            >
+              <AdjustmentsHorizontalIcon className="h-4 w-4" />
+            </Button>
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => moveStage(index, -1)}
+              disabled={index === 0}
+              title="Move up"
+            >
+              <ArrowUpIcon className="h-4 w-4" />
+            </Button>
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => moveStage(index, 1)}
+              disabled={index === stages.length - 1}
+              title="Move down"
+            >
+              <ArrowDownIcon className="h-4 w-4" />
+            </Button>
+            <Button
+              type="button"
+              variant="danger"
+              size="sm"
+              onClick={() => removeStage(index)}
+              title="Remove stage"
+            >
+              <TrashIcon className="h-4 w-4" />
+            </Button>
+          </div>
+          {rulesOpenFor === index && (
+            <StageRules
+              stage={stage}
+              stages={stages}
+              onChange={(changes) => updateStage(index, changes)}
+            />
+          )}
+        </div>
+      ))}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <Button type="button" variant="outline" size="sm" onClick={addStage}>
+        Add Stage
+      </Button>
+    </div>
+  );
+}
+
+// Transition rules of one stage. Only saved stages (those with an id) can be
+// picked as targets.
+function StageRules({ stage, stages, onChange }) {
+  const targets = stages.filter(other => other.id && other.id !== stage.id);
+  const isCustom = Array.isArray(stage.allowedTransitions);
+  const allowed = isCustom
+    ? stage.allowedTransitions
+    : getAllowedTransitions(stages.filter(other => other.id), stage.id);
+  const requirements = stage.requirements || [];
+
+  const toggleTarget = (id) => {
+    const next = allowed.includes(id) ? allowed.filter(target => target !== id) : [...allowed, id];
+    onChange({ allowedTransitions: next });
+  };
+
+  const toggleRequirement = (requirement) => {
+    onChange({
+      requirements: requirements.includes(requirement)
+        ? requirements.filter(existing => existing !== requirement)
+        : [...requirements, requirement],
+    });
+  };
+
+  return (
+    <div className="ml-5 mt-2 mb-3 grid grid-cols-1 gap-4 rounded-md border border-gray-200 bg-gray-50 p-3 sm:grid-cols-2">
+      <div>
+        <div className="flex items-center justify-between">
+          <p className="text-sm font-medium text-gray-700">Can move to</p>
+          <label className="flex items-center space-x-1 text-xs text-gray-500">
+            <input
+              type="checkbox"
+              checked={!isCustom}
+              onChange={(e) => onChange({ allowedTransitions: e.target.checked ? null : allowed })}
+              disabled={!stage.id}
+            />
+            <span>Default rules</span>
+          </label>
+        </div>
+        {stage.id ? (
+          <div className="mt-2 space-y-1">
+            {targets.map(target => (
+              <label key={target.id} className="flex items-center space-x-2 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={allowed.includes(target.id)}
+                  onChange={() => toggleTarget(target.id)}
+                  disabled={!isCustom}
+                />
+                <span>{target.name || target.id}</span>
+              </label>
+            ))}
+          </div>
+        ) : (
+          <p className="mt-2 text-xs text-gray-500">Save the job to pick the stages this one can move to.</p>
+        )}
+      </div>
+      <div>
+        <p className="text-sm font-medium text-gray-700">Required when entering</p>
+        <div className="mt-2 space-y-1">
+          {Object.entries(REQUIREMENT_DEFINITIONS).map(([requirement, { label }]) => (
+            <label key={requirement} className="flex items-center space-x-2 text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={requirements.includes(requirement)}
+                onChange={() => toggleRequirement(requirement)}
+              />
+              <span>{label}</span>
+            </label>
+          ))}
+        </div>
+        {!stage.terminal && (
+          <label className="mt-3 flex items-center space-x-2 text-sm text-gray-600">
+            <span>Needs attention after</span>
+            <input
+              type="number"
+              min="1"
+              value={stage.slaDays ?? ''}
+              onChange={(e) => onChange({ slaDays: e.target.value === '' ? null : Number(e.target.value) })}
+              className="w-20 rounded-md border-gray-300 text-sm shadow-sm focus:border-primary-500 focus:ring-primary-500"
+              placeholder="—"
+              aria-label={`${stage.name || 'Stage'} SLA in days`}
+            />
+            <span>days</span>
+          </label>
+        )}
+      </div>
+    </div>
+  );
+}
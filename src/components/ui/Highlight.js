@@ -0,0 +1,31 @@
+import React from 'react';
+
+// Renders search fragments ([{ text, match }]) with the matched words marked
+const Highlight = ({ fragments, className = '' }) => (
+  <span className={className}>
+    {fragments.map((fragment, index) => (
+      fragment.match ? (
+        <mark key={index} className="bg-yellow-100 text-inherit rounded-sm px-0.5">
+          {fragment.text}
+        </mark>
+      ) : (
+        <React.Fragment key={index}>{fragment.text}</React.Fragment>
+      )
+    ))}
+  </span>
+);
+
+// The highlight for one field of a search match, if that field matched
+export const findHighlight = (searchMatch, docType, field) =>
+  searchMatch?.highlights.find(highlight => highlight.docType === docType && highlight.field === field) || null;
+
+// A matched field shown as "Label: …fragments…", for matches in text the
+// card doesn't otherwise show (notes, answers, job requirements)
+export const HighlightSnippet = ({ highlight, className = '' }) => (
+  <span className={className} title={highlight.fragments.map(fragment => fragment.text).join('')}>
+    <span className="font-medium text-gray-700">{highlight.label}: </span>
+    <Highlight fragments={highlight.fragments} />
+  </span>
+);
+
+export default Highlight;
@@ -5,6 +5,11 @@ import {
   createSection, 
   createQuestion,
   createJobApplication,
+  createTimelineEvent,
+  createDefaultPipeline,
+  createPipelineStage,
+  DEFAULT_REJECTION_REASONS,
+  STAGE_OUTCOMES,
   JOB_STATUS,
   CANDIDATE_STAGES,
   QUESTION_TYPES 
@@ -114,6 +119,33 @@ const jobTemplates = [
   }
 ];
 
+// Extra pipeline stages some departments use on top of the default pipeline
+const departmentStages = {
+  Engineering: {
+    after: CANDIDATE_STAGES.SCREEN,
+    stage: createPipelineStage({ id: 'take_home', name: 'Take-home Exercise', color: 'orange' }),
+  },
+  Product: {
+    after: CANDIDATE_STAGES.TECH,
+    stage: createPipelineStage({ id: 'panel', name: 'Panel Interview', color: 'indigo' }),
+  },
+};
+
+const pipelineForDepartment = (department) => {
+  const pipeline = createDefaultPipeline();
+  const extra = departmentStages[department];
+  if (extra) {
+    const index = pipeline.findIndex(stage => stage.id === extra.after);
+    pipeline.splice(index + 1, 0, { ...extra.stage });
+  }
+  return pipeline;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper function to pick a random moment within the last `days` days
+const daysAgo = (days) => new Date(Date.now() - Math.random() * days * DAY_MS).toISOString();
+
 // Generate 25 jobs
 export const generateJobs = () => {
   const jobs = [];
@@ -122,6 +154,7 @@ export const generateJobs = () => {
   for (let i = 0; i < 25; i++) {
     const template = jobTemplates[Math.floor(Math.random() * jobTemplates.length)];
     const isArchived = Math.random() < 0.2; // 20% chance of being archived
+    const createdAt = daysAgo(180);
     
     const job = createJob({
       title: `${template.title} ${i > 10 ? `#${Math.floor(Math.random() * 100)}` : ''}`,
@@ -133,8 +166,11 @@ export const generateJobs = () => {
       salary: template.salary,
       type: jobTypes[Math.floor(Math.random() * jobTypes.length)],
       department: template.department,
+      pipeline: pipelineForDepartment(template.department),
       status: isArchived ? JOB_STATUS.ARCHIVED : JOB_STATUS.ACTIVE,
       order: i + 1,
+      createdAt,
+      updatedAt: createdAt,
     });
     
     jobs.push(job);
@@ -143,7 +179,7 @@ export const generateJobs = () => {
   return jobs;
 };
 
-// Generate 1000+ candidates
+// Generate 1000+ candidates, each paired with the job they applied for first
 export const generateCandidates = (jobs) => {
   const candidates = [];
   const firstNames = [
@@ -192,20 +228,18 @@ export const generateCandidates = (jobs) => {
     const lastName = lastNames[Math.floor(Math.random() * lastNames.length)];
     const domain = domains[Math.floor(Math.random() * domains.length)];
     const job = jobs[Math.floor(Math.random() * jobs.length)];
-    
-    const stages = Object.values(CANDIDATE_STAGES);
-    const stage = stages[Math.floor(Math.random() * stages.length)];
+    const createdAt = daysAgo(120);
     
     const candidate = createCandidate({
       name: `${firstName} ${lastName}`,
       email: `${firstName.toLowerCase()}.${lastName.toLowerCase()}${i}@${domain}`,
       phone: `+1-${Math.floor(Math.random() * 900) + 100}-${Math.floor(Math.random() * 900) + 100}-${Math.floor(Math.random() * 9000) + 1000}`,
-      stage,
-      jobId: job.id,
       coverLetter: `Dear Hiring Manager,\n\nI am writing to express my interest in the ${job.title} position. I believe my skills and experience make me a strong candidate for this role.\n\nBest regards,\n${firstName} ${lastName}`,
+      createdAt,
+      updatedAt: createdAt,
     });
     
-    candidates.push(candidate);
+    candidates.push({ candidate, primaryJob: job });
   }
   
   return candidates;
@@ -382,54 +416,115 @@ export const generateAssessments = (jobs) => {
 // Generate all seed data
 export const generateSeedData = () => {
   const jobs = generateJobs();
-  const candidates = generateCandidates(jobs);
+  const candidatesWithJobs = generateCandidates(jobs);
   const assessments = generateAssessments(jobs);
+  const { jobApplications, timelineEvents } = generateJobApplications(candidatesWithJobs, jobs);
   
   return {
     jobs,
-    candidates,
+    candidates: candidatesWithJobs.map(({ candidate }) => candidate),
     assessments,
+    jobApplications,
+    timelineEvents,
   };
 };
 
-// Generate job applications for candidates
-export const generateJobApplications = (candidates, jobs) => {
+// Generate job applications: one for every candidate's primary job, plus
+// applications to 1-2 other jobs for 30% of candidates. Every application
+// walks the pipeline up to its current stage, leaving the status_change
+// timeline events the analytics read.
+export const generateJobApplications = (candidatesWithJobs, jobs) => {
   const applications = [];
-  const stages = Object.values(CANDIDATE_STAGES);
+  const timelineEvents = [];
+  const pickRandom = (items) => items[Math.floor(Math.random() * items.length)];
   
-  // Create applications for 30% of candidates (300+ applications)
-  const candidatesWithApplications = candidates.slice(0, Math.floor(candidates.length * 0.3));
+  // Stages an application passed through to reach a random current stage;
+  // rejected applications leave the pipeline from a random open stage
+  const randomStagePath = (job) => {
+    const openStages = job.pipeline.filter(stage => !stage.terminal);
+    const stage = pickRandom(job.pipeline);
+    if (!stage.terminal) {
+      return openStages.slice(0, openStages.indexOf(stage) + 1);
+    }
+    if (stage.outcome === STAGE_OUTCOMES.POSITIVE) {
+      return [...openStages, stage];
+    }
+    const fromIndex = Math.floor(Math.random() * openStages.length);
+    return [...openStages.slice(0, fromIndex + 1), stage];
+  };
   
-  candidatesWithApplications.forEach((candidate) => {
-    // Each candidate applies to 1-3 jobs
-    const numApplications = Math.floor(Math.random() * 3) + 1;
-    const appliedJobs = jobs.slice(0, numApplications);
+  const addApplication = (candidate, job, appliedAt, notes) => {
+    const path = randomStagePath(job);
+    const application = createJobApplication({
+      candidateId: candidate.id,
+      jobId: job.id,
+      jobTitle: job.title,
+      status: path[path.length - 1].id,
+      appliedAt,
+      notes,
+    });
     
-    appliedJobs.forEach((job, index) => {
-      // First application is usually the primary job
-      if (index === 0) {
-        applications.push(createJobApplication({
-          candidateId: candidate.id,
-          jobId: job.id,
-          jobTitle: job.title,
-          status: candidate.stage, // Use candidate's current stage
-          appliedAt: candidate.createdAt,
-          notes: index === 0 ? 'Primary application' : '',
-        }));
-      } else {
-        // Additional applications with random status
-        const randomStage = stages[Math.floor(Math.random() * stages.length)];
-        applications.push(createJobApplication({
-          candidateId: candidate.id,
-          jobId: job.id,
-          jobTitle: job.title,
-          status: randomStage,
-          appliedAt: new Date(Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000).toISOString(),
-          notes: `Applied to ${job.title}`,
-        }));
+    // Each move happens 1-10 days after the previous one, never in the future
+    let movedAt = new Date(appliedAt).getTime();
+    for (let i = 1; i < path.length; i++) {
+      movedAt = Math.min(movedAt + (1 + Math.random() * 9) * DAY_MS, Date.now());
+      const from = path[i - 1];
+      const to = path[i];
+      const createdAt = new Date(movedAt).toISOString();
+      
+      let rejection = null;
+      if (to.terminal && to.outcome === STAGE_OUTCOMES.NEGATIVE) {
+        const reason = pickRandom(DEFAULT_REJECTION_REASONS);
+        rejection = {
+          reasonId: reason.id,
+          reasonLabel: reason.label,
+          source: reason.source,
+          note: '',
+          fromStage: from.id,
+          fromStageName: from.name,
+          rejectedAt: createdAt,
+        };
+        application.rejection = rejection;
       }
+      
+      timelineEvents.push(createTimelineEvent({
+        candidateId: candidate.id,
+        type: 'status_change',
+        title: `Status changed to ${to.name}`,
+        description: `Application status changed from ${from.name} to ${to.name}`,
+        metadata: {
+          jobId: job.id,
+          applicationId: application.id,
+          oldStatus: from.id,
+          newStatus: to.id,
+          notes: '',
+          details: {},
+          rejection,
+        },
+        createdAt,
+      }));
+    }
+    
+    application.updatedAt = new Date(movedAt).toISOString();
+    application.stageEnteredAt = application.updatedAt;
+    applications.push(application);
+  };
+  
+  candidatesWithJobs.forEach(({ candidate, primaryJob }, index) => {
+    addApplication(candidate, primaryJob, candidate.createdAt, 'Primary application');
+    
+    if (index >= Math.floor(candidatesWithJobs.length * 0.3)) return;
+    
+    const numExtraApplications = Math.floor(Math.random() * 2) + 1;
+    const otherJobs = jobs
+      .filter(job => job.id !== primaryJob.id)
+      .sort(() => Math.random() - 0.5)
+      .slice(0, numExtraApplications);
+    
+    otherJobs.forEach((job) => {
+      addApplication(candidate, job, daysAgo(30), `Applied to ${job.title}`);
     });
   });
   
-  return applications;
+  return { jobApplications: applications, timelineEvents };
 };
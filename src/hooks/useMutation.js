@@ -0,0 +1,83 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { queryClient } from '../services/queryClient';
+
+/**
+ * Runs a write against the API with optimistic update hooks.
+ *
+ * onMutate(variables) runs before the request and may return a context
+ * (typically whatever is needed to undo the optimistic change). If the request
+ * fails, onError(error, variables, context) receives that context so the
+ * caller can roll back. onSuccess(data, variables, context) and
+ * onSettled(data, error, variables, context) run afterwards.
+ *
+ * `invalidates` lists the query keys (or a function of data and variables
+ * returning them) to refetch once the mutation settles, e.g.
+ * [queryKeys.candidates.all, queryKeys.stats].
+ */
+export const useMutation = (mutationFn, options = {}) => {
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const mutationFnRef = useRef(mutationFn);
+  const optionsRef = useRef(options);
+  const pendingRef = useRef(0);
+
+  // Keep the latest callbacks without changing mutate's identity
+  useEffect(() => {
+    mutationFnRef.current = mutationFn;
+    optionsRef.current = options;
+  });
+
+  const mutateAsync = useCallback(async (variables) => {
+    const { onMutate, onSuccess, onError, onSettled } = optionsRef.current;
+
+    pendingRef.current += 1;
+    setIsLoading(true);
+    setError(null);
+
+    const invalidate = (data) => {
+      const { invalidates } = optionsRef.current;
+      const keys = typeof invalidates === 'function' ? invalidates(data, variables) : invalidates;
+      if (keys?.length) {
+        queryClient.invalidateQueries(...keys);
+      }
+    };
+
+    let context;
+    try {
+      context = await onMutate?.(variables);
+      const data = await mutationFnRef.current(variables);
+      await onSuccess?.(data, variables, context);
+      await onSettled?.(data, null, variables, context);
+      invalidate(data);
+      return data;
+    } catch (err) {
+      setError(err);
+      await onError?.(err, variables, context);
+      await onSettled?.(undefined, err, variables, context);
+      invalidate(undefined);
+      throw err;
+    } finally {
+      pendingRef.current -= 1;
+      if (pendingRef.current === 0) {
+        setIsLoading(false);
+      }
+    }
+  }, []);
+
+  // Fire-and-forget variant; errors are handled through onError
+  const mutate = useCallback((variables) => {
+    mutateAsync(variables).catch(() => {});
+  }, [mutateAsync]);
+
+  const reset = useCallback(() => setError(null), []);
+
+  return {
+    mutate,
+    mutateAsync,
+    isLoading,
+    error,
+    reset,
+  };
+};
+
+export default useMutation;
@@ -0,0 +1,92 @@
+import { useEffect, useReducer, useRef, useState, useCallback } from 'react';
+import { queryClient, hashQueryKey } from '../services/queryClient';
+import { getPagesInRange } from '../utils/virtualList';
+
+/**
+ * Reads a long list one page at a time through the shared query cache.
+ *
+ * Each page is cached under [...queryKey, { page, pageSize }], so invalidating
+ * queryKey refetches the pages on screen. fetchPage(page, pageSize) resolves
+ * with { items, total }. Call loadRange(start, end) with the rows about to be
+ * shown; their pages are fetched the first time they are needed.
+ */
+export const usePagedQuery = (queryKey, fetchPage, options = {}) => {
+  const { pageSize = 50, enabled = true, keepPreviousData = false } = options;
+  const hash = hashQueryKey(queryKey);
+  const [, forceRender] = useReducer(count => count + 1, 0);
+  const [requested, setRequested] = useState({ hash, pages: [1] });
+  const queryKeyRef = useRef(queryKey);
+  const fetchPageRef = useRef(fetchPage);
+  const optionsRef = useRef(options);
+  const lastLoadedRef = useRef(null);
+
+  useEffect(() => {
+    queryKeyRef.current = queryKey;
+    fetchPageRef.current = fetchPage;
+    optionsRef.current = options;
+  });
+
+  // Pages requested for a previous key don't carry over to a new one
+  const pages = requested.hash === hash ? requested.pages : [1];
+  const pagesHash = pages.join(',');
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const unsubscribes = pagesHash.split(',').map(Number).map((page) => {
+      const pageKey = [...queryKeyRef.current, { page, pageSize }];
+      const unsubscribe = queryClient.subscribe(pageKey, forceRender);
+      queryClient
+        .fetchQuery(pageKey, () => fetchPageRef.current(page, pageSize))
+        .catch(error => optionsRef.current.onError?.(error));
+      return unsubscribe;
+    });
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [hash, pagesHash, pageSize, enabled]);
+
+  const getPage = (key, page) => queryClient.getState([...key, { page, pageSize }]).data;
+
+  const loaded = pages.some(page => getPage(queryKey, page) !== undefined);
+  if (loaded) {
+    lastLoadedRef.current = { queryKey, pages };
+  }
+  const source = loaded || !keepPreviousData || !lastLoadedRef.current
+    ? { queryKey, pages }
+    : lastLoadedRef.current;
+  const firstPage = source.pages.map(page => getPage(source.queryKey, page)).find(Boolean);
+
+  const getItem = (index) =>
+    getPage(source.queryKey, Math.floor(index / pageSize) + 1)?.items[index % pageSize];
+
+  // Index of the first loaded item matching the predicate, or -1
+  const findIndex = (predicate) => {
+    for (const page of source.pages) {
+      const itemIndex = getPage(source.queryKey, page)?.items.findIndex(predicate) ?? -1;
+      if (itemIndex >= 0) return (page - 1) * pageSize + itemIndex;
+    }
+    return -1;
+  };
+
+  const loadRange = useCallback((start, end) => {
+    const needed = getPagesInRange({ start, end }, pageSize);
+    setRequested((previous) => {
+      const current = previous.hash === hash ? previous.pages : [1];
+      if (previous.hash === hash && needed.every(page => current.includes(page))) return previous;
+      return { hash, pages: Array.from(new Set([...current, ...needed])).sort((a, b) => a - b) };
+    });
+  }, [hash, pageSize]);
+
+  const error = queryClient.getState([...queryKey, { page: 1, pageSize }]).error;
+
+  return {
+    total: firstPage?.total ?? 0,
+    getItem,
+    findIndex,
+    loadRange,
+    error,
+    isLoading: enabled && !firstPage && !error,
+  };
+};
+
+export default usePagedQuery;
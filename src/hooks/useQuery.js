@@ -0,0 +1,60 @@
+import { useEffect, useReducer, useRef, useCallback } from 'react';
+import { queryClient, hashQueryKey } from '../services/queryClient';
+
+/**
+ * Reads data through the shared query cache.
+ *
+ * Cached data for the key is returned immediately; if it is stale a refetch
+ * runs in the background. Components asking for the same key share a single
+ * request. Mutations refresh the data by invalidating its key.
+ */
+export const useQuery = (queryKey, queryFn, options = {}) => {
+  const { enabled = true, staleTime, keepPreviousData = false } = options;
+  const hash = hashQueryKey(queryKey);
+  const [, forceRender] = useReducer(count => count + 1, 0);
+  const queryKeyRef = useRef(queryKey);
+  const queryFnRef = useRef(queryFn);
+  const optionsRef = useRef(options);
+  const previousDataRef = useRef(undefined);
+
+  useEffect(() => {
+    queryKeyRef.current = queryKey;
+    queryFnRef.current = queryFn;
+    optionsRef.current = options;
+  });
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const key = queryKeyRef.current;
+    const unsubscribe = queryClient.subscribe(key, forceRender);
+    queryClient
+      .fetchQuery(key, () => queryFnRef.current(), { staleTime })
+      .catch(error => optionsRef.current.onError?.(error));
+
+    return unsubscribe;
+  }, [hash, enabled, staleTime]);
+
+  const refetch = useCallback(
+    () => queryClient.fetchQuery(queryKeyRef.current, () => queryFnRef.current(), { force: true }),
+    []
+  );
+
+  const state = queryClient.getState(queryKey);
+  let data = state.data;
+  if (data !== undefined) {
+    previousDataRef.current = data;
+  } else if (keepPreviousData) {
+    data = previousDataRef.current;
+  }
+
+  return {
+    data,
+    error: state.error,
+    isLoading: enabled && data === undefined && !state.error,
+    isFetching: state.isFetching,
+    refetch,
+  };
+};
+
+export default useQuery;
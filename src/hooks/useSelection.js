@@ -0,0 +1,26 @@
+import { useCallback, useState } from 'react';
+import { EMPTY_SELECTION, applySelectionClick } from '../utils/selection';
+
+/**
+ * Selection state for lists with checkboxes. Pass click events to `toggle`
+ * with the item's position (see applySelectionClick); `selectAll` replaces
+ * the selection, e.g. with every id matching the current filters.
+ */
+export const useSelection = () => {
+  const [state, setState] = useState(EMPTY_SELECTION);
+
+  const toggle = useCallback((click) => setState(prev => applySelectionClick(prev, click)), []);
+  const selectAll = useCallback((ids) => setState({ selected: new Set(ids), anchor: null }), []);
+  const clear = useCallback(() => setState(EMPTY_SELECTION), []);
+
+  return {
+    selected: state.selected,
+    count: state.selected.size,
+    isSelected: (id) => state.selected.has(id),
+    toggle,
+    selectAll,
+    clear,
+  };
+};
+
+export default useSelection;
@@ -0,0 +1,58 @@
+import { useEffect, useState } from 'react';
+import { getVisibleRange } from '../utils/virtualList';
+
+/**
+ * Windowed rendering for a scrollable list of fixed-height rows.
+ *
+ * Attach `containerRef` to the scrolling element and render `items` (each
+ * { index, top }) absolutely positioned inside a box `totalHeight` tall.
+ * `pinnedIndex` keeps one row mounted while it is scrolled out of view, e.g.
+ * the card being dragged.
+ */
+export const useVirtualList = ({ count, itemHeight, overscan = 5, pinnedIndex = -1 }) => {
+  const [container, setContainer] = useState(null);
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 0 });
+
+  useEffect(() => {
+    if (!container) return undefined;
+
+    const update = () => setViewport({ scrollTop: container.scrollTop, height: container.clientHeight });
+    update();
+    container.addEventListener('scroll', update, { passive: true });
+    const observer = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(update) : null;
+    observer?.observe(container);
+
+    return () => {
+      container.removeEventListener('scroll', update);
+      observer?.disconnect();
+    };
+  }, [container]);
+
+  const range = getVisibleRange({
+    scrollTop: viewport.scrollTop,
+    viewportHeight: viewport.height,
+    itemHeight,
+    count,
+    overscan,
+  });
+
+  const items = [];
+  if (pinnedIndex >= 0 && pinnedIndex < range.start && pinnedIndex < count) {
+    items.push({ index: pinnedIndex, top: pinnedIndex * itemHeight });
+  }
+  for (let index = range.start; index < range.end; index++) {
+    items.push({ index, top: index * itemHeight });
+  }
+  if (pinnedIndex >= range.end && pinnedIndex < count) {
+    items.push({ index: pinnedIndex, top: pinnedIndex * itemHeight });
+  }
+
+  return {
+    containerRef: setContainer,
+    range,
+    items,
+    totalHeight: count * itemHeight,
+  };
+};
+
+export default useVirtualList;
@@ -4,20 +4,27 @@ import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
 
-// Initialize MSW in development
-if (process.env.NODE_ENV === 'development') {
+// The UI talks to /api through services/api. Unless a real backend is
+// configured, MSW serves those routes from IndexedDB; it has to be running
+// before the first request goes out.
+const startMockApi = async () => {
+  if (process.env.REACT_APP_API_URL) return;
   const { worker } = require('./mocks/browser');
-  worker.start({
+  await worker.start({
     onUnhandledRequest: 'bypass',
   });
-}
+};
 
-const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+startMockApi()
+  .catch((error) => console.error('Failed to start mock API:', error))
+  .finally(() => {
+    const root = ReactDOM.createRoot(document.getElementById('root'));
+    root.render(
+      <React.StrictMode>
+        <App />
+      </React.StrictMode>
+    );
+  });
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
@@ -1,6 +1,7 @@
 import { http, HttpResponse } from 'msw';
 import { DatabaseService } from '../services/database';
 import { createApiResponse, createPaginationMeta } from '../types';
+import { parseFilterParam } from '../utils/candidateFilters';
 
 // Helper function to simulate network latency and errors
 const simulateNetwork = async (successRate = 0.9, minDelay = 200, maxDelay = 1200) => {
@@ -32,9 +33,10 @@ const handleError = (error) => {
     );
   }
   
-  if (error.message.includes('validation')) {
+  // Validation errors can list what's wrong field by field in `details`
+  if (error.message.includes('validation') || error.message.includes('already')) {
     return HttpResponse.json(
-      createApiResponse(null, false, error.message),
+      { ...createApiResponse(null, false, error.message), ...(error.details && { details: error.details }) },
       { status: 400 }
     );
   }
@@ -45,6 +47,28 @@ const handleError = (error) => {
   );
 };
 
+// Helper function to paginate a list; `all=true` returns every item in one page
+const paginate = (items, url) => {
+  const all = url.searchParams.get('all') === 'true';
+  const page = all ? 1 : parseInt(url.searchParams.get('page')) || 1;
+  const pageSize = all ? Math.max(items.length, 1) : parseInt(url.searchParams.get('pageSize')) || 20;
+  
+  const startIndex = (page - 1) * pageSize;
+  const endIndex = startIndex + pageSize;
+  
+  return {
+    data: items.slice(startIndex, endIndex),
+    pagination: createPaginationMeta(page, pageSize, items.length, endIndex < items.length),
+  };
+};
+
+// Helper function to read page/pageSize query params as an offset and limit
+const getPageParams = (url) => {
+  const page = Math.max(parseInt(url.searchParams.get('page')) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(url.searchParams.get('pageSize')) || 20, 1), 200);
+  return { page, pageSize, offset: (page - 1) * pageSize };
+};
+
 // Jobs API handlers
 export const jobsHandlers = [
   // GET /jobs - List jobs with pagination and filtering
@@ -55,12 +79,11 @@ export const jobsHandlers = [
       const url = new URL(request.url);
       const search = url.searchParams.get('search') || '';
       const status = url.searchParams.get('status') || '';
-      const page = parseInt(url.searchParams.get('page')) || 1;
-      const pageSize = parseInt(url.searchParams.get('pageSize')) || 20;
+      const tags = url.searchParams.get('tags') ? url.searchParams.get('tags').split(',') : [];
       const sort = url.searchParams.get('sort') || 'order';
       const order = url.searchParams.get('order') || 'asc';
       
-      const filters = { search, status };
+      const filters = { search, status, tags };
       const jobs = await DatabaseService.getJobs(filters);
       
       // Apply sorting
@@ -71,12 +94,7 @@ export const jobsHandlers = [
         return order === 'desc' ? -comparison : comparison;
       });
       
-      // Apply pagination
-      const startIndex = (page - 1) * pageSize;
-      const endIndex = startIndex + pageSize;
-      const paginatedJobs = jobs.slice(startIndex, endIndex);
-      
-      const pagination = createPaginationMeta(page, pageSize, jobs.length);
+      const { data: paginatedJobs, pagination } = paginate(jobs, url);
       
       return HttpResponse.json(createApiResponse({
         jobs: paginatedJobs,
@@ -87,6 +105,22 @@ export const jobsHandlers = [
     }
   }),
 
+  // GET /jobs/slugs/:slug - Check whether a slug is free
+  http.get('/api/jobs/slugs/:slug', async ({ params, request }) => {
+    try {
+      await simulateNetwork(1, 50, 200);
+      
+      const { slug } = params;
+      const url = new URL(request.url);
+      const excludeId = url.searchParams.get('excludeId') || null;
+      const available = await DatabaseService.isSlugUnique(slug, excludeId);
+      
+      return HttpResponse.json(createApiResponse({ slug, available }));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
   // GET /jobs/:id - Get single job
   http.get('/api/jobs/:id', async ({ params }) => {
     try {
@@ -174,10 +208,10 @@ export const jobsHandlers = [
       await simulateNetwork(0.9); // 10% error rate for write operations
       
       const { id } = params;
-      await DatabaseService.deleteJob(id);
+      const trashEntry = await DatabaseService.deleteJob(id);
       
       return HttpResponse.json(
-        createApiResponse(null, true, 'Job deleted successfully')
+        createApiResponse(trashEntry, true, 'Job moved to the trash')
       );
     } catch (error) {
       return handleError(error);
@@ -189,9 +223,10 @@ export const jobsHandlers = [
     try {
       await simulateNetwork(0.85); // Lower success rate to test rollback
       
+      const { id } = params;
       const { fromOrder, toOrder } = await request.json();
       
-      const jobs = await DatabaseService.reorderJobs(fromOrder, toOrder);
+      const jobs = await DatabaseService.reorderJobs(id, fromOrder, toOrder);
       
       return HttpResponse.json(
         createApiResponse(jobs, true, 'Jobs reordered successfully')
@@ -213,28 +248,130 @@ export const candidatesHandlers = [
       const search = url.searchParams.get('search') || '';
       const stage = url.searchParams.get('stage') || '';
       const jobId = url.searchParams.get('jobId') || '';
-      const page = parseInt(url.searchParams.get('page')) || 1;
-      const pageSize = parseInt(url.searchParams.get('pageSize')) || 20;
-      
-      const filters = { search, stage, jobId };
-      const candidates = await DatabaseService.getCandidates(filters);
-      
-      // Apply pagination
-      const startIndex = (page - 1) * pageSize;
-      const endIndex = startIndex + pageSize;
-      const paginatedCandidates = candidates.slice(startIndex, endIndex);
+      const overdue = url.searchParams.get('overdue') === 'true';
+      const filter = parseFilterParam(url.searchParams.get('filter'));
+      
+      const filters = { search, stage, jobId, overdue, filter };
+      
+      // Full lists are filtered in memory; pages are read straight from the index
+      if (url.searchParams.get('all') === 'true') {
+        const candidates = await DatabaseService.getCandidates(filters);
+        const { data: paginatedCandidates, pagination } = paginate(candidates, url);
+        return HttpResponse.json(createApiResponse({
+          candidates: paginatedCandidates,
+          pagination,
+        }));
+      }
       
-      const pagination = createPaginationMeta(page, pageSize, candidates.length);
+      const { page, pageSize, offset } = getPageParams(url);
+      const { candidates, total } = await DatabaseService.getCandidatesPage(filters, { offset, limit: pageSize });
       
       return HttpResponse.json(createApiResponse({
-        candidates: paginatedCandidates,
-        pagination,
+        candidates,
+        pagination: createPaginationMeta(page, pageSize, total, offset + pageSize < total),
       }));
     } catch (error) {
       return handleError(error);
     }
   }),
 
+  // GET /candidates/ids - Ids of every candidate matching the list filters
+  http.get('/api/candidates/ids', async ({ request }) => {
+    try {
+      await simulateNetwork();
+      
+      const url = new URL(request.url);
+      const filters = {
+        search: url.searchParams.get('search') || '',
+        stage: url.searchParams.get('stage') || '',
+        jobId: url.searchParams.get('jobId') || '',
+        overdue: url.searchParams.get('overdue') === 'true',
+        filter: parseFilterParam(url.searchParams.get('filter')),
+      };
+      const ids = await DatabaseService.getCandidateIds(filters);
+      
+      return HttpResponse.json(createApiResponse(ids));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // POST /candidates/bulk - Run one action on many candidates or applications
+  http.post('/api/candidates/bulk', async ({ request }) => {
+    try {
+      await simulateNetwork(0.9); // 10% error rate for write operations
+      
+      const { action, candidateIds, applicationIds, options } = await request.json();
+      const result = await DatabaseService.runBulkAction(action, { candidateIds, applicationIds }, options);
+      
+      return HttpResponse.json(createApiResponse(result));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // POST /candidates/bulk/:operationId/undo - Undo a bulk action
+  http.post('/api/candidates/bulk/:operationId/undo', async ({ params }) => {
+    try {
+      await simulateNetwork(0.9); // 10% error rate for write operations
+      
+      const result = await DatabaseService.undoBulkAction(params.operationId);
+      
+      return HttpResponse.json(createApiResponse(result, true, 'Bulk action undone'));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // POST /candidates/import/matches - Find existing candidates sharing an email or phone
+  http.post('/api/candidates/import/matches', async ({ request }) => {
+    try {
+      await simulateNetwork();
+      
+      const { contacts = [] } = await request.json();
+      const matches = await DatabaseService.findContactMatches(contacts);
+      
+      return HttpResponse.json(createApiResponse(matches));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // POST /candidates/import - Import one batch of candidates
+  http.post('/api/candidates/import', async ({ request }) => {
+    try {
+      await simulateNetwork(0.9); // 10% error rate for write operations
+      
+      const { rows, onDuplicate } = await request.json();
+      const result = await DatabaseService.importCandidates(rows, { onDuplicate });
+      
+      return HttpResponse.json(createApiResponse(result));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // GET /candidates/duplicates - Candidates that may be the same person as a name, email and phone
+  http.get('/api/candidates/duplicates', async ({ request }) => {
+    try {
+      await simulateNetwork();
+      
+      const url = new URL(request.url);
+      const contact = {
+        name: url.searchParams.get('name') || '',
+        email: url.searchParams.get('email') || '',
+        phone: url.searchParams.get('phone') || '',
+      };
+      const duplicates = await DatabaseService.findDuplicateCandidates(contact, {
+        excludeId: url.searchParams.get('excludeId'),
+      });
+      
+      return HttpResponse.json(createApiResponse(duplicates));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
   // GET /candidates/:id - Get single candidate
   http.get('/api/candidates/:id', async ({ params }) => {
     try {
@@ -307,16 +444,59 @@ export const candidatesHandlers = [
     }
   }),
 
+  // GET /candidates/:id/assessments - Assessments for the jobs the candidate applied to
+  http.get('/api/candidates/:id/assessments', async ({ params }) => {
+    try {
+      await simulateNetwork();
+      
+      const assessments = await DatabaseService.getCandidateAssessments(params.id);
+      
+      return HttpResponse.json(createApiResponse(assessments));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // POST /candidates/:id/assessment-invites - Get a link for the candidate to take an assessment
+  http.post('/api/candidates/:id/assessment-invites', async ({ params, request }) => {
+    try {
+      await simulateNetwork(0.9); // 10% error rate for write operations
+      
+      const { assessmentId } = await request.json();
+      const invite = await DatabaseService.createAssessmentInvite(params.id, assessmentId);
+      
+      return HttpResponse.json(createApiResponse(invite));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // POST /candidates/:id/merge - Merge a duplicate into this candidate
+  http.post('/api/candidates/:id/merge', async ({ params, request }) => {
+    try {
+      await simulateNetwork(0.9); // 10% error rate for write operations
+      
+      const { sourceId, keep } = await request.json();
+      const candidate = await DatabaseService.mergeCandidates(params.id, sourceId, { keep });
+      
+      return HttpResponse.json(
+        createApiResponse(candidate, true, 'Candidates merged successfully')
+      );
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
   // DELETE /candidates/:id - Delete candidate
   http.delete('/api/candidates/:id', async ({ params }) => {
     try {
       await simulateNetwork(0.9); // 10% error rate for write operations
       
       const { id } = params;
-      await DatabaseService.deleteCandidate(id);
+      const trashEntry = await DatabaseService.deleteCandidate(id);
       
       return HttpResponse.json(
-        createApiResponse(null, true, 'Candidate deleted successfully')
+        createApiResponse(trashEntry, true, 'Candidate moved to the trash')
       );
     } catch (error) {
       return handleError(error);
@@ -337,6 +517,35 @@ export const candidatesHandlers = [
     }
   }),
 
+  // GET /timeline - Timeline events across all candidates, e.g. ?types=status_change
+  http.get('/api/timeline', async ({ request }) => {
+    try {
+      await simulateNetwork();
+      
+      const url = new URL(request.url);
+      const types = (url.searchParams.get('types') || '').split(',').filter(Boolean);
+      const events = await DatabaseService.getTimelineEvents({ types });
+      
+      return HttpResponse.json(createApiResponse(events));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // GET /candidates/:id/notes - Get candidate notes
+  http.get('/api/candidates/:id/notes', async ({ params }) => {
+    try {
+      await simulateNetwork();
+      
+      const { id } = params;
+      const notes = await DatabaseService.getCandidateNotes(id);
+      
+      return HttpResponse.json(createApiResponse(notes));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
   // POST /candidates/:id/notes - Add note to candidate
   http.post('/api/candidates/:id/notes', async ({ params, request }) => {
     try {
@@ -367,6 +576,185 @@ export const candidatesHandlers = [
   }),
 ];
 
+// Notes API handlers
+export const notesHandlers = [
+  // PATCH /notes/:id - Update note
+  http.patch('/api/notes/:id', async ({ params, request }) => {
+    try {
+      await simulateNetwork(0.9); // 10% error rate for write operations
+      
+      const { id } = params;
+      const updates = await request.json();
+      
+      const note = await DatabaseService.updateNote(id, updates);
+      
+      if (!note) {
+        return HttpResponse.json(
+          createApiResponse(null, false, 'Note not found'),
+          { status: 404 }
+        );
+      }
+      
+      return HttpResponse.json(
+        createApiResponse(note, true, 'Note updated successfully')
+      );
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // DELETE /notes/:id - Delete note
+  http.delete('/api/notes/:id', async ({ params }) => {
+    try {
+      await simulateNetwork(0.9); // 10% error rate for write operations
+      
+      const { id } = params;
+      await DatabaseService.deleteNote(id);
+      
+      return HttpResponse.json(
+        createApiResponse(null, true, 'Note deleted successfully')
+      );
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+];
+
+// Job applications API handlers
+export const applicationsHandlers = [
+  // GET /applications - List job applications, optionally filtered
+  http.get('/api/applications', async ({ request }) => {
+    try {
+      await simulateNetwork();
+      
+      const url = new URL(request.url);
+      const filters = {
+        status: url.searchParams.get('status') || '',
+        jobId: url.searchParams.get('jobId') || '',
+        candidateId: url.searchParams.get('candidateId') || '',
+        overdue: url.searchParams.get('overdue') === 'true',
+      };
+      
+      const applications = await DatabaseService.getJobApplications(filters);
+      
+      return HttpResponse.json(createApiResponse(applications));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // GET /applications/board - One page of a kanban column, joined with candidates
+  http.get('/api/applications/board', async ({ request }) => {
+    try {
+      await simulateNetwork();
+      
+      const url = new URL(request.url);
+      const filters = {
+        status: url.searchParams.get('stage') || '',
+        jobId: url.searchParams.get('jobId') || '',
+        search: url.searchParams.get('search') || '',
+        overdue: url.searchParams.get('overdue') === 'true',
+        filter: parseFilterParam(url.searchParams.get('filter')),
+      };
+      const { page, pageSize, offset } = getPageParams(url);
+      const { applications, total } = await DatabaseService.getBoardApplications(filters, { offset, limit: pageSize });
+      
+      return HttpResponse.json(createApiResponse({
+        applications,
+        pagination: createPaginationMeta(page, pageSize, total, offset + pageSize < total),
+      }));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // GET /applications/board/ids - Ids of every application on the board matching the filters
+  http.get('/api/applications/board/ids', async ({ request }) => {
+    try {
+      await simulateNetwork();
+      
+      const url = new URL(request.url);
+      const filters = {
+        status: url.searchParams.get('stage') || '',
+        jobId: url.searchParams.get('jobId') || '',
+        search: url.searchParams.get('search') || '',
+        overdue: url.searchParams.get('overdue') === 'true',
+        filter: parseFilterParam(url.searchParams.get('filter')),
+      };
+      const ids = await DatabaseService.getBoardApplicationIds(filters);
+      
+      return HttpResponse.json(createApiResponse(ids));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // GET /candidates/:id/applications - Get a candidate's applications and status summary
+  http.get('/api/candidates/:id/applications', async ({ params }) => {
+    try {
+      await simulateNetwork();
+      
+      const { id } = params;
+      const jobStatus = await DatabaseService.getCandidateJobStatus(id);
+      
+      return HttpResponse.json(createApiResponse(jobStatus));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // POST /candidates/:id/applications - Apply candidate to a job
+  http.post('/api/candidates/:id/applications', async ({ params, request }) => {
+    try {
+      await simulateNetwork(0.9); // 10% error rate for write operations
+      
+      const { id } = params;
+      const { jobId } = await request.json();
+      
+      if (!jobId) {
+        return HttpResponse.json(
+          createApiResponse(null, false, 'Job ID is required'),
+          { status: 400 }
+        );
+      }
+      
+      const application = await DatabaseService.applyCandidateToJob(id, jobId);
+      
+      return HttpResponse.json(
+        createApiResponse(application, true, 'Candidate applied to job successfully'),
+        { status: 201 }
+      );
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // PATCH /applications/:id - Update application status
+  http.patch('/api/applications/:id', async ({ params, request }) => {
+    try {
+      await simulateNetwork(0.9); // 10% error rate for write operations
+      
+      const { id } = params;
+      const { status, notes, details } = await request.json();
+      
+      if (!status) {
+        return HttpResponse.json(
+          createApiResponse(null, false, 'Status is required'),
+          { status: 400 }
+        );
+      }
+      
+      const application = await DatabaseService.updateJobApplicationStatus(id, status, notes, details);
+      
+      return HttpResponse.json(
+        createApiResponse(application, true, 'Application updated successfully')
+      );
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+];
+
 // Assessments API handlers
 export const assessmentsHandlers = [
   // GET /assessments - List all assessments
@@ -375,17 +763,9 @@ export const assessmentsHandlers = [
       await simulateNetwork();
       
       const url = new URL(request.url);
-      const page = parseInt(url.searchParams.get('page')) || 1;
-      const pageSize = parseInt(url.searchParams.get('pageSize')) || 20;
-      
       const assessments = await DatabaseService.getAssessments();
       
-      // Apply pagination
-      const startIndex = (page - 1) * pageSize;
-      const endIndex = startIndex + pageSize;
-      const paginatedAssessments = assessments.slice(startIndex, endIndex);
-      
-      const pagination = createPaginationMeta(page, pageSize, assessments.length);
+      const { data: paginatedAssessments, pagination } = paginate(assessments, url);
       
       return HttpResponse.json(createApiResponse({
         assessments: paginatedAssessments,
@@ -410,6 +790,43 @@ export const assessmentsHandlers = [
     }
   }),
 
+  // GET /assessments/:jobId/responses - Responses to a job's assessment
+  http.get('/api/assessments/:jobId/responses', async ({ params }) => {
+    try {
+      await simulateNetwork();
+      
+      const assessment = await DatabaseService.getAssessmentByJobId(params.jobId);
+      if (!assessment) {
+        return HttpResponse.json(
+          createApiResponse(null, false, 'Assessment not found'),
+          { status: 404 }
+        );
+      }
+      
+      const responses = await DatabaseService.getAssessmentResponses(assessment.id);
+      
+      return HttpResponse.json(createApiResponse(responses));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // PUT /assessments/:jobId/responses/:responseId/review - Save a reviewer's grades
+  http.put('/api/assessments/:jobId/responses/:responseId/review', async ({ params, request }) => {
+    try {
+      await simulateNetwork(0.9); // 10% error rate for write operations
+      
+      const { reviewerId, questions } = await request.json();
+      const response = await DatabaseService.gradeAssessmentResponse(params.responseId, { reviewerId, questions });
+      
+      return HttpResponse.json(
+        createApiResponse(response, true, 'Grades saved successfully')
+      );
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
   // POST /assessments - Create new assessment
   http.post('/api/assessments', async ({ request }) => {
     try {
@@ -467,10 +884,10 @@ export const assessmentsHandlers = [
       await simulateNetwork(0.9); // 10% error rate for write operations
       
       const { id } = params;
-      await DatabaseService.deleteAssessment(id);
+      const trashEntry = await DatabaseService.deleteAssessment(id);
       
       return HttpResponse.json(
-        createApiResponse(null, true, 'Assessment deleted successfully')
+        createApiResponse(trashEntry, true, 'Assessment moved to the trash')
       );
     } catch (error) {
       return handleError(error);
@@ -505,7 +922,8 @@ export const assessmentsHandlers = [
     }
   }),
 
-  // POST /assessments/:jobId/submit - Submit assessment response
+  // POST /assessments/:jobId/submit - Submit assessment response; answers that
+  // break a question's rules get a 400 listing them in details.questions
   http.post('/api/assessments/:jobId/submit', async ({ params, request }) => {
     try {
       await simulateNetwork(0.9); // 10% error rate for write operations
@@ -513,24 +931,19 @@ export const assessmentsHandlers = [
       const { jobId } = params;
       const responseData = await request.json();
       
-      if (!responseData.candidateId || !responseData.responses) {
+      if (!responseData.candidateId || !responseData.responses || typeof responseData.responses !== 'object' || Array.isArray(responseData.responses)) {
         return HttpResponse.json(
           createApiResponse(null, false, 'Candidate ID and responses are required'),
           { status: 400 }
         );
       }
       
-      const assessment = await DatabaseService.getAssessmentByJobId(jobId);
-      if (!assessment) {
-        return HttpResponse.json(
-          createApiResponse(null, false, 'Assessment not found'),
-          { status: 404 }
-        );
-      }
-      
-      const response = await DatabaseService.createAssessmentResponse({
-        ...responseData,
-        assessmentId: assessment.id,
+      const { candidateId, responses, token, timeSpent } = responseData;
+      const response = await DatabaseService.submitAssessmentResponse(jobId, {
+        candidateId,
+        responses,
+        token,
+        timeSpent,
       });
       
       return HttpResponse.json(
@@ -543,9 +956,285 @@ export const assessmentsHandlers = [
   }),
 ];
 
+// Assessment invite handlers: the candidate-facing side of assessments,
+// reached through the token in an invite link
+export const inviteHandlers = [
+  // GET /invites/:token - The invite with its assessment
+  http.get('/api/invites/:token', async ({ params }) => {
+    try {
+      await simulateNetwork();
+      
+      const invite = await DatabaseService.getAssessmentInvite(params.token);
+      
+      return HttpResponse.json(createApiResponse(invite));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // POST /invites/:token/start - Start the clock, or a new attempt
+  http.post('/api/invites/:token/start', async ({ params }) => {
+    try {
+      await simulateNetwork(0.9); // 10% error rate for write operations
+      
+      const invite = await DatabaseService.startAssessmentInvite(params.token);
+      
+      return HttpResponse.json(createApiResponse(invite));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // POST /invites/:token/expire - Submit the draft once the time has run out
+  http.post('/api/invites/:token/expire', async ({ params }) => {
+    try {
+      await simulateNetwork(0.9); // 10% error rate for write operations
+      
+      const invite = await DatabaseService.expireAssessmentInvite(params.token);
+      
+      return HttpResponse.json(createApiResponse(invite));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // PUT /invites/:token/draft - Save the answers so far
+  http.put('/api/invites/:token/draft', async ({ params, request }) => {
+    try {
+      await simulateNetwork(0.9); // 10% error rate for write operations
+      
+      const { responses } = await request.json();
+      const result = await DatabaseService.saveAssessmentDraft(params.token, responses);
+      
+      return HttpResponse.json(createApiResponse(result));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+];
+
+// Workspace API handlers
+export const workspaceHandlers = [
+  // GET /stats - Record counts per table
+  http.get('/api/stats', async () => {
+    try {
+      await simulateNetwork();
+      
+      const stats = await DatabaseService.getStats();
+      
+      return HttpResponse.json(createApiResponse(stats));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // GET /backup - Every table, for downloading as a backup file
+  http.get('/api/backup', async () => {
+    try {
+      await simulateNetwork();
+      
+      const backup = await DatabaseService.createBackup();
+      
+      return HttpResponse.json(createApiResponse(backup));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // POST /backup/restore - Restore a backup, merging with or replacing the workspace
+  http.post('/api/backup/restore', async ({ request }) => {
+    try {
+      await simulateNetwork(0.9); // 10% error rate for write operations
+      
+      const { backup, mode } = await request.json();
+      const result = await DatabaseService.restoreBackup(backup, { mode });
+      
+      return HttpResponse.json(
+        createApiResponse(result, true, 'Backup restored successfully')
+      );
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // POST /reset - Clear all data and reseed
+  http.post('/api/reset', async () => {
+    try {
+      await DatabaseService.resetDatabase();
+      
+      return HttpResponse.json(
+        createApiResponse(null, true, 'Database reset successfully')
+      );
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+];
+
+// Settings API handlers
+export const settingsHandlers = [
+  // GET /settings/:key - Get a setting (or its default)
+  http.get('/api/settings/:key', async ({ params }) => {
+    try {
+      await simulateNetwork();
+      
+      const value = await DatabaseService.getSetting(params.key);
+      if (value === undefined) {
+        throw new Error(`Setting "${params.key}" not found`);
+      }
+      
+      return HttpResponse.json(createApiResponse(value));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // PUT /settings/:key - Replace a setting
+  http.put('/api/settings/:key', async ({ params, request }) => {
+    try {
+      await simulateNetwork(0.9); // 10% error rate for write operations
+      
+      const { value } = await request.json();
+      const saved = await DatabaseService.updateSetting(params.key, value);
+      
+      return HttpResponse.json(
+        createApiResponse(saved, true, 'Settings saved successfully')
+      );
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+];
+
+// Trash API handlers
+export const trashHandlers = [
+  // GET /trash - Deleted jobs, candidates and assessments that can be restored
+  http.get('/api/trash', async () => {
+    try {
+      await simulateNetwork();
+      
+      const entries = await DatabaseService.getTrash();
+      
+      return HttpResponse.json(createApiResponse(entries));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // POST /trash/:id/restore - Restore an entry with everything deleted with it
+  http.post('/api/trash/:id/restore', async ({ params }) => {
+    try {
+      await simulateNetwork(0.9); // 10% error rate for write operations
+      
+      const entry = await DatabaseService.restoreFromTrash(params.id);
+      
+      return HttpResponse.json(
+        createApiResponse(entry, true, `${entry.label} restored`)
+      );
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // DELETE /trash/:id - Delete an entry permanently
+  http.delete('/api/trash/:id', async ({ params }) => {
+    try {
+      await simulateNetwork(0.9); // 10% error rate for write operations
+      
+      await DatabaseService.deleteTrashEntry(params.id);
+      
+      return HttpResponse.json(
+        createApiResponse(null, true, 'Deleted permanently')
+      );
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // DELETE /trash - Empty the trash
+  http.delete('/api/trash', async () => {
+    try {
+      await simulateNetwork(0.9); // 10% error rate for write operations
+      
+      await DatabaseService.emptyTrash();
+      
+      return HttpResponse.json(
+        createApiResponse(null, true, 'Trash emptied')
+      );
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+];
+
+// Reports API handlers
+export const reportsHandlers = [
+  // GET /reports/rejections - Rejection reasons by source, reason, stage and job
+  http.get('/api/reports/rejections', async ({ request }) => {
+    try {
+      await simulateNetwork();
+      
+      const url = new URL(request.url);
+      const report = await DatabaseService.getRejectionReport({
+        jobId: url.searchParams.get('jobId') || '',
+      });
+      
+      return HttpResponse.json(createApiResponse(report));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+
+  // GET /reports/dashboard - Dashboard totals, trends and funnel for a date range
+  http.get('/api/reports/dashboard', async ({ request }) => {
+    try {
+      await simulateNetwork();
+      
+      const url = new URL(request.url);
+      const report = await DatabaseService.getDashboardReport({
+        range: url.searchParams.get('range') || undefined,
+      });
+      
+      return HttpResponse.json(createApiResponse(report));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+];
+
+// Search API handlers
+export const searchHandlers = [
+  // GET /search - Ranked full-text search with highlighted matches
+  http.get('/api/search', async ({ request }) => {
+    try {
+      // Searches run on every keystroke, so they skip the simulated failures
+      await simulateNetwork(1, 50, 200);
+      
+      const url = new URL(request.url);
+      const types = url.searchParams.get('types');
+      const results = await DatabaseService.search(url.searchParams.get('q') || '', {
+        types: types ? types.split(',') : null,
+        limit: Math.min(parseInt(url.searchParams.get('limit')) || 20, 100),
+      });
+      
+      return HttpResponse.json(createApiResponse({ results }));
+    } catch (error) {
+      return handleError(error);
+    }
+  }),
+];
+
 // Combine all handlers
 export const handlers = [
   ...jobsHandlers,
   ...candidatesHandlers,
+  ...notesHandlers,
+  ...applicationsHandlers,
   ...assessmentsHandlers,
+  ...inviteHandlers,
+  ...workspaceHandlers,
+  ...settingsHandlers,
+  ...trashHandlers,
+  ...reportsHandlers,
+  ...searchHandlers,
 ];
\ No newline at end of file
@@ -7,21 +7,37 @@ import {
   TrashIcon,
   DocumentTextIcon,
   PencilIcon,
+  ExclamationTriangleIcon,
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
-import { DatabaseService } from '../services/database';
-import { QUESTION_TYPES, createAssessment, createSection, createQuestion } from '../types';
+import { jobsApi, assessmentsApi, queryKeys } from '../services/api';
+import { queryClient } from '../services/queryClient';
+import { useQuery } from '../hooks/useQuery';
+import { useMutation } from '../hooks/useMutation';
+import { QUESTION_TYPES, createAssessment, createSection, createQuestion, createRubricCriterion } from '../types';
 import Button from '../components/ui/Button';
 import Card, { CardHeader, CardBody } from '../components/ui/Card';
 import Input from '../components/ui/Input';
 import Select from '../components/ui/Select';
 import Modal, { ModalBody} from '../components/ui/Modal';
+import AssessmentForm from '../components/AssessmentForm';
+import { validateResponses } from '../utils/assessmentValidation';
+import ConditionEditor from '../components/ConditionEditor';
+import { getScoringMode, scoreAssessment, formatScore, MANUALLY_GRADED_TYPES, SCORING_MODES } from '../utils/scoring';
+import { getRubricPoints } from '../utils/grading';
+import {
+  END_OF_ASSESSMENT,
+  createCondition,
+  createConditionGroup,
+  findLogicProblems,
+  getQuestionsBeforeQuestion,
+  getQuestionsBeforeSection,
+  normalizeLogic,
+} from '../utils/conditions';
 
 export default function AssessmentBuilder() {
   const { jobId } = useParams();
-  const [job, setJob] = useState(null);
   const [assessment, setAssessment] = useState(null);
-  const [loading, setLoading] = useState(true);
   const [showPreview, setShowPreview] = useState(false);
   const [showSectionModal, setShowSectionModal] = useState(false);
   const [showQuestionModal, setShowQuestionModal] = useState(false);
@@ -29,50 +45,62 @@ export default function AssessmentBuilder() {
   const [editingQuestion, setEditingQuestion] = useState(null);
   const [editingQuestionSection, setEditingQuestionSection] = useState(null);
 
-  const loadData = React.useCallback(async () => {
-    try {
-      setLoading(true);
-      const [jobData, assessmentData] = await Promise.all([
-        DatabaseService.getJobById(jobId),
-        DatabaseService.getAssessmentByJobId(jobId),
-      ]);
-      
-      setJob(jobData);
-      
-      if (assessmentData) {
-        setAssessment(assessmentData);
-      } else {
-        
-        const newAssessment = createAssessment({
-          jobId,
-          title: `${jobData?.title} Assessment`,
-          description: `Assessment for the ${jobData?.title} position`,
-          sections: [],
-        });
-        setAssessment(newAssessment);
-      }
-    } catch (error) {
-      console.error('Error loading assessment data:', error);
-      toast.error('Failed to load assessment');
-    } finally {
-      setLoading(false);
-    }
-  }, [jobId]);
+  const handleLoadError = (error) => {
+    console.error('Error loading assessment data:', error);
+    toast.error('Failed to load assessment');
+  };
+  const jobQuery = useQuery(queryKeys.jobs.detail(jobId), () => jobsApi.get(jobId), {
+    enabled: !!jobId,
+    onError: handleLoadError,
+  });
+  const assessmentQuery = useQuery(
+    queryKeys.assessments.forJob(jobId),
+    () => assessmentsApi.getByJobId(jobId),
+    { enabled: !!jobId, onError: handleLoadError }
+  );
+  const job = jobQuery.data || null;
+  const loading = jobQuery.isLoading || assessmentQuery.isLoading ||
+    (!!job && !assessment && !assessmentQuery.error);
 
+  // The builder edits a local draft, seeded once from the saved assessment
   useEffect(() => {
-    if (jobId) {
-      loadData();
+    if (assessment || jobQuery.data === undefined || assessmentQuery.data === undefined) return;
+    
+    if (assessmentQuery.data) {
+      setAssessment(assessmentQuery.data);
+    } else {
+      const jobData = jobQuery.data;
+      const newAssessment = createAssessment({
+        jobId,
+        title: `${jobData?.title} Assessment`,
+        description: `Assessment for the ${jobData?.title} position`,
+        sections: [],
+      });
+      setAssessment(newAssessment);
+    }
+  }, [assessment, jobId, jobQuery.data, assessmentQuery.data]);
+
+  const saveAssessmentMutation = useMutation(
+    (assessmentData) => assessmentsApi.saveForJob(jobId, assessmentData),
+    {
+      onSuccess: (savedAssessment) => {
+        queryClient.setQueryData(queryKeys.assessments.forJob(jobId), savedAssessment);
+      },
+      invalidates: [queryKeys.assessments.all],
     }
-  }, [jobId, loadData]);
+  );
+
+  // Conditions and branches that can't work; the assessment can't be saved with them
+  const logicProblems = assessment ? findLogicProblems(assessment) : [];
 
   const handleSaveAssessment = async () => {
+    if (logicProblems.length > 0) {
+      toast.error('Fix the conditional logic before saving');
+      return;
+    }
     try {
-      if (assessment.id) {
-        await DatabaseService.updateAssessment(assessment.id, assessment);
-      } else {
-        const savedAssessment = await DatabaseService.createAssessment(assessment);
-        setAssessment(savedAssessment);
-      }
+      const savedAssessment = await saveAssessmentMutation.mutateAsync(assessment);
+      setAssessment(savedAssessment);
       toast.success('Assessment saved successfully');
     } catch (error) {
       console.error('Error saving assessment:', error);
@@ -80,6 +108,13 @@ export default function AssessmentBuilder() {
     }
   };
 
+  const updateSettings = (changes) => {
+    setAssessment({
+      ...assessment,
+      settings: { ...assessment.settings, ...changes },
+    });
+  };
+
   const handleAddSection = (sectionData) => {
     const newSection = createSection({
       ...sectionData,
@@ -198,7 +233,7 @@ export default function AssessmentBuilder() {
     );
   }
 
-  if (!job) {
+  if (!job || !assessment) {
     return (
       <div className="text-center py-12">
         <h3 className="mt-2 text-sm font-medium text-gray-900">Job not found</h3>
@@ -275,11 +310,60 @@ export default function AssessmentBuilder() {
                 placeholder="Describe the assessment..."
               />
             </div>
+
+            <Input
+              label="Time Limit (minutes)"
+              type="number"
+              min="1"
+              value={assessment.settings?.timeLimit ?? ''}
+              onChange={(e) => updateSettings({ timeLimit: e.target.value ? Math.max(1, parseInt(e.target.value, 10)) : null })}
+              placeholder="No limit"
+            />
+
+            <label className="flex items-center space-x-2 text-sm text-gray-700 sm:pt-8">
+              <input
+                type="checkbox"
+                checked={!!assessment.settings?.allowMultipleAttempts}
+                onChange={(e) => updateSettings({ allowMultipleAttempts: e.target.checked })}
+                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              <span>Let candidates take it more than once</span>
+            </label>
+
+            <Input
+              label="Passing Score (%)"
+              type="number"
+              min="0"
+              max="100"
+              value={assessment.settings?.passingScore ?? ''}
+              onChange={(e) => updateSettings({
+                passingScore: e.target.value !== '' ? Math.min(100, Math.max(0, Number(e.target.value))) : null,
+              })}
+              placeholder="No pass mark"
+            />
           </div>
         </CardBody>
       </Card>
 
-    
+
+      {logicProblems.length > 0 && (
+        <div className="rounded-lg border border-yellow-200 bg-yellow-50 p-4">
+          <div className="flex items-start space-x-3">
+            <ExclamationTriangleIcon className="h-5 w-5 flex-shrink-0 text-yellow-600" />
+            <div>
+              <h3 className="text-sm font-medium text-yellow-800">
+                The conditional logic needs fixing before the assessment can be saved
+              </h3>
+              <ul className="mt-2 list-disc list-inside space-y-1 text-sm text-yellow-700">
+                {logicProblems.map((problem, index) => (
+                  <li key={index}>{problem.message}</li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        </div>
+      )}
+
       <div className="space-y-4">
         {assessment.sections.map((section, sectionIndex) => (
           <Card key={section.id}>
@@ -292,6 +376,14 @@ export default function AssessmentBuilder() {
                   {section.description && (
                     <p className="mt-1 text-sm text-gray-500">{section.description}</p>
                   )}
+                  {(section.conditionalLogic || section.branching?.length > 0) && (
+                    <p className="mt-1 text-xs text-gray-500">
+                      {[
+                        section.conditionalLogic && 'Shown conditionally',
+                        section.branching?.length > 0 && `${section.branching.length} branch${section.branching.length === 1 ? '' : 'es'} after this section`,
+                      ].filter(Boolean).join(' · ')}
+                    </p>
+                  )}
                 </div>
                 
                 <div className="flex items-center space-x-2">
@@ -363,6 +455,11 @@ export default function AssessmentBuilder() {
                                 Required
                               </span>
                             )}
+                            {question.conditionalLogic && (
+                              <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                                Conditional
+                              </span>
+                            )}
                           </div>
                           
                           <h4 className="mt-2 text-sm font-medium text-gray-900">
@@ -438,11 +535,12 @@ export default function AssessmentBuilder() {
           setEditingSection(null);
         }}
         title={editingSection ? "Edit Section" : "Add Section"}
-        size="md"
+        size="lg"
       >
         <ModalBody>
           <SectionForm
             section={editingSection}
+            assessment={assessment}
             onSubmit={editingSection ? handleUpdateSection : handleAddSection}
             onCancel={() => {
               setShowSectionModal(false);
@@ -467,7 +565,9 @@ export default function AssessmentBuilder() {
         <QuestionForm
           question={editingQuestion}
           questionTypes={questionTypeOptions}
-          availableQuestions={editingQuestionSection?.questions || []}
+          availableQuestions={editingQuestionSection
+            ? getQuestionsBeforeQuestion(assessment, editingQuestionSection.id, editingQuestion?.id)
+            : []}
           onSubmit={(questionData) => {
             if (editingQuestion) {
               handleUpdateQuestion(questionData, editingQuestionSection.id);
@@ -500,10 +600,29 @@ export default function AssessmentBuilder() {
 }
 
 // Section Form Component
-function SectionForm({ section, onSubmit, onCancel }) {
+function SectionForm({ section, assessment, onSubmit, onCancel }) {
   const [formData, setFormData] = useState({
     title: section?.title || '',
     description: section?.description || '',
+    conditionalLogic: normalizeLogic(section?.conditionalLogic),
+    branching: section?.branching || [],
+  });
+
+  // Visibility can use earlier sections' answers; branches this section's too
+  const earlierQuestions = getQuestionsBeforeSection(assessment, section?.id);
+  const branchQuestions = [...earlierQuestions, ...(section?.questions || [])];
+  const sectionIndex = assessment.sections.findIndex(candidate => candidate.id === section?.id);
+  const targetOptions = [
+    ...(sectionIndex === -1 ? [] : assessment.sections.slice(sectionIndex + 1)).map((target, index) => ({
+      value: target.id,
+      label: target.title || `Section ${sectionIndex + index + 2}`,
+    })),
+    { value: END_OF_ASSESSMENT, label: 'End of assessment' },
+  ];
+
+  const updateRule = (index, changes) => setFormData({
+    ...formData,
+    branching: formData.branching.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)),
   });
 
   const handleSubmit = (e) => {
@@ -536,6 +655,94 @@ function SectionForm({ section, onSubmit, onCancel }) {
           placeholder="Describe what this section covers..."
         />
       </div>
+
+      <div className="space-y-2">
+        <div className="flex items-center">
+          <input
+            type="checkbox"
+            id="section-conditional-enabled"
+            checked={!!formData.conditionalLogic}
+            disabled={!formData.conditionalLogic && earlierQuestions.length === 0}
+            onChange={(e) => setFormData({
+              ...formData,
+              conditionalLogic: e.target.checked
+                ? createConditionGroup({ conditions: [createCondition(earlierQuestions[0]?.id)] })
+                : null,
+            })}
+            className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+          />
+          <label htmlFor="section-conditional-enabled" className="ml-2 block text-sm text-gray-900">
+            Show this section only if earlier answers meet conditions
+          </label>
+        </div>
+        {earlierQuestions.length === 0 && (
+          <p className="text-sm text-gray-500">Sections can only depend on questions in the sections before them.</p>
+        )}
+        {formData.conditionalLogic && (
+          <ConditionEditor
+            value={formData.conditionalLogic}
+            onChange={(conditionalLogic) => setFormData({ ...formData, conditionalLogic })}
+            questions={earlierQuestions}
+          />
+        )}
+      </div>
+
+      <div className="space-y-3">
+        <div>
+          <span className="block text-sm font-medium text-gray-700">Branching</span>
+          <p className="text-sm text-gray-500">
+            After this section, skip ahead to the first target whose conditions are met.
+          </p>
+        </div>
+        {formData.branching.map((rule, index) => (
+          <div key={index} className="space-y-3 rounded-md bg-gray-50 p-3">
+            <div className="flex items-center space-x-2">
+              <span className="text-sm text-gray-600">Skip to</span>
+              <div className="flex-1">
+                <Select
+                  value={rule.targetSectionId}
+                  options={targetOptions}
+                  onChange={(e) => updateRule(index, { targetSectionId: e.target.value })}
+                  className="px-3 py-2"
+                />
+              </div>
+              <Button
+                type="button"
+                variant="danger"
+                size="sm"
+                onClick={() => setFormData({ ...formData, branching: formData.branching.filter((other, i) => i !== index) })}
+                title="Remove branch"
+              >
+                <TrashIcon className="h-4 w-4" />
+              </Button>
+            </div>
+            <ConditionEditor
+              value={rule.condition}
+              onChange={(condition) => updateRule(index, { condition })}
+              questions={branchQuestions}
+            />
+          </div>
+        ))}
+        {branchQuestions.length === 0 ? (
+          <p className="text-sm text-gray-500">Add questions to this section to branch on its answers.</p>
+        ) : (
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            onClick={() => setFormData({
+              ...formData,
+              branching: [...formData.branching, {
+                condition: createConditionGroup({ conditions: [createCondition(branchQuestions[0].id)] }),
+                targetSectionId: targetOptions[0].value,
+              }],
+            })}
+          >
+            <PlusIcon className="h-4 w-4 mr-2" />
+            Add Branch
+          </Button>
+        )}
+      </div>
       
       <div className="flex justify-end space-x-3 pt-4">
         <Button type="button" variant="outline" onClick={onCancel}>
@@ -564,7 +771,9 @@ function QuestionForm({ question, questionTypes, availableQuestions = [], onSubm
       maxValue: question?.validation?.maxValue ?? null,
       pattern: question?.validation?.pattern ?? null,
     },
-    conditionalLogic: question?.conditionalLogic || null,
+    scoring: { ...createQuestion().scoring, ...question?.scoring },
+    rubric: question?.rubric || [],
+    conditionalLogic: normalizeLogic(question?.conditionalLogic),
   });
 
   const handleSubmit = (e) => {
@@ -573,7 +782,15 @@ function QuestionForm({ question, questionTypes, availableQuestions = [], onSubm
       toast.error('Question title is required');
       return;
     }
-    onSubmit(formData);
+    onSubmit({
+      ...formData,
+      scoring: {
+        ...formData.scoring,
+        correctOptions: formData.scoring.correctOptions.filter(option => formData.options.includes(option)),
+        keywords: formData.scoring.keywords.filter(Boolean),
+      },
+      rubric: MANUALLY_GRADED_TYPES.includes(formData.type) ? formData.rubric : [],
+    });
   };
 
   const addOption = () => {
@@ -583,16 +800,29 @@ function QuestionForm({ question, questionTypes, availableQuestions = [], onSubm
     });
   };
 
+  // The answer key follows its options as they are renamed or removed
   const updateOption = (index, value) => {
     const newOptions = [...formData.options];
+    const previous = newOptions[index];
     newOptions[index] = value;
-    setFormData({ ...formData, options: newOptions });
+    setFormData({
+      ...formData,
+      options: newOptions,
+      scoring: {
+        ...formData.scoring,
+        correctOptions: formData.scoring.correctOptions.map(option => (option === previous ? value : option)),
+      },
+    });
   };
 
   const removeOption = (index) => {
     setFormData({
       ...formData,
       options: formData.options.filter((_, i) => i !== index),
+      scoring: {
+        ...formData.scoring,
+        correctOptions: formData.scoring.correctOptions.filter(option => option !== formData.options[index]),
+      },
     });
   };
 
@@ -712,6 +942,15 @@ function QuestionForm({ question, questionTypes, availableQuestions = [], onSubm
         )}
       </div>
 
+      <ScoringFields
+        type={formData.type}
+        options={formData.options}
+        scoring={formData.scoring}
+        rubric={formData.rubric}
+        onChange={(scoring) => setFormData({ ...formData, scoring })}
+        onRubricChange={(rubric) => setFormData({ ...formData, rubric })}
+      />
+
       {/* Conditional logic */}
       <div className="space-y-2">
         <div className="flex items-center">
@@ -719,58 +958,28 @@ function QuestionForm({ question, questionTypes, availableQuestions = [], onSubm
             type="checkbox"
             id="conditional-enabled"
             checked={!!formData.conditionalLogic}
+            disabled={!formData.conditionalLogic && availableQuestions.length === 0}
             onChange={(e) => setFormData({
               ...formData,
-              conditionalLogic: e.target.checked ? { questionId: availableQuestions[0]?.id || null, operator: 'equals', value: '' } : null,
+              conditionalLogic: e.target.checked
+                ? createConditionGroup({ conditions: [createCondition(availableQuestions[0]?.id)] })
+                : null,
             })}
             className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
           />
           <label htmlFor="conditional-enabled" className="ml-2 block text-sm text-gray-900">
-            Show this question only if another question meets a condition
+            Show this question only if earlier answers meet conditions
           </label>
         </div>
+        {availableQuestions.length === 0 && (
+          <p className="text-sm text-gray-500">Questions can only depend on the questions before them.</p>
+        )}
         {formData.conditionalLogic && (
-          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">Depends On</label>
-              <select
-                value={formData.conditionalLogic.questionId || ''}
-                onChange={(e) => setFormData({
-                  ...formData,
-                  conditionalLogic: { ...formData.conditionalLogic, questionId: e.target.value },
-                })}
-                className="block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm"
-              >
-                {availableQuestions.filter(q => q.id !== question?.id).map(q => (
-                  <option key={q.id} value={q.id}>{q.title || q.id}</option>
-                ))}
-              </select>
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">Operator</label>
-              <select
-                value={formData.conditionalLogic.operator}
-                onChange={(e) => setFormData({
-                  ...formData,
-                  conditionalLogic: { ...formData.conditionalLogic, operator: e.target.value },
-                })}
-                className="block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm"
-              >
-                <option value="equals">Equals</option>
-              </select>
-            </div>
-            <div>
-              <Input
-                label="Value"
-                value={formData.conditionalLogic.value}
-                onChange={(e) => setFormData({
-                  ...formData,
-                  conditionalLogic: { ...formData.conditionalLogic, value: e.target.value },
-                })}
-                placeholder="e.g., Yes"
-              />
-            </div>
-          </div>
+          <ConditionEditor
+            value={formData.conditionalLogic}
+            onChange={(conditionalLogic) => setFormData({ ...formData, conditionalLogic })}
+            questions={availableQuestions}
+          />
         )}
       </div>
       
@@ -799,6 +1008,216 @@ function QuestionForm({ question, questionTypes, availableQuestions = [], onSubm
   );
 }
 
+// Points and answer key for a question, or the rubric reviewers grade it with
+function ScoringFields({ type, options, scoring, rubric, onChange, onRubricChange }) {
+  const update = (changes) => onChange({ ...scoring, ...changes });
+  const isManual = MANUALLY_GRADED_TYPES.includes(type);
+  const hasRubric = isManual && rubric.length > 0;
+  const mode = getScoringMode({ type, scoring, rubric: isManual ? rubric : [] });
+  const choices = options.filter(Boolean);
+
+  const toggleCorrect = (option, checked) => {
+    if (type === QUESTION_TYPES.SINGLE_CHOICE) {
+      update({ correctOptions: [option] });
+    } else {
+      update({
+        correctOptions: checked
+          ? [...scoring.correctOptions, option]
+          : scoring.correctOptions.filter(correct => correct !== option),
+      });
+    }
+  };
+
+  const partialCreditToggle = (label) => (
+    <label className="flex items-center space-x-2 text-sm text-gray-700">
+      <input
+        type="checkbox"
+        checked={scoring.partialCredit}
+        onChange={(e) => update({ partialCredit: e.target.checked })}
+        className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+      />
+      <span>{label}</span>
+    </label>
+  );
+
+  return (
+    <div className="space-y-3 rounded-md border border-gray-200 p-4">
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-semibold text-gray-700">Scoring</span>
+        <span className="text-xs text-gray-500">
+          {mode === SCORING_MODES.MANUAL && 'Graded by a reviewer'}
+          {!isManual && scoring.points > 0 && !mode && 'Not scored until it has an answer key'}
+          {!mode && (isManual || !(scoring.points > 0)) && 'Not scored'}
+        </span>
+      </div>
+
+      {hasRubric ? (
+        <p className="text-sm text-gray-700">
+          Worth {getRubricPoints(rubric)} points, the top level of each criterion.
+        </p>
+      ) : (
+        <Input
+          label="Points"
+          type="number"
+          min="0"
+          step="0.5"
+          value={scoring.points ?? ''}
+          onChange={(e) => update({ points: e.target.value !== '' ? Math.max(0, Number(e.target.value)) : 0 })}
+        />
+      )}
+
+      {isManual && <RubricEditor rubric={rubric} onChange={onRubricChange} />}
+
+      {(type === QUESTION_TYPES.SINGLE_CHOICE || type === QUESTION_TYPES.MULTI_CHOICE) && (
+        <div className="space-y-2">
+          <span className="block text-sm font-medium text-gray-700">
+            {type === QUESTION_TYPES.SINGLE_CHOICE ? 'Correct Answer' : 'Correct Answers'}
+          </span>
+          {choices.length === 0 ? (
+            <p className="text-sm text-gray-500">Add options to pick the correct ones.</p>
+          ) : (
+            choices.map(option => (
+              <label key={option} className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type={type === QUESTION_TYPES.SINGLE_CHOICE ? 'radio' : 'checkbox'}
+                  checked={scoring.correctOptions.includes(option)}
+                  onChange={(e) => toggleCorrect(option, e.target.checked)}
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300"
+                />
+                <span>{option}</span>
+              </label>
+            ))
+          )}
+          {type === QUESTION_TYPES.MULTI_CHOICE && partialCreditToggle('Partial credit for each correct pick, less each wrong one')}
+        </div>
+      )}
+
+      {type === QUESTION_TYPES.NUMERIC && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <Input
+            label="Correct From"
+            type="number"
+            value={scoring.minValue ?? ''}
+            onChange={(e) => update({ minValue: e.target.value !== '' ? Number(e.target.value) : null })}
+          />
+          <Input
+            label="Correct Up To"
+            type="number"
+            value={scoring.maxValue ?? ''}
+            onChange={(e) => update({ maxValue: e.target.value !== '' ? Number(e.target.value) : null })}
+          />
+        </div>
+      )}
+
+      {type === QUESTION_TYPES.SHORT_TEXT && (
+        <>
+          <Input
+            label="Correct Pattern (regex, ignores case)"
+            value={scoring.pattern ?? ''}
+            onChange={(e) => update({ pattern: e.target.value || null })}
+            placeholder="e.g., ^o\(n( log n)?\)$"
+          />
+          <Input
+            label="Keywords (comma separated)"
+            value={scoring.keywords.join(', ')}
+            onChange={(e) => update({ keywords: e.target.value.split(',').map(keyword => keyword.trimStart()) })}
+            placeholder="e.g., closure, scope"
+          />
+          {partialCreditToggle('Partial credit for each keyword found')}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Criteria reviewers grade an answer against, each with levels worth points
+function RubricEditor({ rubric, onChange }) {
+  const updateCriterion = (criterionId, changes) =>
+    onChange(rubric.map(criterion => (criterion.id === criterionId ? { ...criterion, ...changes } : criterion)));
+
+  const updateLevel = (criterion, levelId, changes) =>
+    updateCriterion(criterion.id, {
+      levels: criterion.levels.map(level => (level.id === levelId ? { ...level, ...changes } : level)),
+    });
+
+  const addLevel = (criterion) => {
+    const top = criterion.levels.reduce((max, level) => Math.max(max, Number(level.points) || 0), 0);
+    updateCriterion(criterion.id, {
+      levels: [...criterion.levels, { id: crypto.randomUUID(), label: '', points: top + 1 }],
+    });
+  };
+
+  return (
+    <div className="space-y-3">
+      <span className="block text-sm font-medium text-gray-700">Rubric</span>
+      {rubric.length === 0 && (
+        <p className="text-sm text-gray-500">
+          Without a rubric, reviewers give the answer a number of points.
+        </p>
+      )}
+      {rubric.map((criterion, index) => (
+        <div key={criterion.id} className="space-y-2 rounded-md bg-gray-50 p-3">
+          <div className="flex items-center space-x-2">
+            <div className="flex-1">
+              <Input
+                value={criterion.title}
+                onChange={(e) => updateCriterion(criterion.id, { title: e.target.value })}
+                placeholder={`Criterion ${index + 1}, e.g., Clarity`}
+              />
+            </div>
+            <Button
+              type="button"
+              variant="danger"
+              size="sm"
+              onClick={() => onChange(rubric.filter(other => other.id !== criterion.id))}
+              title="Remove criterion"
+            >
+              <TrashIcon className="h-4 w-4" />
+            </Button>
+          </div>
+          {criterion.levels.map(level => (
+            <div key={level.id} className="flex items-center space-x-2 pl-4">
+              <div className="flex-1">
+                <Input
+                  value={level.label}
+                  onChange={(e) => updateLevel(criterion, level.id, { label: e.target.value })}
+                  placeholder="Level, e.g., Partial"
+                />
+              </div>
+              <div className="w-24">
+                <Input
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={level.points}
+                  onChange={(e) => updateLevel(criterion, level.id, { points: Math.max(0, Number(e.target.value) || 0) })}
+                  aria-label="Points"
+                />
+              </div>
+              <button
+                type="button"
+                className="p-2 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                onClick={() => updateCriterion(criterion.id, { levels: criterion.levels.filter(other => other.id !== level.id) })}
+                disabled={criterion.levels.length <= 1}
+                title="Remove level"
+              >
+                <TrashIcon className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+          <button type="button" className="ml-4 text-sm text-primary-600 hover:underline" onClick={() => addLevel(criterion)}>
+            Add level
+          </button>
+        </div>
+      ))}
+      <Button type="button" variant="outline" size="sm" onClick={() => onChange([...rubric, createRubricCriterion()])}>
+        <PlusIcon className="h-4 w-4 mr-2" />
+        Add Criterion
+      </Button>
+    </div>
+  );
+}
+
 // Assessment Preview Component
 function AssessmentPreview({ assessment }) {
   const [responses, setResponses] = useState(() => {
@@ -819,50 +1238,8 @@ function AssessmentPreview({ assessment }) {
     } catch (e) {}
   };
 
-  const isQuestionVisible = (question) => {
-    if (!question.conditionalLogic) return true;
-    const { questionId, operator, value } = question.conditionalLogic;
-    if (!questionId) return true;
-    const targetValue = responses[questionId];
-    if (operator === 'equals') {
-      // For multi choice, targetValue can be array
-      if (Array.isArray(targetValue)) return targetValue.includes(value);
-      return String(targetValue ?? '') === String(value ?? '');
-    }
-    return true;
-  };
-
   const validate = () => {
-    const nextErrors = {};
-    assessment.sections.forEach(section => {
-      section.questions.forEach(q => {
-        if (!isQuestionVisible(q)) return;
-        const val = responses[q.id];
-        if (q.required && (val === undefined || val === null || (typeof val === 'string' && val.trim() === '') || (Array.isArray(val) && val.length === 0))) {
-          nextErrors[q.id] = 'This field is required';
-          return;
-        }
-        if (q.validation) {
-          const v = q.validation;
-          if ((q.type === QUESTION_TYPES.SHORT_TEXT || q.type === QUESTION_TYPES.LONG_TEXT) && typeof val === 'string') {
-            if (v.minLength != null && val.length < v.minLength) nextErrors[q.id] = `Minimum length is ${v.minLength}`;
-            if (v.maxLength != null && val.length > v.maxLength) nextErrors[q.id] = `Maximum length is ${v.maxLength}`;
-            if (v.pattern) {
-              try {
-                const re = new RegExp(v.pattern);
-                if (!re.test(val)) nextErrors[q.id] = 'Invalid format';
-              } catch (e) {}
-            }
-          }
-          if (q.type === QUESTION_TYPES.NUMERIC && val !== '' && val != null) {
-            const num = Number(val);
-            if (!Number.isFinite(num)) nextErrors[q.id] = 'Enter a valid number';
-            if (v.minValue != null && num < v.minValue) nextErrors[q.id] = `Minimum is ${v.minValue}`;
-            if (v.maxValue != null && num > v.maxValue) nextErrors[q.id] = `Maximum is ${v.maxValue}`;
-          }
-        }
-      });
-    });
+    const nextErrors = validateResponses(assessment, responses);
     setErrors(nextErrors);
     return Object.keys(nextErrors).length === 0;
   };
@@ -870,7 +1247,10 @@ function AssessmentPreview({ assessment }) {
   const handleSubmit = (e) => {
     e.preventDefault();
     if (!validate()) return;
-    toast.success('Responses validated and saved locally');
+    const scoring = scoreAssessment(assessment, responses);
+    toast.success(scoring.score === null && !scoring.needsGrading
+      ? 'Responses validated and saved locally'
+      : `Responses validated and saved locally · score: ${formatScore(scoring)}`);
   };
 
   return (
@@ -882,123 +1262,12 @@ function AssessmentPreview({ assessment }) {
         )}
       </div>
       <form onSubmit={handleSubmit} className="space-y-6">
-        {assessment.sections.map((section, sectionIndex) => (
-          <div key={section.id} className="border border-gray-200 rounded-lg p-6">
-            <h3 className="text-lg font-medium text-gray-900 mb-2">
-              {section.title || `Section ${sectionIndex + 1}`}
-            </h3>
-            {section.description && (
-              <p className="text-sm text-gray-500 mb-4">{section.description}</p>
-            )}
-            
-            <div className="space-y-4">
-              {section.questions.map((question, questionIndex) => (
-                isQuestionVisible(question) && (
-                  <div key={question.id} className="border-l-4 border-primary-200 pl-4">
-                    <div className="flex items-center space-x-2 mb-2">
-                      <span className="text-sm font-medium text-gray-500">
-                        Q{questionIndex + 1}
-                      </span>
-                      {question.required && (
-                        <span className="text-red-500">*</span>
-                      )}
-                    </div>
-                    
-                    <h4 className="text-sm font-medium text-gray-900 mb-1">
-                      {question.title}
-                    </h4>
-                    
-                    {question.description && (
-                      <p className="text-sm text-gray-500 mb-2">{question.description}</p>
-                    )}
-
-                    {question.type === QUESTION_TYPES.SHORT_TEXT && (
-                      <input
-                        type="text"
-                        className={`block w-full rounded-md shadow-sm sm:text-sm ${errors[question.id] ? 'border-red-500 focus:border-red-500 focus:ring-red-500' : 'border-gray-300 focus:border-primary-500 focus:ring-primary-500'}`}
-                        placeholder="Enter your answer..."
-                        value={responses[question.id] ?? ''}
-                        onChange={(e) => setResponse(question.id, e.target.value)}
-                      />
-                    )}
-
-                    {question.type === QUESTION_TYPES.LONG_TEXT && (
-                      <textarea
-                        rows={3}
-                        className={`block w-full rounded-md shadow-sm sm:text-sm ${errors[question.id] ? 'border-red-500 focus:border-red-500 focus:ring-red-500' : 'border-gray-300 focus:border-primary-500 focus:ring-primary-500'}`}
-                        placeholder="Enter your answer..."
-                        value={responses[question.id] ?? ''}
-                        onChange={(e) => setResponse(question.id, e.target.value)}
-                      />
-                    )}
-
-                    {question.type === QUESTION_TYPES.NUMERIC && (
-                      <input
-                        type="number"
-                        className={`block w-full rounded-md shadow-sm sm:text-sm ${errors[question.id] ? 'border-red-500 focus:border-red-500 focus:ring-red-500' : 'border-gray-300 focus:border-primary-500 focus:ring-primary-500'}`}
-                        placeholder="Enter a number..."
-                        value={responses[question.id] ?? ''}
-                        onChange={(e) => setResponse(question.id, e.target.value)}
-                      />
-                    )}
-
-                    {(question.type === QUESTION_TYPES.SINGLE_CHOICE || question.type === QUESTION_TYPES.MULTI_CHOICE) && (
-                      <div className="space-y-2">
-                        {question.options?.map((option, optionIndex) => {
-                          const name = `question-${question.id}`;
-                          if (question.type === QUESTION_TYPES.SINGLE_CHOICE) {
-                            return (
-                              <label key={optionIndex} className="flex items-center">
-                                <input
-                                  type="radio"
-                                  name={name}
-                                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300"
-                                  checked={responses[question.id] === option}
-                                  onChange={() => setResponse(question.id, option)}
-                                />
-                                <span className="ml-2 text-sm text-gray-700">{option}</span>
-                              </label>
-                            );
-                          }
-                          const arr = Array.isArray(responses[question.id]) ? responses[question.id] : [];
-                          const checked = arr.includes(option);
-                          const toggle = () => {
-                            const next = checked ? arr.filter(v => v !== option) : [...arr, option];
-                            setResponse(question.id, next);
-                          };
-                          return (
-                            <label key={optionIndex} className="flex items-center">
-                              <input
-                                type="checkbox"
-                                name={name}
-                                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300"
-                                checked={checked}
-                                onChange={toggle}
-                              />
-                              <span className="ml-2 text-sm text-gray-700">{option}</span>
-                            </label>
-                          );
-                        })}
-                      </div>
-                    )}
-
-                    {question.type === QUESTION_TYPES.FILE_UPLOAD && (
-                      <input
-                        type="file"
-                        className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-primary-50 file:text-primary-700 hover:file:bg-primary-100"
-                        onChange={(e) => setResponse(question.id, e.target.files?.[0]?.name || '')}
-                      />
-                    )}
-
-                    {errors[question.id] && (
-                      <p className="mt-1 text-sm text-red-600">{errors[question.id]}</p>
-                    )}
-                  </div>
-                )
-              ))}
-            </div>
-          </div>
-        ))}
+        <AssessmentForm
+          assessment={assessment}
+          responses={responses}
+          errors={errors}
+          onChange={setResponse}
+        />
         <div className="flex justify-end">
           <Button type="submit">
             Validate & Save
@@ -0,0 +1,348 @@
+import React, { useState, useMemo } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { ArrowLeftIcon, ClipboardDocumentCheckIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { clsx } from 'clsx';
+import { assessmentsApi, queryKeys } from '../services/api';
+import { useQuery } from '../hooks/useQuery';
+import { useMutation } from '../hooks/useMutation';
+import { ERROR_TYPES, TEAM_MEMBERS } from '../types';
+import { getVisibility } from '../utils/conditions';
+import { getScoringMode, getQuestionPoints, SCORING_MODES } from '../utils/scoring';
+import { getQuestionGrades } from '../utils/grading';
+import Button from '../components/ui/Button';
+import Card, { CardHeader, CardBody } from '../components/ui/Card';
+import Select from '../components/ui/Select';
+import AssessmentScoreBadge from '../components/AssessmentScoreBadge';
+
+// The team member grading, remembered between visits
+const REVIEWER_STORAGE_KEY = 'assessmentGradingReviewer';
+
+const formatAnswer = (answer) => {
+  if (answer === undefined || answer === null || answer === '') return null;
+  if (Array.isArray(answer)) return answer.join(', ');
+  if (typeof answer === 'object') return answer.name || JSON.stringify(answer);
+  return String(answer);
+};
+
+const getResult = (response) => ({
+  score: response.score,
+  passed: response.scoring?.passed ?? null,
+  needsGrading: !!response.scoring?.needsGrading,
+});
+
+/**
+ * Grading an assessment's responses: each answer a reviewer scores by hand
+ * next to its rubric, with the grades other reviewers gave. Saving a review
+ * scores the response again with every answer's grades averaged.
+ */
+export default function AssessmentGrading() {
+  const { jobId } = useParams();
+  const [selectedId, setSelectedId] = useState(null);
+  const [reviewerId, setReviewerId] = useState(() => localStorage.getItem(REVIEWER_STORAGE_KEY) || '');
+
+  const handleLoadError = (error) => {
+    console.error('Error loading responses to grade:', error);
+    toast.error('Failed to load responses');
+  };
+  const assessmentQuery = useQuery(queryKeys.assessments.forJob(jobId), () => assessmentsApi.getByJobId(jobId), {
+    onError: handleLoadError,
+  });
+  const responsesQuery = useQuery(queryKeys.assessments.responses(jobId), () => assessmentsApi.getResponses(jobId), {
+    onError: handleLoadError,
+  });
+  const assessment = assessmentQuery.data;
+  const responses = useMemo(() => responsesQuery.data || [], [responsesQuery.data]);
+  const selected = responses.find(response => response.id === selectedId) || responses[0] || null;
+
+  const handleReviewerChange = (e) => {
+    setReviewerId(e.target.value);
+    localStorage.setItem(REVIEWER_STORAGE_KEY, e.target.value);
+  };
+
+  if (assessmentQuery.isLoading || responsesQuery.isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (!assessment) {
+    return (
+      <div className="text-center py-12">
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Assessment not found</h3>
+        <div className="mt-6">
+          <Link to="/app/assessments">
+            <Button>Back to Assessments</Button>
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const toGrade = responses.filter(response => response.scoring?.needsGrading).length;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-4">
+          <Link to="/app/assessments" className="text-gray-400 hover:text-gray-600">
+            <ArrowLeftIcon className="h-6 w-6" />
+          </Link>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Grade Responses</h1>
+            <p className="text-sm text-gray-500">
+              {assessment.title} · {responses.length} response{responses.length !== 1 ? 's' : ''}, {toGrade} to grade
+            </p>
+          </div>
+        </div>
+        <div className="w-56">
+          <Select
+            value={reviewerId}
+            onChange={handleReviewerChange}
+            options={TEAM_MEMBERS.map(member => ({ value: member.id, label: member.name }))}
+            placeholder="Who's grading?"
+            aria-label="Reviewer"
+          />
+        </div>
+      </div>
+
+      {responses.length === 0 ? (
+        <Card>
+          <CardBody className="text-center py-12">
+            <ClipboardDocumentCheckIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No responses yet</h3>
+            <p className="mt-1 text-sm text-gray-500">Responses show up here once candidates submit the assessment.</p>
+          </CardBody>
+        </Card>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <Card className="lg:col-span-1">
+            <ul className="divide-y divide-gray-200 max-h-[70vh] overflow-y-auto">
+              {responses.map(response => (
+                <li key={response.id}>
+                  <button
+                    type="button"
+                    onClick={() => setSelectedId(response.id)}
+                    className={clsx(
+                      'w-full text-left px-4 py-3 hover:bg-gray-50',
+                      selected?.id === response.id && 'bg-primary-50'
+                    )}
+                  >
+                    <div className="flex items-center justify-between space-x-2">
+                      <span className="text-sm font-medium text-gray-900 truncate">
+                        {response.candidate?.name || 'Deleted candidate'}
+                      </span>
+                      <AssessmentScoreBadge result={getResult(response)} className="flex-shrink-0" />
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      {new Date(response.completedAt || response.createdAt).toLocaleDateString()}
+                      {response.reviews?.length > 0 && ` · ${response.reviews.length} review${response.reviews.length !== 1 ? 's' : ''}`}
+                    </p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </Card>
+
+          <div className="lg:col-span-2">
+            {selected && (
+              <ResponseGrader
+                key={`${selected.id}:${reviewerId}`}
+                jobId={jobId}
+                assessment={assessment}
+                response={selected}
+                reviewerId={reviewerId}
+              />
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// One response's answers, with a grading form for those scored by hand
+function ResponseGrader({ jobId, assessment, response, reviewerId }) {
+  const ownReview = response.reviews?.find(review => review.reviewerId === reviewerId);
+  const [grades, setGrades] = useState(() => ownReview?.questions || {});
+
+  const gradeMutation = useMutation(
+    (review) => assessmentsApi.gradeResponse(jobId, response.id, review),
+    {
+      invalidates: [
+        queryKeys.assessments.responses(jobId),
+        queryKeys.candidates.all,
+        queryKeys.applications.all,
+        queryKeys.timeline.all,
+      ],
+    }
+  );
+
+  const updateGrade = (questionId, changes) =>
+    setGrades(prev => ({ ...prev, [questionId]: { ...prev[questionId], ...changes } }));
+
+  const visibility = getVisibility(assessment, response.responses);
+  const questions = assessment.sections.flatMap(section =>
+    section.questions.filter(question => visibility.questions[question.id])
+  );
+  const manualQuestions = questions.filter(question =>
+    getScoringMode(question) === SCORING_MODES.MANUAL && formatAnswer(response.responses[question.id]) !== null
+  );
+
+  const handleSave = async () => {
+    // Only answers this reviewer actually graded are sent
+    const graded = Object.fromEntries(
+      manualQuestions
+        .filter(question => {
+          const grade = grades[question.id];
+          if (!grade) return false;
+          return question.rubric?.length ? Object.keys(grade.levels || {}).length > 0 : grade.points !== undefined && grade.points !== '';
+        })
+        .map(question => [question.id, { ...grades[question.id], points: Number(grades[question.id].points) }])
+    );
+    try {
+      const updated = await gradeMutation.mutateAsync({ reviewerId, questions: graded });
+      toast.success(`Grades saved · ${updated.score !== null ? `${updated.score}%` : 'not scored'}`);
+    } catch (error) {
+      console.error('Error saving grades:', error);
+      toast.error(error.type === ERROR_TYPES.VALIDATION_ERROR ? error.message : 'Failed to save grades');
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">
+              {response.candidate ? (
+                <Link to={`/app/candidates/${response.candidate.id}`} className="hover:underline">
+                  {response.candidate.name}
+                </Link>
+              ) : 'Deleted candidate'}
+            </h3>
+            <p className="text-sm text-gray-500">
+              Submitted {new Date(response.completedAt || response.createdAt).toLocaleString()}
+              {response.timedOut && ' when time ran out'}
+            </p>
+          </div>
+          <AssessmentScoreBadge result={getResult(response)} />
+        </div>
+      </CardHeader>
+      <CardBody className="space-y-6">
+        {questions.map(question => {
+          const answer = formatAnswer(response.responses[question.id]);
+          const questionScore = response.scoring?.questions?.[question.id];
+          const isManual = manualQuestions.includes(question);
+          return (
+            <div key={question.id} className="space-y-2 border-l-4 border-primary-200 pl-4">
+              <div className="flex items-start justify-between space-x-2">
+                <h4 className="text-sm font-medium text-gray-900">{question.title || 'Untitled question'}</h4>
+                {questionScore && (
+                  <span className="text-xs text-gray-500 flex-shrink-0">
+                    {questionScore.earned === null ? '–' : questionScore.earned}/{questionScore.possible} pts
+                  </span>
+                )}
+              </div>
+              <p className={clsx('text-sm whitespace-pre-wrap', answer === null ? 'italic text-gray-400' : 'text-gray-700')}>
+                {answer ?? 'No answer'}
+              </p>
+              {isManual && (
+                <QuestionGradeForm
+                  question={question}
+                  grade={grades[question.id] || {}}
+                  otherGrades={getQuestionGrades(response.reviews, question.id).filter(grade => grade.reviewerId !== reviewerId)}
+                  disabled={!reviewerId}
+                  onChange={(changes) => updateGrade(question.id, changes)}
+                />
+              )}
+            </div>
+          );
+        })}
+
+        {manualQuestions.length === 0 ? (
+          <p className="text-sm text-gray-500">This response has no answers to grade by hand.</p>
+        ) : (
+          <div className="flex items-center justify-end space-x-3">
+            {!reviewerId && <span className="text-sm text-gray-500">Choose who's grading to leave grades</span>}
+            <Button onClick={handleSave} disabled={!reviewerId || gradeMutation.isLoading}>
+              {gradeMutation.isLoading ? 'Saving...' : 'Save Grades'}
+            </Button>
+          </div>
+        )}
+      </CardBody>
+    </Card>
+  );
+}
+
+function QuestionGradeForm({ question, grade, otherGrades, disabled, onChange }) {
+  const possible = getQuestionPoints(question);
+
+  return (
+    <fieldset disabled={disabled} className="space-y-3 rounded-md bg-gray-50 p-3">
+      {question.rubric?.length ? (
+        question.rubric.map(criterion => (
+          <div key={criterion.id}>
+            <span className="block text-xs font-semibold uppercase text-gray-500">{criterion.title || 'Criterion'}</span>
+            <div className="mt-1 flex flex-wrap gap-2">
+              {criterion.levels.map(level => {
+                const checked = grade.levels?.[criterion.id] === level.id;
+                return (
+                  <label
+                    key={level.id}
+                    className={clsx(
+                      'flex items-center space-x-1 rounded-md border px-2 py-1 text-sm cursor-pointer',
+                      checked ? 'border-primary-500 bg-primary-50' : 'border-gray-200 bg-white'
+                    )}
+                  >
+                    <input
+                      type="radio"
+                      className="sr-only"
+                      checked={checked}
+                      onChange={() => onChange({ levels: { ...grade.levels, [criterion.id]: level.id } })}
+                    />
+                    <span>{level.label || 'Level'}</span>
+                    <span className="text-gray-500">({level.points})</span>
+                  </label>
+                );
+              })}
+            </div>
+          </div>
+        ))
+      ) : (
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <span>Points</span>
+          <input
+            type="number"
+            min="0"
+            max={possible}
+            step="0.5"
+            value={grade.points ?? ''}
+            onChange={(e) => onChange({ points: e.target.value })}
+            className="w-20 rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm"
+          />
+          <span className="text-gray-500">of {possible}</span>
+        </label>
+      )}
+      <textarea
+        value={grade.comment || ''}
+        onChange={(e) => onChange({ comment: e.target.value })}
+        rows={2}
+        className="block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm"
+        placeholder="Comment (optional)"
+      />
+      {otherGrades.length > 0 && (
+        <ul className="space-y-1 text-xs text-gray-600">
+          {otherGrades.map(other => (
+            <li key={other.reviewerId}>
+              <span className="font-medium">{other.reviewerName}</span>: {other.points}/{possible}
+              {other.comment && <span className="text-gray-500"> · {other.comment}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </fieldset>
+  );
+}
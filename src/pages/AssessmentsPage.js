@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useMemo } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { 
   PlusIcon, 
@@ -7,9 +7,11 @@ import {
   PencilIcon,
   TrashIcon,
   BriefcaseIcon,
+  ArrowDownTrayIcon,
+  ClipboardDocumentCheckIcon,
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
-import { DatabaseService } from '../services/database';
+import { jobsApi, assessmentsApi, queryKeys } from '../services/api';
 import { QUESTION_TYPES, createSection, createQuestion } from '../types';
 import Button from '../components/ui/Button';
 import Card, { CardBody } from '../components/ui/Card';
@@ -17,15 +19,20 @@ import SearchInput from '../components/ui/SearchInput';
 import Modal, { ModalBody, ModalFooter } from '../components/ui/Modal';
 import Select from '../components/ui/Select';
 import Input from '../components/ui/Input';
+import { showTrashUndoToast } from '../components/UndoToast';
+import ExportModal from '../components/ExportModal';
+import AssessmentResponsesModal from '../components/AssessmentResponsesModal';
 import { useSearch } from '../hooks/useSearch';
+import { useQuery } from '../hooks/useQuery';
+import { useMutation } from '../hooks/useMutation';
+import { getResponseExportColumns } from '../utils/export';
+import { generateSlug } from '../utils/slug';
 
 export default function AssessmentsPage() {
   const navigate = useNavigate();
-  const [jobs, setJobs] = useState([]);
-  const [allAssessments, setAllAssessments] = useState([]);
-  const [filteredAssessments, setFilteredAssessments] = useState([]);
-  const [loading, setLoading] = useState(true);
   const [deletingAssessment, setDeletingAssessment] = useState(null);
+  const [exportingAssessment, setExportingAssessment] = useState(null);
+  const [viewingResponses, setViewingResponses] = useState(null);
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [createForm, setCreateForm] = useState({ jobId: '', title: '', description: '' });
 
@@ -37,61 +44,70 @@ export default function AssessmentsPage() {
     handleSearchChange 
   } = useSearch('', 300);
 
-  const loadData = React.useCallback(async () => {
-    try {
-      setLoading(true);
-      const jobsData = await DatabaseService.getJobs({ status: 'active' });
-      const assessments = await DatabaseService.getAssessments();
-
-      // Map assessments with job titles and counts
-      const jobIdToTitle = Array.isArray(jobsData)
-        ? jobsData.reduce((acc, j) => { acc[j.id] = j.title; return acc; }, {})
-        : {};
+  const handleLoadError = (error) => {
+    console.error('Error loading assessments data:', error);
+    toast.error('Failed to load assessments');
+  };
+  const jobsQuery = useQuery(
+    queryKeys.jobs.allMatching({ status: 'active' }),
+    () => jobsApi.getAll({ status: 'active' }),
+    { onError: handleLoadError }
+  );
+  const assessmentsQuery = useQuery(
+    queryKeys.assessments.allMatching(),
+    () => assessmentsApi.getAll(),
+    { onError: handleLoadError }
+  );
+  const jobs = useMemo(() => jobsQuery.data || [], [jobsQuery.data]);
+  const loading = jobsQuery.isLoading || assessmentsQuery.isLoading;
 
-      const assessmentsData = (assessments || []).map(a => ({
-        id: a.id,
-        jobId: a.jobId,
-        jobTitle: jobIdToTitle[a.jobId] || 'Unknown Job',
-        title: a.title,
-        questionCount: (a.sections || []).reduce((sum, s) => sum + (s.questions?.length || 0), 0),
-        responseCount: 0,
-        createdAt: a.createdAt,
-      }));
+  // Map assessments with job titles and counts
+  const allAssessments = useMemo(() => {
+    const jobIdToTitle = jobs.reduce((acc, j) => { acc[j.id] = j.title; return acc; }, {});
 
-      setJobs(Array.isArray(jobsData) ? jobsData : []);
-      setAllAssessments(assessmentsData);
-      setFilteredAssessments(assessmentsData);
-    } catch (error) {
-      console.error('Error loading assessments data:', error);
-      toast.error('Failed to load assessments');
-    } finally {
-      setLoading(false);
-    }
-  }, []);
+    return (assessmentsQuery.data || []).map(a => ({
+      id: a.id,
+      jobId: a.jobId,
+      jobTitle: jobIdToTitle[a.jobId] || 'Unknown Job',
+      title: a.title,
+      sections: a.sections || [],
+      questionCount: (a.sections || []).reduce((sum, s) => sum + (s.questions?.length || 0), 0),
+      responseCount: a.responseCount || 0,
+      createdAt: a.createdAt,
+    }));
+  }, [jobs, assessmentsQuery.data]);
 
   // Filter assessments based on search
-  useEffect(() => {
+  const filteredAssessments = useMemo(() => {
     if (!debouncedValue.trim()) {
-      setFilteredAssessments(allAssessments);
-    } else {
-      const filtered = allAssessments.filter(assessment =>
-        assessment.title.toLowerCase().includes(debouncedValue.toLowerCase()) ||
-        assessment.jobTitle.toLowerCase().includes(debouncedValue.toLowerCase())
-      );
-      setFilteredAssessments(filtered);
+      return allAssessments;
     }
+    return allAssessments.filter(assessment =>
+      assessment.title.toLowerCase().includes(debouncedValue.toLowerCase()) ||
+      assessment.jobTitle.toLowerCase().includes(debouncedValue.toLowerCase())
+    );
   }, [debouncedValue, allAssessments]);
 
-  useEffect(() => {
-    loadData();
-  }, [loadData]);
+  const deleteAssessmentMutation = useMutation(assessmentsApi.delete, {
+    invalidates: [queryKeys.assessments.all, queryKeys.trash],
+  });
+  const createAssessmentMutation = useMutation(assessmentsApi.create, {
+    invalidates: [queryKeys.assessments.all],
+  });
+
+  const deleteAssessment = async (id) => {
+    const trashEntry = await deleteAssessmentMutation.mutateAsync(id);
+    showTrashUndoToast(trashEntry, {
+      onRedo: () => deleteAssessment(id).catch((error) => {
+        console.error('Error deleting assessment:', error);
+        toast.error('Failed to delete assessment');
+      }),
+    });
+  };
 
   const handleDeleteAssessment = async () => {
     try {
-      await DatabaseService.deleteAssessment(deletingAssessment.id);
-      setAllAssessments(allAssessments.filter(a => a.id !== deletingAssessment.id));
-      setFilteredAssessments(filteredAssessments.filter(a => a.id !== deletingAssessment.id));
-      toast.success('Assessment deleted successfully');
+      await deleteAssessment(deletingAssessment.id);
       setDeletingAssessment(null);
     } catch (error) {
       console.error('Error deleting assessment:', error);
@@ -151,25 +167,12 @@ export default function AssessmentsPage() {
       });
       defaultSection.questions = [q1, q2, q3, q4];
 
-      const newAssessment = await DatabaseService.createAssessment({
+      await createAssessmentMutation.mutateAsync({
         jobId: createForm.jobId,
         title: createForm.title.trim(),
         description: createForm.description?.trim() || '',
         sections: [defaultSection],
       });
-      const jobTitle = jobs.find(j => j.id === createForm.jobId)?.title || 'Job';
-      const newRow = {
-        id: newAssessment.id,
-        jobId: createForm.jobId,
-        jobTitle,
-        title: newAssessment.title,
-        questionCount: defaultSection.questions.length,
-        // Show a non-zero dummy response count for visual richness
-        responseCount: Math.floor(Math.random() * 15) + 3,
-        createdAt: newAssessment.createdAt,
-      };
-      setAllAssessments(prev => [newRow, ...prev]);
-      setFilteredAssessments(prev => [newRow, ...prev]);
       setShowCreateModal(false);
       toast.success('Assessment created');
       navigate(`/app/assessments/${createForm.jobId}`);
@@ -365,10 +368,14 @@ export default function AssessmentsPage() {
                         <ClipboardDocumentListIcon className="h-4 w-4 mr-1" />
                         {assessment.questionCount} questions
                       </div>
-                      <div className="flex items-center">
+                      <button
+                        type="button"
+                        className="flex items-center hover:text-primary-600 hover:underline"
+                        onClick={() => setViewingResponses(assessment)}
+                      >
                         <EyeIcon className="h-4 w-4 mr-1" />
                         {assessment.responseCount} responses
-                      </div>
+                      </button>
                       <div className="flex items-center">
                         <span>Created {new Date(assessment.createdAt).toLocaleDateString()}</span>
                       </div>
@@ -389,6 +396,21 @@ export default function AssessmentsPage() {
                       </Button>
                     </Link>
                     
+                    <Link to={`/app/assessments/${assessment.jobId}/grade`}>
+                      <Button variant="outline" size="sm" title="Grade responses">
+                        <ClipboardDocumentCheckIcon className="h-4 w-4" />
+                      </Button>
+                    </Link>
+                    
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => setExportingAssessment(assessment)}
+                      title="Export responses"
+                    >
+                      <ArrowDownTrayIcon className="h-4 w-4" />
+                    </Button>
+                    
                     <Button
                       variant="danger"
                       size="sm"
@@ -413,7 +435,7 @@ export default function AssessmentsPage() {
       >
         <ModalBody>
           <p className="text-sm text-gray-500">
-            Are you sure you want to delete "{deletingAssessment?.title}"? This action cannot be undone.
+            Move "{deletingAssessment?.title}" to the trash? Its candidate responses go with it, and you can restore them together from the trash.
           </p>
         </ModalBody>
         <ModalFooter>
@@ -426,6 +448,22 @@ export default function AssessmentsPage() {
         </ModalFooter>
       </Modal>
 
+      <ExportModal
+        isOpen={!!exportingAssessment}
+        onClose={() => setExportingAssessment(null)}
+        title={`Export responses · ${exportingAssessment?.title || ''}`}
+        description="One row per candidate response, with a column for each question."
+        name={`${generateSlug(exportingAssessment?.title || '') || 'assessment'}-responses`}
+        columns={exportingAssessment ? getResponseExportColumns(exportingAssessment) : []}
+        loadRows={() => assessmentsApi.getResponses(exportingAssessment.jobId)}
+      />
+
+      <AssessmentResponsesModal
+        isOpen={!!viewingResponses}
+        onClose={() => setViewingResponses(null)}
+        assessment={viewingResponses}
+      />
+
       {/* Create Assessment Modal */}
       <Modal
         isOpen={showCreateModal}
@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import React, { useState } from 'react';
+import { useParams, Link, useNavigate } from 'react-router-dom';
 import { 
   ArrowLeftIcon,
   PencilIcon,
@@ -9,88 +9,104 @@ import {
   PhoneIcon,
   PlusIcon,
   ChatBubbleLeftIcon,
+  ArrowsPointingInIcon,
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
-import { DatabaseService } from '../services/database';
-import { CANDIDATE_STAGES, STAGE_LABELS, STAGE_COLORS } from '../types';
+import { candidatesApi, notesApi, workspaceApi, queryKeys } from '../services/api';
+import { queryClient } from '../services/queryClient';
+import { useQuery } from '../hooks/useQuery';
+import { useMutation } from '../hooks/useMutation';
+import { ERROR_TYPES, TEAM_MEMBERS } from '../types';
+import { DUPLICATE_MATCH_LABELS } from '../utils/duplicates';
 import Button from '../components/ui/Button';
 import Card, { CardHeader, CardBody } from '../components/ui/Card';
 import Input from '../components/ui/Input';
-import Select from '../components/ui/Select';
 import Modal, { ModalBody, ModalFooter } from '../components/ui/Modal';
 import CandidateJobApplications from '../components/CandidateJobApplications';
+import { showTrashUndoToast } from '../components/UndoToast';
+import DuplicateWarning from '../components/DuplicateWarning';
+import CandidateMergeModal from '../components/CandidateMergeModal';
+import CandidateAssessments from '../components/CandidateAssessments';
 
 export default function CandidateDetail() {
   const { id } = useParams();
-  const [candidate, setCandidate] = useState(null);
-  const [timeline, setTimeline] = useState([]);
-  const [notes, setNotes] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const navigate = useNavigate();
   const [showEditModal, setShowEditModal] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [showNoteModal, setShowNoteModal] = useState(false);
+  const [mergingDuplicateId, setMergingDuplicateId] = useState(null);
 
-  const loadCandidateData = React.useCallback(async () => {
-    try {
-      setLoading(true);
-      console.log('Loading candidate data for ID:', id);
-      
-      const stats = await DatabaseService.getStats();
-      console.log('Database stats:', stats);
-      
-      const debugResult = await DatabaseService.debugCandidateById(id);
-      console.log('Debug result:', debugResult);
-      
-
-      const allCandidates = await DatabaseService.getCandidates();
-      console.log('All candidates in database:', allCandidates.length);
-      console.log('Sample candidate IDs:', allCandidates.slice(0, 5).map(c => c.id));
-      
-      const [candidateData, timelineData, notesData] = await Promise.all([
-        DatabaseService.getCandidateById(id),
-        DatabaseService.getCandidateTimeline(id),
-        DatabaseService.getCandidateNotes(id),
-      ]);
-      
-      console.log('Candidate data loaded:', candidateData);
-      console.log('Timeline data loaded:', timelineData);
-      console.log('Notes data loaded:', notesData);
-      
-      if (!candidateData) {
+  const candidateQuery = useQuery(queryKeys.candidates.detail(id), () => candidatesApi.get(id), {
+    enabled: !!id,
+    onError: (error) => {
+      if (error.type === ERROR_TYPES.NOT_FOUND) {
         console.error('Candidate not found with ID:', id);
         toast.error(`Candidate with ID ${id} not found`);
         return;
       }
-      
-      setCandidate(candidateData);
-      setTimeline(timelineData || []);
-      setNotes(notesData || []);
-    } catch (error) {
       console.error('Error loading candidate data:', error);
       toast.error('Failed to load candidate details');
-    } finally {
-      setLoading(false);
-    }
+    },
+  });
+  const timelineQuery = useQuery(queryKeys.candidates.timeline(id), () => candidatesApi.getTimeline(id), {
+    enabled: !!id,
+  });
+  const notesQuery = useQuery(queryKeys.notes.forCandidate(id), () => notesApi.listForCandidate(id), {
+    enabled: !!id,
+  });
+  const candidate = candidateQuery.data || null;
+  const duplicatesQuery = useQuery(
+    queryKeys.candidates.duplicates({ candidateId: id }),
+    () => candidatesApi.findDuplicates({ ...candidate, excludeId: id }),
+    { enabled: !!candidate }
+  );
+  const duplicates = duplicatesQuery.data || [];
+  const timeline = timelineQuery.data || [];
+  const notes = notesQuery.data || [];
+  const loading = candidateQuery.isLoading;
+
+  const loadCandidateData = React.useCallback(() => {
+    queryClient.invalidateQueries(
+      queryKeys.candidates.detail(id),
+      queryKeys.candidates.timeline(id),
+      queryKeys.notes.forCandidate(id)
+    );
   }, [id]);
 
-  useEffect(() => {
-    if (id) {
-      
-      const timer = setTimeout(() => {
-        loadCandidateData();
-      }, 100);
-      
-      return () => clearTimeout(timer);
+  const candidateInvalidation = [
+    queryKeys.candidates.all,
+    queryKeys.applications.all,
+    queryKeys.stats,
+    queryKeys.reports.all,
+    queryKeys.timeline.all,
+  ];
+  const updateCandidateMutation = useMutation(
+    (updates) => candidatesApi.update(id, updates),
+    {
+      onSuccess: (updatedCandidate) => {
+        queryClient.setQueryData(queryKeys.candidates.detail(id), updatedCandidate);
+      },
+      invalidates: candidateInvalidation,
     }
-  }, [id, loadCandidateData]);
+  );
+  const deleteCandidateMutation = useMutation(() => candidatesApi.delete(id), {
+    invalidates: [...candidateInvalidation, queryKeys.notes.all, queryKeys.trash],
+  });
+  const createNoteMutation = useMutation((noteData) => notesApi.create(id, noteData), {
+    invalidates: [queryKeys.notes.forCandidate(id), queryKeys.candidates.timeline(id)],
+  });
+  const createCandidateMutation = useMutation(candidatesApi.create, {
+    invalidates: candidateInvalidation,
+  });
+  const resetMutation = useMutation(workspaceApi.reset, {
+    onSuccess: () => queryClient.invalidateQueries(),
+  });
 
   const handleUpdateCandidate = async (candidateData) => {
     try {
-      const updatedCandidate = await DatabaseService.updateCandidate(id, candidateData);
-      setCandidate(updatedCandidate);
+      await updateCandidateMutation.mutateAsync(candidateData);
       toast.success('Candidate updated successfully');
       setShowEditModal(false);
-      loadCandidateData(); // Reload timeline
     } catch (error) {
       console.error('Error updating candidate:', error);
       toast.error('Failed to update candidate');
@@ -99,10 +115,10 @@ export default function CandidateDetail() {
 
   const handleDeleteCandidate = async () => {
     try {
-      await DatabaseService.deleteCandidate(id);
-      toast.success('Candidate deleted successfully');
+      const trashEntry = await deleteCandidateMutation.mutateAsync();
+      showTrashUndoToast(trashEntry);
       // Redirect to candidates page
-      window.location.href = '/candidates';
+      navigate('/app/candidates');
     } catch (error) {
       console.error('Error deleting candidate:', error);
       toast.error('Failed to delete candidate');
@@ -111,13 +127,9 @@ export default function CandidateDetail() {
 
   const handleAddNote = async (noteData) => {
     try {
-      await DatabaseService.createNote({
-        ...noteData,
-        candidateId: id,
-      });
+      await createNoteMutation.mutateAsync(noteData);
       toast.success('Note added successfully');
       setShowNoteModal(false);
-      loadCandidateData(); // Reload notes and timeline
     } catch (error) {
       console.error('Error adding note:', error);
       toast.error('Failed to add note');
@@ -164,13 +176,11 @@ export default function CandidateDetail() {
               try {
                 // Create a test candidate with the requested ID for debugging
                 console.log('Creating test candidate with ID:', id);
-                const testCandidate = await DatabaseService.createCandidate({
+                const testCandidate = await createCandidateMutation.mutateAsync({
                   id: id, // Use the exact ID from the URL
                   name: 'Test Candidate',
                   email: 'test@example.com',
                   phone: '+1-555-0123',
-                  stage: 'applied',
-                  jobId: 1, // Use first job ID
                   coverLetter: 'This is a test candidate created for debugging purposes.'
                 });
                 console.log('Test candidate created:', testCandidate);
@@ -190,30 +200,10 @@ export default function CandidateDetail() {
               try {
                 if (window.confirm('Are you sure you want to reset the database? This will delete all data and reseed with fresh data.')) {
                   console.log('Resetting database...');
-                  await DatabaseService.clearAllData();
-                  
-                  // Re-seed the database
-                  const { generateSeedData } = await import('../data/seedData');
-                  const seedData = generateSeedData();
-                  
-                  // Add jobs
-                  for (const job of seedData.jobs) {
-                    await DatabaseService.createJob(job);
-                  }
-                  
-                  // Add candidates
-                  for (const candidate of seedData.candidates) {
-                    await DatabaseService.createCandidate(candidate);
-                  }
-                  
-                  // Add assessments
-                  for (const assessment of seedData.assessments) {
-                    await DatabaseService.createAssessment(assessment);
-                  }
+                  await resetMutation.mutateAsync();
                   
                   console.log('Database reset and reseeded successfully!');
                   toast.success('Database reset successfully');
-                  loadCandidateData();
                 }
               } catch (error) {
                 console.error('Error resetting database:', error);
@@ -228,11 +218,6 @@ export default function CandidateDetail() {
     );
   }
 
-  const stageOptions = Object.values(CANDIDATE_STAGES).map(stage => ({
-    value: stage,
-    label: STAGE_LABELS[stage],
-  }));
-
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -244,12 +229,7 @@ export default function CandidateDetail() {
             </Button>
           </Link>
           <div>
-            <div className="flex items-center space-x-3">
-              <h1 className="text-2xl font-bold text-gray-900">{candidate.name}</h1>
-              <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${STAGE_COLORS[candidate.stage]}`}>
-                {STAGE_LABELS[candidate.stage]}
-              </span>
-            </div>
+            <h1 className="text-2xl font-bold text-gray-900">{candidate.name}</h1>
             <p className="mt-1 text-sm text-gray-500">
               Added {new Date(candidate.createdAt).toLocaleDateString()}
             </p>
@@ -408,35 +388,44 @@ export default function CandidateDetail() {
 
         {/* Sidebar */}
         <div className="space-y-6">
-          {/* Stage Management */}
-          <Card>
-            <CardHeader>
-              <h3 className="text-lg font-medium text-gray-900">Stage Management</h3>
-            </CardHeader>
-            <CardBody>
-              <div className="space-y-4">
-                <div className="text-center">
-                  <div className={`inline-flex items-center px-3 py-2 rounded-lg text-sm font-medium ${STAGE_COLORS[candidate.stage]}`}>
-                    {STAGE_LABELS[candidate.stage]}
-                  </div>
-                </div>
-                
-                <Select
-                  label="Move to Stage"
-                  options={stageOptions.filter(option => option.value !== candidate.stage)}
-                  onChange={async (e) => {
-                    try {
-                      await DatabaseService.updateCandidate(id, { stage: e.target.value });
-                      toast.success('Stage updated successfully');
-                      loadCandidateData();
-                    } catch (error) {
-                      toast.error('Failed to update stage');
-                    }
-                  }}
-                />
-              </div>
-            </CardBody>
-          </Card>
+          {/* Possible Duplicates */}
+          {duplicates.length > 0 && (
+            <Card>
+              <CardHeader>
+                <h3 className="text-lg font-medium text-gray-900">Possible Duplicates</h3>
+                <p className="mt-1 text-sm text-gray-500">
+                  Other candidates that may be the same person
+                </p>
+              </CardHeader>
+              <CardBody>
+                <ul className="space-y-3">
+                  {duplicates.map(({ candidate: duplicate, matchedOn }) => (
+                    <li key={duplicate.id} className="flex items-start justify-between space-x-2">
+                      <div className="min-w-0">
+                        <Link
+                          to={`/app/candidates/${duplicate.id}`}
+                          className="text-sm font-medium text-primary-600 hover:underline"
+                        >
+                          {duplicate.name}
+                        </Link>
+                        <p className="text-xs text-gray-500 truncate">{duplicate.email}</p>
+                        <p className="text-xs text-yellow-700">
+                          {matchedOn.map(match => DUPLICATE_MATCH_LABELS[match]).join(', ')}
+                        </p>
+                      </div>
+                      <Button variant="outline" size="sm" onClick={() => setMergingDuplicateId(duplicate.id)}>
+                        <ArrowsPointingInIcon className="h-4 w-4 mr-1" />
+                        Merge
+                      </Button>
+                    </li>
+                  ))}
+                </ul>
+              </CardBody>
+            </Card>
+          )}
+
+          {/* Assessments */}
+          <CandidateAssessments candidateId={id} />
 
           {/* Quick Actions */}
           <Card>
@@ -486,6 +475,13 @@ export default function CandidateDetail() {
         </ModalBody>
       </Modal>
 
+      <CandidateMergeModal
+        isOpen={!!mergingDuplicateId}
+        onClose={() => setMergingDuplicateId(null)}
+        candidate={candidate}
+        duplicateId={mergingDuplicateId}
+      />
+
       {/* Add Note Modal */}
       <Modal
         isOpen={showNoteModal}
@@ -510,7 +506,7 @@ export default function CandidateDetail() {
       >
         <ModalBody>
           <p className="text-sm text-gray-500">
-            Are you sure you want to delete "{candidate.name}"? This action cannot be undone and will also delete all associated notes and timeline events.
+            Move "{candidate.name}" to the trash? Their applications, notes and timeline go with them, and you can restore everything from the trash.
           </p>
         </ModalBody>
         <ModalFooter>
@@ -532,7 +528,6 @@ function CandidateEditForm({ candidate, onSubmit, onCancel }) {
     name: candidate.name || '',
     email: candidate.email || '',
     phone: candidate.phone || '',
-    stage: candidate.stage || CANDIDATE_STAGES.APPLIED,
   });
 
   const handleSubmit = (e) => {
@@ -544,11 +539,6 @@ function CandidateEditForm({ candidate, onSubmit, onCancel }) {
     onSubmit(formData);
   };
 
-  const stageOptions = Object.values(CANDIDATE_STAGES).map(stage => ({
-    value: stage,
-    label: STAGE_LABELS[stage],
-  }));
-
   return (
     <form onSubmit={handleSubmit} className="space-y-4">
       <Input
@@ -572,11 +562,11 @@ function CandidateEditForm({ candidate, onSubmit, onCancel }) {
         onChange={(e) => setFormData({ ...formData, phone: e.target.value })}
       />
       
-      <Select
-        label="Stage"
-        options={stageOptions}
-        value={formData.stage}
-        onChange={(e) => setFormData({ ...formData, stage: e.target.value })}
+      <DuplicateWarning
+        name={formData.name}
+        email={formData.email}
+        phone={formData.phone}
+        excludeId={candidate.id}
       />
       
       <div className="flex justify-end space-x-3 pt-4">
@@ -598,16 +588,7 @@ function NoteForm({ onSubmit, onCancel }) {
   const [mentionQuery, setMentionQuery] = useState('');
   const [cursorPosition, setCursorPosition] = useState(0);
 
-  // Mock team members for @mentions
-  const teamMembers = [
-    { id: '1', name: 'John Smith', role: 'HR Manager' },
-    { id: '2', name: 'Sarah Johnson', role: 'Recruiter' },
-    { id: '3', name: 'Mike Chen', role: 'Technical Lead' },
-    { id: '4', name: 'Emily Davis', role: 'Hiring Manager' },
-    { id: '5', name: 'Alex Rodriguez', role: 'HR Coordinator' },
-  ];
-
-  const filteredMembers = teamMembers.filter(member =>
+  const filteredMembers = TEAM_MEMBERS.filter(member =>
     member.name.toLowerCase().includes(mentionQuery.toLowerCase())
   );
 
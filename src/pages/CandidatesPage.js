@@ -1,5 +1,5 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { Link, useSearchParams } from 'react-router-dom';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Link, useSearchParams, useLocation, useNavigate } from 'react-router-dom';
 import { 
   PlusIcon, 
   FunnelIcon,
@@ -10,6 +10,11 @@ import {
   ViewColumnsIcon,
   ListBulletIcon,
   BriefcaseIcon,
+  ClockIcon,
+  AdjustmentsHorizontalIcon,
+  BookmarkIcon,
+  ArrowUpTrayIcon,
+  ArrowDownTrayIcon,
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 import {
@@ -20,6 +25,7 @@ import {
   useSensor,
   useSensors,
   DragOverlay,
+  useDroppable,
 } from '@dnd-kit/core';
 import {
   arrayMove,
@@ -32,32 +38,162 @@ import {
   useSortable,
 } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
-import { DatabaseService } from '../services/database';
-import { CANDIDATE_STAGES, STAGE_LABELS, STAGE_COLORS } from '../types';
+import { candidatesApi, jobsApi, applicationsApi, workspaceApi, settingsApi, queryKeys } from '../services/api';
+import { queryClient, hashQueryKey } from '../services/queryClient';
+import {
+  getJobPipeline,
+  mergePipelines,
+  findStage,
+  getStageLabel,
+  getStageColors,
+} from '../utils/pipeline';
+import { evaluateTransition } from '../utils/transitions';
+import { getSlaStatus } from '../utils/sla';
+import {
+  EMPTY_CANDIDATE_FILTERS,
+  createFilterCondition,
+  createFilterGroup,
+  pruneFilter,
+  countFilterConditions,
+  filtersToSearchParams,
+  filtersFromSearchParams,
+} from '../utils/candidateFilters';
+import { CANDIDATE_EXPORT_COLUMNS } from '../utils/export';
+import { ERROR_TYPES, SETTINGS_KEYS, BULK_ACTIONS } from '../types';
 import Button from '../components/ui/Button';
 import Card, { CardBody } from '../components/ui/Card';
 import Input from '../components/ui/Input';
 import Select from '../components/ui/Select';
 import SearchInput from '../components/ui/SearchInput';
+import Highlight, { HighlightSnippet, findHighlight } from '../components/ui/Highlight';
 import Modal, { ModalBody, ModalFooter } from '../components/ui/Modal';
+import StageTransitionModal from '../components/StageTransitionModal';
+import FilterBuilder from '../components/FilterBuilder';
+import BulkActionBar from '../components/BulkActionBar';
+import CandidateImportWizard from '../components/CandidateImportWizard';
+import DuplicateWarning from '../components/DuplicateWarning';
+import ExportModal from '../components/ExportModal';
+import AssessmentScoreBadge from '../components/AssessmentScoreBadge';
+import { showUndoToast, showTrashUndoToast } from '../components/UndoToast';
 import { useSearch } from '../hooks/useSearch';
+import { useMutation } from '../hooks/useMutation';
+import { useQuery } from '../hooks/useQuery';
+import { usePagedQuery } from '../hooks/usePagedQuery';
+import { useVirtualList } from '../hooks/useVirtualList';
+import { useSelection } from '../hooks/useSelection';
+
+// Rows are windowed, so every list row and kanban card has a fixed height
+const PAGE_SIZE = 50;
+const LIST_ROW_HEIGHT = 140;
+const CARD_HEIGHT = 148;
+
+// Helper function to list the board columns that have cached pages
+const getBoardColumnKeys = () => {
+  const columnKeys = new Map();
+  queryClient.getQueriesData(queryKeys.applications.boards).forEach(([queryKey]) => {
+    const columnKey = queryKey.slice(0, -1);
+    columnKeys.set(hashQueryKey(columnKey), columnKey);
+  });
+  return Array.from(columnKeys.values());
+};
+
+// Helper function to change a board column's cached pages as one list.
+// update(items) gets the cards by position in the column (positions on pages
+// not loaded are empty) and returns the new list; each page then takes its
+// slice again, so later pages shift along and all agree on the total.
+const updateBoardColumn = (columnKey, update) => {
+  const pages = queryClient.getQueriesData(columnKey).map(([queryKey, data]) => ({
+    queryKey,
+    data,
+    ...queryKey[queryKey.length - 1],
+  }));
+  const items = new Array(pages[0].data.total);
+  pages.forEach(({ data, page, pageSize }) => {
+    data.items.forEach((item, index) => {
+      items[(page - 1) * pageSize + index] = item;
+    });
+  });
+
+  const updated = update(items);
+  pages.forEach(({ queryKey, data, page, pageSize }) => {
+    queryClient.setQueryData(queryKey, {
+      ...data,
+      items: Array.from(updated.slice((page - 1) * pageSize, page * pageSize)),
+      total: updated.length,
+    });
+  });
+};
+
+// Helper function to move a card between the cached board columns: it leaves
+// its old column and joins the top of its new one. Returns where it was taken
+// out, so a failed move can put it back.
+const moveBoardCard = (application, stage) => {
+  const moved = { ...application, status: stage, stageEnteredAt: new Date().toISOString() };
+  const removedFrom = [];
+  getBoardColumnKeys().forEach((columnKey) => {
+    const column = columnKey[columnKey.length - 1];
+    if (column.stage === application.status) {
+      updateBoardColumn(columnKey, (items) => {
+        const index = items.findIndex(item => item?.id === application.id);
+        if (index >= 0) {
+          items.splice(index, 1);
+          removedFrom.push({ columnKey, index });
+        }
+        return items;
+      });
+    } else if (column.stage === stage && !column.overdue && (!column.jobId || column.jobId === application.jobId)) {
+      updateBoardColumn(columnKey, items => [moved, ...items]);
+    }
+  });
+  return removedFrom;
+};
+
+// Helper function to undo moveBoardCard for that card alone, so cards moved
+// in the meantime stay where they are
+const revertBoardCard = (application, stage, removedFrom) => {
+  getBoardColumnKeys()
+    .filter(columnKey => columnKey[columnKey.length - 1].stage === stage)
+    .forEach(columnKey => updateBoardColumn(columnKey, (items) => {
+      const index = items.findIndex(item => item?.id === application.id);
+      if (index >= 0) items.splice(index, 1);
+      return items;
+    }));
+  removedFrom.forEach(({ columnKey, index }) => updateBoardColumn(columnKey, (items) => {
+    if (!items.some(item => item?.id === application.id)) items.splice(index, 0, application);
+    return items;
+  }));
+};
+
+// Helper function to read a page of an API list response as { items, total }
+const toPage = (key) => (result) => ({ items: result[key], total: result.pagination.total });
+
+const pluralize = (count, noun) => `${count} ${noun}${count !== 1 ? 's' : ''}`;
 
 export default function CandidatesPage() {
-  const [candidates, setCandidates] = useState([]);
-  const [loading, setLoading] = useState(true);
   const [searchParams, setSearchParams] = useSearchParams();
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [exportTarget, setExportTarget] = useState(null);
+  const location = useLocation();
+  const navigate = useNavigate();
   const [editingCandidate, setEditingCandidate] = useState(null);
   const [deletingCandidate, setDeletingCandidate] = useState(null);
   const [showApplyModal, setShowApplyModal] = useState(false);
   const [applyingCandidate, setApplyingCandidate] = useState(null);
   const [availableJobs, setAvailableJobs] = useState([]);
   const [selectedJobId, setSelectedJobId] = useState('');
-  const [currentPage, setCurrentPage] = useState(1);
-  const [pageSize] = useState(50); // Show 50 candidates per page
   const [viewMode, setViewMode] = useState('list'); // 'list' or 'kanban'
-  const [activeId, setActiveId] = useState(null);
+  const [activeApplication, setActiveApplication] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
+  const [pendingMove, setPendingMove] = useState(null);
+
+  // The command palette links here with { create: true } to open the form
+  useEffect(() => {
+    if (location.state?.create) {
+      setShowCreateModal(true);
+      navigate(`${location.pathname}${location.search}`, { replace: true, state: null });
+    }
+  }, [location.state, location.pathname, location.search, navigate]);
 
   // Search functionality
   const { 
@@ -67,12 +203,15 @@ export default function CandidatesPage() {
     handleSearchChange 
   } = useSearch(searchParams.get('search') || '', 300);
 
-  // Filters
-  const [filters, setFilters] = useState({
-    search: searchParams.get('search') || '',
-    stage: searchParams.get('stage') || '',
-    jobId: searchParams.get('jobId') || '',
-  });
+  // Filters, and the saved view they were opened from
+  const [filters, setFilters] = useState(() => filtersFromSearchParams(searchParams));
+  const [activeViewId, setActiveViewId] = useState(searchParams.get('view') || '');
+  const [draftFilter, setDraftFilter] = useState(null);
+  const [viewModal, setViewModal] = useState(null); // { name } while saving a view
+  const syncedSearch = useRef(searchParams.toString());
+  // Candidates are selected in the list, applications on the board
+  const selection = useSelection();
+  const { clear: clearSelection } = selection;
 
   
   const sensors = useSensors(
@@ -83,29 +222,114 @@ export default function CandidatesPage() {
   );
 
   
-  const candidatesByStage = useMemo(() => {
-    const grouped = {};
-    Object.values(CANDIDATE_STAGES).forEach(stage => {
-      grouped[stage] = candidates.filter(candidate => candidate.stage === stage);
-    });
-    return grouped;
-  }, [candidates]);
+  // The list view reads candidates a page at a time as rows scroll into view
+  const candidatesQuery = usePagedQuery(
+    queryKeys.candidates.list(filters),
+    (page, pageSize) => candidatesApi.list({ ...filters, page, pageSize }).then(toPage('candidates')),
+    {
+      pageSize: PAGE_SIZE,
+      enabled: viewMode === 'list',
+      keepPreviousData: true,
+      onError: (error) => {
+        console.error('Error loading candidates:', error);
+        toast.error('Failed to load candidates');
+      },
+    }
+  );
 
-  const loadCandidates = React.useCallback(async () => {
-    try {
-      setLoading(true);
-      const candidatesData = await DatabaseService.getCandidates(filters);
-      console.log('Loaded candidates:', candidatesData.length, 'candidates');
-      console.log('First few candidates:', candidatesData.slice(0, 3));
-      console.log('Sample candidate IDs:', candidatesData.slice(0, 5).map(c => c.id));
-      setCandidates(candidatesData);
-    } catch (error) {
-      console.error('Error loading candidates:', error);
-      toast.error('Failed to load candidates');
-    } finally {
-      setLoading(false);
+  const jobsQuery = useQuery(queryKeys.jobs.allMatching(), () => jobsApi.getAll());
+  const jobs = useMemo(() => jobsQuery.data || [], [jobsQuery.data]);
+  const loading = jobsQuery.isLoading;
+
+  const viewsQuery = useQuery(
+    queryKeys.settings.detail(SETTINGS_KEYS.CANDIDATE_VIEWS),
+    () => settingsApi.get(SETTINGS_KEYS.CANDIDATE_VIEWS),
+    { onError: (error) => console.error('Error loading saved views:', error) }
+  );
+  const savedViews = useMemo(() => viewsQuery.data || [], [viewsQuery.data]);
+  const activeView = savedViews.find(view => view.id === activeViewId);
+
+  const jobsById = useMemo(() => new Map(jobs.map(job => [job.id, job])), [jobs]);
+  const selectedJob = jobsById.get(filters.jobId);
+  const pipelineForJob = (jobId) => getJobPipeline(jobsById.get(jobId));
+
+  // The board shows the selected job's pipeline, or every job's stages combined
+  const boardStages = useMemo(() => {
+    if (selectedJob) return getJobPipeline(selectedJob);
+    return mergePipelines(jobs.length > 0 ? jobs.map(getJobPipeline) : [getJobPipeline(null)]);
+  }, [jobs, selectedJob]);
+
+  // Choices offered by the advanced filter builder
+  const filterOptions = useMemo(() => ({
+    jobs,
+    stages: mergePipelines(jobs.length > 0 ? jobs.map(getJobPipeline) : [getJobPipeline(null)]),
+    departments: Array.from(new Set(jobs.map(job => job.department).filter(Boolean))).sort(),
+    tags: Array.from(new Set(jobs.flatMap(job => job.tags || []))).sort(),
+  }), [jobs]);
+
+  // Each kanban column pages through its own stage with these filters
+  const boardFilters = useMemo(
+    () => ({ jobId: filters.jobId, search: filters.search, overdue: filters.overdue, filter: filters.filter }),
+    [filters.jobId, filters.search, filters.overdue, filters.filter]
+  );
+
+  const candidateInvalidation = [
+    queryKeys.candidates.all,
+    queryKeys.applications.all,
+    queryKeys.stats,
+    queryKeys.reports.all,
+    queryKeys.timeline.all,
+  ];
+  const createCandidateMutation = useMutation(candidatesApi.create, {
+    invalidates: candidateInvalidation,
+  });
+  const updateCandidateMutation = useMutation(
+    ({ id, updates }) => candidatesApi.update(id, updates),
+    { invalidates: candidateInvalidation }
+  );
+  const deleteCandidateMutation = useMutation(candidatesApi.delete, {
+    invalidates: [...candidateInvalidation, queryKeys.notes.all, queryKeys.trash],
+  });
+  const applyMutation = useMutation(
+    ({ candidateId, jobId }) => applicationsApi.apply(candidateId, jobId),
+    { invalidates: [queryKeys.applications.all, queryKeys.candidates.all, queryKeys.reports.all] }
+  );
+  const resetMutation = useMutation(workspaceApi.reset, {
+    onSuccess: () => queryClient.invalidateQueries(),
+  });
+
+  const moveStageMutation = useMutation(
+    ({ application, stage, details }) => applicationsApi.updateStatus(application.id, stage, '', details),
+    {
+      onMutate: ({ application, stage }) => {
+        queryClient.cancelQueries(queryKeys.applications.boards);
+        return { removedFrom: moveBoardCard(application, stage) };
+      },
+      onSuccess: (updatedApplication, { stageName }) => {
+        queryClient.setQueriesData(queryKeys.applications.boards, data => ({
+          ...data,
+          items: data.items.map(app => (app?.id === updatedApplication.id ? { ...app, ...updatedApplication } : app)),
+        }));
+        toast.success(`Application moved to ${stageName}`);
+      },
+      onError: (error, { application, stage, stageName, candidateName }, context) => {
+        console.error('Error updating application stage:', error);
+        if (context) revertBoardCard(application, stage, context.removedFrom);
+        toast.error(
+          error.type === ERROR_TYPES.VALIDATION_ERROR
+            ? error.message
+            : `Couldn't move ${candidateName || 'application'} to ${stageName}. The change was reverted.`
+        );
+      },
+      invalidates: [
+        queryKeys.applications.all,
+        queryKeys.candidates.all,
+        queryKeys.stats,
+        queryKeys.reports.all,
+        queryKeys.timeline.all,
+      ],
     }
-  }, [filters]);
+  );
 
   // Update filters when debounced search value changes
   useEffect(() => {
@@ -115,25 +339,179 @@ export default function CandidatesPage() {
     }));
   }, [debouncedValue]);
 
+  // Links elsewhere (such as saved views in the sidebar) change the URL
+  // while this page stays mounted, so take the filters from it
   useEffect(() => {
-    loadCandidates();
-  }, [loadCandidates]);
+    const params = new URLSearchParams(location.search);
+    if (params.toString() === syncedSearch.current) return;
+    const nextFilters = filtersFromSearchParams(params);
+    syncedSearch.current = params.toString();
+    setFilters(nextFilters);
+    setActiveViewId(params.get('view') || '');
+    setDraftFilter(null);
+    handleSearchChange(nextFilters.search);
+  }, [location.search, handleSearchChange]);
 
   useEffect(() => {
     // Update URL params when filters change
-    const params = new URLSearchParams();
-    if (filters.search) params.set('search', filters.search);
-    if (filters.stage) params.set('stage', filters.stage);
-    if (filters.jobId) params.set('jobId', filters.jobId);
+    const params = filtersToSearchParams(filters, activeViewId);
+    syncedSearch.current = params.toString();
     setSearchParams(params);
-  }, [filters, setSearchParams]);
+  }, [filters, activeViewId, setSearchParams]);
+
+  // A selection only holds items the current view and filters showed
+  useEffect(() => {
+    clearSelection();
+  }, [filters, viewMode, clearSelection]);
+
+  const bulkMutation = useMutation(
+    ({ action, target, options }) => candidatesApi.bulk(action, target, options),
+    { invalidates: [...candidateInvalidation, queryKeys.notes.all, queryKeys.trash] }
+  );
+  const undoBulkMutation = useMutation(candidatesApi.undoBulk, {
+    invalidates: [...candidateInvalidation, queryKeys.notes.all, queryKeys.trash],
+  });
+
+  // Ids of everything the current filters match: applications on the board,
+  // candidates in the list
+  const fetchMatchingIds = () => (viewMode === 'kanban'
+    ? applicationsApi.boardIds({ ...boardFilters, stage: filters.stage })
+    : candidatesApi.ids(filters));
+
+  const handleSelectAllMatching = async () => {
+    try {
+      selection.selectAll(await fetchMatchingIds());
+    } catch (error) {
+      console.error('Error selecting candidates:', error);
+      toast.error('Failed to select all matching candidates');
+    }
+  };
+
+  const toBulkTarget = (ids) => (viewMode === 'kanban' ? { applicationIds: ids } : { candidateIds: ids });
+
+  // Candidates (with their applications) behind the given list or board ids
+  const loadExportRows = async (ids) => {
+    const { candidates } = await candidatesApi.bulk(BULK_ACTIONS.EXPORT, toBulkTarget(ids));
+    return candidates;
+  };
+
+  const handleExportMatching = () => {
+    setExportTarget({
+      title: 'Export candidates',
+      description: 'Exports every candidate matching the current search and filters.',
+      loadRows: async () => loadExportRows(await fetchMatchingIds()),
+    });
+  };
+
+  const handleBulkAction = async (action, options = {}) => {
+    const ids = Array.from(selection.selected);
+    if (action === BULK_ACTIONS.EXPORT) {
+      setExportTarget({
+        title: `Export ${pluralize(ids.length, 'selected candidate')}`,
+        loadRows: () => loadExportRows(ids),
+      });
+      return;
+    }
+    await runBulkAction(action, toBulkTarget(ids), options);
+  };
+
+  const runBulkAction = async (action, target, options) => {
+    const { stageName, jobTitle, ...actionOptions } = options;
+
+    try {
+      const result = await bulkMutation.mutateAsync({ action, target, options: actionOptions });
+      const summary = {
+        [BULK_ACTIONS.MOVE]: `Moved ${pluralize(result.affected, 'application')} to ${stageName}`,
+        [BULK_ACTIONS.REJECT]: `Rejected ${pluralize(result.affected, 'application')}`,
+        [BULK_ACTIONS.APPLY]: `Applied ${pluralize(result.affected, 'candidate')} to ${jobTitle}`,
+        [BULK_ACTIONS.TAG]: `Tagged ${pluralize(result.affected, 'candidate')} "${options.tag}"`,
+        [BULK_ACTIONS.DELETE]: `Moved ${pluralize(result.affected, 'candidate')} to the trash`,
+      }[action];
+      clearSelection();
+      showUndoToast({
+        message: summary,
+        details: result.skipped.length > 0
+          ? [
+            `${pluralize(result.skipped.length, 'item')} skipped:`,
+            ...result.skipped.slice(0, 3).map(item => `${item.name}: ${item.reason}`),
+          ]
+          : [],
+        undoneMessage: 'Bulk action undone',
+        onUndo: () => undoBulkMutation.mutateAsync(result.operationId),
+        // Redoing runs the action again on the same selection
+        onRedo: () => runBulkAction(action, target, options),
+      });
+    } catch (error) {
+      console.error('Error running bulk action:', error);
+      toast.error(error.type === ERROR_TYPES.VALIDATION_ERROR ? error.message : 'The bulk action failed. Nothing was changed.');
+    }
+  };
+
+  const saveViewsMutation = useMutation(
+    (views) => settingsApi.update(SETTINGS_KEYS.CANDIDATE_VIEWS, views),
+    { invalidates: [queryKeys.settings.detail(SETTINGS_KEYS.CANDIDATE_VIEWS)] }
+  );
+
+  const handleSaveView = async (e) => {
+    e.preventDefault();
+    const name = viewModal.name.trim();
+    try {
+      const views = await saveViewsMutation.mutateAsync([...savedViews, { name, filters }]);
+      setActiveViewId(views.find(view => view.name === name)?.id || '');
+      toast.success(`Saved view "${name}"`);
+      setViewModal(null);
+    } catch (error) {
+      console.error('Error saving view:', error);
+      toast.error(error.type === ERROR_TYPES.VALIDATION_ERROR ? error.message : 'Failed to save view');
+    }
+  };
+
+  const handleUpdateView = async () => {
+    try {
+      await saveViewsMutation.mutateAsync(
+        savedViews.map(view => (view.id === activeViewId ? { ...view, filters } : view))
+      );
+      toast.success(`Updated view "${activeView.name}"`);
+    } catch (error) {
+      console.error('Error updating view:', error);
+      toast.error('Failed to update view');
+    }
+  };
+
+  const handleDeleteView = async () => {
+    if (!window.confirm(`Delete the saved view "${activeView.name}"?`)) return;
+    try {
+      await saveViewsMutation.mutateAsync(savedViews.filter(view => view.id !== activeViewId));
+      setActiveViewId('');
+      toast.success('Saved view deleted');
+    } catch (error) {
+      console.error('Error deleting view:', error);
+      toast.error('Failed to delete view');
+    }
+  };
+
+  const handleToggleAdvanced = () => {
+    setDraftFilter(draftFilter
+      ? null
+      : filters.filter || createFilterGroup({ conditions: [createFilterCondition()] }));
+  };
+
+  const handleApplyAdvanced = () => {
+    setFilters({ ...filters, filter: pruneFilter(draftFilter) });
+  };
+
+  const handleClearFilters = () => {
+    setFilters(EMPTY_CANDIDATE_FILTERS);
+    setActiveViewId('');
+    setDraftFilter(null);
+    handleSearchChange('');
+  };
 
   const handleCreateCandidate = async (candidateData) => {
     try {
-      await DatabaseService.createCandidate(candidateData);
+      await createCandidateMutation.mutateAsync(candidateData);
       toast.success('Candidate created successfully');
       setShowCreateModal(false);
-      loadCandidates();
     } catch (error) {
       console.error('Error creating candidate:', error);
       toast.error('Failed to create candidate');
@@ -142,22 +520,29 @@ export default function CandidatesPage() {
 
   const handleUpdateCandidate = async (candidateData) => {
     try {
-      await DatabaseService.updateCandidate(editingCandidate.id, candidateData);
+      await updateCandidateMutation.mutateAsync({ id: editingCandidate.id, updates: candidateData });
       toast.success('Candidate updated successfully');
       setEditingCandidate(null);
-      loadCandidates();
     } catch (error) {
       console.error('Error updating candidate:', error);
       toast.error('Failed to update candidate');
     }
   };
 
+  const deleteCandidate = async (id) => {
+    const trashEntry = await deleteCandidateMutation.mutateAsync(id);
+    showTrashUndoToast(trashEntry, {
+      onRedo: () => deleteCandidate(id).catch((error) => {
+        console.error('Error deleting candidate:', error);
+        toast.error('Failed to delete candidate');
+      }),
+    });
+  };
+
   const handleDeleteCandidate = async () => {
     try {
-      await DatabaseService.deleteCandidate(deletingCandidate.id);
-      toast.success('Candidate deleted successfully');
+      await deleteCandidate(deletingCandidate.id);
       setDeletingCandidate(null);
-      loadCandidates();
     } catch (error) {
       console.error('Error deleting candidate:', error);
       toast.error('Failed to delete candidate');
@@ -167,7 +552,10 @@ export default function CandidatesPage() {
   const handleOpenApplyModal = async (candidate) => {
     try {
       setApplyingCandidate(candidate);
-      const jobs = await DatabaseService.getJobs({ status: 'active' });
+      const jobs = await queryClient.fetchQuery(
+        queryKeys.jobs.allMatching({ status: 'active' }),
+        () => jobsApi.getAll({ status: 'active' })
+      );
       setAvailableJobs(jobs);
       setShowApplyModal(true);
     } catch (error) {
@@ -180,7 +568,7 @@ export default function CandidatesPage() {
     if (!applyingCandidate || !selectedJobId) return;
     
     try {
-      await DatabaseService.applyCandidateToJob(applyingCandidate.id, selectedJobId);
+      await applyMutation.mutateAsync({ candidateId: applyingCandidate.id, jobId: selectedJobId });
       toast.success('Candidate applied to job successfully');
       setShowApplyModal(false);
       setApplyingCandidate(null);
@@ -193,70 +581,82 @@ export default function CandidatesPage() {
 
   // Drag and drop handlers
   const handleDragStart = (event) => {
-    setActiveId(event.active.id);
+    setActiveApplication(event.active.data.current?.application || null);
     setIsDragging(true);
   };
 
-  const handleDragEnd = async (event) => {
+  const handleDragEnd = (event) => {
     const { active, over } = event;
-    setActiveId(null);
+    setActiveApplication(null);
     setIsDragging(false);
 
     if (!over) return;
 
-    const candidateId = active.id;
-    const newStage = over.id;
+    // Dropped either on a column (stage id) or on another card in a column.
+    // Cards carry their application, since columns only hold loaded pages.
+    const overApplication = over.data.current?.application;
+    const newStage = overApplication ? overApplication.status : over.id;
 
-    // Find the candidate
-    const candidate = candidates.find(c => c.id === candidateId);
-    if (!candidate || candidate.stage === newStage) return;
+    const application = active.data.current?.application;
+    if (!application || application.status === newStage) return;
 
-    // Optimistic update
-    setCandidates(prev => 
-      prev.map(c => 
-        c.id === candidateId ? { ...c, stage: newStage } : c
-      )
-    );
+    // On the combined board a column may belong to other jobs' pipelines only
+    const stage = findStage(pipelineForJob(application.jobId), newStage);
+    if (!stage) {
+      toast.error(`${getStageLabel(boardStages, newStage)} isn't a stage of the ${application.jobTitle} pipeline`);
+      return;
+    }
 
-    try {
-      await DatabaseService.updateCandidate(candidateId, { stage: newStage });
-      toast.success(`Candidate moved to ${STAGE_LABELS[newStage]}`);
-    } catch (error) {
-      console.error('Error updating candidate stage:', error);
-      // Rollback on failure
-      setCandidates(prev => 
-        prev.map(c => 
-          c.id === candidateId ? { ...c, stage: candidate.stage } : c
-        )
-      );
-      toast.error('Failed to update candidate stage');
+    // Blocked moves leave the card where it was; moves that need data wait
+    // for the transition modal
+    const { allowed, reason, missingFields } = evaluateTransition(
+      pipelineForJob(application.jobId),
+      application.status,
+      newStage
+    );
+    if (!allowed && missingFields.length === 0) {
+      toast.error(reason);
+      return;
+    }
+    const move = {
+      applicationId: application.id,
+      application,
+      stage: newStage,
+      stageName: stage.name,
+      candidateName: application.candidate.name,
+    };
+    if (missingFields.length > 0) {
+      setPendingMove({ ...move, toStage: stage, fields: missingFields });
+      return;
     }
+
+    moveStageMutation.mutate(move);
+  };
+
+  const handleConfirmPendingMove = (details) => {
+    const { application, stage, stageName, candidateName } = pendingMove;
+    setPendingMove(null);
+    moveStageMutation.mutate({ application, stage, stageName, candidateName, details });
   };
 
   const stageOptions = [
     { value: '', label: 'All Stages' },
-    ...Object.values(CANDIDATE_STAGES).map(stage => ({
-      value: stage,
-      label: STAGE_LABELS[stage],
+    ...boardStages.map(stage => ({
+      value: stage.id,
+      label: stage.name,
     })),
   ];
 
-  // Pagination logic
-  const totalPages = Math.ceil(candidates.length / pageSize);
-  const startIndex = (currentPage - 1) * pageSize;
-  const endIndex = startIndex + pageSize;
-  const paginatedCandidates = candidates.slice(startIndex, endIndex);
-
-  const handlePageChange = (page) => {
-    setCurrentPage(page);
-    // Scroll to top when changing pages
-    window.scrollTo({ top: 0, behavior: 'smooth' });
-  };
+  const jobOptions = [
+    { value: '', label: 'All Jobs' },
+    ...jobs.map(job => ({ value: job.id, label: job.title })),
+  ];
 
-  // Reset to first page when filters change
-  useEffect(() => {
-    setCurrentPage(1);
-  }, [filters]);
+  const advancedCount = countFilterConditions(filters.filter);
+  const hasFilters = Boolean(filters.search || filters.stage || filters.jobId || filters.overdue || advancedCount);
+  // Filters changed since the active view was opened or saved
+  const viewChanged = !!activeView
+    && filtersToSearchParams(activeView.filters).toString() !== filtersToSearchParams(filters).toString();
 
   if (loading) {
     return (
@@ -315,30 +715,10 @@ export default function CandidatesPage() {
                   try {
                     if (window.confirm('Are you sure you want to reset the database? This will delete all data and reseed with fresh data.')) {
                       console.log('Resetting database...');
-                      await DatabaseService.clearAllData();
-                      
-                      // Re-seed the database
-                      const { generateSeedData } = await import('../data/seedData');
-                      const seedData = generateSeedData();
-                      
-                      // Add jobs
-                      for (const job of seedData.jobs) {
-                        await DatabaseService.createJob(job);
-                      }
-                      
-                      // Add candidates
-                      for (const candidate of seedData.candidates) {
-                        await DatabaseService.createCandidate(candidate);
-                      }
-                      
-                      // Add assessments
-                      for (const assessment of seedData.assessments) {
-                        await DatabaseService.createAssessment(assessment);
-                      }
+                      await resetMutation.mutateAsync();
                       
                       console.log('Database reset and reseeded successfully!');
                       toast.success('Database reset successfully');
-                      loadCandidates();
                     }
                   } catch (error) {
                     console.error('Error resetting database:', error);
@@ -348,6 +728,22 @@ export default function CandidatesPage() {
               >
                 Reset Database
               </Button>
+              <Button
+                variant="outline"
+                onClick={handleExportMatching}
+                className="bg-white/10 text-white border-white/20 hover:bg-white/20 hover:border-white/30 px-4 py-2 text-sm"
+              >
+                <ArrowDownTrayIcon className="h-5 w-5 mr-2" />
+                Export
+              </Button>
+              <Button
+                variant="outline"
+                onClick={() => setShowImportModal(true)}
+                className="bg-white/10 text-white border-white/20 hover:bg-white/20 hover:border-white/30 px-4 py-2 text-sm"
+              >
+                <ArrowUpTrayIcon className="h-5 w-5 mr-2" />
+                Import
+              </Button>
               <Button 
                 onClick={() => setShowCreateModal(true)}
                 className="bg-white text-primary-700 hover:bg-primary-50 border-0 shadow-lg hover:shadow-xl px-4 py-2 text-sm font-semibold"
@@ -363,11 +759,11 @@ export default function CandidatesPage() {
       {/* Filters */}
       <Card>
         <CardBody>
-          <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-4">
             <SearchInput
               value={searchValue}
               onChange={handleSearchChange}
-              placeholder="Search candidates by name or email..."
+              placeholder="Search candidates by name, email, phone, notes, or answers..."
               loading={isSearching || loading}
               className="w-full"
             />
@@ -379,264 +775,249 @@ export default function CandidatesPage() {
               onChange={(e) => setFilters({ ...filters, stage: e.target.value })}
             />
             
+            <Select
+              options={jobOptions}
+              value={filters.jobId}
+              className="px-4 py-2 border border-gray-300 rounded-md"
+              onChange={(e) => setFilters({ ...filters, jobId: e.target.value })}
+            />
+            
             <div className="flex items-center space-x-2">
+              <Button
+                variant={filters.overdue ? 'primary' : 'outline'}
+                onClick={() => setFilters({ ...filters, overdue: !filters.overdue })}
+                title="Only candidates who have been in a stage longer than its SLA"
+              >
+                <ClockIcon className="h-5 w-5 mr-2" />
+                Past SLA
+              </Button>
               <Button
                 variant="outline"
-                onClick={() => {
-                  setFilters({ search: '', stage: '', jobId: '' });
-                  handleSearchChange('');
-                }}
-                disabled={!filters.search && !filters.stage && !filters.jobId}
+                onClick={handleClearFilters}
+                disabled={!hasFilters}
               >
                 <FunnelIcon className="h-5 w-5 mr-2" />
                 Clear Filters
               </Button>
             </div>
           </div>
+
+          <div className="mt-4 flex flex-wrap items-center justify-between gap-3">
+            <Button
+              variant={draftFilter || advancedCount ? 'primary' : 'outline'}
+              size="sm"
+              onClick={handleToggleAdvanced}
+            >
+              <AdjustmentsHorizontalIcon className="h-4 w-4 mr-2" />
+              Advanced filters{advancedCount > 0 && ` (${advancedCount})`}
+            </Button>
+
+            <div className="flex items-center space-x-2">
+              {activeView && (
+                <span className="text-sm text-gray-600">
+                  View: <strong>{activeView.name}</strong>{viewChanged && ' (edited)'}
+                </span>
+              )}
+              {activeView && viewChanged && (
+                <Button variant="outline" size="sm" onClick={handleUpdateView} disabled={saveViewsMutation.isLoading}>
+                  Update view
+                </Button>
+              )}
+              {activeView && (
+                <Button variant="ghost" size="sm" onClick={handleDeleteView} disabled={saveViewsMutation.isLoading}>
+                  Delete view
+                </Button>
+              )}
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setViewModal({ name: '' })}
+                disabled={!hasFilters}
+                title="Save these filters as a view in the sidebar"
+              >
+                <BookmarkIcon className="h-4 w-4 mr-2" />
+                Save view
+              </Button>
+            </div>
+          </div>
+
+          {draftFilter && (
+            <div className="mt-4 rounded-xl border border-gray-200 p-4 space-y-4">
+              <FilterBuilder value={draftFilter} onChange={setDraftFilter} options={filterOptions} />
+              <div className="flex justify-end space-x-2">
+                <Button variant="outline" size="sm" onClick={() => setDraftFilter(null)}>
+                  Close
+                </Button>
+                <Button size="sm" onClick={handleApplyAdvanced}>
+                  Apply filters
+                </Button>
+              </div>
+            </div>
+          )}
           
           {/* Search results info */}
-          {(filters.search || filters.stage) && (
+          {hasFilters && (
             <div className="mt-4 flex items-center justify-between text-sm text-gray-600">
               <div className="flex items-center space-x-4">
                 {filters.search && (
                   <span>Searching for: <strong>"{filters.search}"</strong></span>
                 )}
                 {filters.stage && (
-                  <span>Stage: <strong>{STAGE_LABELS[filters.stage] || filters.stage}</strong></span>
+                  <span>Stage: <strong>{getStageLabel(boardStages, filters.stage)}</strong></span>
+                )}
+                {selectedJob && (
+                  <span>Job: <strong>{selectedJob.title}</strong></span>
+                )}
+                {filters.overdue && (
+                  <span><strong>Past stage SLA</strong></span>
+                )}
+                {advancedCount > 0 && (
+                  <span>Advanced: <strong>{advancedCount} condition{advancedCount !== 1 ? 's' : ''}</strong></span>
                 )}
               </div>
-              <span>
-                {loading ? 'Loading...' : `${candidates.length} candidate${candidates.length !== 1 ? 's' : ''} found`}
-              </span>
+              {viewMode === 'list' && (
+                <span>
+                  {candidatesQuery.isLoading
+                    ? 'Loading...'
+                    : `${candidatesQuery.total} candidate${candidatesQuery.total !== 1 ? 's' : ''} found`}
+                </span>
+              )}
             </div>
           )}
         </CardBody>
       </Card>
 
+      {selection.count > 0 && (
+        <BulkActionBar
+          count={selection.count}
+          totalMatching={viewMode === 'list' ? candidatesQuery.total : null}
+          selectsApplications={viewMode === 'kanban'}
+          jobs={jobs}
+          stages={boardStages}
+          defaultJobId={filters.jobId}
+          isRunning={bulkMutation.isLoading}
+          onSelectAll={handleSelectAllMatching}
+          onClear={clearSelection}
+          onRun={handleBulkAction}
+        />
+      )}
+
       {/* Candidates View */}
-      {candidates.length === 0 ? (
-        <Card>
-          <CardBody>
-            <div className="text-center py-12">
-              <UserIcon className="mx-auto h-12 w-12 text-gray-400" />
-              <h3 className="mt-2 text-sm font-medium text-gray-900">No candidates found</h3>
-              <p className="mt-1 text-sm text-gray-500">
-                {filters.search || filters.stage || filters.jobId
-                  ? 'Try adjusting your search criteria.'
-                  : 'Get started by adding a new candidate.'
-                }
-              </p>
-              {!filters.search && !filters.stage && !filters.jobId && (
-                <div className="mt-6">
-                  <Button onClick={() => setShowCreateModal(true)}>
-                    <PlusIcon className="h-5 w-5 mr-2" />
-                    Add Candidate
-                  </Button>
-                </div>
-              )}
-            </div>
-          </CardBody>
-        </Card>
-      ) : viewMode === 'kanban' ? (
+      {viewMode === 'kanban' ? (
         <DndContext
           sensors={sensors}
           collisionDetection={closestCenter}
           onDragStart={handleDragStart}
           onDragEnd={handleDragEnd}
         >
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-6 gap-6">
-            {Object.values(CANDIDATE_STAGES).map((stage) => (
+          {/* Pipelines can have any number of stages, so the board scrolls sideways */}
+          <div className="flex gap-6 overflow-x-auto pb-2">
+            {boardStages.map((stage) => (
               <KanbanColumn
-                key={stage}
+                key={stage.id}
                 stage={stage}
-                candidates={candidatesByStage[stage] || []}
+                filters={boardFilters}
+                enabled={!filters.stage || filters.stage === stage.id}
+                activeId={activeApplication?.id}
+                pipelineForJob={pipelineForJob}
+                showJobTitle={!filters.jobId}
+                selection={selection}
                 onEdit={setEditingCandidate}
                 onDelete={setDeletingCandidate}
               />
             ))}
           </div>
           <DragOverlay>
-            {activeId ? (
+            {activeApplication ? (
               <div className="bg-white rounded-lg shadow-lg p-4 border border-gray-200">
                 <p className="font-medium text-gray-900">
-                  {candidates.find(c => c.id === activeId)?.name}
+                  {activeApplication.candidate.name}
                 </p>
               </div>
             ) : null}
           </DragOverlay>
         </DndContext>
-      ) : (
+      ) : candidatesQuery.isLoading ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      ) : candidatesQuery.total === 0 ? (
         <Card>
           <CardBody>
-            <div className="space-y-4">
-              {/* Candidates List */}
-              <div className="space-y-4">
-                {paginatedCandidates.map((candidate) => (
-                  <div key={candidate.id} className="group flex items-center justify-between p-6 bg-gradient-to-r from-white to-gray-50 rounded-xl shadow-soft border border-gray-100 hover:shadow-medium hover:scale-[1.02] transition-all duration-300">
-                    <div className="flex items-center space-x-6">
-                      <div className="relative">
-                        <div className="h-14 w-14 rounded-full bg-gradient-to-r from-primary-500 to-primary-600 flex items-center justify-center shadow-lg group-hover:shadow-xl transition-all duration-200">
-                          <span className="text-lg font-bold text-white">
-                            {candidate.name.split(' ').map(n => n[0]).join('')}
-                          </span>
-                        </div>
-                        <div className="absolute -bottom-1 -right-1 h-4 w-4 rounded-full bg-green-500 border-2 border-white"></div>
-                      </div>
-                      
-                      <div className="flex-1 min-w-0">
-                        <p className="text-lg font-bold text-gray-900 truncate group-hover:text-primary-700 transition-colors">
-                          {candidate.name}
-                        </p>
-                        <p className="text-sm text-gray-600 truncate">
-                          {candidate.email}
-                        </p>
-                        {candidate.phone && (
-                          <p className="text-sm text-gray-500 truncate">
-                            {candidate.phone}
-                          </p>
-                        )}
-                      </div>
-                      
-                      <div className="flex items-center space-x-3">
-                        <span className={`inline-flex items-center px-4 py-2 rounded-full text-sm font-semibold border ${STAGE_COLORS[candidate.stage]} shadow-sm`}>
-                          {STAGE_LABELS[candidate.stage]}
-                        </span>
-                      </div>
-                    </div>
-                    
-                    <div className="flex items-center space-x-2 opacity-0 group-hover:opacity-100 transition-opacity duration-200">
-                      <Link to={`/app/candidates/${candidate.id}`}>
-                        <Button 
-                          variant="outline" 
-                          size="sm" 
-                          className="hover:bg-primary-50 hover:border-primary-300 px-3 py-2"
-                          title="View Details"
-                        >
-                          <EyeIcon className="h-4 w-4" />
-                        </Button>
-                      </Link>
-                      
-                      <Button
-                        variant="outline"
-                        size="sm"
-                        onClick={() => handleOpenApplyModal(candidate)}
-                        className="hover:bg-blue-50 hover:border-blue-300 px-3 py-2"
-                        title="Apply to Job"
-                      >
-                        <BriefcaseIcon className="h-4 w-4" />
-                      </Button>
-                      
-                      <Button
-                        variant="outline"
-                        size="sm"
-                        onClick={() => setEditingCandidate(candidate)}
-                        className="hover:bg-gray-50 hover:border-gray-300 px-3 py-2"
-                        title="Edit Candidate"
-                      >
-                        <PencilIcon className="h-4 w-4" />
-                      </Button>
-                      
-                      <Button
-                        variant="danger"
-                        size="sm"
-                        onClick={() => setDeletingCandidate(candidate)}
-                        className="px-3 py-2"
-                        title="Delete Candidate"
-                      >
-                        <TrashIcon className="h-4 w-4" />
-                      </Button>
-                    </div>
-                  </div>
-                ))}
-              </div>
-              
-              {/* Pagination */}
-              {totalPages > 1 && (
-                <div className="flex items-center justify-between border-t border-gray-200 bg-white px-4 py-3 sm:px-6">
-                  <div className="flex flex-1 justify-between sm:hidden">
-                    <Button
-                      variant="outline"
-                      size="sm"
-                      onClick={() => handlePageChange(currentPage - 1)}
-                      disabled={currentPage === 1}
-                      className="px-4 py-2"
-                    >
-                      Previous
-                    </Button>
-                    <Button
-                      variant="outline"
-                      size="sm"
-                      onClick={() => handlePageChange(currentPage + 1)}
-                      disabled={currentPage === totalPages}
-                      className="px-4 py-2"
-                    >
-                      Next
-                    </Button>
-                  </div>
-                  <div className="hidden sm:flex sm:flex-1 sm:items-center sm:justify-between">
-                    <div>
-                      <p className="text-sm text-gray-700">
-                        Showing <span className="font-medium">{startIndex + 1}</span> to{' '}
-                        <span className="font-medium">{Math.min(endIndex, candidates.length)}</span> of{' '}
-                        <span className="font-medium">{candidates.length}</span> results
-                      </p>
-                    </div>
-                    <div>
-                      <nav className="isolate inline-flex -space-x-px rounded-md shadow-sm" aria-label="Pagination">
-                        <Button
-                          variant="outline"
-                          size="sm"
-                          onClick={() => handlePageChange(currentPage - 1)}
-                          disabled={currentPage === 1}
-                          className="rounded-l-md px-4 py-2"
-                        >
-                          Previous
-                        </Button>
-                        
-                        {Array.from({ length: Math.min(5, totalPages) }, (_, i) => {
-                          let pageNum;
-                          if (totalPages <= 5) {
-                            pageNum = i + 1;
-                          } else if (currentPage <= 3) {
-                            pageNum = i + 1;
-                          } else if (currentPage >= totalPages - 2) {
-                            pageNum = totalPages - 4 + i;
-                          } else {
-                            pageNum = currentPage - 2 + i;
-                          }
-                          
-                          return (
-                            <Button
-                              key={pageNum}
-                              variant={currentPage === pageNum ? "primary" : "outline"}
-                              size="sm"
-                              onClick={() => handlePageChange(pageNum)}
-                              className="rounded-none border-l-0 px-4 py-2"
-                            >
-                              {pageNum}
-                            </Button>
-                          );
-                        })}
-                        
-                        <Button
-                          variant="outline"
-                          size="sm"
-                          onClick={() => handlePageChange(currentPage + 1)}
-                          disabled={currentPage === totalPages}
-                          className="rounded-r-md border-l-0 px-4 py-2"
-                        >
-                          Next
-                        </Button>
-                      </nav>
-                    </div>
-                  </div>
+            <div className="text-center py-12">
+              <UserIcon className="mx-auto h-12 w-12 text-gray-400" />
+              <h3 className="mt-2 text-sm font-medium text-gray-900">No candidates found</h3>
+              <p className="mt-1 text-sm text-gray-500">
+                {hasFilters
+                  ? 'Try adjusting your search criteria.'
+                  : 'Get started by adding a new candidate.'
+                }
+              </p>
+              {!hasFilters && (
+                <div className="mt-6">
+                  <Button onClick={() => setShowCreateModal(true)}>
+                    <PlusIcon className="h-5 w-5 mr-2" />
+                    Add Candidate
+                  </Button>
                 </div>
               )}
             </div>
           </CardBody>
         </Card>
+      ) : (
+        <Card>
+          <CardBody>
+            {/* Remounts on new filters so the list starts from the top */}
+            <CandidateList
+              key={JSON.stringify(filters)}
+              query={candidatesQuery}
+              pipelineForJob={pipelineForJob}
+              showJobTitle={!filters.jobId}
+              selection={selection}
+              onApply={handleOpenApplyModal}
+              onEdit={setEditingCandidate}
+              onDelete={setDeletingCandidate}
+            />
+          </CardBody>
+        </Card>
       )}
 
+      <StageTransitionModal
+        key={pendingMove?.applicationId}
+        move={pendingMove}
+        onConfirm={handleConfirmPendingMove}
+        onCancel={() => setPendingMove(null)}
+      />
+
+      {/* Save View Modal */}
+      <Modal
+        isOpen={!!viewModal}
+        onClose={() => setViewModal(null)}
+        title="Save View"
+        size="sm"
+      >
+        <form onSubmit={handleSaveView}>
+          <ModalBody>
+            <Input
+              label="View name"
+              value={viewModal?.name || ''}
+              onChange={(e) => setViewModal({ name: e.target.value })}
+              helperText="Saved views appear in the sidebar under Candidates and can be shared by link."
+              autoFocus
+              required
+            />
+          </ModalBody>
+          <ModalFooter>
+            <Button type="button" variant="outline" onClick={() => setViewModal(null)}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={!viewModal?.name.trim() || saveViewsMutation.isLoading}>
+              Save View
+            </Button>
+          </ModalFooter>
+        </form>
+      </Modal>
+
       {/* Create Candidate Modal */}
       <Modal
         isOpen={showCreateModal}
@@ -646,12 +1027,30 @@ export default function CandidatesPage() {
       >
         <ModalBody>
           <CandidateForm
+            jobs={jobs}
             onSubmit={handleCreateCandidate}
             onCancel={() => setShowCreateModal(false)}
           />
         </ModalBody>
       </Modal>
 
+      <CandidateImportWizard
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        jobs={jobs}
+        onImported={() => queryClient.invalidateQueries(...candidateInvalidation)}
+      />
+
+      <ExportModal
+        isOpen={!!exportTarget}
+        onClose={() => setExportTarget(null)}
+        title={exportTarget?.title}
+        description={exportTarget?.description}
+        name="candidates"
+        columns={CANDIDATE_EXPORT_COLUMNS}
+        loadRows={exportTarget?.loadRows}
+      />
+
       {/* Edit Candidate Modal */}
       <Modal
         isOpen={!!editingCandidate}
@@ -677,7 +1076,7 @@ export default function CandidatesPage() {
       >
         <ModalBody>
           <p className="text-sm text-gray-500">
-            Are you sure you want to delete "{deletingCandidate?.name}"? This action cannot be undone.
+            Move "{deletingCandidate?.name}" to the trash? Their applications, notes and timeline go with them, and you can restore everything from the trash.
           </p>
         </ModalBody>
         <ModalFooter>
@@ -753,35 +1152,250 @@ export default function CandidatesPage() {
   );
 }
 
-// Kanban Column Component
-function KanbanColumn({ stage, candidates, onEdit, onDelete }) {
+// Windowed candidate list; pages load as their rows scroll into view
+function CandidateList({ query, pipelineForJob, showJobTitle, selection, onApply, onEdit, onDelete }) {
+  const { containerRef, range, items, totalHeight } = useVirtualList({
+    count: query.total,
+    itemHeight: LIST_ROW_HEIGHT,
+  });
+  const { loadRange } = query;
+
+  useEffect(() => {
+    loadRange(range.start, range.end);
+  }, [loadRange, range.start, range.end]);
+
   return (
-    <div className="bg-gradient-to-br from-gray-50 to-white rounded-xl p-4 min-h-[600px] max-h-[800px] overflow-y-auto shadow-sm border border-gray-200">
-      <div className="flex items-center justify-between mb-4 sticky top-0 bg-white/90 backdrop-blur-sm rounded-lg p-2 -mx-2 -mt-2">
-        <h3 className="font-bold text-gray-900 text-sm">{STAGE_LABELS[stage]}</h3>
+    <div ref={containerRef} className="max-h-[70vh] overflow-y-auto">
+      <div className="relative" style={{ height: totalHeight }}>
+        {items.map(({ index, top }) => {
+          const candidate = query.getItem(index);
+          return (
+            <div
+              key={candidate?.id || `row-${index}`}
+              className="absolute inset-x-0 pb-4"
+              style={{ top, height: LIST_ROW_HEIGHT }}
+            >
+              {candidate ? (
+                <CandidateRow
+                  candidate={candidate}
+                  pipelineForJob={pipelineForJob}
+                  showJobTitle={showJobTitle}
+                  selected={selection.isSelected(candidate.id)}
+                  onSelect={(e) => selection.toggle({
+                    index,
+                    getId: position => query.getItem(position)?.id,
+                    shiftKey: e.shiftKey,
+                  })}
+                  onApply={onApply}
+                  onEdit={onEdit}
+                  onDelete={onDelete}
+                />
+              ) : (
+                <div className="h-full rounded-xl border border-gray-100 bg-gray-50 animate-pulse" />
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+function CandidateRow({ candidate, pipelineForJob, showJobTitle, selected, onSelect, onApply, onEdit, onDelete }) {
+  const nameMatch = findHighlight(candidate.searchMatch, 'candidate', 'name');
+  const emailMatch = findHighlight(candidate.searchMatch, 'candidate', 'email');
+  const phoneMatch = findHighlight(candidate.searchMatch, 'candidate', 'phone');
+  // A match in a note or assessment answer takes the phone number's line
+  const otherMatch = candidate.searchMatch?.highlights.find(highlight => highlight.docType !== 'candidate');
+  
+  return (
+    <div className={`group h-full flex items-center justify-between p-6 bg-gradient-to-r from-white to-gray-50 rounded-xl shadow-soft border hover:shadow-medium transition-all duration-300 overflow-hidden ${selected ? 'border-primary-300 ring-1 ring-primary-200' : 'border-gray-100'}`}>
+      <div className="flex items-center space-x-6">
+        <input
+          type="checkbox"
+          checked={selected}
+          onClick={onSelect}
+          readOnly
+          className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+          aria-label={`Select ${candidate.name}`}
+          title="Select (shift-click to select a range)"
+        />
+        <div className="relative">
+          <div className="h-14 w-14 rounded-full bg-gradient-to-r from-primary-500 to-primary-600 flex items-center justify-center shadow-lg group-hover:shadow-xl transition-all duration-200">
+            <span className="text-lg font-bold text-white">
+              {candidate.name.split(' ').map(n => n[0]).join('')}
+            </span>
+          </div>
+          <div className="absolute -bottom-1 -right-1 h-4 w-4 rounded-full bg-green-500 border-2 border-white"></div>
+        </div>
+    
+        <div className="flex-1 min-w-0">
+          <p className="text-lg font-bold text-gray-900 truncate group-hover:text-primary-700 transition-colors">
+            {nameMatch ? <Highlight fragments={nameMatch.fragments} /> : candidate.name}
+          </p>
+          <p className="text-sm text-gray-600 truncate">
+            {emailMatch ? <Highlight fragments={emailMatch.fragments} /> : candidate.email}
+          </p>
+          {otherMatch ? (
+            <p className="text-sm text-gray-500 truncate max-w-md">
+              <HighlightSnippet highlight={otherMatch} />
+            </p>
+          ) : candidate.phone && (
+            <p className="text-sm text-gray-500 truncate">
+              {phoneMatch ? <Highlight fragments={phoneMatch.fragments} /> : candidate.phone}
+            </p>
+          )}
+        </div>
+    
+        <div className="flex flex-wrap items-center gap-2">
+          {(candidate.tags || []).map(tag => (
+            <span key={tag} className="inline-flex items-center px-2 py-0.5 rounded-md text-xs font-medium bg-gray-100 text-gray-700">
+              {tag}
+            </span>
+          ))}
+          {(candidate.applications || []).map(app => (
+            <span
+              key={app.id}
+              className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold border ${getStageColors(pipelineForJob(app.jobId), app.status).badge} shadow-sm`}
+              title={app.jobTitle}
+            >
+              {showJobTitle && `${app.jobTitle} · `}{getStageLabel(pipelineForJob(app.jobId), app.status)}
+            </span>
+          ))}
+        </div>
+      </div>
+  
+      <div className="flex items-center space-x-2 opacity-0 group-hover:opacity-100 transition-opacity duration-200">
+        <Link to={`/app/candidates/${candidate.id}`}>
+          <Button 
+            variant="outline" 
+            size="sm" 
+            className="hover:bg-primary-50 hover:border-primary-300 px-3 py-2"
+            title="View Details"
+          >
+            <EyeIcon className="h-4 w-4" />
+          </Button>
+        </Link>
+    
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => onApply(candidate)}
+          className="hover:bg-blue-50 hover:border-blue-300 px-3 py-2"
+          title="Apply to Job"
+        >
+          <BriefcaseIcon className="h-4 w-4" />
+        </Button>
+    
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => onEdit(candidate)}
+          className="hover:bg-gray-50 hover:border-gray-300 px-3 py-2"
+          title="Edit Candidate"
+        >
+          <PencilIcon className="h-4 w-4" />
+        </Button>
+    
+        <Button
+          variant="danger"
+          size="sm"
+          onClick={() => onDelete(candidate)}
+          className="px-3 py-2"
+          title="Delete Candidate"
+        >
+          <TrashIcon className="h-4 w-4" />
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+// Kanban Column Component. Each column pages through its own stage and only
+// renders the cards in view; the card being dragged stays mounted.
+function KanbanColumn({ stage, filters, enabled, activeId, pipelineForJob, showJobTitle, selection, onEdit, onDelete }) {
+  const { setNodeRef, isOver } = useDroppable({ id: stage.id });
+  const columnQuery = usePagedQuery(
+    queryKeys.applications.board({ ...filters, stage: stage.id }),
+    (page, pageSize) => applicationsApi.board({ ...filters, stage: stage.id, page, pageSize }).then(toPage('applications')),
+    {
+      pageSize: PAGE_SIZE,
+      enabled,
+      onError: (error) => console.error(`Error loading ${stage.name} applications:`, error),
+    }
+  );
+  const total = enabled ? columnQuery.total : 0;
+  const { containerRef, range, items, totalHeight } = useVirtualList({
+    count: total,
+    itemHeight: CARD_HEIGHT,
+    pinnedIndex: activeId ? columnQuery.findIndex(app => app?.id === activeId) : -1,
+  });
+  const { loadRange } = columnQuery;
+
+  useEffect(() => {
+    loadRange(range.start, range.end);
+  }, [loadRange, range.start, range.end]);
+
+  const now = new Date();
+  const cards = items
+    .map(({ index, top }) => ({ index, top, application: columnQuery.getItem(index) }))
+    .filter(card => card.application)
+    .map(card => ({
+      ...card,
+      application: {
+        ...card.application,
+        sla: getSlaStatus(card.application, pipelineForJob(card.application.jobId), now),
+      },
+    }));
+
+  return (
+    <div
+      ref={setNodeRef}
+      className={`w-72 flex-shrink-0 flex flex-col bg-gradient-to-br from-gray-50 to-white rounded-xl p-4 h-[800px] shadow-sm border transition-colors ${isOver ? 'border-primary-300' : 'border-gray-200'}`}
+    >
+      <div className="flex items-center justify-between mb-4 bg-white/90 backdrop-blur-sm rounded-lg p-2 -mx-2 -mt-2">
+        <h3 className="flex items-center font-bold text-gray-900 text-sm">
+          <span className={`h-2.5 w-2.5 rounded-full mr-2 ${getStageColors([stage], stage.id).bar}`} />
+          {stage.name}
+        </h3>
         <span className="bg-gradient-to-r from-primary-100 to-primary-200 text-primary-800 text-xs px-3 py-1 rounded-full font-semibold shadow-sm">
-          {candidates.length}
+          {total}
         </span>
       </div>
       
-      <SortableContext items={candidates.map(c => c.id)} strategy={verticalListSortingStrategy}>
-        <div className="space-y-3">
-          {candidates.length === 0 ? (
+      <SortableContext items={cards.map(card => card.application.id)} strategy={verticalListSortingStrategy}>
+        <div ref={containerRef} className="flex-1 overflow-y-auto">
+          {total === 0 ? (
             <div className="text-center py-8 text-gray-500 text-sm">
               <div className="w-12 h-12 mx-auto mb-2 bg-gray-100 rounded-full flex items-center justify-center">
                 <UserIcon className="h-6 w-6 text-gray-400" />
               </div>
-              No candidates
+              {enabled && columnQuery.isLoading ? 'Loading...' : 'No candidates'}
             </div>
           ) : (
-            candidates.map((candidate) => (
-              <SortableCandidateCard
-                key={candidate.id}
-                candidate={candidate}
-                onEdit={onEdit}
-                onDelete={onDelete}
-              />
-            ))
+            <div className="relative" style={{ height: totalHeight }}>
+              {cards.map(({ index, top, application }) => (
+                <div
+                  key={application.id}
+                  className="absolute inset-x-0 pb-3"
+                  style={{ top, height: CARD_HEIGHT }}
+                >
+                  <SortableCandidateCard
+                    application={application}
+                    showJobTitle={showJobTitle}
+                    selected={selection.isSelected(application.id)}
+                    onSelect={(e) => selection.toggle({
+                      group: stage.id,
+                      index,
+                      getId: position => columnQuery.getItem(position)?.id,
+                      shiftKey: e.shiftKey,
+                    })}
+                    onEdit={onEdit}
+                    onDelete={onDelete}
+                  />
+                </div>
+              ))}
+            </div>
           )}
         </div>
       </SortableContext>
@@ -789,8 +1403,9 @@ function KanbanColumn({ stage, candidates, onEdit, onDelete }) {
   );
 }
 
-// Sortable Candidate Card Component
-function SortableCandidateCard({ candidate, onEdit, onDelete }) {
+// Sortable Candidate Card Component (one card per application)
+function SortableCandidateCard({ application, showJobTitle, selected, onSelect, onEdit, onDelete }) {
+  const { candidate } = application;
   const {
     attributes,
     listeners,
@@ -798,7 +1413,7 @@ function SortableCandidateCard({ candidate, onEdit, onDelete }) {
     transform,
     transition,
     isDragging,
-  } = useSortable({ id: candidate.id });
+  } = useSortable({ id: application.id, data: { application } });
 
   const style = {
     transform: CSS.Transform.toString(transform),
@@ -812,11 +1427,22 @@ function SortableCandidateCard({ candidate, onEdit, onDelete }) {
       style={style}
       {...attributes}
       {...listeners}
-      className="group bg-white rounded-xl p-4 shadow-sm border border-gray-200 cursor-grab hover:shadow-lg hover:border-primary-200 transition-all duration-200 hover:scale-[1.02]"
+      className={`group h-full overflow-hidden bg-white rounded-xl p-4 shadow-sm border cursor-grab hover:shadow-lg hover:border-primary-200 transition-all duration-200 ${selected ? 'border-primary-300 ring-1 ring-primary-200' : 'border-gray-200'}`}
     >
       <div className="flex items-start justify-between">
         <div className="flex-1 min-w-0">
           <div className="flex items-center space-x-3 mb-3">
+            {/* Pointer events stop here so ticking the box doesn't start a drag */}
+            <input
+              type="checkbox"
+              checked={selected}
+              onClick={onSelect}
+              onPointerDown={(e) => e.stopPropagation()}
+              onKeyDown={(e) => e.stopPropagation()}
+              readOnly
+              className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              aria-label={`Select ${candidate.name}`}
+            />
             <div className="h-10 w-10 rounded-full bg-gradient-to-r from-primary-500 to-primary-600 flex items-center justify-center shadow-md">
               <span className="text-sm font-bold text-white">
                 {candidate.name.split(' ').map(n => n[0]).join('')}
@@ -834,8 +1460,27 @@ function SortableCandidateCard({ candidate, onEdit, onDelete }) {
                   {candidate.phone}
                 </p>
               )}
+              {showJobTitle && (
+                <p className="text-xs text-primary-600 truncate">
+                  {application.jobTitle}
+                </p>
+              )}
             </div>
           </div>
+          <div className="flex flex-wrap items-center gap-1">
+            {application.sla && (
+              <span
+                className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${application.sla.overdue ? 'bg-red-100 text-red-700' : 'bg-gray-100 text-gray-600'}`}
+                title={application.sla.slaDays
+                  ? `${application.sla.daysInStage} days in stage (SLA ${application.sla.slaDays} days)`
+                  : `${application.sla.daysInStage} days in stage`}
+              >
+                <ClockIcon className="h-3 w-3 mr-1" />
+                {application.sla.overdue ? `${application.sla.daysInStage}d · past SLA` : `${application.sla.daysInStage}d in stage`}
+              </span>
+            )}
+            <AssessmentScoreBadge result={application.assessmentResult} />
+          </div>
         </div>
         
         <div className="flex items-center space-x-1 opacity-0 group-hover:opacity-100 transition-opacity duration-200">
@@ -866,13 +1511,12 @@ function SortableCandidateCard({ candidate, onEdit, onDelete }) {
 }
 
 // Simple Candidate Form Component
-function CandidateForm({ initialData, onSubmit, onCancel }) {
+function CandidateForm({ initialData, jobs = [], onSubmit, onCancel }) {
   const [formData, setFormData] = useState({
     name: initialData?.name || '',
     email: initialData?.email || '',
     phone: initialData?.phone || '',
-    stage: initialData?.stage || CANDIDATE_STAGES.APPLIED,
-    jobId: initialData?.jobId || '',
+    jobId: '',
   });
 
   const handleSubmit = (e) => {
@@ -881,13 +1525,17 @@ function CandidateForm({ initialData, onSubmit, onCancel }) {
       toast.error('Name and email are required');
       return;
     }
-    onSubmit(formData);
+    // Only send a job when the new candidate should get an application right away
+    const { jobId, ...profile } = formData;
+    onSubmit(jobId ? formData : profile);
   };
 
-  const stageOptions = Object.values(CANDIDATE_STAGES).map(stage => ({
-    value: stage,
-    label: STAGE_LABELS[stage],
-  }));
+  const jobOptions = [
+    { value: '', label: 'No application yet' },
+    ...jobs
+      .filter(job => job.status === 'active')
+      .map(job => ({ value: job.id, label: job.title })),
+  ];
 
   return (
     <form onSubmit={handleSubmit} className="space-y-4">
@@ -912,13 +1560,22 @@ function CandidateForm({ initialData, onSubmit, onCancel }) {
         onChange={(e) => setFormData({ ...formData, phone: e.target.value })}
       />
       
-      <Select
-        label="Stage"
-        options={stageOptions}
-        value={formData.stage}
-        onChange={(e) => setFormData({ ...formData, stage: e.target.value })}
+      <DuplicateWarning
+        name={formData.name}
+        email={formData.email}
+        phone={formData.phone}
+        excludeId={initialData?.id}
       />
       
+      {!initialData && (
+        <Select
+          label="Apply to Job"
+          options={jobOptions}
+          value={formData.jobId}
+          onChange={(e) => setFormData({ ...formData, jobId: e.target.value })}
+        />
+      )}
+      
       <div className="flex justify-end space-x-3 pt-4">
         <Button type="button" variant="outline" onClick={onCancel}>
           Cancel
@@ -929,4 +1586,4 @@ function CandidateForm({ initialData, onSubmit, onCancel }) {
       </div>
     </form>
   );
-}
\ No newline at end of file
+}
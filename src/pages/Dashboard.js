@@ -1,6 +1,7 @@
-import React, { useState, useEffect } from 'react';
+import React, { useMemo, useState } from 'react';
 import { Link } from 'react-router-dom';
-import { DatabaseService } from '../services/database';
+import { reportsApi, queryKeys } from '../services/api';
+import { useQuery } from '../hooks/useQuery';
 import { 
   BriefcaseIcon, 
   UsersIcon, 
@@ -15,57 +16,59 @@ import {
   FireIcon,
   StarIcon,
 } from '@heroicons/react/24/outline';
-import { STAGE_LABELS } from '../types';
+import { STAGE_COLOR_OPTIONS } from '../types';
+import {
+  DATE_RANGE_OPTIONS,
+  DEFAULT_DATE_RANGE,
+  formatDelta,
+} from '../utils/analytics';
 import JobApplicationStats from '../components/JobApplicationStats';
+import FunnelAnalytics from '../components/FunnelAnalytics';
+import RejectionReport from '../components/RejectionReport';
+import AttentionNeeded from '../components/AttentionNeeded';
 
 
-export default function Dashboard() {
-  const [stats, setStats] = useState({
-    totalJobs: 0,
-    activeJobs: 0,
-    totalCandidates: 0,
-    recentCandidates: [],
-    stageDistribution: {},
-  });
-  const [loading, setLoading] = useState(true);
-
-  useEffect(() => {
-    loadDashboardData();
-  }, []);
+const handleLoadError = (error) => {
+  console.error('Error loading dashboard data:', error);
+};
 
-  const loadDashboardData = async () => {
-    try {
-      setLoading(true);
-      
-      const [jobStats, candidateStats, recentCandidates] = await Promise.all([
-        DatabaseService.getStats(),
-        DatabaseService.getCandidates({}),
-        DatabaseService.getCandidates({}).then(candidates => 
-          candidates.slice(0, 5)
-        ),
-      ]);
+const trendColors = {
+  up: 'text-emerald-600',
+  down: 'text-red-600',
+  flat: 'text-gray-500',
+};
 
-      // Calculate stage distribution
-      const stageDistribution = candidateStats.reduce((acc, candidate) => {
-        acc[candidate.stage] = (acc[candidate.stage] || 0) + 1;
-        return acc;
-      }, {});
+export default function Dashboard() {
+  const [dateRange, setDateRange] = useState(DEFAULT_DATE_RANGE);
+  // Totals, trends and the funnel are computed by the API; only they are loaded
+  const reportParams = { range: dateRange };
+  const { data: report, isLoading: loading } = useQuery(
+    queryKeys.reports.dashboard(reportParams),
+    () => reportsApi.getDashboard(reportParams),
+    { onError: handleLoadError, keepPreviousData: true }
+  );
 
-      // Get active jobs count
-      const activeJobs = await DatabaseService.getJobs({ status: 'active' });
+  const stats = useMemo(() => ({
+    totalJobs: report?.totals.jobs || 0,
+    activeJobs: report?.totals.activeJobs || 0,
+    totalCandidates: report?.totals.candidates || 0,
+    totalApplications: report?.totals.applications || 0,
+    recentCandidates: (report?.recentCandidates || []).map(candidate => ({
+      ...candidate,
+      latestStageColors: candidate.latestStage &&
+        (STAGE_COLOR_OPTIONS[candidate.latestStage.color] || STAGE_COLOR_OPTIONS.gray),
+    })),
+    stageDistribution: report?.stageDistribution || [],
+  }), [report]);
 
-      setStats({
-        totalJobs: jobStats.jobs,
-        activeJobs: activeJobs.length,
-        totalCandidates: jobStats.candidates,
-        recentCandidates,
-        stageDistribution,
-      });
-    } catch (error) {
-      console.error('Error loading dashboard data:', error);
-    } finally {
-      setLoading(false);
-    }
+  const rangeLabel = DATE_RANGE_OPTIONS.find(option => option.value === dateRange).label.toLowerCase();
+  const noChange = { current: 0, previous: 0, change: null, direction: 'flat' };
+  const trends = {
+    jobs: report?.trends.jobs || noChange,
+    activeJobs: report?.trends.activeJobs || noChange,
+    candidates: report?.trends.candidates || noChange,
+    assessments: report?.trends.assessments || noChange,
+    completedAssessments: report?.totals.completedAssessments || 0,
   };
 
   const statCards = [
@@ -77,8 +80,8 @@ export default function Dashboard() {
       bgGradient: 'from-blue-50 to-blue-100',
       textColor: 'text-blue-600',
       href: '/app/jobs',
-      trend: '+12%',
-      trendUp: true,
+      trend: trends.jobs,
+      trendLabel: `new jobs, ${rangeLabel}`,
     },
     {
       name: 'Active Jobs',
@@ -88,8 +91,8 @@ export default function Dashboard() {
       bgGradient: 'from-emerald-50 to-emerald-100',
       textColor: 'text-emerald-600',
       href: '/app/jobs?status=active',
-      trend: '+8%',
-      trendUp: true,
+      trend: trends.activeJobs,
+      trendLabel: `new active jobs, ${rangeLabel}`,
     },
     {
       name: 'Total Candidates',
@@ -99,19 +102,19 @@ export default function Dashboard() {
       bgGradient: 'from-purple-50 to-purple-100',
       textColor: 'text-purple-600',
       href: '/app/candidates',
-      trend: '+24%',
-      trendUp: true,
+      trend: trends.candidates,
+      trendLabel: `new candidates, ${rangeLabel}`,
     },
     {
-      name: 'Assessments',
-      value: stats.totalCandidates > 0 ? Math.floor(stats.totalCandidates / 3) : 0,
+      name: 'Assessments Completed',
+      value: trends.completedAssessments,
       icon: ClipboardDocumentListIcon,
       gradient: 'from-orange-500 to-orange-600',
       bgGradient: 'from-orange-50 to-orange-100',
       textColor: 'text-orange-600',
       href: '/app/assessments',
-      trend: '+15%',
-      trendUp: true,
+      trend: trends.assessments,
+      trendLabel: `completed, ${rangeLabel}`,
     },
   ];
 
@@ -141,8 +144,18 @@ export default function Dashboard() {
                 Here's what's happening with your hiring pipeline
               </p>
             </div>
-            <div className="hidden lg:block">
-              <div className="text-right">
+            <div className="flex items-center space-x-6">
+              <select
+                value={dateRange}
+                onChange={(e) => setDateRange(e.target.value)}
+                className="rounded-lg border-white/20 bg-white/10 text-sm font-medium text-white focus:border-white focus:ring-white"
+                aria-label="Date range"
+              >
+                {DATE_RANGE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value} className="text-gray-900">{option.label}</option>
+                ))}
+              </select>
+              <div className="hidden lg:block text-right">
                 <p className="text-sm text-primary-100">Last updated</p>
                 <p className="text-lg font-semibold">{new Date().toLocaleDateString()}</p>
               </div>
@@ -165,14 +178,11 @@ export default function Dashboard() {
                   <div className={`p-3 rounded-xl bg-gradient-to-r ${stat.bgGradient} shadow-lg group-hover:shadow-xl transition-all duration-300`}>
                     <stat.icon className={`h-6 w-6 ${stat.textColor}`} />
                   </div>
-                  <div className="flex items-center space-x-1 text-sm">
-                    {stat.trendUp ? (
-                      <ArrowTrendingUpIcon className="h-4 w-4 text-emerald-500" />
-                    ) : (
-                      <ArrowTrendingDownIcon className="h-4 w-4 text-red-500" />
-                    )}
-                    <span className={`font-semibold ${stat.trendUp ? 'text-emerald-600' : 'text-red-600'}`}>
-                      {stat.trend}
+                  <div className="flex items-center space-x-1 text-sm" title={`${stat.trend.current} ${stat.trendLabel} (${stat.trend.previous} the period before)`}>
+                    {stat.trend.direction === 'up' && <ArrowTrendingUpIcon className="h-4 w-4 text-emerald-500" />}
+                    {stat.trend.direction === 'down' && <ArrowTrendingDownIcon className="h-4 w-4 text-red-500" />}
+                    <span className={`font-semibold ${trendColors[stat.trend.direction]}`}>
+                      {formatDelta(stat.trend)}
                     </span>
                   </div>
                 </div>
@@ -196,6 +206,22 @@ export default function Dashboard() {
           ))}
         </div>
 
+        {/* Applications past their stage SLA */}
+        <div className="group relative overflow-hidden">
+          <div className="absolute inset-0 bg-gradient-to-br from-white/90 to-white/70 backdrop-blur-sm rounded-3xl border border-white/20 shadow-2xl group-hover:shadow-3xl transition-all duration-500"></div>
+          <div className="relative">
+            <AttentionNeeded groups={report?.attention || []} />
+          </div>
+        </div>
+
+        {/* Hiring Funnel */}
+        <div className="group relative overflow-hidden">
+          <div className="absolute inset-0 bg-gradient-to-br from-white/90 to-white/70 backdrop-blur-sm rounded-3xl border border-white/20 shadow-2xl group-hover:shadow-3xl transition-all duration-500"></div>
+          <div className="relative">
+            <FunnelAnalytics rangeLabel={rangeLabel} funnel={report?.funnel} />
+          </div>
+        </div>
+
         {/* Main Content Grid */}
         <div className="grid grid-cols-1 gap-8 lg:grid-cols-2">
           {/* Recent Candidates - Modern Card */}
@@ -254,14 +280,11 @@ export default function Dashboard() {
                         </div>
                       </div>
                       <div className="flex items-center space-x-2">
-                        <span className={`inline-flex items-center px-3 py-1.5 rounded-full text-xs font-semibold shadow-sm transition-all duration-300 ${
-                          candidate.stage === 'hired' ? 'bg-gradient-to-r from-emerald-100 to-emerald-200 text-emerald-800 border border-emerald-300' :
-                          candidate.stage === 'rejected' ? 'bg-gradient-to-r from-red-100 to-red-200 text-red-800 border border-red-300' :
-                          candidate.stage === 'offer' ? 'bg-gradient-to-r from-yellow-100 to-yellow-200 text-yellow-800 border border-yellow-300' :
-                          'bg-gradient-to-r from-blue-100 to-blue-200 text-blue-800 border border-blue-300'
-                        }`}>
-                          {STAGE_LABELS[candidate.stage]}
-                        </span>
+                        {candidate.latestStage && (
+                          <span className={`inline-flex items-center px-3 py-1.5 rounded-full text-xs font-semibold shadow-sm transition-all duration-300 ${candidate.latestStageColors.badge}`}>
+                            {candidate.latestStage.name}
+                          </span>
+                        )}
                       </div>
                     </div>
                   ))}
@@ -290,9 +313,9 @@ export default function Dashboard() {
               
               <div className="p-6">
                 <div className="space-y-6">
-                  {Object.entries(stats.stageDistribution).map(([stage, count], index) => (
+                  {stats.stageDistribution.map(({ stage, count }, index) => (
                     <div 
-                      key={stage} 
+                      key={stage.id} 
                       className="group/stage flex items-center justify-between p-4 rounded-2xl bg-gradient-to-r from-gray-50/80 to-white/80 backdrop-blur-sm border border-gray-200/50 hover:shadow-lg hover:border-purple-200/50 transition-all duration-300 transform hover:scale-[1.02]"
                       style={{ animationDelay: `${index * 150}ms` }}
                     >
@@ -304,23 +327,23 @@ export default function Dashboard() {
                         </div>
                         <div>
                           <span className="text-sm font-semibold text-gray-900 group-hover/stage:text-gray-800 transition-colors">
-                            {STAGE_LABELS[stage]}
+                            {stage.name}
                           </span>
-                          <p className="text-xs text-gray-500">Candidates in this stage</p>
+                          <p className="text-xs text-gray-500">Applications in this stage</p>
                         </div>
                       </div>
                       <div className="flex items-center space-x-4">
                         <div className="text-right">
                           <span className="text-lg font-bold text-gray-900 group-hover/stage:text-gray-800 transition-colors">{count}</span>
                           <p className="text-xs text-gray-500">
-                            {stats.totalCandidates > 0 ? Math.round((count / stats.totalCandidates) * 100) : 0}%
+                            {stats.totalApplications > 0 ? Math.round((count / stats.totalApplications) * 100) : 0}%
                           </p>
                         </div>
                         <div className="w-24 bg-gray-200 rounded-full h-3 shadow-inner group-hover/stage:shadow-md transition-all duration-300">
                           <div 
                             className="bg-gradient-to-r from-purple-500 to-pink-600 h-3 rounded-full shadow-sm transition-all duration-700 group-hover/stage:shadow-md" 
                             style={{ 
-                              width: `${stats.totalCandidates > 0 ? (count / stats.totalCandidates) * 100 : 0}%` 
+                              width: `${stats.totalApplications > 0 ? (count / stats.totalApplications) * 100 : 0}%` 
                             }}
                           ></div>
                         </div>
@@ -341,6 +364,14 @@ export default function Dashboard() {
           </div>
         </div>
 
+        {/* Rejection Reasons */}
+        <div className="group relative overflow-hidden">
+          <div className="absolute inset-0 bg-gradient-to-br from-white/90 to-white/70 backdrop-blur-sm rounded-3xl border border-white/20 shadow-2xl group-hover:shadow-3xl transition-all duration-500"></div>
+          <div className="relative">
+            <RejectionReport />
+          </div>
+        </div>
+
         {/* Quick Actions - Modern Design */}
         <div className="group relative overflow-hidden">
           <div className="absolute inset-0 bg-gradient-to-br from-white/90 to-white/70 backdrop-blur-sm rounded-3xl border border-white/20 shadow-2xl group-hover:shadow-3xl transition-all duration-500"></div>
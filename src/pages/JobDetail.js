@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import React, { useState } from 'react';
+import { useParams, Link, useNavigate } from 'react-router-dom';
 import { 
   ArrowLeftIcon,
   PencilIcon,
@@ -11,83 +11,108 @@ import {
   CurrencyDollarIcon,
   ClockIcon,
   BuildingOfficeIcon,
+  ArrowDownTrayIcon,
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
-import { DatabaseService } from '../services/database';
-import { JOB_STATUS } from '../types';
+import { jobsApi, candidatesApi, applicationsApi, workspaceApi, queryKeys } from '../services/api';
+import { queryClient } from '../services/queryClient';
+import { useQuery } from '../hooks/useQuery';
+import { useMutation } from '../hooks/useMutation';
+import { JOB_STATUS, ERROR_TYPES } from '../types';
+import { getJobPipeline, getStageLabel, getStageColors } from '../utils/pipeline';
+import { getApplicantExportColumns } from '../utils/export';
 import Button from '../components/ui/Button';
 import Card, { CardHeader, CardBody } from '../components/ui/Card';
 import Modal, { ModalBody, ModalFooter } from '../components/ui/Modal';
 import JobForm from '../components/forms/JobForm';
+import { showTrashUndoToast } from '../components/UndoToast';
+import ExportModal from '../components/ExportModal';
+import RejectionReport from '../components/RejectionReport';
 
 export default function JobDetail() {
   const { id } = useParams();
-  const [job, setJob] = useState(null);
-  const [candidates, setCandidates] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const navigate = useNavigate();
   const [showEditModal, setShowEditModal] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
 
-  const loadJobData = React.useCallback(async () => {
-    try {
-      setLoading(true);
-      console.log('Loading job data for ID:', id);
-      
-      // First, let's check if the database is properly initialized
-      const stats = await DatabaseService.getStats();
-      console.log('Database stats:', stats);
-      
-      // Use debug method to check the specific job
-      const debugResult = await DatabaseService.debugJobById(id);
-      console.log('Debug result:', debugResult);
-      
-      const [jobData, candidatesData] = await Promise.all([
-        DatabaseService.getJobById(id),
-        DatabaseService.getCandidates({ jobId: id }),
-      ]);
-      
-      console.log('Job data loaded:', jobData);
-      console.log('Candidates data loaded:', candidatesData);
-      
-      if (!jobData) {
+  const jobQuery = useQuery(queryKeys.jobs.detail(id), () => jobsApi.get(id), {
+    enabled: !!id,
+    onError: (error) => {
+      if (error.type === ERROR_TYPES.NOT_FOUND) {
         console.error('Job not found with ID:', id);
         toast.error(`Job with ID ${id} not found`);
         return;
       }
-      
-      setJob(jobData);
-      setCandidates(candidatesData);
-    } catch (error) {
       console.error('Error loading job data:', error);
       toast.error('Failed to load job details');
-    } finally {
-      setLoading(false);
-    }
-  }, [id]);
+    },
+  });
+  const candidatesQuery = useQuery(
+    queryKeys.candidates.allMatching({ jobId: id }),
+    () => candidatesApi.getAll({ jobId: id }),
+    { enabled: !!id }
+  );
+  const applicationsQuery = useQuery(
+    queryKeys.applications.list({ jobId: id }),
+    () => applicationsApi.list({ jobId: id }),
+    { enabled: !!id }
+  );
+  const job = jobQuery.data || null;
+  const applications = applicationsQuery.data || [];
+  const loading = jobQuery.isLoading || candidatesQuery.isLoading || applicationsQuery.isLoading;
 
-  useEffect(() => {
-    if (id) {
-      loadJobData();
-    }
-  }, [id, loadJobData]);
+  // Applicants: the job's applications with their candidate, newest first
+  const candidatesById = new Map((candidatesQuery.data || []).map(candidate => [candidate.id, candidate]));
+  const applicants = applications
+    .filter(application => candidatesById.has(application.candidateId))
+    .map(application => ({ ...application, candidate: candidatesById.get(application.candidateId) }))
+    .sort((a, b) => new Date(b.appliedAt) - new Date(a.appliedAt));
+
+  const loadJobData = () => {
+    queryClient.invalidateQueries(
+      queryKeys.jobs.detail(id),
+      queryKeys.candidates.allMatching({ jobId: id }),
+      queryKeys.applications.list({ jobId: id })
+    );
+  };
+
+  const updateJobMutation = useMutation((updates) => jobsApi.update(id, updates), {
+    onSuccess: (updatedJob) => {
+      queryClient.setQueryData(queryKeys.jobs.detail(id), updatedJob);
+    },
+    invalidates: [queryKeys.jobs.all, queryKeys.stats],
+  });
+  const deleteJobMutation = useMutation(() => jobsApi.delete(id), {
+    invalidates: [
+      queryKeys.jobs.all,
+      queryKeys.stats,
+      queryKeys.candidates.all,
+      queryKeys.applications.all,
+      queryKeys.assessments.all,
+      queryKeys.reports.all,
+      queryKeys.trash,
+    ],
+  });
+  const resetMutation = useMutation(workspaceApi.reset, {
+    onSuccess: () => queryClient.invalidateQueries(),
+  });
 
   const handleUpdateJob = async (jobData) => {
     try {
-      const updatedJob = await DatabaseService.updateJob(id, jobData);
-      setJob(updatedJob);
+      await updateJobMutation.mutateAsync(jobData);
       toast.success('Job updated successfully');
       setShowEditModal(false);
     } catch (error) {
       console.error('Error updating job:', error);
-      toast.error('Failed to update job');
+      toast.error(error.type === ERROR_TYPES.VALIDATION_ERROR ? error.message : 'Failed to update job');
     }
   };
 
   const handleArchiveJob = async () => {
     try {
       const newStatus = job.status === JOB_STATUS.ACTIVE ? JOB_STATUS.ARCHIVED : JOB_STATUS.ACTIVE;
-      const updatedJob = await DatabaseService.updateJob(id, { status: newStatus });
-      setJob(updatedJob);
+      await updateJobMutation.mutateAsync({ status: newStatus });
       toast.success(`Job ${newStatus === JOB_STATUS.ARCHIVED ? 'archived' : 'unarchived'} successfully`);
     } catch (error) {
       console.error('Error updating job status:', error);
@@ -97,10 +122,10 @@ export default function JobDetail() {
 
   const handleDeleteJob = async () => {
     try {
-      await DatabaseService.deleteJob(id);
-      toast.success('Job deleted successfully');
+      const trashEntry = await deleteJobMutation.mutateAsync();
+      showTrashUndoToast(trashEntry);
       // Redirect to jobs page
-      window.location.href = '/jobs';
+      navigate('/app/jobs');
     } catch (error) {
       console.error('Error deleting job:', error);
       toast.error('Failed to delete job');
@@ -109,8 +134,8 @@ export default function JobDetail() {
 
   const getStageCounts = () => {
     const counts = {};
-    candidates.forEach(candidate => {
-      counts[candidate.stage] = (counts[candidate.stage] || 0) + 1;
+    applications.forEach(application => {
+      counts[application.status] = (counts[application.status] || 0) + 1;
     });
     return counts;
   };
@@ -155,30 +180,10 @@ export default function JobDetail() {
               try {
                 if (window.confirm('Are you sure you want to reset the database? This will delete all data and reseed with fresh data.')) {
                   console.log('Resetting database...');
-                  await DatabaseService.clearAllData();
-                  
-                  // Re-seed the database
-                  const { generateSeedData } = await import('../data/seedData');
-                  const seedData = generateSeedData();
-                  
-                  // Add jobs
-                  for (const job of seedData.jobs) {
-                    await DatabaseService.createJob(job);
-                  }
-                  
-                  // Add candidates
-                  for (const candidate of seedData.candidates) {
-                    await DatabaseService.createCandidate(candidate);
-                  }
-                  
-                  // Add assessments
-                  for (const assessment of seedData.assessments) {
-                    await DatabaseService.createAssessment(assessment);
-                  }
+                  await resetMutation.mutateAsync();
                   
                   console.log('Database reset and reseeded successfully!');
                   toast.success('Database reset successfully');
-                  loadJobData();
                 }
               } catch (error) {
                 console.error('Error resetting database:', error);
@@ -194,6 +199,7 @@ export default function JobDetail() {
   }
 
   const stageCounts = getStageCounts();
+  const pipeline = getJobPipeline(job);
 
   return (
     <div className="space-y-6">
@@ -300,15 +306,21 @@ export default function JobDetail() {
             <CardHeader>
               <div className="flex items-center justify-between">
                 <h3 className="text-lg font-medium text-gray-900">Candidates</h3>
-                <Link to={`/app/candidates?jobId=${id}`}>
-                  <Button variant="outline" size="sm">
-                    View All
+                <div className="flex items-center space-x-2">
+                  <Button variant="outline" size="sm" onClick={() => setShowExportModal(true)} disabled={applicants.length === 0}>
+                    <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+                    Export
                   </Button>
-                </Link>
+                  <Link to={`/app/candidates?jobId=${id}`}>
+                    <Button variant="outline" size="sm">
+                      View All
+                    </Button>
+                  </Link>
+                </div>
               </div>
             </CardHeader>
             <CardBody>
-              {candidates.length === 0 ? (
+              {applicants.length === 0 ? (
                 <div className="text-center py-6">
                   <UsersIcon className="mx-auto h-12 w-12 text-gray-400" />
                   <h3 className="mt-2 text-sm font-medium text-gray-900">No candidates yet</h3>
@@ -318,8 +330,8 @@ export default function JobDetail() {
                 </div>
               ) : (
                 <div className="space-y-3">
-                  {candidates.slice(0, 5).map((candidate) => (
-                    <div key={candidate.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                  {applicants.slice(0, 5).map(({ id: applicationId, status, candidate }) => (
+                    <div key={applicationId} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
                       <div className="flex items-center space-x-3">
                         <div className="flex-shrink-0">
                           <div className="h-10 w-10 rounded-full bg-primary-100 flex items-center justify-center">
@@ -337,17 +349,27 @@ export default function JobDetail() {
                           </p>
                         </div>
                       </div>
-                      <Link to={`/candidates/${candidate.id}`}>
-                        <Button variant="outline" size="sm">
-                          View
-                        </Button>
-                      </Link>
+                      <div className="flex items-center space-x-3">
+                        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStageColors(pipeline, status).badge}`}>
+                          {getStageLabel(pipeline, status)}
+                        </span>
+                        <Link to={`/app/candidates/${candidate.id}`}>
+                          <Button variant="outline" size="sm">
+                            View
+                          </Button>
+                        </Link>
+                      </div>
                     </div>
                   ))}
                 </div>
               )}
             </CardBody>
           </Card>
+
+          {/* Rejection Reasons */}
+          <Card>
+            <RejectionReport jobId={id} />
+          </Card>
         </div>
 
         {/* Sidebar */}
@@ -424,12 +446,13 @@ export default function JobDetail() {
             </CardHeader>
             <CardBody>
               <div className="space-y-3">
-                {Object.entries(stageCounts).map(([stage, count]) => (
-                  <div key={stage} className="flex items-center justify-between">
-                    <span className="text-sm font-medium text-gray-900 capitalize">
-                      {stage.replace('_', ' ')}
+                {pipeline.map((stage) => (
+                  <div key={stage.id} className="flex items-center justify-between">
+                    <span className="flex items-center text-sm font-medium text-gray-900">
+                      <span className={`h-2.5 w-2.5 rounded-full mr-2 ${getStageColors(pipeline, stage.id).bar}`} />
+                      {stage.name}
                     </span>
-                    <span className="text-sm text-gray-500">{count}</span>
+                    <span className="text-sm text-gray-500">{stageCounts[stage.id] || 0}</span>
                   </div>
                 ))}
               </div>
@@ -450,7 +473,7 @@ export default function JobDetail() {
                   </Button>
                 </Link>
                 
-                <Link to={`/candidates?jobId=${id}`} className="block">
+                <Link to={`/app/candidates?jobId=${id}`} className="block">
                   <Button variant="outline" size="sm" className="w-full">
                     <UsersIcon className="h-5 w-5 mr-2" />
                     View Candidates
@@ -478,6 +501,15 @@ export default function JobDetail() {
         </ModalBody>
       </Modal>
 
+      <ExportModal
+        isOpen={showExportModal}
+        onClose={() => setShowExportModal(false)}
+        title={`Export applicants · ${job.title}`}
+        name={`${job.slug || 'job'}-applicants`}
+        columns={getApplicantExportColumns(job)}
+        loadRows={async () => applicants}
+      />
+
       {/* Delete Confirmation Modal */}
       <Modal
         isOpen={showDeleteModal}
@@ -487,7 +519,7 @@ export default function JobDetail() {
       >
         <ModalBody>
           <p className="text-sm text-gray-500">
-            Are you sure you want to delete "{job.title}"? This action cannot be undone and will also delete all associated candidates and assessments.
+            Move "{job.title}" to the trash? Its applications and assessment go with it, and you can restore them together from the trash. Candidates stay in your talent pool.
           </p>
         </ModalBody>
         <ModalFooter>
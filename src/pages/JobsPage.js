@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from 'react';
-import { Link, useSearchParams } from 'react-router-dom';
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link, useSearchParams, useLocation, useNavigate } from 'react-router-dom';
 import { 
   PlusIcon, 
   FunnelIcon,
@@ -7,6 +7,7 @@ import {
   PencilIcon,
   TrashIcon,
   Bars3Icon,
+  ArrowDownTrayIcon,
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 import {
@@ -27,32 +28,39 @@ import {
   useSortable,
 } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
-import { DatabaseService } from '../services/database';
-import { JOB_STATUS } from '../types';
+import { jobsApi, applicationsApi, queryKeys } from '../services/api';
+import { queryClient } from '../services/queryClient';
+import { JOB_STATUS, ERROR_TYPES } from '../types';
+import { JOB_EXPORT_COLUMNS } from '../utils/export';
 import Button from '../components/ui/Button';
 import Card, { CardBody } from '../components/ui/Card';
 import Input from '../components/ui/Input';
 import Select from '../components/ui/Select';
 import SearchInput from '../components/ui/SearchInput';
+import Highlight, { HighlightSnippet, findHighlight } from '../components/ui/Highlight';
 import Modal, { ModalBody, ModalFooter } from '../components/ui/Modal';
 import JobForm from '../components/forms/JobForm';
+import { showTrashUndoToast } from '../components/UndoToast';
+import ExportModal from '../components/ExportModal';
 import { useSearch } from '../hooks/useSearch';
+import { useMutation } from '../hooks/useMutation';
+import { useQuery } from '../hooks/useQuery';
+
+// Helper function to move a job card while keeping the page's order values in sequence
+const moveJob = (jobs, fromIndex, toIndex) => {
+  const orders = jobs.map(job => job.order);
+  return arrayMove(jobs, fromIndex, toIndex).map((job, index) => ({ ...job, order: orders[index] }));
+};
 
 export default function JobsPage() {
-  const [jobs, setJobs] = useState([]);
-  const [loading, setLoading] = useState(true);
   const [searchParams, setSearchParams] = useSearchParams();
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const location = useLocation();
+  const navigate = useNavigate();
   const [editingJob, setEditingJob] = useState(null);
   const [deletingJob, setDeletingJob] = useState(null);
-  const [pagination, setPagination] = useState({
-    page: 1,
-    pageSize: 10,
-    total: 0,
-    totalPages: 0,
-    hasMore: false
-  });
-  const [availableTags, setAvailableTags] = useState([]);
+  const [paging, setPaging] = useState({ page: 1, pageSize: 10 });
   const [isReordering, setIsReordering] = useState(false);
   
   const sensors = useSensors(
@@ -62,6 +70,14 @@ export default function JobsPage() {
     })
   );
 
+  // The command palette links here with { create: true } to open the form
+  useEffect(() => {
+    if (location.state?.create) {
+      setShowCreateModal(true);
+      navigate(`${location.pathname}${location.search}`, { replace: true, state: null });
+    }
+  }, [location.state, location.pathname, location.search, navigate]);
+
   // Search functionality
   const { 
     searchValue, 
@@ -77,35 +93,48 @@ export default function JobsPage() {
     tags: searchParams.get('tags') ? searchParams.get('tags').split(',') : [],
   });
 
-  const loadJobs = React.useCallback(async () => {
-    try {
-      setLoading(true);
-      const filtersWithPagination = {
-        ...filters,
-        page: pagination.page,
-        pageSize: pagination.pageSize
-      };
-      
-      const result = await DatabaseService.getJobs(filtersWithPagination);
-      
-      if (result.pagination) {
-        setJobs(result.data);
-        setPagination(result.pagination);
-      } else {
-        setJobs(result);
-      }
-      
-      // Load available tags for filtering
-      const allJobs = await DatabaseService.getJobs({});
-      const tags = [...new Set(allJobs.flatMap(job => job.tags || []))];
-      setAvailableTags(tags.sort());
-    } catch (error) {
+  const listParams = { ...filters, page: paging.page, pageSize: paging.pageSize };
+  const jobsQueryKey = queryKeys.jobs.list(listParams);
+  const jobsQuery = useQuery(jobsQueryKey, () => jobsApi.list(listParams), {
+    keepPreviousData: true,
+    onError: (error) => {
       console.error('Error loading jobs:', error);
       toast.error('Failed to load jobs');
-    } finally {
-      setLoading(false);
-    }
-  }, [filters, pagination.page, pagination.pageSize]);
+    },
+  });
+  const jobs = jobsQuery.data?.jobs || [];
+  const loading = jobsQuery.isLoading;
+  const pagination = {
+    total: 0,
+    totalPages: 0,
+    hasMore: false,
+    ...jobsQuery.data?.pagination,
+    ...paging,
+  };
+  
+  // Load available tags for filtering
+  const { data: allJobs } = useQuery(queryKeys.jobs.allMatching(), () => jobsApi.getAll());
+  const availableTags = useMemo(
+    () => [...new Set((allJobs || []).flatMap(job => job.tags || []))].sort(),
+    [allJobs]
+  );
+
+  const jobsInvalidation = [queryKeys.jobs.all, queryKeys.stats, queryKeys.reports.all];
+  const createJobMutation = useMutation(jobsApi.create, { invalidates: jobsInvalidation });
+  const updateJobMutation = useMutation(
+    ({ id, updates }) => jobsApi.update(id, updates),
+    { invalidates: jobsInvalidation }
+  );
+  const deleteJobMutation = useMutation(jobsApi.delete, {
+    // Deleting a job also moves its applications and assessment to the trash
+    invalidates: [
+      ...jobsInvalidation,
+      queryKeys.candidates.all,
+      queryKeys.applications.all,
+      queryKeys.assessments.all,
+      queryKeys.trash,
+    ],
+  });
 
   // Update filters when debounced search value changes
   useEffect(() => {
@@ -115,67 +144,81 @@ export default function JobsPage() {
     }));
   }, [debouncedValue]);
 
-  useEffect(() => {
-    loadJobs();
-  }, [loadJobs]);
-
   useEffect(() => {
     // Update URL params when filters change
     const params = new URLSearchParams();
     if (filters.search) params.set('search', filters.search);
     if (filters.status) params.set('status', filters.status);
     if (filters.tags.length > 0) params.set('tags', filters.tags.join(','));
-    if (pagination.page > 1) params.set('page', pagination.page.toString());
+    if (paging.page > 1) params.set('page', paging.page.toString());
     setSearchParams(params);
-  }, [filters, pagination.page, setSearchParams]);
+  }, [filters, paging.page, setSearchParams]);
   
   // Reset to first page when filters change
   useEffect(() => {
-    setPagination(prev => ({ ...prev, page: 1 }));
+    setPaging(prev => ({ ...prev, page: 1 }));
   }, [filters]);
 
   const handleCreateJob = async (jobData) => {
     try {
-      await DatabaseService.createJob(jobData);
+      await createJobMutation.mutateAsync(jobData);
       toast.success('Job created successfully');
       setShowCreateModal(false);
-      loadJobs();
     } catch (error) {
       console.error('Error creating job:', error);
-      toast.error('Failed to create job');
+      toast.error(error.type === ERROR_TYPES.VALIDATION_ERROR ? error.message : 'Failed to create job');
     }
   };
 
   const handleUpdateJob = async (jobData) => {
     try {
-      await DatabaseService.updateJob(editingJob.id, jobData);
+      await updateJobMutation.mutateAsync({ id: editingJob.id, updates: jobData });
       toast.success('Job updated successfully');
       setEditingJob(null);
-      loadJobs();
     } catch (error) {
       console.error('Error updating job:', error);
-      toast.error('Failed to update job');
+      toast.error(error.type === ERROR_TYPES.VALIDATION_ERROR ? error.message : 'Failed to update job');
     }
   };
 
   const handleArchiveJob = async (job) => {
     try {
       const newStatus = job.status === JOB_STATUS.ACTIVE ? JOB_STATUS.ARCHIVED : JOB_STATUS.ACTIVE;
-      await DatabaseService.updateJob(job.id, { status: newStatus });
+      await updateJobMutation.mutateAsync({ id: job.id, updates: { status: newStatus } });
       toast.success(`Job ${newStatus === JOB_STATUS.ARCHIVED ? 'archived' : 'unarchived'} successfully`);
-      loadJobs();
     } catch (error) {
       console.error('Error updating job status:', error);
       toast.error('Failed to update job status');
     }
   };
 
+  const deleteJob = async (id) => {
+    const trashEntry = await deleteJobMutation.mutateAsync(id);
+    showTrashUndoToast(trashEntry, {
+      onRedo: () => deleteJob(id).catch((error) => {
+        console.error('Error deleting job:', error);
+        toast.error('Failed to delete job');
+      }),
+    });
+  };
+
+  // Every job matching the filters, not just this page, with its applications
+  const loadExportRows = async () => {
+    const { search, status, tags } = filters;
+    const [matchingJobs, applications] = await Promise.all([
+      jobsApi.getAll({ search, status, tags }),
+      applicationsApi.list(),
+    ]);
+    return matchingJobs.map(job => ({
+      ...job,
+      applications: applications.filter(application => application.jobId === job.id),
+    }));
+  };
+
   const handleDeleteJob = async () => {
     try {
-      await DatabaseService.deleteJob(deletingJob.id);
-      toast.success('Job deleted successfully');
+      await deleteJob(deletingJob.id);
       setDeletingJob(null);
-      loadJobs();
     } catch (error) {
       console.error('Error deleting job:', error);
       toast.error('Failed to delete job');
@@ -189,41 +232,62 @@ export default function JobsPage() {
   ];
   
   const handlePageChange = (page) => {
-    setPagination(prev => ({ ...prev, page }));
+    setPaging(prev => ({ ...prev, page }));
   };
   
   const handlePageSizeChange = (pageSize) => {
-    setPagination(prev => ({ ...prev, pageSize, page: 1 }));
+    setPaging(prev => ({ ...prev, pageSize, page: 1 }));
   };
   
   
-  const handleDragEnd = async (event) => {
+  const reorderMutation = useMutation(
+    ({ job, targetJob }) => jobsApi.reorder(job.id, job.order, targetJob.order),
+    {
+      onMutate: ({ oldIndex, newIndex }) => {
+        setIsReordering(true);
+        queryClient.cancelQueries(jobsQueryKey);
+        queryClient.setQueryData(jobsQueryKey, prev => prev && ({
+          ...prev,
+          jobs: moveJob(prev.jobs, oldIndex, newIndex),
+        }));
+        return { oldIndex, newIndex, queryKey: jobsQueryKey };
+      },
+      onSuccess: (reorderedJobs, variables, context) => {
+        // The server renumbers every job; pick up the new order values
+        const orderById = new Map(reorderedJobs.map(job => [job.id, job.order]));
+        queryClient.setQueryData(context.queryKey, prev => prev && ({
+          ...prev,
+          jobs: prev.jobs.map(job => ({ ...job, order: orderById.get(job.id) ?? job.order })),
+        }));
+        toast.success('Jobs reordered successfully');
+      },
+      onError: (error, { job }, context) => {
+        console.error('Error reordering jobs:', error);
+        // Move the card back to exactly where it was
+        queryClient.setQueryData(context.queryKey, prev => prev && ({
+          ...prev,
+          jobs: moveJob(prev.jobs, context.newIndex, context.oldIndex),
+        }));
+        toast.error(`Couldn't move "${job.title}". The previous order was restored.`);
+      },
+      onSettled: () => setIsReordering(false),
+      invalidates: [queryKeys.jobs.all],
+    }
+  );
+  
+  const handleDragEnd = (event) => {
     const { active, over } = event;
     
-    if (active.id !== over.id) {
+    if (over && active.id !== over.id) {
       const oldIndex = jobs.findIndex(job => job.id === active.id);
       const newIndex = jobs.findIndex(job => job.id === over.id);
       
-      // Optimistic update
-      const newJobs = arrayMove(jobs, oldIndex, newIndex);
-      setJobs(newJobs);
-      
-      try {
-        setIsReordering(true);
-        // Update order in database
-        await DatabaseService.reorderJobs(
-          jobs[oldIndex].order,
-          jobs[newIndex].order
-        );
-        toast.success('Jobs reordered successfully');
-      } catch (error) {
-        console.error('Error reordering jobs:', error);
-        // Rollback on failure
-        setJobs(jobs);
-        toast.error('Failed to reorder jobs');
-      } finally {
-        setIsReordering(false);
-      }
+      reorderMutation.mutate({
+        job: jobs[oldIndex],
+        targetJob: jobs[newIndex],
+        oldIndex,
+        newIndex,
+      });
     }
   };
 
@@ -246,13 +310,23 @@ export default function JobsPage() {
             Manage job postings and track applications
           </p>
         </div>
-          <Button 
-            onClick={() => setShowCreateModal(true)}
-            className="bg-white text-primary-700 hover:bg-primary-50 border-0 shadow-lg hover:shadow-xl"
-          >
-          <PlusIcon className="h-5 w-5 mr-2" />
-          Create Job
-        </Button>
+          <div className="flex items-center space-x-3">
+            <Button
+              variant="outline"
+              onClick={() => setShowExportModal(true)}
+              className="bg-white/10 text-white border-white/20 hover:bg-white/20 hover:border-white/30"
+            >
+              <ArrowDownTrayIcon className="h-5 w-5 mr-2" />
+              Export
+            </Button>
+            <Button 
+              onClick={() => setShowCreateModal(true)}
+              className="bg-white text-primary-700 hover:bg-primary-50 border-0 shadow-lg hover:shadow-xl"
+            >
+              <PlusIcon className="h-5 w-5 mr-2" />
+              Create Job
+            </Button>
+          </div>
         </div>
       </div>
 
@@ -265,7 +339,7 @@ export default function JobsPage() {
               <SearchInput
                 value={searchValue}
                 onChange={handleSearchChange}
-                placeholder="Search jobs by title, description, or tags..."
+                placeholder="Search jobs by title, description, requirements, or tags..."
                 loading={isSearching || loading}
                 className="w-full"
               />
@@ -495,6 +569,16 @@ export default function JobsPage() {
         </ModalBody>
       </Modal>
 
+      <ExportModal
+        isOpen={showExportModal}
+        onClose={() => setShowExportModal(false)}
+        title="Export jobs"
+        description="Exports every job matching the current search and filters, with applicant counts per stage."
+        name="jobs"
+        columns={JOB_EXPORT_COLUMNS}
+        loadRows={loadExportRows}
+      />
+
       {/* Delete Confirmation Modal */}
       <Modal
         isOpen={!!deletingJob}
@@ -504,7 +588,7 @@ export default function JobsPage() {
       >
         <ModalBody>
           <p className="text-sm text-gray-500">
-            Are you sure you want to delete "{deletingJob?.title}"? This action cannot be undone.
+            Move "{deletingJob?.title}" to the trash? Its applications and assessment go with it, and you can restore them together from the trash.
           </p>
         </ModalBody>
         <ModalFooter>
@@ -522,6 +606,8 @@ export default function JobsPage() {
 
 // Sortable Job Card Component
 function SortableJobCard({ job, onEdit, onArchive, onDelete, isReordering }) {
+  const titleMatch = findHighlight(job.searchMatch, 'job', 'title');
+  const textMatch = job.searchMatch?.highlights.find(highlight => highlight.field !== 'title');
   const {
     attributes,
     listeners,
@@ -557,7 +643,7 @@ function SortableJobCard({ job, onEdit, onArchive, onDelete, isReordering }) {
                 <Bars3Icon className="h-5 w-5 text-gray-400" />
               </div>
               <h3 className="text-xl font-bold text-gray-900 group-hover:text-primary-700 transition-colors">
-                {job.title}
+                {titleMatch ? <Highlight fragments={titleMatch.fragments} /> : job.title}
               </h3>
               <span className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold border ${
                 job.status === JOB_STATUS.ACTIVE 
@@ -590,7 +676,11 @@ function SortableJobCard({ job, onEdit, onArchive, onDelete, isReordering }) {
               </span>
             </div>
             
-            {job.description && (
+            {textMatch ? (
+              <p className="text-sm text-gray-600 line-clamp-2 mb-4">
+                <HighlightSnippet highlight={textMatch} />
+              </p>
+            ) : job.description && (
               <p className="text-sm text-gray-600 line-clamp-2 mb-4">
                 {job.description}
               </p>
@@ -0,0 +1,443 @@
+import React, { useState } from 'react';
+import { TrashIcon, PlusIcon, ArrowDownTrayIcon, ArrowUpTrayIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { settingsApi, workspaceApi, queryKeys } from '../services/api';
+import { queryClient } from '../services/queryClient';
+import { validateBackup, summarizeBackup } from '../services/backup';
+import { LATEST_SCHEMA_VERSION } from '../services/migrations';
+import {
+  SETTINGS_KEYS,
+  REJECTION_SOURCES,
+  REJECTION_SOURCE_LABELS,
+  ERROR_TYPES,
+  BACKUP_RESTORE_MODES,
+  createRejectionReason,
+} from '../types';
+import { validateRejectionReasons } from '../utils/rejections';
+import { validateRetentionDays, MAX_TRASH_RETENTION_DAYS } from '../utils/trash';
+import { downloadFile } from '../utils/csv';
+import Button from '../components/ui/Button';
+import Card, { CardHeader, CardBody } from '../components/ui/Card';
+import Modal, { ModalBody, ModalFooter } from '../components/ui/Modal';
+import { useQuery } from '../hooks/useQuery';
+import { useMutation } from '../hooks/useMutation';
+
+const inputClassName = 'block rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm';
+
+export default function SettingsPage() {
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-primary-600 to-primary-700 rounded-2xl p-8 text-white shadow-xl">
+        <h1 className="text-3xl font-bold">Settings</h1>
+        <p className="mt-2 text-primary-100 text-lg">
+          Configure how your team records hiring decisions and how long deleted items are kept, and back up the workspace
+        </p>
+      </div>
+
+      <RejectionReasonsSettings />
+      <TrashRetentionSettings />
+      <BackupSettings />
+    </div>
+  );
+}
+
+// Editable list of rejection reasons offered when an application is rejected
+function RejectionReasonsSettings() {
+  const settingKey = SETTINGS_KEYS.REJECTION_REASONS;
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+
+  const { data: savedReasons, isLoading } = useQuery(
+    queryKeys.settings.detail(settingKey),
+    () => settingsApi.get(settingKey),
+    {
+      onError: (loadError) => {
+        console.error('Error loading rejection reasons:', loadError);
+        toast.error('Failed to load rejection reasons');
+      },
+    }
+  );
+  const saveMutation = useMutation((reasons) => settingsApi.update(settingKey, reasons), {
+    invalidates: [queryKeys.settings.detail(settingKey)],
+  });
+
+  const reasons = draft || savedReasons || [];
+
+  const updateReason = (index, changes) => {
+    setDraft(reasons.map((reason, i) => (i === index ? { ...reason, ...changes } : reason)));
+    setError(null);
+  };
+
+  const removeReason = (index) => {
+    setDraft(reasons.filter((_, i) => i !== index));
+    setError(null);
+  };
+
+  const addReason = () => {
+    setDraft([...reasons, createRejectionReason()]);
+  };
+
+  const handleSave = async () => {
+    const errors = validateRejectionReasons(reasons);
+    if (errors.length > 0) {
+      setError(errors[0]);
+      return;
+    }
+
+    try {
+      await saveMutation.mutateAsync(reasons);
+      setDraft(null);
+      toast.success('Rejection reasons saved');
+    } catch (saveError) {
+      console.error('Error saving rejection reasons:', saveError);
+      toast.error(
+        saveError.type === ERROR_TYPES.VALIDATION_ERROR ? saveError.message : 'Failed to save rejection reasons'
+      );
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <h3 className="text-lg font-medium text-gray-900">Rejection Reasons</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          Offered when an application moves to a stage that requires a rejection reason.
+          Past rejections keep the label they were recorded with.
+        </p>
+      </CardHeader>
+      <CardBody>
+        {isLoading && !draft ? (
+          <div className="animate-pulse space-y-3">
+            <div className="h-8 bg-gray-200 rounded"></div>
+            <div className="h-8 bg-gray-200 rounded"></div>
+          </div>
+        ) : (
+          <div className="space-y-2">
+            {reasons.map((reason, index) => (
+              <div key={reason.id || `new-${index}`} className="flex items-center space-x-2">
+                <input
+                  type="text"
+                  value={reason.label}
+                  onChange={(e) => updateReason(index, { label: e.target.value })}
+                  className={`flex-1 ${inputClassName}`}
+                  placeholder="Reason..."
+                  aria-label={`Reason ${index + 1} label`}
+                />
+                <select
+                  value={reason.source}
+                  onChange={(e) => updateReason(index, { source: e.target.value })}
+                  className={inputClassName}
+                  aria-label={`Reason ${index + 1} source`}
+                >
+                  {Object.values(REJECTION_SOURCES).map(source => (
+                    <option key={source} value={source}>{REJECTION_SOURCE_LABELS[source]}</option>
+                  ))}
+                </select>
+                <Button
+                  type="button"
+                  variant="danger"
+                  size="sm"
+                  onClick={() => removeReason(index)}
+                  title="Remove reason"
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </Button>
+              </div>
+            ))}
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            <div className="flex items-center justify-between pt-2">
+              <Button type="button" variant="outline" size="sm" onClick={addReason}>
+                <PlusIcon className="h-4 w-4 mr-1" />
+                Add Reason
+              </Button>
+              <div className="flex items-center space-x-2">
+                {draft && (
+                  <Button type="button" variant="outline" size="sm" onClick={() => { setDraft(null); setError(null); }}>
+                    Discard
+                  </Button>
+                )}
+                <Button type="button" size="sm" onClick={handleSave} disabled={!draft || saveMutation.isLoading}>
+                  Save Reasons
+                </Button>
+              </div>
+            </div>
+          </div>
+        )}
+      </CardBody>
+    </Card>
+  );
+}
+
+// How many days deleted jobs, candidates and assessments stay in the trash
+function TrashRetentionSettings() {
+  const settingKey = SETTINGS_KEYS.TRASH_RETENTION_DAYS;
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+
+  const { data: savedDays, isLoading } = useQuery(
+    queryKeys.settings.detail(settingKey),
+    () => settingsApi.get(settingKey),
+    {
+      onError: (loadError) => {
+        console.error('Error loading trash retention:', loadError);
+        toast.error('Failed to load trash retention');
+      },
+    }
+  );
+  const saveMutation = useMutation((days) => settingsApi.update(settingKey, days), {
+    // Purge dates shown in the trash depend on the retention period
+    invalidates: [queryKeys.settings.detail(settingKey), queryKeys.trash],
+  });
+
+  const value = draft ?? (savedDays !== undefined ? String(savedDays) : '');
+
+  const handleSave = async () => {
+    const days = Number(value);
+    const errors = validateRetentionDays(days);
+    if (errors.length > 0) {
+      setError(errors[0]);
+      return;
+    }
+
+    try {
+      await saveMutation.mutateAsync(days);
+      setDraft(null);
+      toast.success('Trash retention saved');
+    } catch (saveError) {
+      console.error('Error saving trash retention:', saveError);
+      toast.error(
+        saveError.type === ERROR_TYPES.VALIDATION_ERROR ? saveError.message : 'Failed to save trash retention'
+      );
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <h3 className="text-lg font-medium text-gray-900">Trash</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          Deleted jobs, candidates and assessments can be restored from the trash until this
+          many days have passed. After that they are deleted permanently.
+        </p>
+      </CardHeader>
+      <CardBody>
+        {isLoading && draft === null ? (
+          <div className="animate-pulse h-8 w-48 bg-gray-200 rounded"></div>
+        ) : (
+          <div className="space-y-2">
+            <div className="flex items-center space-x-2">
+              <input
+                type="number"
+                min="1"
+                max={MAX_TRASH_RETENTION_DAYS}
+                value={value}
+                onChange={(e) => { setDraft(e.target.value); setError(null); }}
+                className={`w-24 ${inputClassName}`}
+                aria-label="Days to keep deleted items"
+              />
+              <span className="text-sm text-gray-600">days</span>
+              <Button type="button" size="sm" onClick={handleSave} disabled={draft === null || saveMutation.isLoading}>
+                Save
+              </Button>
+            </div>
+            {error && <p className="text-sm text-red-600">{error}</p>}
+          </div>
+        )}
+      </CardBody>
+    </Card>
+  );
+}
+
+const TABLE_LABELS = {
+  jobs: 'Jobs',
+  candidates: 'Candidates',
+  assessments: 'Assessments',
+  timelineEvents: 'Timeline events',
+  notes: 'Notes',
+  assessmentResponses: 'Assessment responses',
+  jobApplications: 'Applications',
+  settings: 'Settings',
+};
+
+const RESTORE_MODE_OPTIONS = [
+  {
+    value: BACKUP_RESTORE_MODES.MERGE,
+    label: 'Merge',
+    description: 'Keep the current workspace and add what the backup has. Records in both keep whichever copy was updated last.',
+  },
+  {
+    value: BACKUP_RESTORE_MODES.REPLACE,
+    label: 'Replace',
+    description: 'Delete everything in the workspace, including the trash, and load the backup in its place.',
+  },
+];
+
+// Downloading every table as one file, and restoring such a file
+function BackupSettings() {
+  const [isDownloading, setIsDownloading] = useState(false);
+  const [file, setFile] = useState(null);
+  const [fileError, setFileError] = useState(null);
+  const [mode, setMode] = useState(BACKUP_RESTORE_MODES.MERGE);
+  const [showConfirm, setShowConfirm] = useState(false);
+
+  const restoreMutation = useMutation(({ backup, restoreMode }) => workspaceApi.restore(backup, restoreMode), {
+    // A restore can touch every table
+    onSuccess: () => queryClient.invalidateQueries(),
+  });
+
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    try {
+      const backup = await workspaceApi.backup();
+      downloadFile(
+        JSON.stringify(backup, null, 2),
+        `talentflow-backup-${backup.createdAt.slice(0, 10)}.json`,
+        'application/json'
+      );
+      toast.success('Backup downloaded');
+    } catch (error) {
+      console.error('Error downloading backup:', error);
+      toast.error('Failed to download backup');
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files?.[0];
+    e.target.value = '';
+    if (!selected) return;
+    setFile(null);
+    setFileError(null);
+
+    let backup;
+    try {
+      backup = JSON.parse(await selected.text());
+    } catch (parseError) {
+      setFileError(`${selected.name} isn't a TalentFlow backup`);
+      return;
+    }
+    const errors = validateBackup(backup);
+    if (errors.length > 0) {
+      setFileError(errors[0]);
+      return;
+    }
+    setFile({ name: selected.name, backup, counts: summarizeBackup(backup) });
+  };
+
+  const handleRestore = async () => {
+    setShowConfirm(false);
+    try {
+      const { restored, skipped } = await restoreMutation.mutateAsync({ backup: file.backup, restoreMode: mode });
+      const total = Object.values(restored).reduce((sum, count) => sum + count, 0);
+      toast.success(
+        `Restored ${total} record${total !== 1 ? 's' : ''}`
+        + (skipped > 0 ? `; ${skipped} skipped because they clash with existing ones` : '')
+      );
+      setFile(null);
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      toast.error(error.type === ERROR_TYPES.VALIDATION_ERROR ? error.message : 'Failed to restore backup');
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <h3 className="text-lg font-medium text-gray-900">Backup &amp; Restore</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          Everything lives in this browser and is lost if its data is cleared. Download a backup to keep
+          a copy, or to move the workspace to another browser.
+        </p>
+      </CardHeader>
+      <CardBody className="space-y-5">
+        <div className="flex flex-wrap gap-3">
+          <Button type="button" onClick={handleDownload} disabled={isDownloading}>
+            <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+            {isDownloading ? 'Preparing...' : 'Download Backup'}
+          </Button>
+          <label className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50 cursor-pointer">
+            <ArrowUpTrayIcon className="h-4 w-4 mr-1" />
+            Choose Backup File
+            <input type="file" accept=".json,application/json" onChange={handleFileChange} className="sr-only" />
+          </label>
+        </div>
+
+        {fileError && <p className="text-sm text-red-600">{fileError}</p>}
+
+        {file && (
+          <div className="rounded-lg border border-gray-200 p-4 space-y-4">
+            <div>
+              <p className="text-sm font-medium text-gray-900">{file.name}</p>
+              <p className="text-sm text-gray-500">
+                Made {new Date(file.backup.createdAt).toLocaleString()}
+                {file.backup.schemaVersion < LATEST_SCHEMA_VERSION && (
+                  <> by an older version of TalentFlow; it will be upgraded as it is restored</>
+                )}
+              </p>
+            </div>
+
+            <dl className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-sm">
+              {Object.entries(file.counts).map(([table, count]) => (
+                <div key={table}>
+                  <dt className="text-gray-500">{TABLE_LABELS[table]}</dt>
+                  <dd className="font-medium text-gray-900">{count}</dd>
+                </div>
+              ))}
+            </dl>
+
+            <div className="space-y-2">
+              {RESTORE_MODE_OPTIONS.map(option => (
+                <label key={option.value} className="flex items-start space-x-2 text-sm">
+                  <input
+                    type="radio"
+                    className="mt-1"
+                    checked={mode === option.value}
+                    onChange={() => setMode(option.value)}
+                  />
+                  <span>
+                    <span className="font-medium text-gray-900">{option.label}</span>
+                    <span className="block text-gray-500">{option.description}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+
+            <div className="flex justify-end space-x-2">
+              <Button type="button" variant="outline" onClick={() => setFile(null)} disabled={restoreMutation.isLoading}>
+                Cancel
+              </Button>
+              <Button
+                type="button"
+                variant={mode === BACKUP_RESTORE_MODES.REPLACE ? 'danger' : 'primary'}
+                onClick={() => setShowConfirm(true)}
+                disabled={restoreMutation.isLoading}
+              >
+                {restoreMutation.isLoading ? 'Restoring...' : 'Restore'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardBody>
+
+      <Modal isOpen={showConfirm} onClose={() => setShowConfirm(false)} title="Restore Backup" size="sm">
+        <ModalBody>
+          <p className="text-sm text-gray-500">
+            {mode === BACKUP_RESTORE_MODES.REPLACE
+              ? 'Everything in the workspace, including the trash, will be deleted and replaced by the backup. This can\'t be undone.'
+              : 'The backup will be merged into the workspace. Records updated since the backup was made keep their changes.'}
+          </p>
+        </ModalBody>
+        <ModalFooter>
+          <Button variant="outline" onClick={() => setShowConfirm(false)}>
+            Cancel
+          </Button>
+          <Button variant={mode === BACKUP_RESTORE_MODES.REPLACE ? 'danger' : 'primary'} onClick={handleRestore}>
+            Restore
+          </Button>
+        </ModalFooter>
+      </Modal>
+    </Card>
+  );
+}
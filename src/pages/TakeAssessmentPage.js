@@ -0,0 +1,320 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams } from 'react-router-dom';
+import { ClockIcon, CheckCircleIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { clsx } from 'clsx';
+import { invitesApi, assessmentsApi, queryKeys } from '../services/api';
+import { queryClient } from '../services/queryClient';
+import { useQuery } from '../hooks/useQuery';
+import { ERROR_TYPES } from '../types';
+import { getDeadline, getRemainingMs, formatCountdown } from '../utils/assessmentTiming';
+import { validateResponses } from '../utils/assessmentValidation';
+import AssessmentForm from '../components/AssessmentForm';
+import Button from '../components/ui/Button';
+import Card, { CardBody } from '../components/ui/Card';
+
+// How long typing pauses before the answers are saved as a draft
+const AUTOSAVE_DELAY_MS = 1000;
+
+// Time left at which the countdown turns red
+const WARNING_MS = 5 * 60 * 1000;
+
+const countQuestions = (assessment) =>
+  assessment.sections.reduce((sum, section) => sum + section.questions.length, 0);
+
+/**
+ * The page a candidate opens from their invite link, outside the recruiter
+ * app: an introduction, the assessment itself with a countdown when it has a
+ * time limit, and a confirmation once submitted.
+ */
+export default function TakeAssessmentPage() {
+  const { token } = useParams();
+  const [isStarting, setIsStarting] = useState(false);
+
+  const inviteQuery = useQuery(queryKeys.invites.detail(token), () => invitesApi.get(token), {
+    onError: (error) => console.error('Error loading assessment link:', error),
+  });
+  const data = inviteQuery.data;
+  const { refetch } = inviteQuery;
+
+  // A link whose time ran out submits its saved draft, then shows the result
+  const expired = !!data?.expired;
+  useEffect(() => {
+    if (!expired) return;
+    invitesApi.expire(token)
+      .then(() => refetch())
+      .catch(error => console.error('Error submitting expired assessment:', error));
+  }, [expired, token, refetch]);
+
+  const handleStart = async () => {
+    setIsStarting(true);
+    try {
+      const invite = await invitesApi.start(token);
+      queryClient.setQueryData(queryKeys.invites.detail(token), { ...data, invite });
+    } catch (error) {
+      console.error('Error starting assessment:', error);
+      toast.error(error.type === ERROR_TYPES.VALIDATION_ERROR ? error.message : 'Couldn\'t start the assessment, please try again');
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  let content;
+  if (inviteQuery.isLoading) {
+    content = (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  } else if (!data) {
+    const notFound = inviteQuery.error?.type === ERROR_TYPES.NOT_FOUND;
+    content = (
+      <Card>
+        <CardBody className="text-center space-y-3">
+          <ExclamationTriangleIcon className="mx-auto h-12 w-12 text-gray-400" />
+          <h2 className="text-lg font-medium text-gray-900">
+            {notFound ? 'This assessment link isn\'t valid' : 'The assessment couldn\'t be loaded'}
+          </h2>
+          <p className="text-sm text-gray-500">
+            {notFound
+              ? 'It may have been mistyped, or the assessment is no longer available. Ask your recruiter for a new link.'
+              : 'Check your connection and try again.'}
+          </p>
+          {!notFound && (
+            <Button variant="outline" onClick={() => refetch().catch(() => {})}>
+              Try Again
+            </Button>
+          )}
+        </CardBody>
+      </Card>
+    );
+  } else if (data.invite.submittedAt) {
+    content = (
+      <SubmittedNotice data={data} onRetake={handleStart} isStarting={isStarting} />
+    );
+  } else if (!data.invite.startedAt) {
+    content = (
+      <Introduction data={data} onStart={handleStart} isStarting={isStarting} />
+    );
+  } else if (data.expired) {
+    content = (
+      <Card>
+        <CardBody className="text-center space-y-3">
+          <ClockIcon className="mx-auto h-12 w-12 text-gray-400" />
+          <h2 className="text-lg font-medium text-gray-900">Time's up: submitting your saved answers...</h2>
+        </CardBody>
+      </Card>
+    );
+  } else {
+    content = (
+      <AssessmentAttempt
+        key={data.invite.startedAt}
+        token={token}
+        data={data}
+        onFinished={() => refetch().catch(() => {})}
+      />
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white border-b border-gray-200">
+        <div className="max-w-3xl mx-auto px-4 py-4">
+          <span className="text-lg font-bold text-primary-700">TalentFlow</span>
+        </div>
+      </header>
+      <main className="max-w-3xl mx-auto px-4 py-8">{content}</main>
+    </div>
+  );
+}
+
+function Introduction({ data, onStart, isStarting }) {
+  const { assessment, candidate, jobTitle } = data;
+  const { timeLimit } = assessment.settings || {};
+
+  return (
+    <Card>
+      <CardBody className="space-y-4">
+        <div>
+          <p className="text-sm text-gray-500">Hi {candidate.name},</p>
+          <h1 className="mt-1 text-2xl font-bold text-gray-900">{assessment.title}</h1>
+          {jobTitle && <p className="text-sm text-gray-500">For the {jobTitle} position</p>}
+        </div>
+        {assessment.description && <p className="text-gray-600">{assessment.description}</p>}
+        <ul className="text-sm text-gray-700 list-disc pl-5 space-y-1">
+          <li>{countQuestions(assessment)} questions in {assessment.sections.length} section{assessment.sections.length !== 1 ? 's' : ''}</li>
+          <li>
+            {timeLimit
+              ? `You have ${timeLimit} minutes once you start. When the time is up, your answers so far are submitted.`
+              : 'There is no time limit.'}
+          </li>
+          <li>Your answers are saved as you go, so you can come back to this link if you're interrupted.</li>
+        </ul>
+        <div className="flex justify-end">
+          <Button onClick={onStart} disabled={isStarting}>
+            {isStarting ? 'Starting...' : 'Start Assessment'}
+          </Button>
+        </div>
+      </CardBody>
+    </Card>
+  );
+}
+
+function SubmittedNotice({ data, onRetake, isStarting }) {
+  const { invite, assessment } = data;
+
+  return (
+    <Card>
+      <CardBody className="text-center space-y-3">
+        <CheckCircleIcon className="mx-auto h-12 w-12 text-green-500" />
+        <h2 className="text-lg font-medium text-gray-900">
+          {invite.timedOut ? 'Time\'s up: your answers were submitted' : 'Thanks, your answers were submitted'}
+        </h2>
+        <p className="text-sm text-gray-500">
+          {assessment.title} · {new Date(invite.submittedAt).toLocaleString()}
+        </p>
+        {assessment.settings?.allowMultipleAttempts && (
+          <Button variant="outline" onClick={onRetake} disabled={isStarting}>
+            {isStarting ? 'Starting...' : 'Take It Again'}
+          </Button>
+        )}
+      </CardBody>
+    </Card>
+  );
+}
+
+// One attempt: the form, the countdown and the autosaved draft
+function AssessmentAttempt({ token, data, onFinished }) {
+  const { invite, assessment, candidate } = data;
+  const [responses, setResponses] = useState(invite.draft || {});
+  const [errors, setErrors] = useState({});
+  const [saveState, setSaveState] = useState({ status: invite.draftSavedAt ? 'saved' : 'idle', at: invite.draftSavedAt });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [now, setNow] = useState(() => new Date());
+  const isDirty = useRef(false);
+  const autoSubmitted = useRef(false);
+
+  const deadline = getDeadline(invite, assessment);
+  const remainingMs = getRemainingMs(deadline, now);
+
+  // Save the answers once typing pauses
+  useEffect(() => {
+    if (!isDirty.current) return undefined;
+    const timer = setTimeout(async () => {
+      setSaveState(prev => ({ ...prev, status: 'saving' }));
+      try {
+        const { draftSavedAt } = await invitesApi.saveDraft(token, responses);
+        setSaveState({ status: 'saved', at: draftSavedAt });
+      } catch (error) {
+        console.error('Error saving draft:', error);
+        setSaveState(prev => ({ ...prev, status: 'error' }));
+      }
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [token, responses]);
+
+  useEffect(() => {
+    if (!deadline) return undefined;
+    const interval = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(interval);
+  }, [deadline]);
+
+  const submit = async ({ timedOut = false } = {}) => {
+    setIsSubmitting(true);
+    try {
+      await assessmentsApi.submit(assessment.jobId, { candidateId: candidate.id, responses, token });
+      if (!timedOut) toast.success('Assessment submitted');
+      onFinished();
+    } catch (error) {
+      console.error('Error submitting assessment:', error);
+      // The server checks the answers too; show what it found on the form
+      if (!timedOut && error.details?.questions) {
+        setErrors(error.details.questions);
+        toast.error('Some answers need your attention');
+        setIsSubmitting(false);
+        return;
+      }
+      if (timedOut || error.type === ERROR_TYPES.VALIDATION_ERROR) {
+        // Past the deadline the page reloads the invite, which submits the
+        // saved draft once it reports the invite expired
+        onFinished();
+        return;
+      }
+      toast.error('Couldn\'t submit your answers, please try again');
+      setIsSubmitting(false);
+    }
+  };
+
+  // When the time runs out, whatever has been answered is submitted, unless
+  // the candidate's own submission is already on its way
+  useEffect(() => {
+    if (remainingMs === 0 && !autoSubmitted.current && !isSubmitting) {
+      autoSubmitted.current = true;
+      submit({ timedOut: true });
+    }
+  });
+
+  const handleChange = (questionId, value) => {
+    isDirty.current = true;
+    setResponses(prev => ({ ...prev, [questionId]: value }));
+    setErrors(prev => ({ ...prev, [questionId]: undefined }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const nextErrors = validateResponses(assessment, responses);
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length > 0) {
+      toast.error('Some answers need your attention');
+      return;
+    }
+    submit();
+  };
+
+  const timeIsUp = remainingMs === 0;
+
+  return (
+    <div className="space-y-6">
+      <div className="sticky top-0 z-10 bg-gray-50 py-3 flex items-center justify-between border-b border-gray-200">
+        <div>
+          <h1 className="text-xl font-bold text-gray-900">{assessment.title}</h1>
+          <p className="text-xs text-gray-500">
+            {saveState.status === 'saving' && 'Saving...'}
+            {saveState.status === 'saved' && `Saved ${new Date(saveState.at).toLocaleTimeString()}`}
+            {saveState.status === 'error' && 'Not saved; your next change will try again'}
+          </p>
+        </div>
+        {deadline && (
+          <div
+            className={clsx(
+              'flex items-center space-x-1 rounded-full px-3 py-1 text-sm font-medium tabular-nums',
+              remainingMs <= WARNING_MS ? 'bg-red-100 text-red-700' : 'bg-primary-50 text-primary-700'
+            )}
+            aria-live="polite"
+            aria-label="Time left"
+          >
+            <ClockIcon className="h-4 w-4" />
+            <span>{formatCountdown(remainingMs)}</span>
+          </div>
+        )}
+      </div>
+
+      {assessment.description && <p className="text-gray-600">{assessment.description}</p>}
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <AssessmentForm
+          assessment={assessment}
+          responses={responses}
+          errors={errors}
+          onChange={handleChange}
+          disabled={isSubmitting || timeIsUp}
+        />
+        <div className="flex justify-end">
+          <Button type="submit" disabled={isSubmitting || timeIsUp}>
+            {isSubmitting ? 'Submitting...' : 'Submit Answers'}
+          </Button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  TrashIcon,
+  ArrowUturnLeftIcon,
+  BriefcaseIcon,
+  UserIcon,
+  ClipboardDocumentListIcon,
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { trashApi, settingsApi, queryKeys } from '../services/api';
+import { queryClient } from '../services/queryClient';
+import { useQuery } from '../hooks/useQuery';
+import { useMutation } from '../hooks/useMutation';
+import { TRASH_TYPES, SETTINGS_KEYS, ERROR_TYPES } from '../types';
+import { getDaysUntilPurge, describeLeftOut } from '../utils/trash';
+import Button from '../components/ui/Button';
+import Card, { CardBody } from '../components/ui/Card';
+import Modal, { ModalBody, ModalFooter } from '../components/ui/Modal';
+
+const TYPE_DETAILS = {
+  [TRASH_TYPES.JOB]: { label: 'Job', icon: BriefcaseIcon, table: 'jobs' },
+  [TRASH_TYPES.CANDIDATE]: { label: 'Candidate', icon: UserIcon, table: 'candidates' },
+  [TRASH_TYPES.ASSESSMENT]: { label: 'Assessment', icon: ClipboardDocumentListIcon, table: 'assessments' },
+};
+
+// How the rows that went to the trash along with an item are described
+const RECORD_LABELS = {
+  jobApplications: 'application',
+  assessments: 'assessment',
+  assessmentResponses: 'assessment response',
+  assessmentInvites: 'assessment invite',
+  timelineEvents: 'timeline event',
+  notes: 'note',
+};
+
+// Helper function to describe what a trash entry will restore besides the item itself
+const describeCascade = (entry) =>
+  Object.entries(entry.counts)
+    .filter(([table, count]) => table !== TYPE_DETAILS[entry.type].table && count > 0 && RECORD_LABELS[table])
+    .map(([table, count]) => `${count} ${RECORD_LABELS[table]}${count !== 1 ? 's' : ''}`)
+    .join(', ');
+
+export default function TrashPage() {
+  const [confirming, setConfirming] = useState(null);
+
+  const { data: entries = [], isLoading } = useQuery(queryKeys.trash, trashApi.list, {
+    onError: (error) => {
+      console.error('Error loading trash:', error);
+      toast.error('Failed to load the trash');
+    },
+  });
+  const { data: retentionDays } = useQuery(
+    queryKeys.settings.detail(SETTINGS_KEYS.TRASH_RETENTION_DAYS),
+    () => settingsApi.get(SETTINGS_KEYS.TRASH_RETENTION_DAYS)
+  );
+
+  // Restoring can bring back jobs, candidates, applications and assessments
+  const restoreMutation = useMutation(trashApi.restore, {
+    onSuccess: () => queryClient.invalidateQueries(),
+  });
+  const deleteMutation = useMutation(trashApi.delete, { invalidates: [queryKeys.trash] });
+  const emptyMutation = useMutation(trashApi.empty, { invalidates: [queryKeys.trash] });
+
+  const handleRestore = async (entry) => {
+    try {
+      const restored = await restoreMutation.mutateAsync(entry.id);
+      toast.success(`Restored "${entry.label}"`);
+      const leftOut = describeLeftOut(restored.leftOut);
+      if (leftOut) toast(leftOut);
+    } catch (error) {
+      console.error('Error restoring from trash:', error);
+      toast.error(error.type === ERROR_TYPES.VALIDATION_ERROR ? error.message : 'Failed to restore');
+    }
+  };
+
+  const handleConfirm = async () => {
+    try {
+      if (confirming === 'all') {
+        await emptyMutation.mutateAsync();
+        toast.success('Trash emptied');
+      } else {
+        await deleteMutation.mutateAsync(confirming.id);
+        toast.success(`Deleted "${confirming.label}" permanently`);
+      }
+      setConfirming(null);
+    } catch (error) {
+      console.error('Error deleting from trash:', error);
+      toast.error('Failed to delete permanently');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-primary-600 to-primary-700 rounded-2xl p-8 text-white shadow-xl">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold">Trash</h1>
+            <p className="mt-2 text-primary-100 text-lg">
+              {retentionDays
+                ? `Deleted items can be restored for ${retentionDays} days`
+                : 'Deleted items can be restored until they are purged'}
+            </p>
+          </div>
+          <Button
+            onClick={() => setConfirming('all')}
+            disabled={entries.length === 0}
+            className="bg-white text-red-700 hover:bg-red-50 border-0 shadow-lg hover:shadow-xl"
+          >
+            <TrashIcon className="h-5 w-5 mr-2" />
+            Empty Trash
+          </Button>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      ) : entries.length === 0 ? (
+        <Card>
+          <CardBody className="text-center py-12">
+            <TrashIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">The trash is empty</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Deleted jobs, candidates and assessments appear here. You can change how long they are kept in{' '}
+              <Link to="/app/settings" className="text-primary-600 hover:underline">Settings</Link>.
+            </p>
+          </CardBody>
+        </Card>
+      ) : (
+        <Card>
+          <ul className="divide-y divide-gray-200">
+            {entries.map(entry => {
+              const { label, icon: Icon } = TYPE_DETAILS[entry.type];
+              const cascade = describeCascade(entry);
+              const daysLeft = retentionDays ? getDaysUntilPurge(entry, retentionDays) : null;
+              return (
+                <li key={entry.id} className="flex items-center justify-between px-6 py-4">
+                  <div className="flex items-center min-w-0">
+                    <Icon className="h-6 w-6 flex-shrink-0 text-gray-400" />
+                    <div className="ml-4 min-w-0">
+                      <p className="text-sm font-medium text-gray-900 truncate">
+                        {entry.label}
+                        <span className="ml-2 text-xs font-normal text-gray-500">{label}</span>
+                      </p>
+                      <p className="text-sm text-gray-500">
+                        Deleted {new Date(entry.deletedAt).toLocaleString()}
+                        {cascade && ` · with ${cascade}`}
+                      </p>
+                      {daysLeft !== null && (
+                        <p className="text-xs text-gray-400">
+                          {daysLeft === 0 ? 'Deleted permanently today' : `Deleted permanently in ${daysLeft} day${daysLeft !== 1 ? 's' : ''}`}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-2 ml-4">
+                    <Button variant="outline" size="sm" onClick={() => handleRestore(entry)} disabled={restoreMutation.isLoading}>
+                      <ArrowUturnLeftIcon className="h-4 w-4 mr-1" />
+                      Restore
+                    </Button>
+                    <Button variant="danger" size="sm" onClick={() => setConfirming(entry)}>
+                      Delete Forever
+                    </Button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </Card>
+      )}
+
+      <Modal
+        isOpen={!!confirming}
+        onClose={() => setConfirming(null)}
+        title={confirming === 'all' ? 'Empty Trash' : 'Delete Forever'}
+        size="sm"
+      >
+        <ModalBody>
+          <p className="text-sm text-gray-500">
+            {confirming === 'all'
+              ? `Permanently delete all ${entries.length} items in the trash? This action cannot be undone.`
+              : `Permanently delete "${confirming?.label}"? This action cannot be undone.`}
+          </p>
+        </ModalBody>
+        <ModalFooter>
+          <Button variant="outline" onClick={() => setConfirming(null)}>
+            Cancel
+          </Button>
+          <Button variant="danger" onClick={handleConfirm} disabled={deleteMutation.isLoading || emptyMutation.isLoading}>
+            Delete Forever
+          </Button>
+        </ModalFooter>
+      </Modal>
+    </div>
+  );
+}
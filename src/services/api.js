@@ -0,0 +1,305 @@
+import { ERROR_TYPES } from '../types';
+
+// Every request goes through this base URL. Point it at a real backend by
+// setting REACT_APP_API_URL; by default the MSW handlers serve /api.
+export const API_BASE_URL = process.env.REACT_APP_API_URL || '/api';
+
+/**
+ * Error thrown by the API client. Mirrors the shape produced by createError
+ * (type, message, details, timestamp) and adds the HTTP status.
+ *
+ * @typedef {'validation_error'|'not_found'|'unauthorized'|'network_error'|'server_error'} ApiErrorType
+ */
+export class ApiError extends Error {
+  /**
+   * @param {ApiErrorType} type
+   * @param {string} message
+   * @param {{ status?: number, details?: object }} [options]
+   */
+  constructor(type, message, { status = null, details = {} } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.type = type;
+    this.status = status;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+const errorTypeForStatus = (status) => {
+  if (status === 400 || status === 422) return ERROR_TYPES.VALIDATION_ERROR;
+  if (status === 401 || status === 403) return ERROR_TYPES.UNAUTHORIZED;
+  if (status === 404) return ERROR_TYPES.NOT_FOUND;
+  return ERROR_TYPES.SERVER_ERROR;
+};
+
+const buildQueryString = (params = {}) => {
+  const searchParams = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    if (Array.isArray(value)) {
+      if (value.length > 0) searchParams.set(key, value.join(','));
+      return;
+    }
+    // Structured values, such as candidate filter trees, travel as JSON
+    if (typeof value === 'object') {
+      searchParams.set(key, JSON.stringify(value));
+      return;
+    }
+    searchParams.set(key, String(value));
+  });
+  const query = searchParams.toString();
+  return query ? `?${query}` : '';
+};
+
+/**
+ * Performs a request against the API and unwraps the createApiResponse
+ * envelope. Resolves with `data`; rejects with an ApiError.
+ *
+ * @param {string} path - Path relative to API_BASE_URL, e.g. '/jobs'
+ * @param {{ method?: string, body?: any, params?: object, signal?: AbortSignal }} [options]
+ */
+export async function apiRequest(path, { method = 'GET', body, params, signal } = {}) {
+  const url = `${API_BASE_URL}${path}${buildQueryString(params)}`;
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      signal,
+      headers: body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new ApiError(ERROR_TYPES.NETWORK_ERROR, 'Unable to reach the server', {
+      details: { cause: error.message },
+    });
+  }
+
+  let envelope = null;
+  try {
+    envelope = await response.json();
+  } catch (error) {
+    // Non-JSON body (e.g. an HTML error page); handled below.
+  }
+
+  if (!response.ok || !envelope || envelope.success === false) {
+    throw new ApiError(
+      response.ok ? ERROR_TYPES.SERVER_ERROR : errorTypeForStatus(response.status),
+      envelope?.message || response.statusText || 'Request failed',
+      { status: response.status, details: envelope?.details || {} }
+    );
+  }
+
+  return envelope.data;
+}
+
+// Jobs
+export const jobsApi = {
+  list: (params = {}) => apiRequest('/jobs', { params }),
+  getAll: (params = {}) =>
+    apiRequest('/jobs', { params: { ...params, all: true } }).then(result => result.jobs),
+  get: (id) => apiRequest(`/jobs/${id}`),
+  create: (jobData) => apiRequest('/jobs', { method: 'POST', body: jobData }),
+  update: (id, updates) => apiRequest(`/jobs/${id}`, { method: 'PATCH', body: updates }),
+  delete: (id) => apiRequest(`/jobs/${id}`, { method: 'DELETE' }),
+  reorder: (id, fromOrder, toOrder) =>
+    apiRequest(`/jobs/${id}/reorder`, { method: 'PATCH', body: { fromOrder, toOrder } }),
+  checkSlug: (slug, excludeId) =>
+    apiRequest(`/jobs/slugs/${encodeURIComponent(slug)}`, { params: { excludeId } }),
+};
+
+// Candidates
+export const candidatesApi = {
+  list: (params = {}) => apiRequest('/candidates', { params }),
+  getAll: (params = {}) =>
+    apiRequest('/candidates', { params: { ...params, all: true } }).then(result => result.candidates),
+  get: (id) => apiRequest(`/candidates/${id}`),
+  create: (candidateData) => apiRequest('/candidates', { method: 'POST', body: candidateData }),
+  update: (id, updates) => apiRequest(`/candidates/${id}`, { method: 'PATCH', body: updates }),
+  delete: (id) => apiRequest(`/candidates/${id}`, { method: 'DELETE' }),
+  getTimeline: (id) => apiRequest(`/candidates/${id}/timeline`),
+  // Every candidate id matching the list filters
+  ids: (params = {}) => apiRequest('/candidates/ids', { params }),
+  // One action on many candidates or applications; see BULK_ACTIONS
+  bulk: (action, target, options = {}) =>
+    apiRequest('/candidates/bulk', { method: 'POST', body: { action, ...target, options } }),
+  undoBulk: (operationId) => apiRequest(`/candidates/bulk/${operationId}/undo`, { method: 'POST' }),
+  findMatches: (contacts) => apiRequest('/candidates/import/matches', { method: 'POST', body: { contacts } }),
+  import: (rows, onDuplicate) => apiRequest('/candidates/import', { method: 'POST', body: { rows, onDuplicate } }),
+  // Candidates that may be the same person: [{ candidate, matchedOn }]
+  findDuplicates: ({ name, email, phone, excludeId }) =>
+    apiRequest('/candidates/duplicates', { params: { name, email, phone, excludeId } }),
+  // Assessments for the jobs the candidate applied to, with their progress
+  getAssessments: (id) => apiRequest(`/candidates/${id}/assessments`),
+  // The candidate's open invite to an assessment, or a new one
+  inviteToAssessment: (id, assessmentId) =>
+    apiRequest(`/candidates/${id}/assessment-invites`, { method: 'POST', body: { assessmentId } }),
+  // Merges sourceId into id; `keep` names the fields to take from the source
+  merge: (id, sourceId, keep = {}) =>
+    apiRequest(`/candidates/${id}/merge`, { method: 'POST', body: { sourceId, keep } }),
+};
+
+// Job applications
+export const applicationsApi = {
+  list: (params = {}) => apiRequest('/applications', { params }),
+  // One page of a kanban column: { applications, pagination }
+  board: (params = {}) => apiRequest('/applications/board', { params }),
+  // Every application id on the board matching the filters
+  boardIds: (params = {}) => apiRequest('/applications/board/ids', { params }),
+  getForCandidate: (candidateId) => apiRequest(`/candidates/${candidateId}/applications`),
+  apply: (candidateId, jobId) =>
+    apiRequest(`/candidates/${candidateId}/applications`, { method: 'POST', body: { jobId } }),
+  updateStatus: (id, status, notes = '', details = {}) =>
+    apiRequest(`/applications/${id}`, { method: 'PATCH', body: { status, notes, details } }),
+};
+
+// Timeline events across all candidates
+export const timelineApi = {
+  list: (params = {}) => apiRequest('/timeline', { params }),
+};
+
+// Notes
+export const notesApi = {
+  listForCandidate: (candidateId) => apiRequest(`/candidates/${candidateId}/notes`),
+  create: (candidateId, noteData) =>
+    apiRequest(`/candidates/${candidateId}/notes`, { method: 'POST', body: noteData }),
+  update: (id, updates) => apiRequest(`/notes/${id}`, { method: 'PATCH', body: updates }),
+  delete: (id) => apiRequest(`/notes/${id}`, { method: 'DELETE' }),
+};
+
+// Assessments
+export const assessmentsApi = {
+  list: (params = {}) => apiRequest('/assessments', { params }),
+  getAll: () =>
+    apiRequest('/assessments', { params: { all: true } }).then(result => result.assessments),
+  getByJobId: (jobId) => apiRequest(`/assessments/${jobId}`),
+  getResponses: (jobId) => apiRequest(`/assessments/${jobId}/responses`),
+  // review: { reviewerId, questions: { [questionId]: { points, levels, comment } } }
+  gradeResponse: (jobId, responseId, review) =>
+    apiRequest(`/assessments/${jobId}/responses/${responseId}/review`, { method: 'PUT', body: review }),
+  create: (assessmentData) => apiRequest('/assessments', { method: 'POST', body: assessmentData }),
+  update: (id, updates) => apiRequest(`/assessments/${id}`, { method: 'PATCH', body: updates }),
+  delete: (id) => apiRequest(`/assessments/${id}`, { method: 'DELETE' }),
+  saveForJob: (jobId, assessmentData) =>
+    apiRequest(`/assessments/${jobId}`, { method: 'PUT', body: assessmentData }),
+  submit: (jobId, responseData) =>
+    apiRequest(`/assessments/${jobId}/submit`, { method: 'POST', body: responseData }),
+};
+
+// Workspace
+export const workspaceApi = {
+  getStats: () => apiRequest('/stats'),
+  reset: () => apiRequest('/reset', { method: 'POST' }),
+  backup: () => apiRequest('/backup'),
+  restore: (backup, mode) => apiRequest('/backup/restore', { method: 'POST', body: { backup, mode } }),
+};
+
+// Assessment invites, by the token in the candidate's link
+export const invitesApi = {
+  get: (token) => apiRequest(`/invites/${token}`),
+  start: (token) => apiRequest(`/invites/${token}/start`, { method: 'POST' }),
+  expire: (token) => apiRequest(`/invites/${token}/expire`, { method: 'POST' }),
+  saveDraft: (token, responses) => apiRequest(`/invites/${token}/draft`, { method: 'PUT', body: { responses } }),
+};
+
+// Trash: deleted jobs, candidates and assessments
+export const trashApi = {
+  list: () => apiRequest('/trash'),
+  restore: (id) => apiRequest(`/trash/${id}/restore`, { method: 'POST' }),
+  delete: (id) => apiRequest(`/trash/${id}`, { method: 'DELETE' }),
+  empty: () => apiRequest('/trash', { method: 'DELETE' }),
+};
+
+// Settings
+export const settingsApi = {
+  get: (key) => apiRequest(`/settings/${key}`),
+  update: (key, value) => apiRequest(`/settings/${key}`, { method: 'PUT', body: { value } }),
+};
+
+// Reports
+export const reportsApi = {
+  getRejections: (params = {}) => apiRequest('/reports/rejections', { params }),
+  // Totals, trends, stage counts and funnel metrics for a date range
+  getDashboard: (params = {}) => apiRequest('/reports/dashboard', { params }),
+};
+
+// Search
+export const searchApi = {
+  // Ranked candidates, jobs and assessments: { results: [{ type, id, score, item, highlights }] }
+  search: (q, params = {}) => apiRequest('/search', { params: { ...params, q } }),
+};
+
+// Cache keys for useQuery. Keys are prefixes of one another so a mutation can
+// invalidate a whole resource (queryKeys.candidates.all) or a single entry.
+export const queryKeys = {
+  jobs: {
+    all: ['jobs'],
+    list: (params = {}) => ['jobs', 'list', params],
+    allMatching: (params = {}) => ['jobs', 'all', params],
+    detail: (id) => ['jobs', 'detail', id],
+  },
+  candidates: {
+    all: ['candidates'],
+    list: (params = {}) => ['candidates', 'list', params],
+    allMatching: (params = {}) => ['candidates', 'all', params],
+    detail: (id) => ['candidates', 'detail', id],
+    timeline: (id) => ['candidates', 'timeline', id],
+    duplicates: (contact) => ['candidates', 'duplicates', contact],
+    assessments: (id) => ['candidates', 'assessments', id],
+  },
+  applications: {
+    all: ['applications'],
+    list: (params = {}) => ['applications', 'list', params],
+    boards: ['applications', 'board'],
+    board: (params = {}) => ['applications', 'board', params],
+    forCandidate: (candidateId) => ['applications', 'candidate', candidateId],
+  },
+  timeline: {
+    all: ['timeline'],
+    list: (params = {}) => ['timeline', 'list', params],
+  },
+  notes: {
+    all: ['notes'],
+    forCandidate: (candidateId) => ['notes', 'candidate', candidateId],
+  },
+  assessments: {
+    all: ['assessments'],
+    allMatching: () => ['assessments', 'all'],
+    forJob: (jobId) => ['assessments', 'job', jobId],
+    responses: (jobId) => ['assessments', 'responses', jobId],
+  },
+  stats: ['stats'],
+  settings: {
+    all: ['settings'],
+    detail: (key) => ['settings', key],
+  },
+  trash: ['trash'],
+  invites: {
+    detail: (token) => ['invites', token],
+  },
+  reports: {
+    all: ['reports'],
+    rejections: (params = {}) => ['reports', 'rejections', params],
+    dashboard: (params = {}) => ['reports', 'dashboard', params],
+  },
+  search: (q, params = {}) => ['search', q, params],
+};
+
+const api = {
+  jobs: jobsApi,
+  candidates: candidatesApi,
+  applications: applicationsApi,
+  timeline: timelineApi,
+  notes: notesApi,
+  assessments: assessmentsApi,
+  invites: invitesApi,
+  workspace: workspaceApi,
+  settings: settingsApi,
+  trash: trashApi,
+  reports: reportsApi,
+  search: searchApi,
+};
+
+export default api;
@@ -0,0 +1,102 @@
+// Workspace backups: every table in one JSON file, stamped with the schema
+// version that wrote it so older backups can be upgraded before a restore.
+import Dexie from 'dexie';
+import { applyMigrations, LATEST_SCHEMA_VERSION } from './migrations';
+
+export const BACKUP_FORMAT = 'talentflow-backup';
+
+// Tables a backup holds. The search index is rebuilt after a restore, and
+// bulk-action undo history, the trash and assessment links stay with the
+// browser that made them.
+export const BACKUP_TABLES = [
+  'jobs',
+  'candidates',
+  'assessments',
+  'timelineEvents',
+  'notes',
+  'assessmentResponses',
+  'jobApplications',
+  'settings',
+];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const hasId = (row) => typeof row.id === 'string' || Number.isFinite(row.id);
+
+/**
+ * Problems that stop a parsed file from being restored, in the order found;
+ * empty when it can be restored. Tables the app doesn't know are ignored.
+ */
+export const validateBackup = (backup) => {
+  if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+    return ['This file isn\'t a TalentFlow backup'];
+  }
+  if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion < 1) {
+    return ['The backup doesn\'t say which version of TalentFlow made it'];
+  }
+  if (backup.schemaVersion > LATEST_SCHEMA_VERSION) {
+    return [`The backup was made by a newer version of TalentFlow (schema v${backup.schemaVersion}); update the app before restoring it`];
+  }
+  if (!isPlainObject(backup.tables)) {
+    return ['The backup has no tables'];
+  }
+
+  const errors = [];
+  BACKUP_TABLES.forEach((table) => {
+    const rows = backup.tables[table];
+    if (rows === undefined) {
+      errors.push(`The backup is missing the ${table} table`);
+      return;
+    }
+    if (!Array.isArray(rows)) {
+      errors.push(`The ${table} table should be a list of rows`);
+      return;
+    }
+    const badIndex = rows.findIndex(row => !isPlainObject(row) || !hasId(row) || (table === 'settings' && !row.key));
+    if (badIndex !== -1) {
+      errors.push(`Row ${badIndex + 1} of the ${table} table is missing its ${table === 'settings' ? 'id or key' : 'id'}`);
+    }
+  });
+  return errors;
+};
+
+// Rows per table, for showing what a backup holds before restoring it
+export const summarizeBackup = (backup) =>
+  Object.fromEntries(BACKUP_TABLES.map(table => [table, backup.tables[table]?.length || 0]));
+
+/**
+ * Brings a valid backup up to the latest schema. Older backups are loaded
+ * into a scratch database at their own version and opened with the current
+ * schema, so they go through the same upgrades as a browser's database.
+ */
+export const migrateBackup = async (backup) => {
+  if (backup.schemaVersion === LATEST_SCHEMA_VERSION) {
+    return backup;
+  }
+
+  const name = `TalentFlowDB-restore-${crypto.randomUUID()}`;
+  try {
+    const legacy = new Dexie(name);
+    applyMigrations(legacy, { maxVersion: backup.schemaVersion });
+    await legacy.open();
+    await legacy.transaction('rw', BACKUP_TABLES, async () => {
+      for (const table of BACKUP_TABLES) {
+        await legacy.table(table).bulkAdd(backup.tables[table]);
+      }
+    });
+    legacy.close();
+
+    const upgraded = new Dexie(name);
+    applyMigrations(upgraded);
+    await upgraded.open();
+    const tables = {};
+    for (const table of BACKUP_TABLES) {
+      tables[table] = await upgraded.table(table).toArray();
+    }
+    upgraded.close();
+
+    return { ...backup, schemaVersion: LATEST_SCHEMA_VERSION, tables };
+  } finally {
+    await Dexie.delete(name);
+  }
+};
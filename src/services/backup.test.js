@@ -0,0 +1,60 @@
+import 'fake-indexeddb/auto';
+import { BACKUP_FORMAT, BACKUP_TABLES, validateBackup, summarizeBackup, migrateBackup } from './backup';
+import { LATEST_SCHEMA_VERSION } from './migrations';
+
+const makeBackup = (schemaVersion, tables = {}) => ({
+  format: BACKUP_FORMAT,
+  schemaVersion,
+  createdAt: '2024-01-01T00:00:00.000Z',
+  tables: { ...Object.fromEntries(BACKUP_TABLES.map(table => [table, []])), ...tables },
+});
+
+describe('validateBackup', () => {
+  it('accepts a backup from this or an older version', () => {
+    expect(validateBackup(makeBackup(LATEST_SCHEMA_VERSION))).toEqual([]);
+    expect(validateBackup(makeBackup(1))).toEqual([]);
+  });
+
+  it('rejects other files and backups from newer versions', () => {
+    expect(validateBackup({ jobs: [] })).toEqual(['This file isn\'t a TalentFlow backup']);
+    expect(validateBackup(makeBackup(LATEST_SCHEMA_VERSION + 1))[0]).toMatch('newer version');
+    expect(validateBackup({ ...makeBackup(1), schemaVersion: '1' })[0]).toMatch('which version');
+  });
+
+  it('reports missing tables and rows without ids', () => {
+    const backup = makeBackup(LATEST_SCHEMA_VERSION, { jobs: [{ id: 'job-1' }, { title: 'No id' }], settings: [{ id: 1 }] });
+    delete backup.tables.notes;
+
+    expect(validateBackup(backup)).toEqual([
+      'Row 2 of the jobs table is missing its id',
+      'The backup is missing the notes table',
+      'Row 1 of the settings table is missing its id or key',
+    ]);
+  });
+});
+
+describe('migrateBackup', () => {
+  it('returns a current backup as it is', async () => {
+    const backup = makeBackup(LATEST_SCHEMA_VERSION);
+
+    expect(await migrateBackup(backup)).toBe(backup);
+  });
+
+  it('runs an older backup through the schema upgrades', async () => {
+    const backup = makeBackup(2, {
+      jobs: [{ id: 'job-1', title: 'Engineer', slug: 'engineer', order: 1 }],
+      candidates: [{ id: 'cand-1', name: 'Ada', email: 'ada@example.com', stage: 'tech', jobId: 'job-1', createdAt: '2024-01-02T00:00:00.000Z' }],
+    });
+
+    const migrated = await migrateBackup(backup);
+
+    expect(migrated.schemaVersion).toBe(LATEST_SCHEMA_VERSION);
+    expect(migrated.tables.jobs[0].pipeline.map(stage => stage.id)).toContain('tech');
+    expect(migrated.tables.candidates[0]).toEqual(expect.objectContaining({ id: 'cand-1', tags: [] }));
+    expect(migrated.tables.candidates[0].stage).toBeUndefined();
+    expect(migrated.tables.jobApplications).toEqual([
+      expect.objectContaining({ candidateId: 'cand-1', jobId: 'job-1', jobTitle: 'Engineer', status: 'tech' }),
+    ]);
+    expect(summarizeBackup(migrated)).toEqual(expect.objectContaining({ jobs: 1, candidates: 1, jobApplications: 1 }));
+  });
+});
@@ -7,27 +7,97 @@ import {
   createNote,
   createAssessmentResponse,
   createJobApplication,
+  createAssessmentInvite,
+  SETTINGS_KEYS,
+  DEFAULT_SETTINGS,
+  REJECTION_SOURCE_LABELS,
+  BULK_ACTIONS,
+  TRASH_TYPES,
+  IMPORT_DUPLICATE_ACTIONS,
+  BACKUP_RESTORE_MODES,
+  TEAM_MEMBERS,
 } from '../types';
+import { generateSeedData } from '../data/seedData';
+import { generateSlug } from '../utils/slug';
+import {
+  getJobPipeline,
+  findStage,
+  getStageLabel,
+  validatePipeline,
+  assignStageIds,
+  isHiredStage,
+  isRejectedStage,
+  isInterviewStage,
+  mergePipelines,
+} from '../utils/pipeline';
+import { evaluateTransition } from '../utils/transitions';
+import { getStageSla, isOverdue, findOverdueApplications, groupOverdueByStage } from '../utils/sla';
+import {
+  DAY_MS,
+  getDateRange,
+  getPreviousRange,
+  isInRange,
+  periodDelta,
+  buildStageHistories,
+  getFunnelStages,
+  stageConversion,
+  timeInStage,
+  timeToHire,
+  applicationsPerWeek,
+} from '../utils/analytics';
+import {
+  validateRejectionReasons,
+  assignReasonIds,
+  summarizeRejections,
+} from '../utils/rejections';
+import {
+  getFilterFieldIds,
+  matchesFilter,
+  validateSavedViews,
+  normalizeSavedViews,
+} from '../utils/candidateFilters';
+import { extractMentions } from '../utils/mentions';
+import {
+  validateRetentionDays,
+  getPurgeDate,
+  getPurgeCutoff,
+  summarizeTrashEntry,
+} from '../utils/trash';
+import {
+  buildContactIndex,
+  addToContactIndex,
+  findContactMatch,
+  findDuplicates,
+  MERGE_FIELDS,
+} from '../utils/duplicates';
+import { validateImportCandidate } from '../utils/candidateImport';
+import { isPastDeadline } from '../utils/assessmentTiming';
+import { scoreAssessment, formatScore, getScoringMode, getQuestionPoints, SCORING_MODES } from '../utils/scoring';
+import { scoreRubric, getManualScores } from '../utils/grading';
+import { findLogicProblems, pruneHiddenAnswers } from '../utils/conditions';
+import { validateResponses } from '../utils/assessmentValidation';
+import { applyMigrations, LATEST_SCHEMA_VERSION } from './migrations';
+import {
+  BACKUP_FORMAT,
+  BACKUP_TABLES,
+  validateBackup,
+  summarizeBackup,
+  migrateBackup,
+} from './backup';
+import { SearchIndex } from './searchIndex';
 
-class TalentFlowDB extends Dexie {
-  constructor() {
-    super('TalentFlowDB');
-    
-    this.version(1).stores({
-      jobs: '++id, title, slug, status, order, createdAt, updatedAt',
-      candidates: '++id, name, email, stage, jobId, createdAt, updatedAt',
-      assessments: '++id, jobId, title, createdAt, updatedAt',
-      timelineEvents: '++id, candidateId, type, createdAt',
-      notes: '++id, candidateId, createdAt, updatedAt',
-      assessmentResponses: '++id, candidateId, assessmentId, createdAt',
-      jobApplications: '++id, candidateId, jobId, status, appliedAt, updatedAt',
-      settings: '++id, key',
-    });
+export class TalentFlowDB extends Dexie {
+  constructor(name = 'TalentFlowDB') {
+    super(name);
     
-    // Hooks for automatic timestamps
+    // Schema versions and their upgrades live in migrations.js
+    applyMigrations(this);
+    
+    // Hooks for automatic timestamps; rows created with a date (seed data,
+    // imports) keep it
     this.jobs.hook('creating', (primKey, obj, trans) => {
-      obj.createdAt = new Date().toISOString();
-      obj.updatedAt = new Date().toISOString();
+      obj.createdAt = obj.createdAt || new Date().toISOString();
+      obj.updatedAt = obj.updatedAt || obj.createdAt;
     });
     
     this.jobs.hook('updating', (modifications, primKey, obj, trans) => {
@@ -35,8 +105,8 @@ class TalentFlowDB extends Dexie {
     });
     
     this.candidates.hook('creating', (primKey, obj, trans) => {
-      obj.createdAt = new Date().toISOString();
-      obj.updatedAt = new Date().toISOString();
+      obj.createdAt = obj.createdAt || new Date().toISOString();
+      obj.updatedAt = obj.updatedAt || obj.createdAt;
     });
     
     this.candidates.hook('updating', (modifications, primKey, obj, trans) => {
@@ -44,8 +114,8 @@ class TalentFlowDB extends Dexie {
     });
     
     this.assessments.hook('creating', (primKey, obj, trans) => {
-      obj.createdAt = new Date().toISOString();
-      obj.updatedAt = new Date().toISOString();
+      obj.createdAt = obj.createdAt || new Date().toISOString();
+      obj.updatedAt = obj.updatedAt || obj.createdAt;
     });
     
     this.assessments.hook('updating', (modifications, primKey, obj, trans) => {
@@ -53,19 +123,78 @@ class TalentFlowDB extends Dexie {
     });
     
     this.notes.hook('creating', (primKey, obj, trans) => {
-      obj.createdAt = new Date().toISOString();
-      obj.updatedAt = new Date().toISOString();
+      obj.createdAt = obj.createdAt || new Date().toISOString();
+      obj.updatedAt = obj.updatedAt || obj.createdAt;
     });
     
     this.notes.hook('updating', (modifications, primKey, obj, trans) => {
       modifications.updatedAt = new Date().toISOString();
     });
+    
+    // Keeps the full-text index in step with candidates, jobs, notes and responses
+    this.textIndex = new SearchIndex(this);
   }
 }
 
 // Create database instance
 export const db = new TalentFlowDB();
 
+// Tables whose rows belong to a candidate (by candidateId)
+const CANDIDATE_RECORD_TABLES = ['jobApplications', 'timelineEvents', 'notes', 'assessmentResponses', 'assessmentInvites'];
+
+// How many bulk actions are kept for undo
+const BULK_UNDO_LIMIT = 10;
+
+// Tables whose changes a bulk action records so it can be undone
+const BULK_UNDO_TABLES = ['candidates', ...CANDIDATE_RECORD_TABLES];
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// What a change did to a table's rows, from copies taken before and after:
+// the rows added and removed, and for rows updated only the fields that
+// changed, with their values before and after
+const diffRows = (beforeRows, afterRows) => {
+  const beforeById = new Map(beforeRows.map(row => [row.id, row]));
+  const afterIds = new Set(afterRows.map(row => row.id));
+  const updated = [];
+  afterRows.forEach((row) => {
+    const previous = beforeById.get(row.id);
+    if (!previous) return;
+    const fields = Array.from(new Set([...Object.keys(previous), ...Object.keys(row)]))
+      .filter(field => !isSameValue(previous[field], row[field]));
+    if (fields.length > 0) {
+      updated.push({
+        id: row.id,
+        before: Object.fromEntries(fields.map(field => [field, previous[field]])),
+        after: Object.fromEntries(fields.map(field => [field, row[field]])),
+      });
+    }
+  });
+
+  return {
+    added: afterRows.filter(row => !beforeById.has(row.id)),
+    removed: beforeRows.filter(row => !afterIds.has(row.id)),
+    updated,
+  };
+};
+
+// Tables a deletion can remove rows from, plus the trash that keeps them
+const TRASH_TABLES = ['jobs', 'candidates', 'assessments', ...CANDIDATE_RECORD_TABLES, 'trash'];
+
+const getSubmittedAt = (response) => response.completedAt || response.createdAt;
+
+// Scores a response, counting its reviewers' average grades
+const scoreResponse = (assessment, response) =>
+  scoreAssessment(assessment, response.responses, { manualScores: getManualScores(response.reviews) });
+
+// What lists show of a response's score
+const getAssessmentResult = (response) => ({
+  responseId: response.id,
+  score: response.score,
+  passed: response.scoring?.passed ?? null,
+  needsGrading: !!response.scoring?.needsGrading,
+});
+
 // Database service methods
 export class DatabaseService {
   // Jobs
@@ -83,13 +212,12 @@ export class DatabaseService {
         );
       }
       
+      // Matching jobs keep their board order so they can still be reordered
+      let searchResults = null;
       if (filters.search) {
-        const searchTerm = filters.search.toLowerCase();
-        query = query.filter(job => 
-          job.title.toLowerCase().includes(searchTerm) ||
-          job.description?.toLowerCase().includes(searchTerm) ||
-          job.tags.some(tag => tag.toLowerCase().includes(searchTerm))
-        );
+        searchResults = await db.textIndex.search(filters.search, { types: ['job'] });
+        const jobIds = new Set(searchResults.map(result => result.id));
+        query = query.filter(job => jobIds.has(job.id));
       }
       
       // Handle pagination
@@ -100,7 +228,7 @@ export class DatabaseService {
         const paginatedJobs = jobs.slice(offset, offset + filters.pageSize);
         
         return {
-          data: paginatedJobs,
+          data: searchResults ? await this.attachSearchMatches(paginatedJobs, searchResults) : paginatedJobs,
           pagination: {
             page: filters.page,
             pageSize: filters.pageSize,
@@ -111,7 +239,8 @@ export class DatabaseService {
         };
       }
       
-      return await query.toArray();
+      const jobs = await query.toArray();
+      return searchResults ? await this.attachSearchMatches(jobs, searchResults) : jobs;
     } catch (error) {
       console.error('Error fetching jobs:', error);
       throw error;
@@ -163,6 +292,10 @@ export class DatabaseService {
         }
       }
       
+      if (jobData.pipeline) {
+        jobData.pipeline = this.preparePipeline(jobData.pipeline);
+      }
+      
       const job = createJob(jobData);
       console.log('Creating job with data:', job);
       
@@ -184,12 +317,27 @@ export class DatabaseService {
   }
   
   static generateSlug(title) {
-    return title
-      .toLowerCase()
-      .replace(/[^a-z0-9\s-]/g, '') // Remove special characters
-      .replace(/\s+/g, '-') // Replace spaces with hyphens
-      .replace(/-+/g, '-') // Replace multiple hyphens with single
-      .trim('-'); // Remove leading/trailing hyphens
+    return generateSlug(title);
+  }
+  
+  // Helper function to validate a pipeline and give new stages their ids
+  static preparePipeline(pipeline) {
+    const errors = validatePipeline(pipeline);
+    if (errors.length > 0) {
+      throw new Error(`Pipeline validation failed: ${errors[0]}`);
+    }
+    const stages = assignStageIds(pipeline);
+    
+    // Drop transitions to stages that no longer exist
+    const stageIds = new Set(stages.map(stage => stage.id));
+    return stages.map(stage => ({
+      ...stage,
+      allowedTransitions: Array.isArray(stage.allowedTransitions)
+        ? stage.allowedTransitions.filter(id => stageIds.has(id))
+        : null,
+      requirements: stage.requirements || [],
+      slaDays: getStageSla(stage),
+    }));
   }
   
   static async updateJob(id, updates) {
@@ -209,6 +357,22 @@ export class DatabaseService {
         }
       }
       
+      if (updates.pipeline) {
+        updates.pipeline = this.preparePipeline(updates.pipeline);
+        
+        // A stage can only be removed once no application is in it
+        const stageIds = new Set(updates.pipeline.map(stage => stage.id));
+        const applications = await db.jobApplications.where('jobId').equals(id).toArray();
+        const stranded = applications.filter(app => !stageIds.has(app.status));
+        if (stranded.length > 0) {
+          const job = await db.jobs.get(id);
+          const stageName = findStage(getJobPipeline(job), stranded[0].status)?.name || stranded[0].status;
+          throw new Error(
+            `Pipeline validation failed: move the applications in "${stageName}" to another stage before removing it`
+          );
+        }
+      }
+      
       await db.jobs.update(id, updates);
       return await db.jobs.get(id);
     } catch (error) {
@@ -217,33 +381,37 @@ export class DatabaseService {
     }
   }
   
+  // Moves the job to the trash with its applications, assessment and
+  // responses; candidates stay in the talent pool
   static async deleteJob(id) {
     try {
-      await db.jobs.delete(id);
-      // Also delete related candidates and assessments
-      await db.candidates.where('jobId').equals(id).delete();
-      await db.assessments.where('jobId').equals(id).delete();
+      return await this.moveToTrash(TRASH_TYPES.JOB, id);
     } catch (error) {
       console.error('Error deleting job:', error);
       throw error;
     }
   }
   
-  static async reorderJobs(fromOrder, toOrder) {
+  static async reorderJobs(id, fromOrder, toOrder) {
     try {
       return await db.transaction('rw', db.jobs, async () => {
         const jobs = await db.jobs.orderBy('order').toArray();
         
-        // Simple reordering logic
-        const fromJob = jobs.find(job => job.order === fromOrder);
-        const toJob = jobs.find(job => job.order === toOrder);
+        // Move the job to the target position and shift the ones in between
+        const fromIndex = jobs.findIndex(job => (id ? job.id === id : job.order === fromOrder));
+        const toIndex = jobs.findIndex(job => job.order === toOrder);
         
-        if (fromJob && toJob) {
-          await db.jobs.update(fromJob.id, { order: toOrder });
-          await db.jobs.update(toJob.id, { order: fromOrder });
+        if (fromIndex === -1 || toIndex === -1) {
+          throw new Error('Job not found');
         }
         
-        return await db.jobs.orderBy('order').toArray();
+        const [movedJob] = jobs.splice(fromIndex, 1);
+        jobs.splice(toIndex, 0, movedJob);
+        
+        const reordered = jobs.map((job, index) => ({ ...job, order: index + 1 }));
+        await db.jobs.bulkPut(reordered);
+        
+        return reordered;
       });
     } catch (error) {
       console.error('Error reordering jobs:', error);
@@ -252,29 +420,228 @@ export class DatabaseService {
   }
   
   // Candidates
+  // Helper function to build the candidate query for a set of filters, newest
+  // first. Nothing is read until the collection is consumed.
+  static async queryCandidates(filters = {}) {
+    let query = db.candidates.orderBy('createdAt').reverse();
+    
+    // Stage, job and SLA filters match candidates with at least one matching application
+    if (filters.stage || filters.jobId || filters.overdue) {
+      const applications = await this.getJobApplications({
+        status: filters.stage,
+        jobId: filters.jobId,
+        overdue: filters.overdue,
+      });
+      const candidateIds = new Set(applications.map(app => app.candidateId));
+      query = query.filter(candidate => candidateIds.has(candidate.id));
+    }
+    
+    if (filters.search) {
+      const results = await db.textIndex.search(filters.search, { types: ['candidate'] });
+      const candidateIds = new Set(results.map(result => result.id));
+      query = query.filter(candidate => candidateIds.has(candidate.id));
+    }
+    
+    if (filters.filter) {
+      const matches = await this.buildCandidateMatcher(filters.filter);
+      query = query.filter(candidate => matches(candidate));
+    }
+    
+    return query;
+  }
+  
+  // Helper function to test candidates against an advanced filter tree (see
+  // utils/candidateFilters.js). Loads what the filter's fields need once and
+  // returns matches(candidate, applications?), which defaults to all of the
+  // candidate's applications.
+  static async buildCandidateMatcher(filter) {
+    const fieldIds = getFilterFieldIds(filter);
+    const [applications, jobs, notes, assessments, responses] = await Promise.all([
+      db.jobApplications.toArray(),
+      db.jobs.toArray(),
+      fieldIds.has('mentionedBy') ? db.notes.toArray() : [],
+      fieldIds.has('assessmentScore') ? db.assessments.toArray() : [],
+      fieldIds.has('assessmentScore') ? db.assessmentResponses.toArray() : [],
+    ]);
+    
+    const groupBy = (items, key) => {
+      const groups = new Map();
+      items.forEach(item => groups.set(item[key], [...(groups.get(item[key]) || []), item]));
+      return groups;
+    };
+    const applicationsByCandidate = groupBy(applications, 'candidateId');
+    const notesByCandidate = groupBy(notes, 'candidateId');
+    const jobsById = new Map(jobs.map(job => [job.id, job]));
+    const assessmentIdByJob = new Map(assessments.map(assessment => [assessment.jobId, assessment.id]));
+    const scores = new Map(responses.map(response => [`${response.candidateId}|${response.assessmentId}`, response.score]));
+    const scoreFor = (application) =>
+      scores.get(`${application.candidateId}|${assessmentIdByJob.get(application.jobId)}`) ?? null;
+    const now = new Date();
+    
+    return (candidate, candidateApplications = applicationsByCandidate.get(candidate.id) || []) =>
+      matchesFilter(filter, {
+        candidate,
+        applications: candidateApplications,
+        jobsById,
+        notes: notesByCandidate.get(candidate.id) || [],
+        scoreFor,
+        now,
+      });
+  }
+  
+  // Helper function to rank the candidates matching a search, keeping only
+  // those that also pass the other filters
+  static async rankCandidates(filters) {
+    const [results, query] = await Promise.all([
+      db.textIndex.search(filters.search, { types: ['candidate'] }),
+      this.queryCandidates({ ...filters, search: '' }),
+    ]);
+    const matchingIds = new Set(await query.primaryKeys());
+    return results.filter(result => matchingIds.has(result.id));
+  }
+  
+  // Candidates are newest first, or best match first when searching
   static async getCandidates(filters = {}) {
     try {
-      let query = db.candidates.orderBy('createdAt');
-      
-      if (filters.stage) {
-        query = query.filter(candidate => candidate.stage === filters.stage);
+      if (filters.search) {
+        const results = await this.rankCandidates(filters);
+        const candidates = await db.candidates.bulkGet(results.map(result => result.id));
+        return candidates.filter(Boolean);
       }
       
-      if (filters.jobId) {
-        query = query.filter(candidate => candidate.jobId === filters.jobId);
+      const query = await this.queryCandidates(filters);
+      return await query.toArray();
+    } catch (error) {
+      console.error('Error fetching candidates:', error);
+      throw error;
+    }
+  }
+  
+  // Ids of every candidate matching the filters, for "select all matching"
+  static async getCandidateIds(filters = {}) {
+    try {
+      if (filters.search) {
+        const results = await this.rankCandidates(filters);
+        return results.map(result => result.id);
       }
-      
+      const query = await this.queryCandidates(filters);
+      return await query.primaryKeys();
+    } catch (error) {
+      console.error('Error fetching candidate ids:', error);
+      throw error;
+    }
+  }
+  
+  // One page of candidates with their applications. Only the requested rows
+  // are read, walking the createdAt index from `offset`. Search results come
+  // best match first, each with its searchMatch ({ score, highlights }).
+  static async getCandidatesPage(filters = {}, { offset = 0, limit = 50 } = {}) {
+    try {
+      let total;
+      let candidates;
       if (filters.search) {
-        const searchTerm = filters.search.toLowerCase();
-        query = query.filter(candidate => 
-          candidate.name.toLowerCase().includes(searchTerm) ||
-          candidate.email.toLowerCase().includes(searchTerm)
-        );
+        const results = await this.rankCandidates(filters);
+        const pageResults = results.slice(offset, offset + limit);
+        const rows = await db.candidates.bulkGet(pageResults.map(result => result.id));
+        total = results.length;
+        candidates = await this.attachSearchMatches(rows.filter(Boolean), pageResults);
+      } else {
+        const query = await this.queryCandidates(filters);
+        [total, candidates] = await Promise.all([
+          query.clone().count(),
+          query.clone().offset(offset).limit(limit).toArray(),
+        ]);
       }
       
-      return await query.reverse().toArray();
+      return { candidates: await this.attachApplications(candidates), total };
     } catch (error) {
-      console.error('Error fetching candidates:', error);
+      console.error('Error fetching candidates page:', error);
+      throw error;
+    }
+  }
+  
+  // Helper function to add each candidate's applications
+  static async attachApplications(candidates) {
+    const applications = await db.jobApplications
+      .where('candidateId')
+      .anyOf(candidates.map(candidate => candidate.id))
+      .toArray();
+    const applicationsByCandidate = new Map();
+    applications.forEach((app) => {
+      const list = applicationsByCandidate.get(app.candidateId) || [];
+      list.push(app);
+      applicationsByCandidate.set(app.candidateId, list);
+    });
+    
+    return candidates.map(candidate => ({
+      ...candidate,
+      applications: applicationsByCandidate.get(candidate.id) || [],
+    }));
+  }
+  
+  // Helper function to add each application's latest result on its job's
+  // assessment: { responseId, score, passed, needsGrading }, or null before
+  // the candidate submits one
+  static async attachAssessmentResults(applications) {
+    const [assessments, responses] = await Promise.all([
+      db.assessments.where('jobId').anyOf(applications.map(app => app.jobId)).toArray(),
+      db.assessmentResponses.where('candidateId').anyOf(applications.map(app => app.candidateId)).toArray(),
+    ]);
+    const assessmentIdByJob = new Map(assessments.map(assessment => [assessment.jobId, assessment.id]));
+    const latest = new Map();
+    responses.forEach(response => {
+      const key = `${response.candidateId}|${response.assessmentId}`;
+      const current = latest.get(key);
+      if (!current || getSubmittedAt(response) > getSubmittedAt(current)) latest.set(key, response);
+    });
+    
+    return applications.map(app => {
+      const response = latest.get(`${app.candidateId}|${assessmentIdByJob.get(app.jobId)}`);
+      return { ...app, assessmentResult: response ? getAssessmentResult(response) : null };
+    });
+  }
+  
+  // Helper function to add each item's search score and highlighted
+  // fragments, from the search results it appears in
+  static async attachSearchMatches(items, searchResults) {
+    const resultsById = new Map(searchResults.map(result => [result.id, result]));
+    const results = items.map(item => resultsById.get(item.id)).filter(Boolean);
+    const highlights = await db.textIndex.highlight(results);
+    const matchesById = new Map(results.map((result, index) => [
+      result.id,
+      { score: result.score, highlights: highlights[index] },
+    ]));
+    return items.map(item => ({ ...item, searchMatch: matchesById.get(item.id) || null }));
+  }
+  
+  // Search
+  // Ranked full-text search across candidates, jobs and assessments, including
+  // notes and free-text assessment answers (which find their candidate)
+  static async search(query, { types = null, limit = 20 } = {}) {
+    try {
+      const results = await db.textIndex.search(query, { types, limit });
+      const idsOfType = type => results.filter(result => result.type === type).map(result => result.id);
+      const [candidates, jobs, assessments, highlights] = await Promise.all([
+        db.candidates.bulkGet(idsOfType('candidate')),
+        db.jobs.bulkGet(idsOfType('job')),
+        db.assessments.bulkGet(idsOfType('assessment')),
+        db.textIndex.highlight(results),
+      ]);
+      const items = new Map(
+        [...candidates, ...jobs, ...assessments].filter(Boolean).map(item => [item.id, item])
+      );
+      
+      return results
+        .map((result, index) => ({
+          type: result.type,
+          id: result.id,
+          score: result.score,
+          item: items.get(result.id),
+          highlights: highlights[index],
+        }))
+        .filter(result => result.item);
+    } catch (error) {
+      console.error('Error searching:', error);
       throw error;
     }
   }
@@ -291,33 +658,54 @@ export class DatabaseService {
     }
   }
   
+  // Accepts an optional jobId (and stage) to open the candidate's first application
+  // The candidate, their timeline event and the application to `jobId` are
+  // written together, after the job is checked, so a bad job leaves nothing
   static async createCandidate(candidateData) {
     try {
-      const candidate = createCandidate(candidateData);
+      const { jobId, stage, ...profile } = candidateData;
+      const candidate = createCandidate(profile);
       console.log('Creating candidate with data:', candidate);
       
-      // If an ID is provided, use put() to preserve it; otherwise use add() to let Dexie generate one
-      let id;
-      if (candidate.id) {
-        // Use put() to preserve the specific ID
-        id = await db.candidates.put(candidate);
-        console.log('Candidate created with preserved ID:', id);
-      } else {
-        // Use add() to let Dexie generate the ID
-        id = await db.candidates.add(candidate);
-        console.log('Candidate created with generated ID:', id);
-      }
-      
-      // Create initial timeline event
-      await this.createTimelineEvent({
-        candidateId: id,
-        type: 'stage_change',
-        title: 'Application Submitted',
-        description: 'Candidate applied for the position',
-        metadata: { stage: candidate.stage },
+      return await db.transaction('rw', [db.candidates, db.jobs, db.jobApplications, db.timelineEvents], async () => {
+        const job = jobId ? await db.jobs.get(jobId) : null;
+        if (jobId && !job) {
+          throw new Error('Job not found');
+        }
+        
+        // If an ID is provided, use put() to preserve it; otherwise use add() to let Dexie generate one
+        let id;
+        if (candidate.id) {
+          // Use put() to preserve the specific ID
+          id = await db.candidates.put(candidate);
+          console.log('Candidate created with preserved ID:', id);
+        } else {
+          // Use add() to let Dexie generate the ID
+          id = await db.candidates.add(candidate);
+          console.log('Candidate created with generated ID:', id);
+        }
+        
+        // Create initial timeline event
+        await this.createTimelineEvent({
+          candidateId: id,
+          type: 'candidate_created',
+          title: 'Candidate Added',
+          description: 'Candidate profile was created',
+          metadata: {},
+        });
+        
+        if (job) {
+          const pipeline = getJobPipeline(job);
+          await this.createJobApplication({
+            candidateId: id,
+            jobId,
+            jobTitle: job.title,
+            status: findStage(pipeline, stage) ? stage : pipeline[0].id,
+          });
+        }
+        
+        return { ...candidate, id };
       });
-      
-      return { ...candidate, id };
     } catch (error) {
       console.error('Error creating candidate:', error);
       throw error;
@@ -326,23 +714,9 @@ export class DatabaseService {
   
   static async updateCandidate(id, updates) {
     try {
-      const oldCandidate = await db.candidates.get(id);
-      await db.candidates.update(id, updates);
-      
-      // Create timeline event if stage changed
-      if (updates.stage && updates.stage !== oldCandidate?.stage) {
-        await this.createTimelineEvent({
-          candidateId: id,
-          type: 'stage_change',
-          title: `Stage Changed to ${updates.stage}`,
-          description: `Candidate moved from ${oldCandidate?.stage} to ${updates.stage}`,
-          metadata: { 
-            fromStage: oldCandidate?.stage, 
-            toStage: updates.stage 
-          },
-        });
-      }
-      
+      // Stages belong to job applications; see updateJobApplicationStatus
+      const { stage, jobId, ...profileUpdates } = updates;
+      await db.candidates.update(id, profileUpdates);
       return await db.candidates.get(id);
     } catch (error) {
       console.error('Error updating candidate:', error);
@@ -350,19 +724,106 @@ export class DatabaseService {
     }
   }
   
+  // Moves the candidate to the trash with their timeline events, notes,
+  // responses and applications
   static async deleteCandidate(id) {
     try {
-      await db.candidates.delete(id);
-      // Also delete related timeline events and notes
-      await db.timelineEvents.where('candidateId').equals(id).delete();
-      await db.notes.where('candidateId').equals(id).delete();
-      await db.assessmentResponses.where('candidateId').equals(id).delete();
+      return await this.moveToTrash(TRASH_TYPES.CANDIDATE, id);
     } catch (error) {
       console.error('Error deleting candidate:', error);
       throw error;
     }
   }
   
+  // Candidates that may be the same person as `contact`; see findDuplicates
+  static async findDuplicateCandidates(contact, { excludeId = null, limit = 5 } = {}) {
+    try {
+      const candidates = await db.candidates.toArray();
+      return findDuplicates(candidates, contact, { excludeId })
+        .slice(0, limit)
+        .map(({ candidate, matchedOn }) => ({
+          candidate: {
+            id: candidate.id,
+            name: candidate.name,
+            email: candidate.email,
+            phone: candidate.phone,
+            createdAt: candidate.createdAt,
+          },
+          matchedOn,
+        }));
+    } catch (error) {
+      console.error('Error finding duplicate candidates:', error);
+      throw error;
+    }
+  }
+  
+  // Merges the candidate `sourceId` into `targetId`, which survives. `keep`
+  // names the fields (see MERGE_FIELDS) to take from the source; the rest
+  // keep the target's values and tags are combined. The source's notes,
+  // timeline, responses and applications move to the target; where both
+  // applied to the same job or answered the same assessment, the more
+  // recently updated one is kept.
+  static async mergeCandidates(targetId, sourceId, { keep = {} } = {}) {
+    try {
+      if (targetId === sourceId) {
+        throw new Error('Merge validation failed: a candidate can\'t be merged with themselves');
+      }
+      const unknownField = Object.keys(keep).find(field => !MERGE_FIELDS.some(item => item.id === field));
+      if (unknownField) {
+        throw new Error(`Merge validation failed: "${unknownField}" can't be merged`);
+      }
+      
+      return await db.transaction('rw', ['candidates', ...CANDIDATE_RECORD_TABLES], async () => {
+        const [target, source] = await db.candidates.bulkGet([targetId, sourceId]);
+        if (!target || !source) {
+          throw new Error('Candidate not found');
+        }
+        
+        const updates = {
+          tags: Array.from(new Set([...(target.tags || []), ...(source.tags || [])])),
+        };
+        MERGE_FIELDS.forEach(({ id }) => {
+          if (keep[id]) updates[id] = source[id];
+        });
+        
+        const replaced = { jobApplications: 0, assessmentResponses: 0 };
+        const pairKeys = { jobApplications: 'jobId', assessmentResponses: 'assessmentId' };
+        for (const [table, key] of Object.entries(pairKeys)) {
+          const targetRows = await db.table(table).where('candidateId').equals(targetId).toArray();
+          const sourceRows = await db.table(table).where('candidateId').equals(sourceId).toArray();
+          for (const row of sourceRows) {
+            const clash = targetRows.find(other => other[key] === row[key]);
+            if (!clash) continue;
+            const rowDate = row.updatedAt || row.completedAt || row.createdAt || '';
+            const clashDate = clash.updatedAt || clash.completedAt || clash.createdAt || '';
+            await db.table(table).delete(rowDate > clashDate ? clash.id : row.id);
+            replaced[table] += 1;
+          }
+        }
+        
+        const moved = {};
+        for (const table of CANDIDATE_RECORD_TABLES) {
+          moved[table] = await db.table(table).where('candidateId').equals(sourceId).modify({ candidateId: targetId });
+        }
+        await db.candidates.update(targetId, updates);
+        await db.candidates.delete(sourceId);
+        
+        await this.createTimelineEvent({
+          candidateId: targetId,
+          type: 'candidates_merged',
+          title: 'Merged Duplicate',
+          description: `Merged ${source.name} (${source.email}) into this profile`,
+          metadata: { sourceId, sourceName: source.name, sourceEmail: source.email, keep, moved, replaced },
+        });
+        
+        return db.candidates.get(targetId);
+      });
+    } catch (error) {
+      console.error('Error merging candidates:', error);
+      throw error;
+    }
+  }
+  
   // Timeline Events
   static async getCandidateTimeline(candidateId) {
     try {
@@ -379,6 +840,19 @@ export class DatabaseService {
     }
   }
   
+  // Events across all candidates, optionally limited to some types
+  static async getTimelineEvents(filters = {}) {
+    try {
+      const types = filters.types || [];
+      return types.length > 0
+        ? await db.timelineEvents.where('type').anyOf(types).toArray()
+        : await db.timelineEvents.toArray();
+    } catch (error) {
+      console.error('Error fetching timeline events:', error);
+      throw error;
+    }
+  }
+  
   static async createTimelineEvent(eventData) {
     try {
       const event = createTimelineEvent(eventData);
@@ -408,7 +882,7 @@ export class DatabaseService {
   
   static async createNote(noteData) {
     try {
-      const note = createNote(noteData);
+      const note = createNote({ ...noteData, mentions: extractMentions(noteData.content) });
       const id = await db.notes.add(note);
       
       // Create timeline event for note
@@ -429,7 +903,10 @@ export class DatabaseService {
   
   static async updateNote(id, updates) {
     try {
-      await db.notes.update(id, updates);
+      const changes = updates.content === undefined
+        ? updates
+        : { ...updates, mentions: extractMentions(updates.content) };
+      await db.notes.update(id, changes);
       return await db.notes.get(id);
     } catch (error) {
       console.error('Error updating note:', error);
@@ -447,9 +924,14 @@ export class DatabaseService {
   }
   
   // Assessments
+  // Every assessment with how many responses it has
   static async getAssessments() {
     try {
-      return await db.assessments.toArray();
+      const assessments = await db.assessments.toArray();
+      const counts = await Promise.all(
+        assessments.map(assessment => db.assessmentResponses.where('assessmentId').equals(assessment.id).count())
+      );
+      return assessments.map((assessment, index) => ({ ...assessment, responseCount: counts[index] }));
     } catch (error) {
       console.error('Error fetching assessments:', error);
       throw error;
@@ -465,9 +947,18 @@ export class DatabaseService {
     }
   }
   
+  // Helper function to reject conditions and branches that can't work
+  static checkAssessmentLogic(sections) {
+    const [problem] = findLogicProblems({ sections });
+    if (problem) {
+      throw new Error(`Assessment validation failed: ${problem.message}`);
+    }
+  }
+  
   static async createAssessment(assessmentData) {
     try {
       const assessment = createAssessment(assessmentData);
+      this.checkAssessmentLogic(assessment.sections);
       console.log('Creating assessment with data:', assessment);
       
       // If an ID is provided, use put() to preserve it; otherwise use add() to let Dexie generate one
@@ -487,20 +978,33 @@ export class DatabaseService {
     }
   }
   
+  // Responses are scored again when the questions or the pass mark change
   static async updateAssessment(id, updates) {
     try {
-      await db.assessments.update(id, updates);
-      return await db.assessments.get(id);
+      if (updates.sections) {
+        this.checkAssessmentLogic(updates.sections);
+      }
+      return await db.transaction('rw', db.assessments, db.assessmentResponses, async () => {
+        await db.assessments.update(id, updates);
+        const assessment = await db.assessments.get(id);
+        if (assessment && (updates.sections || updates.settings)) {
+          await db.assessmentResponses.where('assessmentId').equals(id).modify(response => {
+            response.scoring = scoreResponse(assessment, response);
+            response.score = response.scoring.score;
+          });
+        }
+        return assessment;
+      });
     } catch (error) {
       console.error('Error updating assessment:', error);
       throw error;
     }
   }
 
+  // Moves the assessment to the trash with its responses
   static async deleteAssessment(id) {
     try {
-      await db.assessments.delete(id);
-      await db.assessmentResponses.where('assessmentId').equals(id).delete();
+      return await this.moveToTrash(TRASH_TYPES.ASSESSMENT, id);
     } catch (error) {
       console.error('Error deleting assessment:', error);
       throw error;
@@ -520,9 +1024,36 @@ export class DatabaseService {
     }
   }
   
+  // An assessment's responses, newest first, each with its candidate's
+  // name and email
+  static async getAssessmentResponses(assessmentId) {
+    try {
+      const responses = await db.assessmentResponses.where('assessmentId').equals(assessmentId).toArray();
+      const candidateIds = Array.from(new Set(responses.map(response => response.candidateId)));
+      const candidates = await db.candidates.bulkGet(candidateIds);
+      const candidatesById = new Map(candidates.filter(Boolean).map(candidate => [candidate.id, candidate]));
+      
+      return responses
+        .map(response => {
+          const candidate = candidatesById.get(response.candidateId);
+          return {
+            ...response,
+            candidate: candidate ? { id: candidate.id, name: candidate.name, email: candidate.email } : null,
+          };
+        })
+        .sort((a, b) => (b.completedAt || b.createdAt).localeCompare(a.completedAt || a.createdAt));
+    } catch (error) {
+      console.error('Error fetching assessment responses:', error);
+      throw error;
+    }
+  }
+  
+  // Stores a response scored against the assessment's answer key
   static async createAssessmentResponse(responseData) {
     try {
-      const response = createAssessmentResponse(responseData);
+      const assessment = await db.assessments.get(responseData.assessmentId);
+      const scoring = assessment ? scoreAssessment(assessment, responseData.responses) : null;
+      const response = createAssessmentResponse({ ...responseData, score: scoring?.score ?? null, scoring });
       const id = await db.assessmentResponses.add(response);
       
       // Create timeline event
@@ -530,10 +1061,20 @@ export class DatabaseService {
         candidateId: responseData.candidateId,
         type: 'assessment_completed',
         title: 'Assessment Completed',
-        description: 'Candidate completed the assessment',
-        metadata: { assessmentId: responseData.assessmentId, responseId: id },
+        description: scoring && scoring.score !== null
+          ? `Candidate completed the assessment, scoring ${formatScore(scoring)}`
+          : 'Candidate completed the assessment',
+        metadata: { assessmentId: responseData.assessmentId, responseId: id, score: response.score },
       });
       
+      // Let the application to the assessment's job know it was completed
+      if (assessment) {
+        await db.jobApplications
+          .where('[candidateId+jobId]')
+          .equals([responseData.candidateId, assessment.jobId])
+          .modify({ assessmentCompleted: true });
+      }
+      
       return { ...response, id };
     } catch (error) {
       console.error('Error creating assessment response:', error);
@@ -541,80 +1082,631 @@ export class DatabaseService {
     }
   }
   
-  // Utility methods
-  static async clearAllData() {
+  // Saves a reviewer's grades for the answers scored by hand (`questions`
+  // maps question id to { points, levels, comment }; with a rubric the picked
+  // levels decide the points), replacing their earlier review. The response
+  // is scored again with each answer's grades averaged over its reviewers.
+  static async gradeAssessmentResponse(responseId, { reviewerId, questions = {} }) {
     try {
-      await db.transaction('rw', db.jobs, db.candidates, db.assessments, 
-        db.timelineEvents, db.notes, db.assessmentResponses, async () => {
-        await db.jobs.clear();
-        await db.candidates.clear();
-        await db.assessments.clear();
-        await db.timelineEvents.clear();
-        await db.notes.clear();
-        await db.assessmentResponses.clear();
+      return await db.transaction('rw', db.assessmentResponses, db.assessments, db.timelineEvents, async () => {
+        const response = await db.assessmentResponses.get(responseId);
+        const assessment = response && await db.assessments.get(response.assessmentId);
+        if (!response || !assessment) {
+          throw new Error('Assessment response not found');
+        }
+        const reviewer = TEAM_MEMBERS.find(member => member.id === reviewerId);
+        if (!reviewer) {
+          throw new Error('Review validation failed: choose who is grading');
+        }
+        
+        const questionsById = new Map(
+          assessment.sections.flatMap(section => section.questions).map(question => [question.id, question])
+        );
+        const grades = {};
+        for (const [questionId, grade] of Object.entries(questions)) {
+          const question = questionsById.get(questionId);
+          if (!question || getScoringMode(question) !== SCORING_MODES.MANUAL) {
+            throw new Error('Review validation failed: only long text and file upload answers are graded by hand');
+          }
+          const possible = getQuestionPoints(question);
+          const points = question.rubric?.length ? scoreRubric(question.rubric, grade.levels) : Number(grade.points);
+          if (points === null) {
+            throw new Error(`Review validation failed: pick a level for every criterion of "${question.title}"`);
+          }
+          if (!Number.isFinite(points) || points < 0 || points > possible) {
+            throw new Error(`Review validation failed: "${question.title}" is worth 0 to ${possible} points`);
+          }
+          grades[questionId] = { points, levels: grade.levels || {}, comment: (grade.comment || '').trim() };
+        }
+        
+        const review = { reviewerId, reviewerName: reviewer.name, questions: grades, updatedAt: new Date().toISOString() };
+        const reviews = [...(response.reviews || []).filter(existing => existing.reviewerId !== reviewerId), review];
+        const scoring = scoreResponse(assessment, { ...response, reviews });
+        const updates = { reviews, scoring, score: scoring.score };
+        await db.assessmentResponses.update(responseId, updates);
+        
+        await this.createTimelineEvent({
+          candidateId: response.candidateId,
+          type: 'assessment_graded',
+          title: 'Assessment Graded',
+          description: `${reviewer.name} graded ${assessment.title}: ${formatScore(scoring)}`,
+          metadata: { assessmentId: assessment.id, responseId, reviewerId, score: scoring.score },
+        });
+        
+        return { ...response, ...updates };
       });
     } catch (error) {
-      console.error('Error clearing data:', error);
+      console.error('Error grading assessment response:', error);
       throw error;
     }
   }
   
-  static async getStats() {
+  // Assessment invites
+  // The assessments for the jobs a candidate applied to, each with how many
+  // times they submitted it and their latest invite
+  static async getCandidateAssessments(candidateId) {
     try {
-      const [jobCount, candidateCount, assessmentCount] = await Promise.all([
-        db.jobs.count(),
-        db.candidates.count(),
-        db.assessments.count(),
+      const applications = await db.jobApplications.where('candidateId').equals(candidateId).toArray();
+      const jobIds = applications.map(app => app.jobId);
+      const assessments = await db.assessments.where('jobId').anyOf(jobIds).toArray();
+      const [responses, invites] = await Promise.all([
+        db.assessmentResponses.where('candidateId').equals(candidateId).toArray(),
+        db.assessmentInvites.where('candidateId').equals(candidateId).toArray(),
       ]);
       
-      return {
-        jobs: jobCount,
-        candidates: candidateCount,
-        assessments: assessmentCount,
-      };
+      return assessments.map(assessment => {
+        const submitted = responses.filter(response => response.assessmentId === assessment.id);
+        const latest = submitted.sort((a, b) => getSubmittedAt(b).localeCompare(getSubmittedAt(a)))[0];
+        const latestInvite = invites
+          .filter(invite => invite.assessmentId === assessment.id)
+          .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] || null;
+        return {
+          assessment: {
+            id: assessment.id,
+            jobId: assessment.jobId,
+            title: assessment.title,
+            settings: assessment.settings,
+          },
+          jobTitle: applications.find(app => app.jobId === assessment.jobId)?.jobTitle || '',
+          submissions: submitted.length,
+          lastSubmittedAt: latest ? getSubmittedAt(latest) : null,
+          result: latest ? getAssessmentResult(latest) : null,
+          invite: latestInvite && { id: latestInvite.id, startedAt: latestInvite.startedAt, submittedAt: latestInvite.submittedAt },
+        };
+      });
     } catch (error) {
-      console.error('Error fetching stats:', error);
+      console.error('Error fetching candidate assessments:', error);
       throw error;
     }
   }
   
-  // Job Applications
-  static async createJobApplication(applicationData) {
+  // The candidate's open invite to the assessment, or a new one. Candidates
+  // who already submitted only get one when retakes are allowed.
+  static async createAssessmentInvite(candidateId, assessmentId) {
     try {
-      const application = createJobApplication(applicationData);
-      const id = await db.jobApplications.add(application);
-      
-      // Create timeline event
-      await this.createTimelineEvent({
-        candidateId: applicationData.candidateId,
-        type: 'job_application',
-        title: `Applied for ${applicationData.jobTitle}`,
-        description: `Candidate applied for the ${applicationData.jobTitle} position`,
-        metadata: { 
-          jobId: applicationData.jobId, 
-          applicationId: id,
-          status: applicationData.status 
-        },
+      return await db.transaction('rw', db.candidates, db.assessments, db.assessmentResponses, db.assessmentInvites, async () => {
+        const [candidate, assessment] = await Promise.all([
+          db.candidates.get(candidateId),
+          db.assessments.get(assessmentId),
+        ]);
+        if (!candidate) {
+          throw new Error('Candidate not found');
+        }
+        if (!assessment) {
+          throw new Error('Assessment not found');
+        }
+        
+        const open = await db.assessmentInvites
+          .where('[candidateId+assessmentId]')
+          .equals([candidateId, assessmentId])
+          .filter(invite => !invite.submittedAt && !isPastDeadline(invite, assessment))
+          .first();
+        if (open) return open;
+        
+        if (!assessment.settings?.allowMultipleAttempts && await this.getAssessmentResponse(candidateId, assessmentId)) {
+          throw new Error(`Invite validation failed: ${candidate.name} has already completed this assessment, and it doesn't allow retakes`);
+        }
+        
+        const invite = createAssessmentInvite({ candidateId, assessmentId, jobId: assessment.jobId });
+        await db.assessmentInvites.add(invite);
+        return invite;
       });
+    } catch (error) {
+      console.error('Error creating assessment invite:', error);
+      throw error;
+    }
+  }
+  
+  // Everything the candidate's page needs to show an invite. Reading never
+  // writes: an invite whose time ran out without a submission is reported as
+  // `expired`, and expireAssessmentInvite submits its draft.
+  static async getAssessmentInvite(token) {
+    try {
+      const invite = await db.assessmentInvites.get(token);
+      const assessment = invite && await db.assessments.get(invite.assessmentId);
+      const candidate = invite && await db.candidates.get(invite.candidateId);
+      if (!invite || !assessment || !candidate) {
+        throw new Error('Assessment link not found');
+      }
       
-      return { ...application, id };
+      const job = await db.jobs.get(assessment.jobId);
+      const submissions = await db.assessmentResponses
+        .where('[candidateId+assessmentId]')
+        .equals([invite.candidateId, assessment.id])
+        .count();
+      return {
+        invite,
+        assessment,
+        candidate: { id: candidate.id, name: candidate.name },
+        jobTitle: job?.title || '',
+        submissions,
+        expired: !!invite.startedAt && !invite.submittedAt && isPastDeadline(invite, assessment),
+      };
     } catch (error) {
-      console.error('Error creating job application:', error);
+      console.error('Error fetching assessment invite:', error);
       throw error;
     }
   }
   
-  static async updateJobApplication(id, updates) {
+  // Submits the draft of an invite whose time ran out, in the transaction
+  // submitAssessmentResponse uses, so it can't race a submission from the
+  // candidate's page. Does nothing to an invite that is submitted or still
+  // has time left. Returns the invite.
+  static async expireAssessmentInvite(token) {
     try {
-      await db.jobApplications.update(id, updates);
-      return await db.jobApplications.get(id);
+      return await db.transaction('rw', db.assessments, db.assessmentResponses, db.assessmentInvites, db.timelineEvents, db.jobApplications, async () => {
+        const invite = await db.assessmentInvites.get(token);
+        const assessment = invite && await db.assessments.get(invite.assessmentId);
+        if (!invite || !assessment) {
+          throw new Error('Assessment link not found');
+        }
+        if (!invite.startedAt || invite.submittedAt || !isPastDeadline(invite, assessment)) {
+          return invite;
+        }
+        
+        await this.submitAssessmentResponse(assessment.jobId, {
+          candidateId: invite.candidateId,
+          responses: invite.draft || {},
+          token,
+          timedOut: true,
+        });
+        return db.assessmentInvites.get(token);
+      });
     } catch (error) {
-      console.error('Error updating job application:', error);
+      console.error('Error expiring assessment invite:', error);
       throw error;
     }
   }
   
-  static async getCandidateJobApplications(candidateId) {
+  // Starts the clock on an invite. Once submitted, starting again begins a
+  // new attempt, if the assessment allows retakes.
+  static async startAssessmentInvite(token) {
+    try {
+      return await db.transaction('rw', db.assessments, db.assessmentInvites, async () => {
+        const invite = await db.assessmentInvites.get(token);
+        const assessment = invite && await db.assessments.get(invite.assessmentId);
+        if (!invite || !assessment) {
+          throw new Error('Assessment link not found');
+        }
+        if (invite.startedAt && !invite.submittedAt) {
+          return invite;
+        }
+        if (invite.submittedAt && !assessment.settings?.allowMultipleAttempts) {
+          throw new Error('Invite validation failed: this assessment has already been submitted');
+        }
+        
+        const updates = {
+          startedAt: new Date().toISOString(),
+          draft: null,
+          draftSavedAt: null,
+          submittedAt: null,
+          responseId: null,
+          timedOut: false,
+        };
+        await db.assessmentInvites.update(token, updates);
+        return { ...invite, ...updates };
+      });
+    } catch (error) {
+      console.error('Error starting assessment:', error);
+      throw error;
+    }
+  }
+  
+  static async saveAssessmentDraft(token, responses) {
+    try {
+      return await db.transaction('rw', db.assessments, db.assessmentInvites, async () => {
+        const invite = await db.assessmentInvites.get(token);
+        const assessment = invite && await db.assessments.get(invite.assessmentId);
+        if (!invite || !assessment) {
+          throw new Error('Assessment link not found');
+        }
+        if (!invite.startedAt || invite.submittedAt) {
+          throw new Error('Draft validation failed: the assessment isn\'t in progress');
+        }
+        if (isPastDeadline(invite, assessment)) {
+          throw new Error('Draft validation failed: the time limit has passed');
+        }
+        
+        const draftSavedAt = new Date().toISOString();
+        await db.assessmentInvites.update(token, { draft: responses, draftSavedAt });
+        return { draftSavedAt };
+      });
+    } catch (error) {
+      console.error('Error saving assessment draft:', error);
+      throw error;
+    }
+  }
+  
+  // Records a candidate's answers to a job's assessment. Submissions through
+  // an invite must come before its time runs out (unless `timedOut`, when the
+  // invite's draft is submitted for them) and close the invite; those sent in
+  // the grace period after the deadline count as timed out. A second
+  // submission needs an assessment that allows retakes. Answers are checked
+  // against each question's rules, and the error lists what's wrong by
+  // question id in `details.questions`. Timed-out submissions may leave
+  // questions unanswered and drop answers that break the rules instead.
+  // Answers to questions the candidate's other answers hid aren't kept.
+  static async submitAssessmentResponse(jobId, { candidateId, responses, token = null, timeSpent = null, timedOut: expired = false }) {
+    try {
+      // The checks and the writes share one transaction, so of two submissions
+      // racing for the same invite only the first is recorded
+      return await db.transaction('rw', db.assessments, db.assessmentResponses, db.assessmentInvites, db.timelineEvents, db.jobApplications, async () => {
+        const assessment = await this.getAssessmentByJobId(jobId);
+        if (!assessment) {
+          throw new Error('Assessment not found');
+        }
+        
+        let invite = null;
+        if (token) {
+          invite = await db.assessmentInvites.get(token);
+          if (!invite || invite.assessmentId !== assessment.id || invite.candidateId !== candidateId) {
+            throw new Error('Submission validation failed: the assessment link doesn\'t match this assessment');
+          }
+          if (!invite.startedAt || invite.submittedAt) {
+            throw new Error('Submission validation failed: the assessment isn\'t in progress');
+          }
+          if (!expired && isPastDeadline(invite, assessment)) {
+            throw new Error('Submission validation failed: the time limit has passed');
+          }
+        }
+        const timedOut = expired || (!!invite && isPastDeadline(invite, assessment, new Date(), { graceMs: 0 }));
+        if (!assessment.settings?.allowMultipleAttempts && await this.getAssessmentResponse(candidateId, assessment.id)) {
+          throw new Error('Submission validation failed: this assessment has already been submitted');
+        }
+        
+        const errors = validateResponses(assessment, responses, { requireAnswers: !timedOut });
+        if (!timedOut && Object.keys(errors).length > 0) {
+          const error = new Error('Submission validation failed: some answers need attention');
+          error.details = { questions: errors };
+          throw error;
+        }
+        const answers = Object.fromEntries(
+          Object.entries(pruneHiddenAnswers(assessment, responses)).filter(([questionId]) => !errors[questionId])
+        );
+        
+        const completedAt = new Date().toISOString();
+        const response = await this.createAssessmentResponse({
+          candidateId,
+          assessmentId: assessment.id,
+          responses: answers,
+          completedAt,
+          timeSpent: timeSpent ?? (invite ? Math.round((Date.parse(completedAt) - Date.parse(invite.startedAt)) / 1000) : null),
+          timedOut,
+        });
+        if (invite) {
+          await db.assessmentInvites.update(token, { submittedAt: completedAt, draft: null, responseId: response.id, timedOut });
+        }
+        return response;
+      });
+    } catch (error) {
+      console.error('Error submitting assessment:', error);
+      throw error;
+    }
+  }
+  
+  // Settings
+  static async getSetting(key) {
+    try {
+      const setting = await db.settings.where('key').equals(key).first();
+      return setting ? setting.value : DEFAULT_SETTINGS[key];
+    } catch (error) {
+      console.error('Error fetching setting:', error);
+      throw error;
+    }
+  }
+  
+  static async updateSetting(key, value) {
+    try {
+      if (!(key in DEFAULT_SETTINGS)) {
+        throw new Error(`Setting "${key}" not found`);
+      }
+      
+      let nextValue = value;
+      if (key === SETTINGS_KEYS.REJECTION_REASONS) {
+        const errors = validateRejectionReasons(value);
+        if (errors.length > 0) {
+          throw new Error(`Rejection reason validation failed: ${errors[0]}`);
+        }
+        nextValue = assignReasonIds(value);
+      }
+      if (key === SETTINGS_KEYS.CANDIDATE_VIEWS) {
+        const errors = validateSavedViews(value);
+        if (errors.length > 0) {
+          throw new Error(`Saved view validation failed: ${errors[0]}`);
+        }
+        nextValue = normalizeSavedViews(value);
+      }
+      if (key === SETTINGS_KEYS.TRASH_RETENTION_DAYS) {
+        const errors = validateRetentionDays(value);
+        if (errors.length > 0) {
+          throw new Error(`Retention validation failed: ${errors[0]}`);
+        }
+      }
+      
+      const existing = await db.settings.where('key').equals(key).first();
+      const updatedAt = new Date().toISOString();
+      if (existing) {
+        await db.settings.update(existing.id, { value: nextValue, updatedAt });
+      } else {
+        await db.settings.add({ key, value: nextValue, updatedAt });
+      }
+      return nextValue;
+    } catch (error) {
+      console.error('Error updating setting:', error);
+      throw error;
+    }
+  }
+  
+  // Utility methods
+  static async clearAllData() {
+    try {
+      await db.transaction('rw', db.jobs, db.candidates, db.assessments, 
+        db.timelineEvents, db.notes, db.assessmentResponses, db.assessmentInvites, db.jobApplications, db.bulkOperations, db.trash, async () => {
+        await db.jobs.clear();
+        await db.candidates.clear();
+        await db.assessments.clear();
+        await db.timelineEvents.clear();
+        await db.notes.clear();
+        await db.assessmentResponses.clear();
+        await db.assessmentInvites.clear();
+        await db.jobApplications.clear();
+        await db.bulkOperations.clear();
+        await db.trash.clear();
+      });
+      // clear() skips the hooks that keep the search index up to date
+      await db.textIndex.clear();
+    } catch (error) {
+      console.error('Error clearing data:', error);
+      throw error;
+    }
+  }
+  
+  // Populates an empty database with generated jobs, candidates,
+  // assessments and job applications.
+  static async seedDatabase() {
+    try {
+      const seedData = generateSeedData();
+      
+      for (const job of seedData.jobs) {
+        await this.createJob(job);
+      }
+      
+      for (const candidate of seedData.candidates) {
+        await this.createCandidate(candidate);
+      }
+      
+      for (const assessment of seedData.assessments) {
+        await this.createAssessment(assessment);
+      }
+      
+      for (const application of seedData.jobApplications) {
+        await this.createJobApplication(application);
+      }
+      
+      await db.timelineEvents.bulkAdd(seedData.timelineEvents);
+    } catch (error) {
+      console.error('Error seeding database:', error);
+      throw error;
+    }
+  }
+  
+  static async resetDatabase() {
+    await this.clearAllData();
+    await this.seedDatabase();
+  }
+  
+  static async getStats() {
+    try {
+      const [jobCount, candidateCount, assessmentCount] = await Promise.all([
+        db.jobs.count(),
+        db.candidates.count(),
+        db.assessments.count(),
+      ]);
+      
+      return {
+        jobs: jobCount,
+        candidates: candidateCount,
+        assessments: assessmentCount,
+      };
+    } catch (error) {
+      console.error('Error fetching stats:', error);
+      throw error;
+    }
+  }
+  
+  // Backups
+  static async createBackup() {
+    try {
+      const tables = {};
+      await db.transaction('r', BACKUP_TABLES, async () => {
+        for (const table of BACKUP_TABLES) {
+          tables[table] = await db.table(table).toArray();
+        }
+      });
+      return {
+        format: BACKUP_FORMAT,
+        schemaVersion: LATEST_SCHEMA_VERSION,
+        createdAt: new Date().toISOString(),
+        tables,
+      };
+    } catch (error) {
+      console.error('Error creating backup:', error);
+      throw error;
+    }
+  }
+  
+  // Restores a backup made by this or an older version of the app. Replace
+  // empties the workspace first (the trash and undo history included);
+  // merge keeps what's there and adds to it, see mergeBackupTables.
+  static async restoreBackup(backup, { mode = BACKUP_RESTORE_MODES.MERGE } = {}) {
+    try {
+      if (!Object.values(BACKUP_RESTORE_MODES).includes(mode)) {
+        throw new Error(`Backup validation failed: unknown restore mode "${mode}"`);
+      }
+      const errors = validateBackup(backup);
+      if (errors.length > 0) {
+        throw new Error(`Backup validation failed: ${errors[0]}`);
+      }
+      const { tables } = await migrateBackup(backup);
+      
+      const workspaceTables = [...BACKUP_TABLES, 'assessmentInvites', 'bulkOperations', 'trash'];
+      const result = await db.transaction('rw', workspaceTables, async () => {
+        if (mode === BACKUP_RESTORE_MODES.MERGE) {
+          return this.mergeBackupTables(tables);
+        }
+        for (const table of workspaceTables) {
+          await db.table(table).clear();
+        }
+        for (const table of BACKUP_TABLES) {
+          await db.table(table).bulkAdd(tables[table]);
+        }
+        return { restored: summarizeBackup({ tables }), skipped: 0 };
+      });
+      
+      // clear() skips the hooks that keep the search index up to date
+      await db.textIndex.rebuild();
+      return { mode, ...result };
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      throw error;
+    }
+  }
+  
+  // Helper function for restoreBackup: adds the rows the workspace doesn't
+  // have and replaces those the backup has a more recently updated copy of.
+  // New rows that would clash with existing ones (a second application to
+  // the same job, a second assessment for a job) are skipped; new jobs whose
+  // URL or board position is taken get another.
+  static async mergeBackupTables(tables) {
+    const isNewer = (row, current) => Boolean(row.updatedAt && current.updatedAt && row.updatedAt > current.updatedAt);
+    const restored = {};
+    let skipped = 0;
+    
+    const takenOrders = new Set((await db.jobs.toArray()).map(job => job.order));
+    for (const table of BACKUP_TABLES.filter(name => name !== 'settings')) {
+      const rows = tables[table];
+      const current = await db.table(table).bulkGet(rows.map(row => row.id));
+      const replacedIds = [];
+      const writes = [];
+      
+      for (const [index, row] of rows.entries()) {
+        if (current[index]) {
+          if (isNewer(row, current[index])) {
+            replacedIds.push(row.id);
+            writes.push(row);
+          }
+          continue;
+        }
+        
+        if (table === 'jobApplications'
+          && await db.jobApplications.where('[candidateId+jobId]').equals([row.candidateId, row.jobId]).first()) {
+          skipped += 1;
+          continue;
+        }
+        if (table === 'assessments' && await this.getAssessmentByJobId(row.jobId)) {
+          skipped += 1;
+          continue;
+        }
+        if (table === 'jobs') {
+          const job = { ...row };
+          if (job.slug && !(await this.isSlugUnique(job.slug))) {
+            let counter = 1;
+            while (!(await this.isSlugUnique(`${row.slug}-${counter}`))) {
+              counter++;
+            }
+            job.slug = `${row.slug}-${counter}`;
+          }
+          if (takenOrders.has(job.order)) {
+            job.order = Math.max(0, ...takenOrders) + 1;
+          }
+          takenOrders.add(job.order);
+          writes.push(job);
+          continue;
+        }
+        writes.push(row);
+      }
+      
+      // Deleted and added rather than put, so the update hooks don't
+      // restamp the restored rows
+      await db.table(table).bulkDelete(replacedIds);
+      await db.table(table).bulkAdd(writes);
+      restored[table] = writes.length;
+    }
+    
+    // Settings are matched by key; their ids are local to each database
+    restored.settings = 0;
+    for (const setting of tables.settings) {
+      const current = await db.settings.where('key').equals(setting.key).first();
+      if (!current) {
+        const { id, ...rest } = setting;
+        await db.settings.add(rest);
+        restored.settings += 1;
+      } else if (isNewer(setting, current)) {
+        await db.settings.update(current.id, { value: setting.value, updatedAt: setting.updatedAt });
+        restored.settings += 1;
+      }
+    }
+    
+    return { restored, skipped };
+  }
+  
+  // Job Applications
+  static async createJobApplication(applicationData) {
+    try {
+      const application = createJobApplication(applicationData);
+      const id = await db.jobApplications.add(application);
+      
+      // Create timeline event
+      await this.createTimelineEvent({
+        candidateId: applicationData.candidateId,
+        type: 'job_application',
+        title: `Applied for ${applicationData.jobTitle}`,
+        description: `Candidate applied for the ${applicationData.jobTitle} position`,
+        metadata: { 
+          jobId: applicationData.jobId, 
+          applicationId: id,
+          status: applicationData.status 
+        },
+      });
+      
+      return { ...application, id };
+    } catch (error) {
+      console.error('Error creating job application:', error);
+      throw error;
+    }
+  }
+  
+  static async updateJobApplication(id, updates) {
+    try {
+      await db.jobApplications.update(id, updates);
+      return await db.jobApplications.get(id);
+    } catch (error) {
+      console.error('Error updating job application:', error);
+      throw error;
+    }
+  }
+  
+  static async getCandidateJobApplications(candidateId) {
     try {
       const applications = await db.jobApplications
         .where('candidateId')
@@ -640,6 +1732,113 @@ export class DatabaseService {
     }
   }
   
+  static async getJobApplications(filters = {}) {
+    try {
+      let applications = filters.jobId
+        ? await db.jobApplications.where('jobId').equals(filters.jobId).toArray()
+        : await db.jobApplications.toArray();
+      
+      if (filters.status) {
+        applications = applications.filter(app => app.status === filters.status);
+      }
+      
+      if (filters.candidateId) {
+        applications = applications.filter(app => app.candidateId === filters.candidateId);
+      }
+      
+      // Applications that have been in their stage longer than its SLA
+      if (filters.overdue) {
+        const jobs = await db.jobs.bulkGet([...new Set(applications.map(app => app.jobId))]);
+        const jobsById = new Map(jobs.filter(Boolean).map(job => [job.id, job]));
+        const now = new Date();
+        applications = applications.filter(app => isOverdue(app, getJobPipeline(jobsById.get(app.jobId)), now));
+      }
+      
+      return applications;
+    } catch (error) {
+      console.error('Error fetching job applications:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * One page of a board column: the applications in a stage (optionally of
+   * one job), most recently moved first, joined with their candidate. Uses
+   * the [status+stageEnteredAt] indexes so only the page is read.
+   */
+  static async getBoardApplications(filters = {}, { offset = 0, limit = 50 } = {}) {
+    try {
+      const query = await this.queryBoardApplications(filters);
+      const [total, applications] = await Promise.all([
+        query.clone().count(),
+        query.clone().offset(offset).limit(limit).toArray(),
+      ]);
+      const candidates = await db.candidates.bulkGet(applications.map(app => app.candidateId));
+      
+      return {
+        applications: (await this.attachAssessmentResults(applications))
+          .map((app, index) => ({ ...app, candidate: candidates[index] }))
+          .filter(app => app.candidate),
+        total,
+      };
+    } catch (error) {
+      console.error('Error fetching board applications:', error);
+      throw error;
+    }
+  }
+  
+  // Ids of every application on the board that matches the filters
+  static async getBoardApplicationIds(filters = {}) {
+    try {
+      const query = await this.queryBoardApplications(filters);
+      return await query.primaryKeys();
+    } catch (error) {
+      console.error('Error fetching board application ids:', error);
+      throw error;
+    }
+  }
+  
+  // Helper function to build the board query for a set of filters, most
+  // recently moved first
+  static async queryBoardApplications(filters = {}) {
+    let query;
+    if (filters.status && filters.jobId) {
+      query = db.jobApplications
+        .where('[jobId+status+stageEnteredAt]')
+        .between([filters.jobId, filters.status, Dexie.minKey], [filters.jobId, filters.status, Dexie.maxKey]);
+    } else if (filters.status) {
+      query = db.jobApplications
+        .where('[status+stageEnteredAt]')
+        .between([filters.status, Dexie.minKey], [filters.status, Dexie.maxKey]);
+    } else if (filters.jobId) {
+      // The jobId index keeps rows in key order, so sort on updatedAt as below
+      query = db.jobApplications.orderBy('updatedAt').filter(app => app.jobId === filters.jobId);
+    } else {
+      query = db.jobApplications.orderBy('updatedAt');
+    }
+    query = query.reverse();
+    
+    if (filters.search) {
+      const candidateIds = new Set(await (await this.queryCandidates({ search: filters.search })).primaryKeys());
+      query = query.filter(app => candidateIds.has(app.candidateId));
+    }
+    
+    if (filters.overdue) {
+      const jobs = await db.jobs.toArray();
+      const jobsById = new Map(jobs.map(job => [job.id, job]));
+      const now = new Date();
+      query = query.filter(app => isOverdue(app, getJobPipeline(jobsById.get(app.jobId)), now));
+    }
+    
+    // Each card is tested on its own application
+    if (filters.filter) {
+      const matches = await this.buildCandidateMatcher(filters.filter);
+      query = query.filter(app => matches({ id: app.candidateId }, [app]));
+    }
+    
+    return query;
+  }
+  
   static async getJobApplicationsByStatus(status) {
     try {
       const applications = await db.jobApplications
@@ -674,14 +1873,16 @@ export class DatabaseService {
     try {
       const applications = await this.getCandidateJobApplications(candidateId);
       
+      // Classify each application by the stage it is in within its job's pipeline
+      const stageOf = (app) => findStage(getJobPipeline(app.jobDetails), app.status);
       const statusSummary = {
         totalApplications: applications.length,
-        hired: applications.filter(app => app.status === 'hired'),
-        rejected: applications.filter(app => app.status === 'rejected'),
-        interviewScheduled: applications.filter(app => 
-          app.status === 'screen' || app.status === 'tech' || app.status === 'offer'
+        hired: applications.filter(app => isHiredStage(stageOf(app))),
+        rejected: applications.filter(app => isRejectedStage(stageOf(app))),
+        interviewScheduled: applications.filter(app =>
+          isInterviewStage(getJobPipeline(app.jobDetails), stageOf(app))
         ),
-        applied: applications.filter(app => app.status === 'applied'),
+        applied: applications.filter(app => getJobPipeline(app.jobDetails)[0].id === app.status),
       };
       
       return {
@@ -715,7 +1916,7 @@ export class DatabaseService {
         candidateId,
         jobId,
         jobTitle: job.title,
-        status: 'applied',
+        status: getJobPipeline(job)[0].id,
       });
       
       return application;
@@ -725,32 +1926,269 @@ export class DatabaseService {
     }
   }
   
-  static async updateJobApplicationStatus(applicationId, newStatus, notes = '') {
+  // Helper function to resolve the rejection reason picked for a move. The
+  // label and source are copied so the record survives edits to the list.
+  static async buildRejection(details, pipeline, fromStage) {
+    const reasons = await this.getSetting(SETTINGS_KEYS.REJECTION_REASONS);
+    const reason = reasons.find(candidate => candidate.id === details.rejectionReasonId);
+    if (!reason) {
+      throw new Error('Rejection reason validation failed: pick one of the configured reasons');
+    }
+    
+    return {
+      reasonId: reason.id,
+      reasonLabel: reason.label,
+      source: reason.source,
+      note: details.rejectionNote?.trim() || '',
+      fromStage,
+      fromStageName: getStageLabel(pipeline, fromStage),
+      rejectedAt: new Date().toISOString(),
+    };
+  }
+  
+  static async getRejectionReport(filters = {}) {
+    try {
+      const applications = await this.getJobApplications(filters);
+      return summarizeRejections(applications);
+    } catch (error) {
+      console.error('Error building rejection report:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Everything the dashboard shows for a date range ('30d' etc.): totals,
+   * period-over-period trends, the stage distribution, recent candidates,
+   * applications past their SLA and the hiring funnel. Only aggregates are
+   * returned, and only the rows a metric needs are read, through the
+   * createdAt, appliedAt and stage indexes.
+   */
+  static async getDashboardReport({ range: rangeValue, now = new Date() } = {}) {
+    try {
+      const range = getDateRange(rangeValue, now);
+      const previousRange = getPreviousRange(range);
+      const bounds = ({ start, end }) => [start.toISOString(), end.toISOString()];
+      const createdIn = (table, period, filter = () => true) =>
+        table.where('createdAt').between(...bounds(period)).filter(filter).count();
+      const createdDelta = async (table, filter) =>
+        periodDelta(await createdIn(table, range, filter), await createdIn(table, previousRange, filter));
+
+      const isActive = job => job.status === 'active';
+      const isCompletedAssessment = event => event.type === 'assessment_completed';
+      const jobs = await db.jobs.toArray();
+      const jobsById = new Map(jobs.map(job => [job.id, job]));
+      const pipeline = mergePipelines(jobs.map(getJobPipeline));
+
+      const [candidateCount, applicationCount, completedAssessments] = await Promise.all([
+        db.candidates.count(),
+        db.jobApplications.count(),
+        db.timelineEvents.where('type').equals('assessment_completed').count(),
+      ]);
+      const trends = {
+        jobs: await createdDelta(db.jobs),
+        activeJobs: await createdDelta(db.jobs, isActive),
+        candidates: await createdDelta(db.candidates),
+        assessments: await createdDelta(db.timelineEvents, isCompletedAssessment),
+      };
+
+      const stageCounts = await Promise.all(
+        pipeline.map(stage => db.jobApplications.where('status').equals(stage.id).count())
+      );
+      const stageDistribution = pipeline
+        .map((stage, index) => ({ stage, count: stageCounts[index] }))
+        .filter(({ count }) => count > 0);
+
+      return {
+        totals: {
+          jobs: jobs.length,
+          activeJobs: jobs.filter(isActive).length,
+          candidates: candidateCount,
+          applications: applicationCount,
+          completedAssessments,
+        },
+        trends,
+        stageDistribution,
+        recentCandidates: await this.getRecentCandidates(jobsById),
+        attention: await this.getOverdueGroups(jobs, now),
+        funnel: await this.getFunnelReport(pipeline, range, previousRange),
+      };
+    } catch (error) {
+      console.error('Error building dashboard report:', error);
+      throw error;
+    }
+  }
+
+  // Helper function to list the newest candidates with the stage of the
+  // application they were last moved in
+  static async getRecentCandidates(jobsById, limit = 5) {
+    const candidates = await db.candidates.orderBy('createdAt').reverse().limit(limit).toArray();
+    const applications = await db.jobApplications
+      .where('candidateId')
+      .anyOf(candidates.map(candidate => candidate.id))
+      .toArray();
+
+    return candidates.map((candidate) => {
+      const latest = applications
+        .filter(app => app.candidateId === candidate.id)
+        .reduce((last, app) => (!last || app.updatedAt > last.updatedAt ? app : last), null);
+      return {
+        id: candidate.id,
+        name: candidate.name,
+        email: candidate.email,
+        createdAt: candidate.createdAt,
+        latestStage: latest && findStage(getJobPipeline(jobsById.get(latest.jobId)), latest.status),
+      };
+    });
+  }
+
+  // Helper function to group the applications past their stage SLA. Each job
+  // stage with an SLA reads only the applications that entered it before the
+  // cutoff.
+  static async getOverdueGroups(jobs, now = new Date()) {
+    const jobsById = new Map(jobs.map(job => [job.id, job]));
+    const lists = await Promise.all(jobs.flatMap(job =>
+      getJobPipeline(job)
+        .filter(stage => getStageSla(stage) !== null)
+        .map((stage) => {
+          const cutoff = new Date(now.getTime() - getStageSla(stage) * DAY_MS).toISOString();
+          return db.jobApplications
+            .where('[jobId+status+stageEnteredAt]')
+            .between([job.id, stage.id, ''], [job.id, stage.id, cutoff])
+            .toArray();
+        })
+    ));
+
+    const overdue = findOverdueApplications(lists.flat(), jobId => getJobPipeline(jobsById.get(jobId)), now);
+    return groupOverdueByStage(overdue).map(group => ({
+      ...group,
+      jobTitle: jobsById.get(group.jobId)?.title || group.jobTitle,
+    }));
+  }
+
+  // Helper function to compute the funnel metrics for a range and the one
+  // before it. Only applications that applied, moved or were hired within
+  // the two periods can count, so only they and their status changes are read.
+  static async getFunnelReport(pipeline, range, previousRange) {
+    const windowStart = previousRange.start.toISOString();
+    const windowEnd = range.end.toISOString();
+    const hiredStageIds = pipeline.filter(isHiredStage).map(stage => stage.id);
+
+    const [applied, moves, hired] = await Promise.all([
+      db.jobApplications.where('appliedAt').between(windowStart, windowEnd).toArray(),
+      db.timelineEvents
+        .where('createdAt')
+        .between(windowStart, windowEnd)
+        .filter(event => event.type === 'status_change' && !!event.metadata?.applicationId)
+        .toArray(),
+      Promise.all(hiredStageIds.map(stageId =>
+        db.jobApplications.where('[status+stageEnteredAt]').between([stageId, windowStart], [stageId, windowEnd]).toArray()
+      )),
+    ]);
+
+    const applicationsById = new Map([...applied, ...hired.flat()].map(app => [app.id, app]));
+    const missingIds = [...new Set(moves.map(event => event.metadata.applicationId))]
+      .filter(id => !applicationsById.has(id));
+    (await db.jobApplications.bulkGet(missingIds)).filter(Boolean).forEach(app => applicationsById.set(app.id, app));
+    const applications = Array.from(applicationsById.values());
+
+    const candidateIds = [...new Set(applications.map(app => app.candidateId))];
+    const events = await db.timelineEvents
+      .where('candidateId')
+      .anyOf(candidateIds)
+      .filter(event => event.type === 'status_change' && applicationsById.has(event.metadata?.applicationId))
+      .toArray();
+    const histories = buildStageHistories(applications, events);
+
+    const cohort = applications.filter(app => isInRange(app.appliedAt, range));
+    const previousCohort = applications.filter(app => isInRange(app.appliedAt, previousRange));
+    const hires = timeToHire(applications, histories, hiredStageIds, range);
+    const previousHires = timeToHire(applications, histories, hiredStageIds, previousRange);
+
+    return {
+      pipeline,
+      stages: stageConversion(getFunnelStages(pipeline), cohort, histories),
+      durations: timeInStage(histories, range),
+      hires,
+      hiresDelta: periodDelta(hires.count, previousHires.count),
+      applicationsDelta: periodDelta(cohort.length, previousCohort.length),
+      weeks: applicationsPerWeek(cohort, range).map(week => ({ ...week, weekStart: week.weekStart.toISOString() })),
+    };
+  }
+
+  // Helper function to gather what the transition rules check besides the
+  // collected fields. A job without an assessment has nothing to complete.
+  static async getTransitionContext(application) {
+    const assessment = await this.getAssessmentByJobId(application.jobId);
+    if (!assessment) return {};
+    
+    const response = application.assessmentCompleted
+      || await this.getAssessmentResponse(application.candidateId, assessment.id);
+    return { assessmentCompleted: !!response };
+  }
+  
+  static async updateJobApplicationStatus(applicationId, newStatus, notes = '', details = {}) {
     try {
       const application = await db.jobApplications.get(applicationId);
       if (!application) {
         throw new Error('Application not found');
       }
       
+      const job = await db.jobs.get(application.jobId);
+      const pipeline = getJobPipeline(job);
+      if (!findStage(pipeline, newStatus)) {
+        throw new Error(`Stage validation failed: "${newStatus}" is not a stage of this job's pipeline`);
+      }
+      
       const oldStatus = application.status;
+      if (oldStatus !== newStatus) {
+        const context = await this.getTransitionContext(application);
+        const result = evaluateTransition(pipeline, oldStatus, newStatus, { details, context });
+        if (!result.allowed) {
+          throw new Error(`Transition validation failed: ${result.reason}`);
+        }
+      }
+      
+      // A rejection is recorded on entering a rejected stage and cleared
+      // when the application is reopened into another stage; saving the same
+      // stage again (to edit notes, say) keeps it
+      const moved = oldStatus !== newStatus;
+      const entersRejected = moved && isRejectedStage(findStage(pipeline, newStatus));
+      const newRejection = entersRejected && details.rejectionReasonId
+        ? await this.buildRejection(details, pipeline, oldStatus)
+        : null;
+      const rejection = newRejection || (moved && !entersRejected ? null : application.rejection || null);
+      
+      const now = new Date().toISOString();
       await this.updateJobApplication(applicationId, {
         status: newStatus,
         notes: notes || application.notes,
-        updatedAt: new Date().toISOString(),
+        // Saving the same stage again doesn't restart the clock
+        stageEnteredAt: oldStatus !== newStatus ? now : application.stageEnteredAt || application.appliedAt,
+        // Keep the data collected on entering each stage
+        stageDetails: { ...application.stageDetails, [newStatus]: details },
+        rejection,
+        updatedAt: now,
       });
       
+      let description = `Application status changed from ${getStageLabel(pipeline, oldStatus)} to ${getStageLabel(pipeline, newStatus)}`;
+      if (newRejection) {
+        description += ` (${REJECTION_SOURCE_LABELS[newRejection.source]}: ${newRejection.reasonLabel})`;
+      }
+      
       // Create timeline event
       await this.createTimelineEvent({
         candidateId: application.candidateId,
         type: 'status_change',
-        title: `Status changed to ${newStatus}`,
-        description: `Application status changed from ${oldStatus} to ${newStatus}`,
+        title: `Status changed to ${getStageLabel(pipeline, newStatus)}`,
+        description,
         metadata: { 
           jobId: application.jobId,
           applicationId,
           oldStatus,
           newStatus,
-          notes 
+          notes,
+          details,
+          rejection: newRejection,
         },
       });
       
@@ -761,6 +2199,602 @@ export class DatabaseService {
     }
   }
 
+  // Bulk actions
+  /**
+   * Runs one action on many candidates or applications in a single
+   * transaction: if any write fails, nothing is changed. `target` is
+   * { candidateIds } or { applicationIds }. Stage moves and rejections act on
+   * applications; given candidates, they act on each candidate's applications
+   * (only the one for `options.jobId`, when set). Items an action doesn't
+   * apply to, such as a transition the pipeline doesn't allow or an existing
+   * application, are skipped and reported instead of failing the batch.
+   *
+   * What the action changed in the affected candidates' rows (and the trash
+   * entries it created) is saved with the operation so undoBulkAction can
+   * revert exactly that. Exports read without writing.
+   *
+   * @returns {{ operationId, action, affected: number, skipped: { id, name, reason }[] }}
+   */
+  static async runBulkAction(action, target = {}, options = {}) {
+    try {
+      if (!Object.values(BULK_ACTIONS).includes(action)) {
+        throw new Error(`Bulk action validation failed: unknown action "${action}"`);
+      }
+      
+      if (action === BULK_ACTIONS.EXPORT) {
+        const { candidateIds } = await this.resolveBulkTarget(target, options);
+        const candidates = await db.candidates.bulkGet(candidateIds);
+        return { action, candidates: await this.attachApplications(candidates.filter(Boolean)) };
+      }
+      
+      const tables = [
+        db.candidates, db.jobApplications, db.timelineEvents, db.notes, db.assessmentResponses, db.assessmentInvites,
+        db.jobs, db.assessments, db.settings, db.bulkOperations, db.trash,
+      ];
+      return await db.transaction('rw', tables, async () => {
+        const { candidateIds, applications } = await this.resolveBulkTarget(target, options);
+        if (candidateIds.length === 0) {
+          throw new Error('Bulk action validation failed: select at least one candidate');
+        }
+        
+        const snapshot = await this.snapshotCandidates(candidateIds);
+        const trashIdsBefore = new Set(await db.trash.where('targetId').anyOf(candidateIds).primaryKeys());
+        const namesById = new Map(snapshot.candidates.map(candidate => [candidate.id, candidate.name]));
+        const skipped = [];
+        let affected = 0;
+        
+        // Validation errors ("validation failed", "already ...") skip the item;
+        // anything else aborts the transaction
+        const attempt = async (candidateId, run) => {
+          try {
+            await run();
+            affected += 1;
+          } catch (error) {
+            if (!error.message.includes('validation') && !error.message.includes('already')) throw error;
+            skipped.push({ id: candidateId, name: namesById.get(candidateId), reason: error.message.replace(/^.*validation failed: /, '') });
+          }
+        };
+        const skip = (candidateId, reason) => skipped.push({ id: candidateId, name: namesById.get(candidateId), reason });
+        
+        switch (action) {
+          case BULK_ACTIONS.MOVE: {
+            if (!options.stage) {
+              throw new Error('Bulk action validation failed: pick a stage');
+            }
+            for (const application of applications) {
+              if (application.status === options.stage) {
+                skip(application.candidateId, `Already in this stage for ${application.jobTitle}`);
+                continue;
+              }
+              await attempt(application.candidateId, () =>
+                this.updateJobApplicationStatus(application.id, options.stage, '', options.details || {})
+              );
+            }
+            break;
+          }
+          case BULK_ACTIONS.REJECT: {
+            const reasons = await this.getSetting(SETTINGS_KEYS.REJECTION_REASONS);
+            if (!reasons.some(reason => reason.id === options.rejectionReasonId)) {
+              throw new Error('Rejection reason validation failed: pick one of the configured reasons');
+            }
+            const jobs = await db.jobs.bulkGet(Array.from(new Set(applications.map(app => app.jobId))));
+            const jobsById = new Map(jobs.filter(Boolean).map(job => [job.id, job]));
+            for (const application of applications) {
+              const rejectedStage = getJobPipeline(jobsById.get(application.jobId)).find(isRejectedStage);
+              if (!rejectedStage) {
+                skip(application.candidateId, `The ${application.jobTitle} pipeline has no rejection stage`);
+                continue;
+              }
+              if (application.status === rejectedStage.id) {
+                skip(application.candidateId, `Already rejected for ${application.jobTitle}`);
+                continue;
+              }
+              await attempt(application.candidateId, () =>
+                this.updateJobApplicationStatus(application.id, rejectedStage.id, '', {
+                  rejectionReasonId: options.rejectionReasonId,
+                  rejectionNote: options.rejectionNote || '',
+                })
+              );
+            }
+            break;
+          }
+          case BULK_ACTIONS.APPLY: {
+            if (!options.jobId || !(await db.jobs.get(options.jobId))) {
+              throw new Error('Job not found');
+            }
+            for (const candidateId of candidateIds) {
+              await attempt(candidateId, () => this.applyCandidateToJob(candidateId, options.jobId));
+            }
+            break;
+          }
+          case BULK_ACTIONS.TAG: {
+            const tag = options.tag?.trim();
+            if (!tag) {
+              throw new Error('Bulk action validation failed: enter a tag');
+            }
+            for (const candidate of snapshot.candidates) {
+              const tags = candidate.tags || [];
+              if (tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+                skip(candidate.id, `Already tagged "${tag}"`);
+                continue;
+              }
+              await db.candidates.update(candidate.id, { tags: [...tags, tag] });
+              await this.createTimelineEvent({
+                candidateId: candidate.id,
+                type: 'tag_added',
+                title: `Tagged "${tag}"`,
+                description: `The tag "${tag}" was added to the candidate`,
+                metadata: { tag },
+              });
+              affected += 1;
+            }
+            break;
+          }
+          case BULK_ACTIONS.DELETE: {
+            for (const candidateId of candidateIds) {
+              await this.deleteCandidate(candidateId);
+              affected += 1;
+            }
+            break;
+          }
+          default:
+            break;
+        }
+        
+        const after = await this.snapshotCandidates(candidateIds);
+        const trashIds = (await db.trash.where('targetId').anyOf(candidateIds).primaryKeys())
+          .filter(id => !trashIdsBefore.has(id));
+        const previousOperations = await db.bulkOperations.toArray();
+        const operation = {
+          id: crypto.randomUUID(),
+          // Orders operations created within the same millisecond
+          sequence: Math.max(0, ...previousOperations.map(op => op.sequence || 0)) + 1,
+          action,
+          candidateIds,
+          changes: Object.fromEntries(BULK_UNDO_TABLES.map(name => [name, diffRows(snapshot[name], after[name])])),
+          trashIds,
+          createdAt: new Date().toISOString(),
+        };
+        await db.bulkOperations.add(operation);
+        
+        // Only the latest operations can be undone
+        const stale = await db.bulkOperations.orderBy('createdAt').reverse().offset(BULK_UNDO_LIMIT).primaryKeys();
+        await db.bulkOperations.bulkDelete(stale);
+        
+        return { operationId: operation.id, action, affected, skipped };
+      });
+    } catch (error) {
+      console.error('Error running bulk action:', error);
+      throw error;
+    }
+  }
+  
+  // Helper function to turn a bulk target into the candidates and
+  // applications it covers
+  static async resolveBulkTarget(target, options = {}) {
+    if (target.applicationIds?.length) {
+      const applications = (await db.jobApplications.bulkGet(target.applicationIds)).filter(Boolean);
+      return { candidateIds: Array.from(new Set(applications.map(app => app.candidateId))), applications };
+    }
+    
+    const candidateIds = target.candidateIds || [];
+    const applications = await db.jobApplications
+      .where('candidateId')
+      .anyOf(candidateIds)
+      .filter(app => !options.jobId || app.jobId === options.jobId)
+      .toArray();
+    return { candidateIds, applications };
+  }
+  
+  // Helper function to copy candidates with everything that belongs to them
+  static async snapshotCandidates(candidateIds) {
+    const [candidates, ...related] = await Promise.all([
+      db.candidates.bulkGet(candidateIds),
+      ...CANDIDATE_RECORD_TABLES.map(name => db.table(name).where('candidateId').anyOf(candidateIds).toArray()),
+    ]);
+    return {
+      candidates: candidates.filter(Boolean),
+      ...Object.fromEntries(CANDIDATE_RECORD_TABLES.map((name, index) => [name, related[index]])),
+    };
+  }
+  
+  // Helper function to tell whether rows a bulk action changed have changed
+  // again since: a row it added was edited or deleted, a row it removed is
+  // back, or a field it updated holds another value
+  static async hasChangedSince(changes) {
+    for (const name of BULK_UNDO_TABLES) {
+      const { added, removed, updated } = changes[name];
+      const table = db.table(name);
+      const [addedNow, removedNow, updatedNow] = await Promise.all([
+        table.bulkGet(added.map(row => row.id)),
+        table.bulkGet(removed.map(row => row.id)),
+        table.bulkGet(updated.map(change => change.id)),
+      ]);
+      
+      if (
+        added.some((row, index) => !isSameValue(addedNow[index], row)) ||
+        removedNow.some(Boolean) ||
+        updated.some((change, index) => !updatedNow[index] ||
+          Object.entries(change.after).some(([field, value]) => !isSameValue(updatedNow[index][field], value)))
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+  
+  /**
+   * Reverts what a bulk action changed: rows it added are deleted, rows it
+   * removed come back (candidates it deleted leave the trash) and fields it
+   * updated get their old values. Rows and fields it didn't touch, such as
+   * notes added since, are kept. Refused when a later bulk action involved
+   * the same candidates, or when something the action changed has changed
+   * again, since reverting would lose that work.
+   */
+  static async undoBulkAction(operationId) {
+    try {
+      const tables = [db.candidates, ...CANDIDATE_RECORD_TABLES.map(name => db.table(name)), db.bulkOperations, db.trash];
+      return await db.transaction('rw', tables, async () => {
+        const operation = await db.bulkOperations.get(operationId);
+        if (!operation) {
+          throw new Error('Bulk operation not found');
+        }
+        
+        const { candidateIds, changes, trashIds } = operation;
+        const involved = new Set(candidateIds);
+        const later = (await db.bulkOperations.toArray()).filter(other =>
+          other.sequence > operation.sequence && other.candidateIds.some(id => involved.has(id))
+        );
+        if (later.length > 0) {
+          throw new Error('Undo validation failed: a later bulk action changed the same candidates; undo it first');
+        }
+        if (await this.hasChangedSince(changes)) {
+          throw new Error('Undo validation failed: some of these candidates have been changed since, so the action can no longer be undone');
+        }
+        
+        for (const name of BULK_UNDO_TABLES) {
+          const { added, removed, updated } = changes[name];
+          const table = db.table(name);
+          await table.bulkDelete(added.map(row => row.id));
+          await table.bulkAdd(removed);
+          for (const change of updated) {
+            await table.update(change.id, change.before);
+          }
+        }
+        await db.trash.bulkDelete(trashIds);
+        await db.bulkOperations.delete(operationId);
+        
+        return { operationId, action: operation.action, restored: candidateIds.length };
+      });
+    } catch (error) {
+      console.error('Error undoing bulk action:', error);
+      throw error;
+    }
+  }
+
+  // Candidate import
+  // For each contact ({ email, phone }), the candidate it matches, or null
+  static async findContactMatches(contacts) {
+    try {
+      const index = buildContactIndex(await db.candidates.toArray());
+      return contacts.map(contact => {
+        const match = findContactMatch(index, contact);
+        return match && {
+          candidateId: match.candidate.id,
+          name: match.candidate.name,
+          email: match.candidate.email,
+          matchedOn: match.matchedOn,
+        };
+      });
+    } catch (error) {
+      console.error('Error matching contacts:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Imports one batch of candidates in a single transaction. Rows are
+   * { name, email, phone, jobId, stage, tags }, as built by buildImportRows.
+   * A row whose email or phone matches a candidate (including one created
+   * earlier in the batch) is skipped, or with `onDuplicate: 'merge'` fills in
+   * that candidate's missing phone, adds the tags and applies them to the
+   * row's job. Invalid rows are skipped and reported by their batch index.
+   *
+   * @returns {{ created: number, merged: number, skipped: { index, reason }[] }}
+   */
+  static async importCandidates(rows, { onDuplicate = IMPORT_DUPLICATE_ACTIONS.SKIP } = {}) {
+    try {
+      if (!Array.isArray(rows)) {
+        throw new Error('Import validation failed: rows must be a list');
+      }
+      if (!Object.values(IMPORT_DUPLICATE_ACTIONS).includes(onDuplicate)) {
+        throw new Error(`Import validation failed: unknown duplicate handling "${onDuplicate}"`);
+      }
+      
+      return await db.transaction('rw', [db.candidates, db.jobs, db.jobApplications, db.timelineEvents], async () => {
+        const index = buildContactIndex(await db.candidates.toArray());
+        const result = { created: 0, merged: 0, skipped: [] };
+        
+        for (const [rowIndex, row] of rows.entries()) {
+          const skip = (reason) => result.skipped.push({ index: rowIndex, reason });
+          const errors = validateImportCandidate(row);
+          if (errors.length > 0) {
+            skip(errors[0]);
+            continue;
+          }
+          const job = row.jobId ? await db.jobs.get(row.jobId) : null;
+          if (row.jobId && !job) {
+            skip('Job not found');
+            continue;
+          }
+          
+          const match = findContactMatch(index, row);
+          if (!match) {
+            const candidate = await this.createCandidate({
+              name: row.name.trim(),
+              email: row.email.trim(),
+              phone: row.phone?.trim() || '',
+              tags: row.tags || [],
+              jobId: job?.id,
+              stage: row.stage || undefined,
+            });
+            addToContactIndex(index, candidate);
+            result.created++;
+          } else if (onDuplicate === IMPORT_DUPLICATE_ACTIONS.MERGE) {
+            await this.mergeImportedRow(match, row, job);
+            result.merged++;
+          } else {
+            skip(`Matches ${match.candidate.name} by ${match.matchedOn}`);
+          }
+        }
+        return result;
+      });
+    } catch (error) {
+      console.error('Error importing candidates:', error);
+      throw error;
+    }
+  }
+  
+  // Helper function to merge an imported row into the candidate it matched.
+  // Existing details win; the timeline records what the import added.
+  static async mergeImportedRow(match, row, job) {
+    const candidate = await db.candidates.get(match.candidate.id);
+    const added = [];
+    const updates = {};
+    
+    if (!candidate.phone && row.phone?.trim()) {
+      updates.phone = row.phone.trim();
+      added.push('a phone number');
+    }
+    const newTags = (row.tags || []).filter(tag => !(candidate.tags || []).includes(tag));
+    if (newTags.length > 0) {
+      updates.tags = [...(candidate.tags || []), ...newTags];
+      added.push(`the tags ${newTags.join(', ')}`);
+    }
+    if (Object.keys(updates).length > 0) {
+      await db.candidates.update(candidate.id, updates);
+    }
+    
+    if (job) {
+      const existing = await db.jobApplications
+        .where('[candidateId+jobId]')
+        .equals([candidate.id, job.id])
+        .first();
+      if (!existing) {
+        const pipeline = getJobPipeline(job);
+        await this.createJobApplication({
+          candidateId: candidate.id,
+          jobId: job.id,
+          jobTitle: job.title,
+          status: findStage(pipeline, row.stage) ? row.stage : pipeline[0].id,
+        });
+        added.push(`an application for ${job.title}`);
+      }
+    }
+    
+    await this.createTimelineEvent({
+      candidateId: candidate.id,
+      type: 'candidate_imported',
+      title: 'Matched by Import',
+      description: added.length > 0
+        ? `An imported row matched by ${match.matchedOn} added ${added.join(' and ')}`
+        : `An imported row matched by ${match.matchedOn}; there was nothing new to add`,
+      metadata: { matchedOn: match.matchedOn, added },
+    });
+  }
+
+  // Trash
+  // Helper function to collect the rows deleting an item removes: the item
+  // and everything that cascades with it, by table name
+  static async collectTrashRecords(type, id) {
+    switch (type) {
+      case TRASH_TYPES.JOB: {
+        const job = await db.jobs.get(id);
+        if (!job) {
+          throw new Error('Job not found');
+        }
+        const [jobApplications, assessments] = await Promise.all([
+          db.jobApplications.where('jobId').equals(id).toArray(),
+          db.assessments.where('jobId').equals(id).toArray(),
+        ]);
+        const assessmentIds = assessments.map(assessment => assessment.id);
+        const [assessmentResponses, assessmentInvites] = await Promise.all([
+          db.assessmentResponses.where('assessmentId').anyOf(assessmentIds).toArray(),
+          db.assessmentInvites.where('assessmentId').anyOf(assessmentIds).toArray(),
+        ]);
+        return {
+          label: job.title,
+          records: { jobs: [job], jobApplications, assessments, assessmentResponses, assessmentInvites },
+        };
+      }
+      case TRASH_TYPES.CANDIDATE: {
+        const records = await this.snapshotCandidates([id]);
+        if (records.candidates.length === 0) {
+          throw new Error('Candidate not found');
+        }
+        return { label: records.candidates[0].name, records };
+      }
+      case TRASH_TYPES.ASSESSMENT: {
+        const assessment = await db.assessments.get(id);
+        if (!assessment) {
+          throw new Error('Assessment not found');
+        }
+        const [assessmentResponses, assessmentInvites] = await Promise.all([
+          db.assessmentResponses.where('assessmentId').equals(id).toArray(),
+          db.assessmentInvites.where('assessmentId').equals(id).toArray(),
+        ]);
+        return { label: assessment.title, records: { assessments: [assessment], assessmentResponses, assessmentInvites } };
+      }
+      default:
+        throw new Error(`Trash validation failed: "${type}" can't be deleted to the trash`);
+    }
+  }
+  
+  // Removes an item and its cascade in one transaction and keeps the rows
+  // in a trash entry, so restoring brings the whole cascade back
+  static async moveToTrash(type, id) {
+    return db.transaction('rw', TRASH_TABLES, async () => {
+      const { label, records } = await this.collectTrashRecords(type, id);
+      for (const [table, rows] of Object.entries(records)) {
+        await db.table(table).bulkDelete(rows.map(row => row.id));
+      }
+      
+      const entry = {
+        id: crypto.randomUUID(),
+        type,
+        targetId: id,
+        label,
+        records,
+        deletedAt: new Date().toISOString(),
+      };
+      await db.trash.add(entry);
+      return summarizeTrashEntry(entry);
+    });
+  }
+  
+  // Trash entries, newest first, without their rows. Expired entries are
+  // purged first.
+  static async getTrash() {
+    try {
+      await this.purgeTrash();
+      const retentionDays = await this.getSetting(SETTINGS_KEYS.TRASH_RETENTION_DAYS);
+      const entries = await db.trash.orderBy('deletedAt').reverse().toArray();
+      return entries.map(entry => ({
+        ...summarizeTrashEntry(entry),
+        purgeAt: getPurgeDate(entry, retentionDays).toISOString(),
+      }));
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      throw error;
+    }
+  }
+  
+  static async restoreFromTrash(id) {
+    try {
+      return await db.transaction('rw', TRASH_TABLES, async () => {
+        const entry = await db.trash.get(id);
+        if (!entry) {
+          throw new Error('Trash entry not found');
+        }
+        
+        const records = { ...entry.records };
+        if (entry.type === TRASH_TYPES.JOB) {
+          const [job] = records.jobs;
+          if (!(await this.isSlugUnique(job.slug, job.id))) {
+            throw new Error(`Restore validation failed: another job already uses the URL "${job.slug}"`);
+          }
+          // The job's board position may have been taken since
+          const jobs = await db.jobs.toArray();
+          if (jobs.some(other => other.order === job.order)) {
+            records.jobs = [{ ...job, order: Math.max(...jobs.map(other => other.order)) + 1 }];
+          }
+        }
+        if (entry.type === TRASH_TYPES.ASSESSMENT) {
+          const [assessment] = records.assessments;
+          if (!(await db.jobs.get(assessment.jobId))) {
+            throw new Error('Restore validation failed: restore the assessment\'s job first');
+          }
+          if (await this.getAssessmentByJobId(assessment.jobId)) {
+            throw new Error('Restore validation failed: the job already has another assessment');
+          }
+        }
+        const leftOut = await this.leaveOutDanglingRecords(records);
+        
+        for (const [table, rows] of Object.entries(records)) {
+          await db.table(table).bulkPut(rows);
+        }
+        await db.trash.delete(id);
+        return { ...summarizeTrashEntry({ ...entry, records }), leftOut };
+      });
+    } catch (error) {
+      console.error('Error restoring from trash:', error);
+      throw error;
+    }
+  }
+  
+  // Helper function to drop the restored rows that would point at a
+  // candidate, job or assessment deleted since the entry was trashed (and not
+  // restored with it), such as a candidate's application to a job that is now
+  // in the trash too. Returns how many rows were left out, by table.
+  static async leaveOutDanglingRecords(records) {
+    const references = {
+      jobApplications: { candidateId: 'candidates', jobId: 'jobs' },
+      assessmentResponses: { candidateId: 'candidates', assessmentId: 'assessments' },
+      assessmentInvites: { candidateId: 'candidates', assessmentId: 'assessments' },
+    };
+    const existingIds = async (table, ids) => {
+      const restored = new Set((records[table] || []).map(row => row.id));
+      const others = Array.from(new Set(ids)).filter(refId => !restored.has(refId));
+      const rows = await db.table(table).bulkGet(others);
+      return new Set([...restored, ...others.filter((_, index) => rows[index])]);
+    };
+    
+    const leftOut = {};
+    for (const [table, fields] of Object.entries(references)) {
+      const rows = records[table] || [];
+      if (rows.length === 0) continue;
+      const existing = {};
+      for (const [field, refTable] of Object.entries(fields)) {
+        existing[field] = await existingIds(refTable, rows.map(row => row[field]));
+      }
+      const kept = rows.filter(row => Object.keys(fields).every(field => existing[field].has(row[field])));
+      if (kept.length < rows.length) {
+        records[table] = kept;
+        leftOut[table] = rows.length - kept.length;
+      }
+    }
+    return leftOut;
+  }
+  
+  static async deleteTrashEntry(id) {
+    try {
+      await db.trash.delete(id);
+    } catch (error) {
+      console.error('Error deleting trash entry:', error);
+      throw error;
+    }
+  }
+  
+  static async emptyTrash() {
+    try {
+      await db.trash.clear();
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      throw error;
+    }
+  }
+  
+  // Permanently deletes entries older than the retention setting
+  static async purgeTrash(now = new Date()) {
+    try {
+      const retentionDays = await this.getSetting(SETTINGS_KEYS.TRASH_RETENTION_DAYS);
+      return await db.trash.where('deletedAt').below(getPurgeCutoff(retentionDays, now)).delete();
+    } catch (error) {
+      console.error('Error purging trash:', error);
+      throw error;
+    }
+  }
+
   // Debug method to help troubleshoot issues
   static async debugCandidateById(id) {
     try {
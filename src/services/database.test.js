@@ -0,0 +1,727 @@
+import 'fake-indexeddb/auto';
+import { db, DatabaseService } from './database';
+import { createJob, createCandidate, createJobApplication, createNote, createTimelineEvent, createAssessment, createAssessmentResponse, createSection, createQuestion, createRubricCriterion, QUESTION_TYPES, SETTINGS_KEYS } from '../types';
+
+const day = (n) => new Date(Date.UTC(2024, 0, n)).toISOString();
+
+beforeEach(async () => {
+  await db.open();
+  await Promise.all([
+    db.jobs.clear(),
+    db.candidates.clear(),
+    db.jobApplications.clear(),
+    db.notes.clear(),
+    db.timelineEvents.clear(),
+    db.bulkOperations.clear(),
+    db.assessments.clear(),
+    db.assessmentResponses.clear(),
+    db.assessmentInvites.clear(),
+    db.trash.clear(),
+    db.settings.clear(),
+  ]);
+  await db.textIndex.clear();
+
+  await db.jobs.bulkAdd([
+    createJob({ id: 'job-1', title: 'Engineer', slug: 'engineer', order: 1, requirements: ['Kubernetes in production'] }),
+    createJob({ id: 'job-2', title: 'Designer', slug: 'designer', order: 2, description: 'Design systems for engineers' }),
+  ]);
+  await db.candidates.bulkAdd(
+    ['Ada', 'Grace', 'Linus', 'Margaret', 'Ken'].map((name, index) =>
+      createCandidate({ id: `cand-${index + 1}`, name, email: `${name.toLowerCase()}@example.com`, createdAt: day(index + 1) })
+    )
+  );
+  await db.jobApplications.bulkAdd([
+    createJobApplication({ id: 'app-1', candidateId: 'cand-1', jobId: 'job-1', status: 'screen', stageEnteredAt: day(10) }),
+    createJobApplication({ id: 'app-2', candidateId: 'cand-2', jobId: 'job-1', status: 'screen', stageEnteredAt: day(12) }),
+    createJobApplication({ id: 'app-3', candidateId: 'cand-3', jobId: 'job-2', status: 'screen', stageEnteredAt: day(11) }),
+    createJobApplication({ id: 'app-4', candidateId: 'cand-4', jobId: 'job-1', status: 'applied', stageEnteredAt: day(9) }),
+  ]);
+});
+
+afterAll(() => db.close());
+
+describe('DatabaseService.getCandidatesPage', () => {
+  it('returns one page, newest first, with the total and applications', async () => {
+    const { candidates, total } = await DatabaseService.getCandidatesPage({}, { offset: 1, limit: 2 });
+
+    expect(total).toBe(5);
+    expect(candidates.map(candidate => candidate.name)).toEqual(['Margaret', 'Linus']);
+    expect(candidates[0].applications.map(app => app.id)).toEqual(['app-4']);
+  });
+
+  it('pages through filtered candidates', async () => {
+    const { candidates, total } = await DatabaseService.getCandidatesPage({ jobId: 'job-1' }, { offset: 0, limit: 2 });
+
+    expect(total).toBe(3);
+    expect(candidates.map(candidate => candidate.name)).toEqual(['Margaret', 'Grace']);
+  });
+});
+
+describe('DatabaseService.createCandidate', () => {
+  it('creates the candidate with their application and timeline', async () => {
+    const candidate = await DatabaseService.createCandidate({ name: 'Barbara', email: 'barbara@example.com', jobId: 'job-2' });
+
+    const applications = await db.jobApplications.where('candidateId').equals(candidate.id).toArray();
+    expect(applications).toEqual([expect.objectContaining({ jobId: 'job-2', status: 'applied' })]);
+    expect(await db.timelineEvents.where('candidateId').equals(candidate.id).count()).toBe(2);
+  });
+
+  it('leaves nothing behind when the job doesn\'t exist', async () => {
+    await expect(DatabaseService.createCandidate({ name: 'Barbara', email: 'barbara@example.com', jobId: 'job-missing' }))
+      .rejects.toThrow('Job not found');
+
+    expect(await db.candidates.where('email').equals('barbara@example.com').count()).toBe(0);
+    expect(await db.timelineEvents.count()).toBe(0);
+  });
+});
+
+describe('DatabaseService.getBoardApplications', () => {
+  it('pages through a stage, most recently moved first', async () => {
+    const firstPage = await DatabaseService.getBoardApplications({ status: 'screen' }, { offset: 0, limit: 2 });
+    const secondPage = await DatabaseService.getBoardApplications({ status: 'screen' }, { offset: 2, limit: 2 });
+
+    expect(firstPage.total).toBe(3);
+    expect(firstPage.applications.map(app => app.id)).toEqual(['app-2', 'app-3']);
+    expect(firstPage.applications[0].candidate.name).toBe('Grace');
+    expect(secondPage.applications.map(app => app.id)).toEqual(['app-1']);
+  });
+
+  it('narrows a column to one job and a candidate search', async () => {
+    const byJob = await DatabaseService.getBoardApplications({ status: 'screen', jobId: 'job-1' });
+    const bySearch = await DatabaseService.getBoardApplications({ status: 'screen', search: 'ada' });
+
+    expect(byJob.applications.map(app => app.id)).toEqual(['app-2', 'app-1']);
+    expect(bySearch.applications.map(app => app.id)).toEqual(['app-1']);
+    expect(bySearch.total).toBe(1);
+  });
+
+  it('pages through a job\'s applications, most recently updated first', async () => {
+    await db.jobApplications.update('app-4', { updatedAt: day(15) });
+    await db.jobApplications.update('app-1', { updatedAt: day(14) });
+    await db.jobApplications.update('app-2', { updatedAt: day(13) });
+
+    const firstPage = await DatabaseService.getBoardApplications({ jobId: 'job-1' }, { offset: 0, limit: 2 });
+    const secondPage = await DatabaseService.getBoardApplications({ jobId: 'job-1' }, { offset: 2, limit: 2 });
+
+    expect(firstPage.total).toBe(3);
+    expect(firstPage.applications.map(app => app.id)).toEqual(['app-4', 'app-1']);
+    expect(secondPage.applications.map(app => app.id)).toEqual(['app-2']);
+  });
+});
+
+describe('DatabaseService.updateJobApplicationStatus', () => {
+  it('keeps a rejection while the application stays rejected and clears it when reopened', async () => {
+    await DatabaseService.updateJobApplicationStatus('app-1', 'rejected', '', { rejectionReasonId: 'skills_gap' });
+    expect((await db.jobApplications.get('app-1')).rejection).toEqual(
+      expect.objectContaining({ reasonId: 'skills_gap', fromStage: 'screen' })
+    );
+
+    await DatabaseService.updateJobApplicationStatus('app-1', 'rejected', 'Called to explain');
+    const saved = await db.jobApplications.get('app-1');
+    expect(saved.notes).toBe('Called to explain');
+    expect(saved.rejection).toEqual(expect.objectContaining({ reasonId: 'skills_gap' }));
+
+    await DatabaseService.updateJobApplicationStatus('app-1', 'screen');
+    expect((await db.jobApplications.get('app-1')).rejection).toBeNull();
+  });
+
+  it('records no rejection for a move into a stage that is not rejected', async () => {
+    await DatabaseService.updateJobApplicationStatus('app-4', 'screen', '', { rejectionReasonId: 'skills_gap' });
+
+    const application = await db.jobApplications.get('app-4');
+    expect(application.status).toBe('screen');
+    expect(application.rejection).toBeNull();
+  });
+});
+
+describe('DatabaseService advanced filters', () => {
+  it('tests the conditions of a group against the same application', async () => {
+    const filter = {
+      type: 'group',
+      combinator: 'and',
+      conditions: [
+        { type: 'condition', field: 'job', operator: 'is', value: 'job-1' },
+        { type: 'condition', field: 'stage', operator: 'is', value: 'applied' },
+      ],
+    };
+
+    const { candidates } = await DatabaseService.getCandidatesPage({ filter });
+    const board = await DatabaseService.getBoardApplications({ status: 'screen', filter });
+
+    expect(candidates.map(candidate => candidate.name)).toEqual(['Margaret']);
+    expect(board.total).toBe(0);
+  });
+
+  it('matches candidates mentioned in notes', async () => {
+    await DatabaseService.createNote({ candidateId: 'cand-2', content: 'Ask @Sarah Johnson about references' });
+    const filter = { type: 'condition', field: 'mentionedBy', operator: 'is', value: '2' };
+
+    const { candidates } = await DatabaseService.getCandidatesPage({ filter });
+
+    expect(candidates.map(candidate => candidate.name)).toEqual(['Grace']);
+  });
+});
+
+describe('DatabaseService.runBulkAction', () => {
+  it('moves the applications it can, skips the rest and undoes the batch', async () => {
+    const result = await DatabaseService.runBulkAction('move', { applicationIds: ['app-1', 'app-2', 'app-4'] }, { stage: 'tech' });
+
+    expect(result.affected).toBe(2);
+    expect(result.skipped).toEqual([expect.objectContaining({ id: 'cand-4', name: 'Margaret' })]);
+    expect((await db.jobApplications.get('app-1')).status).toBe('tech');
+    expect(await db.timelineEvents.where('type').equals('status_change').count()).toBe(2);
+
+    await DatabaseService.undoBulkAction(result.operationId);
+
+    expect((await db.jobApplications.get('app-1')).status).toBe('screen');
+    expect(await db.timelineEvents.count()).toBe(0);
+  });
+
+  it('tags candidates and restores deleted candidates with their records', async () => {
+    await DatabaseService.runBulkAction('tag', { candidateIds: ['cand-1', 'cand-2'] }, { tag: 'referral' });
+    const deleted = await DatabaseService.runBulkAction('delete', { applicationIds: ['app-1'] });
+
+    expect(await db.candidates.get('cand-1')).toBeUndefined();
+    expect(await db.jobApplications.get('app-1')).toBeUndefined();
+    expect((await db.candidates.get('cand-2')).tags).toEqual(['referral']);
+    expect(await db.trash.count()).toBe(1);
+
+    await DatabaseService.undoBulkAction(deleted.operationId);
+
+    expect(await db.trash.count()).toBe(0);
+
+    expect((await db.candidates.get('cand-1')).tags).toEqual(['referral']);
+    expect(await db.jobApplications.get('app-1')).toBeDefined();
+    expect(await db.timelineEvents.where('candidateId').equals('cand-1').count()).toBe(1);
+  });
+
+  it('keeps what was added since when undoing, and refuses once the same rows have moved again', async () => {
+    const moved = await DatabaseService.runBulkAction('move', { applicationIds: ['app-1', 'app-2'] }, { stage: 'tech' });
+    await DatabaseService.createNote({ candidateId: 'cand-1', content: 'Great interview' });
+
+    await DatabaseService.undoBulkAction(moved.operationId);
+
+    expect((await db.jobApplications.get('app-1')).status).toBe('screen');
+    expect(await db.notes.where('candidateId').equals('cand-1').count()).toBe(1);
+    expect(await db.timelineEvents.where('type').equals('status_change').count()).toBe(0);
+
+    const movedAgain = await DatabaseService.runBulkAction('move', { applicationIds: ['app-1', 'app-2'] }, { stage: 'tech' });
+    await DatabaseService.updateJobApplicationStatus('app-1', 'rejected', '', { rejectionReasonId: 'team_fit' });
+
+    await expect(DatabaseService.undoBulkAction(movedAgain.operationId)).rejects.toThrow('changed since');
+    expect((await db.jobApplications.get('app-2')).status).toBe('tech');
+    expect(await db.bulkOperations.get(movedAgain.operationId)).toBeDefined();
+  });
+
+  it('undoes the latest of two bulk actions on the same candidates first', async () => {
+    const tagged = await DatabaseService.runBulkAction('tag', { candidateIds: ['cand-1', 'cand-2'] }, { tag: 'referral' });
+    const retagged = await DatabaseService.runBulkAction('tag', { candidateIds: ['cand-2'] }, { tag: 'senior' });
+
+    await expect(DatabaseService.undoBulkAction(tagged.operationId)).rejects.toThrow('later bulk action');
+
+    await DatabaseService.undoBulkAction(retagged.operationId);
+    await DatabaseService.undoBulkAction(tagged.operationId);
+    expect((await db.candidates.get('cand-2')).tags).toEqual([]);
+  });
+
+  it('rejects the whole batch when the action itself is invalid', async () => {
+    await expect(
+      DatabaseService.runBulkAction('reject', { candidateIds: ['cand-1'] }, { rejectionReasonId: 'nope' })
+    ).rejects.toThrow('validation failed');
+    expect(await db.bulkOperations.count()).toBe(0);
+  });
+});
+
+describe('DatabaseService trash', () => {
+  it('moves a job with its applications and assessment to the trash and restores them together', async () => {
+    await db.assessments.add(createAssessment({ id: 'assess-1', jobId: 'job-1', title: 'Engineer quiz' }));
+    await db.assessmentResponses.add(createAssessmentResponse({ id: 'resp-1', assessmentId: 'assess-1', candidateId: 'cand-1' }));
+    const invite = await DatabaseService.createAssessmentInvite('cand-2', 'assess-1');
+
+    const entry = await DatabaseService.deleteJob('job-1');
+
+    expect(entry).toEqual(expect.objectContaining({ type: 'job', label: 'Engineer' }));
+    expect(entry.counts).toEqual({ jobs: 1, jobApplications: 3, assessments: 1, assessmentResponses: 1, assessmentInvites: 1 });
+    expect(await db.jobApplications.where('jobId').equals('job-1').count()).toBe(0);
+    expect(await db.assessments.get('assess-1')).toBeUndefined();
+    expect(await db.assessmentInvites.get(invite.id)).toBeUndefined();
+    expect(await db.candidates.get('cand-1')).toBeDefined();
+
+    await DatabaseService.restoreFromTrash(entry.id);
+
+    expect(await db.jobs.get('job-1')).toBeDefined();
+    expect(await db.jobApplications.where('jobId').equals('job-1').count()).toBe(3);
+    expect(await db.assessmentResponses.get('resp-1')).toBeDefined();
+    expect(await db.assessmentInvites.get(invite.id)).toEqual(invite);
+    expect(await DatabaseService.getTrash()).toEqual([]);
+  });
+
+  it('moves an assessment with its responses and links to the trash and restores them together', async () => {
+    await db.assessments.add(createAssessment({ id: 'assess-1', jobId: 'job-1', title: 'Engineer quiz' }));
+    await db.assessmentResponses.add(createAssessmentResponse({ id: 'resp-1', assessmentId: 'assess-1', candidateId: 'cand-1' }));
+    const invite = await DatabaseService.createAssessmentInvite('cand-2', 'assess-1');
+
+    const entry = await DatabaseService.deleteAssessment('assess-1');
+
+    expect(entry.counts).toEqual({ assessments: 1, assessmentResponses: 1, assessmentInvites: 1 });
+    expect(await db.assessmentInvites.get(invite.id)).toBeUndefined();
+
+    await DatabaseService.restoreFromTrash(entry.id);
+
+    expect(await db.assessmentResponses.get('resp-1')).toBeDefined();
+    expect(await db.assessmentInvites.get(invite.id)).toEqual(invite);
+  });
+
+  it('restores a candidate with their notes', async () => {
+    await db.notes.add(createNote({ id: 'note-1', candidateId: 'cand-2', content: 'Strong portfolio' }));
+
+    const entry = await DatabaseService.deleteCandidate('cand-2');
+    expect(await db.notes.get('note-1')).toBeUndefined();
+
+    await DatabaseService.restoreFromTrash(entry.id);
+
+    expect((await db.candidates.get('cand-2')).name).toBe('Grace');
+    expect(await db.notes.get('note-1')).toBeDefined();
+    expect(await db.jobApplications.get('app-2')).toBeDefined();
+  });
+
+  it('leaves out a restored candidate\'s applications to jobs deleted since', async () => {
+    const candidateEntry = await DatabaseService.deleteCandidate('cand-1');
+    await DatabaseService.deleteJob('job-1');
+
+    const restored = await DatabaseService.restoreFromTrash(candidateEntry.id);
+
+    expect(restored.leftOut).toEqual({ jobApplications: 1 });
+    expect(restored.counts.jobApplications).toBe(0);
+    expect(await db.candidates.get('cand-1')).toBeDefined();
+    expect(await db.jobApplications.get('app-1')).toBeUndefined();
+  });
+
+  it('leaves out a restored job\'s applications from candidates deleted since', async () => {
+    const jobEntry = await DatabaseService.deleteJob('job-1');
+    await DatabaseService.deleteCandidate('cand-2');
+
+    const restored = await DatabaseService.restoreFromTrash(jobEntry.id);
+
+    expect(restored.leftOut).toEqual({ jobApplications: 1 });
+    expect((await db.jobApplications.where('jobId').equals('job-1').toArray()).map(app => app.id).sort())
+      .toEqual(['app-1', 'app-4']);
+    expect(await db.jobApplications.where('candidateId').equals('cand-2').count()).toBe(0);
+  });
+
+  it('purges entries older than the retention period', async () => {
+    await DatabaseService.updateSetting(SETTINGS_KEYS.TRASH_RETENTION_DAYS, 7);
+    const entry = await DatabaseService.deleteCandidate('cand-5');
+    await DatabaseService.deleteCandidate('cand-4');
+    await db.trash.update(entry.id, { deletedAt: new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString() });
+
+    expect(await DatabaseService.purgeTrash()).toBe(1);
+    expect((await DatabaseService.getTrash()).map(item => item.label)).toEqual(['Margaret']);
+    await expect(DatabaseService.restoreFromTrash(entry.id)).rejects.toThrow('not found');
+  });
+});
+
+describe('DatabaseService.importCandidates', () => {
+  it('creates candidates with applications and skips or merges duplicates', async () => {
+    await db.candidates.update('cand-2', { phone: '+1 555 010 2030' });
+    const rows = [
+      { name: 'Barbara', email: 'barbara@example.com', phone: '', jobId: 'job-2', stage: 'screen', tags: ['referral'] },
+      { name: 'Ada L.', email: 'ADA@example.com', phone: '555-111-2222', jobId: 'job-2', stage: null, tags: ['python'] },
+      { name: 'G. Hopper', email: 'hopper@example.com', phone: '(555) 010-2030', jobId: null, stage: null, tags: [] },
+      { name: 'Nobody', email: 'not-an-email', phone: '', jobId: null, stage: null, tags: [] },
+    ];
+
+    const skipped = await DatabaseService.importCandidates(rows.slice(1));
+    expect(skipped).toEqual({
+      created: 0,
+      merged: 0,
+      skipped: [
+        { index: 0, reason: 'Matches Ada by email' },
+        { index: 1, reason: 'Matches Grace by phone' },
+        { index: 2, reason: '"not-an-email" isn\'t an email address' },
+      ],
+    });
+
+    const result = await DatabaseService.importCandidates(rows, { onDuplicate: 'merge' });
+    expect(result).toEqual(expect.objectContaining({ created: 1, merged: 2 }));
+
+    const barbara = await db.candidates.where('email').equals('barbara@example.com').first();
+    expect(barbara.tags).toEqual(['referral']);
+    expect(await db.jobApplications.where('candidateId').equals(barbara.id).first())
+      .toEqual(expect.objectContaining({ jobId: 'job-2', status: 'screen' }));
+
+    const ada = await db.candidates.get('cand-1');
+    expect(ada).toEqual(expect.objectContaining({ name: 'Ada', phone: '555-111-2222', tags: ['python'] }));
+    expect(await db.jobApplications.where('candidateId').equals('cand-1').count()).toBe(2);
+    expect(await db.timelineEvents.where('type').equals('candidate_imported').count()).toBe(2);
+  });
+});
+
+describe('DatabaseService duplicates', () => {
+  it('finds candidates sharing an email or a similar name', async () => {
+    await db.candidates.add(createCandidate({ id: 'cand-6', name: 'Ada  Lovelace', email: 'countess@example.com' }));
+    await db.candidates.update('cand-1', { name: 'Ada Lovelace' });
+
+    const duplicates = await DatabaseService.findDuplicateCandidates({ name: 'Ada Lovelace', email: 'ADA@example.com' });
+
+    expect(duplicates.map(({ candidate, matchedOn }) => [candidate.id, matchedOn])).toEqual([
+      ['cand-1', ['email', 'name']],
+      ['cand-6', ['name']],
+    ]);
+    expect(await DatabaseService.findDuplicateCandidates({ name: 'Ada Lovelace' }, { excludeId: 'cand-6' }))
+      .toHaveLength(1);
+  });
+
+  it('merges a duplicate, moving their records and keeping the chosen fields', async () => {
+    await db.candidates.update('cand-2', { tags: ['referral'], phone: '555-010-2030' });
+    await db.candidates.update('cand-1', { tags: ['python'] });
+    await db.notes.add(createNote({ id: 'note-1', candidateId: 'cand-2', content: 'Strong portfolio' }));
+    // Both applied to job-1; Grace's application (app-2) was updated more recently
+    await db.jobApplications.update('app-1', { updatedAt: day(1) });
+    await db.jobApplications.update('app-2', { updatedAt: day(2) });
+    await db.jobApplications.add(createJobApplication({ id: 'app-5', candidateId: 'cand-2', jobId: 'job-2' }));
+
+    const merged = await DatabaseService.mergeCandidates('cand-1', 'cand-2', { keep: { phone: true } });
+
+    expect(merged).toEqual(expect.objectContaining({ name: 'Ada', phone: '555-010-2030', tags: ['python', 'referral'] }));
+    expect(await db.candidates.get('cand-2')).toBeUndefined();
+    expect((await db.notes.get('note-1')).candidateId).toBe('cand-1');
+    expect((await db.jobApplications.where('candidateId').equals('cand-1').primaryKeys()).sort()).toEqual(['app-2', 'app-5']);
+    const events = await db.timelineEvents.where('type').equals('candidates_merged').toArray();
+    expect(events).toEqual([expect.objectContaining({ candidateId: 'cand-1', title: 'Merged Duplicate' })]);
+
+    await expect(DatabaseService.mergeCandidates('cand-1', 'cand-1')).rejects.toThrow('Merge validation failed');
+  });
+});
+
+describe('DatabaseService assessment invites', () => {
+  const minutesAgo = (n) => new Date(Date.now() - n * 60 * 1000).toISOString();
+
+  beforeEach(async () => {
+    await db.assessments.add(createAssessment({
+      id: 'asmt-1',
+      jobId: 'job-1',
+      settings: { timeLimit: 30, allowMultipleAttempts: false },
+    }));
+  });
+
+  it('saves a draft and submits it through the link', async () => {
+    const invite = await DatabaseService.createAssessmentInvite('cand-1', 'asmt-1');
+    expect(await DatabaseService.createAssessmentInvite('cand-1', 'asmt-1')).toEqual(invite);
+
+    await DatabaseService.startAssessmentInvite(invite.id);
+    await DatabaseService.saveAssessmentDraft(invite.id, { q1: 'Draft answer' });
+    expect((await DatabaseService.getAssessmentInvite(invite.id)).invite.draft).toEqual({ q1: 'Draft answer' });
+
+    const response = await DatabaseService.submitAssessmentResponse('job-1', {
+      candidateId: 'cand-1',
+      responses: { q1: 'Final answer' },
+      token: invite.id,
+    });
+
+    expect(response).toEqual(expect.objectContaining({ responses: { q1: 'Final answer' }, timedOut: false }));
+    expect(await db.assessmentInvites.get(invite.id)).toEqual(expect.objectContaining({ responseId: response.id, draft: null }));
+    await expect(DatabaseService.startAssessmentInvite(invite.id)).rejects.toThrow('Invite validation failed');
+    await expect(DatabaseService.createAssessmentInvite('cand-1', 'asmt-1')).rejects.toThrow('doesn\'t allow retakes');
+  });
+
+  it('submits the draft once the time limit has passed', async () => {
+    const invite = await DatabaseService.createAssessmentInvite('cand-2', 'asmt-1');
+    await db.assessmentInvites.update(invite.id, { startedAt: minutesAgo(45), draft: { q1: 'Half done' } });
+
+    await expect(DatabaseService.saveAssessmentDraft(invite.id, {})).rejects.toThrow('the time limit has passed');
+    const opened = await DatabaseService.getAssessmentInvite(invite.id);
+    expect(opened).toEqual(expect.objectContaining({ expired: true, submissions: 0 }));
+    expect(opened.invite.submittedAt).toBeNull();
+
+    const closed = await DatabaseService.expireAssessmentInvite(invite.id);
+    await DatabaseService.expireAssessmentInvite(invite.id);
+
+    expect(closed).toEqual(expect.objectContaining({ timedOut: true, draft: null }));
+    expect(await DatabaseService.getAssessmentInvite(invite.id)).toEqual(expect.objectContaining({ expired: false, submissions: 1 }));
+    expect((await DatabaseService.getAssessmentResponse('cand-2', 'asmt-1')).responses).toEqual({ q1: 'Half done' });
+  });
+
+  it('records one response when two submissions race for the same link', async () => {
+    const invite = await DatabaseService.createAssessmentInvite('cand-1', 'asmt-1');
+    await DatabaseService.startAssessmentInvite(invite.id);
+    const submit = (answer, timedOut) => DatabaseService.submitAssessmentResponse('job-1', {
+      candidateId: 'cand-1',
+      responses: { q1: answer },
+      token: invite.id,
+      timedOut,
+    });
+
+    const results = await Promise.allSettled([submit('Clicked submit', false), submit('Time ran out', true)]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(await db.assessmentResponses.where('candidateId').equals('cand-1').count()).toBe(1);
+    expect((await db.assessmentInvites.get(invite.id)).responseId).toBe(results.find(result => result.status === 'fulfilled').value.id);
+  });
+
+  it('starts a new attempt when retakes are allowed', async () => {
+    await db.assessments.update('asmt-1', { settings: { timeLimit: null, allowMultipleAttempts: true } });
+    const invite = await DatabaseService.createAssessmentInvite('cand-1', 'asmt-1');
+    await DatabaseService.startAssessmentInvite(invite.id);
+    await DatabaseService.submitAssessmentResponse('job-1', { candidateId: 'cand-1', responses: {}, token: invite.id });
+
+    const retake = await DatabaseService.startAssessmentInvite(invite.id);
+    await DatabaseService.submitAssessmentResponse('job-1', { candidateId: 'cand-1', responses: {}, token: invite.id });
+
+    expect(retake.submittedAt).toBeNull();
+    expect((await DatabaseService.getAssessmentInvite(invite.id)).submissions).toBe(2);
+  });
+});
+
+describe('DatabaseService assessment scoring', () => {
+  const choice = createQuestion({
+    id: 'q1',
+    type: QUESTION_TYPES.SINGLE_CHOICE,
+    options: ['A', 'B'],
+    scoring: { ...createQuestion().scoring, correctOptions: ['B'] },
+  });
+
+  beforeEach(async () => {
+    await db.assessments.add(createAssessment({
+      id: 'asmt-1',
+      jobId: 'job-1',
+      settings: { passingScore: 50 },
+      sections: [createSection({ questions: [choice] })],
+    }));
+  });
+
+  it('scores responses on submit and again when the answer key changes', async () => {
+    const response = await DatabaseService.submitAssessmentResponse('job-1', { candidateId: 'cand-1', responses: { q1: 'A' } });
+
+    expect(response.score).toBe(0);
+    expect(response.scoring.passed).toBe(false);
+
+    await DatabaseService.updateAssessment('asmt-1', {
+      sections: [createSection({ questions: [{ ...choice, scoring: { ...choice.scoring, correctOptions: ['A'] } }] })],
+    });
+
+    expect(await db.assessmentResponses.get(response.id)).toEqual(expect.objectContaining({ score: 100 }));
+  });
+
+  it('averages reviewers\' grades into the final score', async () => {
+    const essay = createQuestion({
+      id: 'q2',
+      type: QUESTION_TYPES.LONG_TEXT,
+      rubric: [createRubricCriterion({ id: 'depth', levels: [{ id: 'low', points: 0 }, { id: 'high', points: 3 }] })],
+    });
+    await db.assessments.update('asmt-1', { sections: [createSection({ questions: [choice, essay] })] });
+    const response = await DatabaseService.submitAssessmentResponse('job-1', {
+      candidateId: 'cand-1',
+      responses: { q1: 'B', q2: 'A long answer' },
+    });
+    expect(response.scoring).toEqual(expect.objectContaining({ score: 100, needsGrading: true, passed: null }));
+
+    await DatabaseService.gradeAssessmentResponse(response.id, { reviewerId: '1', questions: { q2: { levels: { depth: 'high' } } } });
+    const graded = await DatabaseService.gradeAssessmentResponse(response.id, {
+      reviewerId: '2',
+      questions: { q2: { levels: { depth: 'low' }, comment: 'Too short' } },
+    });
+
+    // (1 + 1.5) / 4 points
+    expect(graded).toEqual(expect.objectContaining({ score: 63 }));
+    expect(graded.scoring).toEqual(expect.objectContaining({ needsGrading: false, passed: true }));
+    expect(graded.reviews.map(review => review.reviewerName)).toEqual(['John Smith', 'Sarah Johnson']);
+    const events = await db.timelineEvents.where('type').equals('assessment_graded').toArray();
+    expect(events).toHaveLength(2);
+    await expect(DatabaseService.gradeAssessmentResponse(response.id, { reviewerId: '1', questions: { q1: { points: 1 } } }))
+      .rejects.toThrow('Review validation failed');
+    await expect(DatabaseService.gradeAssessmentResponse(response.id, { reviewerId: '1', questions: { q2: { levels: {} } } }))
+      .rejects.toThrow('pick a level for every criterion');
+  });
+
+  it('drops answers to hidden questions and rejects logic that loops', async () => {
+    const followUp = createQuestion({
+      id: 'q2',
+      type: QUESTION_TYPES.SHORT_TEXT,
+      conditionalLogic: { questionId: 'q1', operator: 'equals', value: 'B' },
+    });
+    await db.assessments.update('asmt-1', { sections: [createSection({ questions: [choice, followUp] })] });
+
+    const response = await DatabaseService.submitAssessmentResponse('job-1', {
+      candidateId: 'cand-1',
+      responses: { q1: 'A', q2: 'Answered anyway' },
+    });
+    expect(response.responses).toEqual({ q1: 'A' });
+
+    const loop = { ...choice, conditionalLogic: { questionId: 'q2', operator: 'is_answered' } };
+    await expect(DatabaseService.updateAssessment('asmt-1', { sections: [createSection({ questions: [loop, followUp] })] }))
+      .rejects.toThrow('Assessment validation failed: Conditions depend on each other in a loop');
+  });
+
+  it('rejects answers that break a question\'s rules, listing them by question', async () => {
+    const essay = createQuestion({ id: 'q2', type: QUESTION_TYPES.LONG_TEXT, required: true, validation: { minLength: 20 } });
+    await db.assessments.update('asmt-1', { sections: [createSection({ questions: [choice, essay] })] });
+
+    const error = await DatabaseService.submitAssessmentResponse('job-1', {
+      candidateId: 'cand-1',
+      responses: { q1: 'C', q2: 'Too short' },
+    }).catch(caught => caught);
+
+    expect(error.message).toContain('Submission validation failed');
+    expect(error.details.questions).toEqual({ q1: 'Choose one of the options', q2: 'Minimum length is 20' });
+    expect(await db.assessmentResponses.count()).toBe(0);
+  });
+
+  it('shows the latest result on the board', async () => {
+    await DatabaseService.submitAssessmentResponse('job-1', { candidateId: 'cand-2', responses: { q1: 'B' } });
+
+    const { applications } = await DatabaseService.getBoardApplications({ jobId: 'job-1' });
+    const resultsByCandidate = Object.fromEntries(applications.map(app => [app.candidateId, app.assessmentResult]));
+
+    expect(resultsByCandidate['cand-2']).toEqual(expect.objectContaining({ score: 100, passed: true, needsGrading: false }));
+    expect(resultsByCandidate['cand-1']).toBeNull();
+  });
+});
+
+describe('DatabaseService.getDashboardReport', () => {
+  const now = new Date(day(20));
+
+  beforeEach(async () => {
+    await db.candidates.bulkAdd([
+      createCandidate({ id: 'cand-6', name: 'Barbara', email: 'barbara@example.com', createdAt: day(15) }),
+      createCandidate({ id: 'cand-7', name: 'Edsger', email: 'edsger@example.com', createdAt: day(16) }),
+    ]);
+    await db.jobApplications.bulkAdd([
+      createJobApplication({ id: 'app-6', candidateId: 'cand-6', jobId: 'job-1', status: 'hired', appliedAt: day(14), stageEnteredAt: day(18), updatedAt: day(18) }),
+      createJobApplication({ id: 'app-7', candidateId: 'cand-7', jobId: 'job-2', status: 'applied', appliedAt: day(16), stageEnteredAt: day(16), updatedAt: day(16) }),
+    ]);
+    await db.timelineEvents.bulkAdd([
+      createTimelineEvent({ candidateId: 'cand-6', type: 'status_change', createdAt: day(16), metadata: { applicationId: 'app-6', oldStatus: 'applied', newStatus: 'screen' } }),
+      createTimelineEvent({ candidateId: 'cand-6', type: 'status_change', createdAt: day(18), metadata: { applicationId: 'app-6', oldStatus: 'screen', newStatus: 'hired' } }),
+      createTimelineEvent({ candidateId: 'cand-6', type: 'assessment_completed', createdAt: day(17) }),
+      createTimelineEvent({ candidateId: 'cand-1', type: 'assessment_completed', createdAt: day(8) }),
+    ]);
+  });
+
+  it('counts the range against the one before it', async () => {
+    const report = await DatabaseService.getDashboardReport({ range: '7d', now });
+
+    expect(report.totals).toEqual({ jobs: 2, activeJobs: 2, candidates: 7, applications: 6, completedAssessments: 2 });
+    expect(report.trends.candidates).toEqual(expect.objectContaining({ current: 2, previous: 0, direction: 'up' }));
+    expect(report.trends.assessments).toEqual(expect.objectContaining({ current: 1, previous: 1, change: 0 }));
+    expect(report.stageDistribution.map(({ stage, count }) => [stage.id, count])).toEqual([
+      ['applied', 2], ['screen', 3], ['hired', 1],
+    ]);
+    expect(report.recentCandidates.map(candidate => [candidate.name, candidate.latestStage?.id])).toEqual([
+      ['Edsger', 'applied'], ['Barbara', 'hired'], ['Ken', undefined], ['Margaret', 'applied'], ['Linus', 'screen'],
+    ]);
+    expect(report.attention).toEqual([
+      expect.objectContaining({ jobId: 'job-1', jobTitle: 'Engineer', stageId: 'applied', count: 1, longestDays: 11 }),
+    ]);
+  });
+
+  it('builds the funnel from the applications that applied or moved in the range', async () => {
+    const { funnel } = await DatabaseService.getDashboardReport({ range: '7d', now });
+
+    expect(funnel.applicationsDelta).toEqual(expect.objectContaining({ current: 2, previous: 0 }));
+    expect(funnel.stages.map(({ stage, reached }) => [stage.id, reached])).toEqual([
+      ['applied', 2], ['screen', 1], ['tech', 1], ['offer', 1], ['hired', 1],
+    ]);
+    expect(funnel.hires).toEqual(expect.objectContaining({ count: 1, averageMs: 4 * 24 * 60 * 60 * 1000 }));
+    expect(funnel.durations.screen).toEqual({ averageMs: 2 * 24 * 60 * 60 * 1000, count: 1 });
+    expect(funnel.weeks).toEqual([{ weekStart: day(13), count: 2 }]);
+  });
+});
+
+describe('DatabaseService backups', () => {
+  it('replaces the workspace with a backup', async () => {
+    const backup = await DatabaseService.createBackup();
+    await DatabaseService.deleteCandidate('cand-5');
+    await db.jobs.add(createJob({ id: 'job-3', title: 'Writer', slug: 'writer', order: 3 }));
+
+    const result = await DatabaseService.restoreBackup(JSON.parse(JSON.stringify(backup)), { mode: 'replace' });
+
+    expect(result.restored).toEqual(expect.objectContaining({ jobs: 2, candidates: 5, jobApplications: 4 }));
+    expect(await db.jobs.get('job-3')).toBeUndefined();
+    expect((await db.candidates.get('cand-5')).name).toBe('Ken');
+    expect(await db.trash.count()).toBe(0);
+  });
+
+  it('merges a backup, keeping newer changes and skipping clashes', async () => {
+    const backup = await DatabaseService.createBackup();
+    backup.tables.jobs.push(createJob({ id: 'job-3', title: 'Engineer', slug: 'engineer', order: 1 }));
+    backup.tables.jobApplications.push(createJobApplication({ id: 'app-9', candidateId: 'cand-1', jobId: 'job-1' }));
+    await db.candidates.update('cand-1', { name: 'Ada Lovelace' });
+    await db.candidates.delete('cand-5');
+
+    const result = await DatabaseService.restoreBackup(backup, { mode: 'merge' });
+
+    expect(result.skipped).toBe(1);
+    expect((await db.candidates.get('cand-1')).name).toBe('Ada Lovelace');
+    expect((await db.candidates.get('cand-5')).name).toBe('Ken');
+    expect(await db.jobs.get('job-3')).toEqual(expect.objectContaining({ slug: 'engineer-1', order: 3 }));
+    expect(await db.jobApplications.get('app-9')).toBeUndefined();
+  });
+
+  it('refuses files that aren\'t backups', async () => {
+    await expect(DatabaseService.restoreBackup({ jobs: [] })).rejects.toThrow('Backup validation failed');
+    expect(await db.jobs.count()).toBe(2);
+  });
+});
+
+describe('DatabaseService.search', () => {
+  it('ranks name matches above note matches and highlights both', async () => {
+    await db.notes.add(createNote({ id: 'note-1', candidateId: 'cand-2', content: 'Asked great questions about Ada and compilers' }));
+
+    const results = await DatabaseService.search('ada', { types: ['candidate'] });
+
+    expect(results.map(result => result.id)).toEqual(['cand-1', 'cand-2']);
+    expect(results[0].highlights[0]).toMatchObject({ field: 'name', fragments: [{ text: 'Ada', match: true }] });
+    expect(results[1].highlights[0].label).toBe('Note');
+    expect(results[1].highlights[0].fragments.filter(fragment => fragment.match)).toEqual([{ text: 'Ada', match: true }]);
+  });
+
+  it('matches prefixes and typos across candidates and jobs', async () => {
+    const byPrefix = await DatabaseService.search('lin');
+    const byTypo = await DatabaseService.search('kubernets');
+
+    expect(byPrefix.map(result => result.item.name)).toEqual(['Linus']);
+    expect(byTypo.map(result => result.id)).toEqual(['job-1']);
+    expect(byTypo[0].highlights[0].label).toBe('Requirements');
+  });
+
+  it('follows updates and deletes', async () => {
+    await DatabaseService.updateCandidate('cand-5', { name: 'Kenneth Thompson' });
+    await db.candidates.delete('cand-3');
+
+    expect((await DatabaseService.search('thompson')).map(result => result.id)).toEqual(['cand-5']);
+    expect(await DatabaseService.search('linus')).toEqual([]);
+  });
+
+  it('re-indexes responses when their assessment changes', async () => {
+    await db.assessmentResponses.add(createAssessmentResponse({
+      id: 'resp-1',
+      assessmentId: 'assess-1',
+      candidateId: 'cand-1',
+      responses: { q1: 'Quokka', q2: 'Wombat' },
+    }));
+    expect((await DatabaseService.search('quokka')).map(result => result.id)).toEqual(['cand-1']);
+
+    await db.assessments.add(createAssessment({
+      id: 'assess-1',
+      jobId: 'job-1',
+      sections: [createSection({ questions: [
+        createQuestion({ id: 'q1', type: QUESTION_TYPES.SINGLE_CHOICE, options: ['Quokka'] }),
+        createQuestion({ id: 'q2', type: QUESTION_TYPES.SHORT_TEXT }),
+      ] })],
+    }));
+
+    expect(await DatabaseService.search('quokka')).toEqual([]);
+    expect((await DatabaseService.search('wombat')).map(result => result.id)).toEqual(['cand-1']);
+  });
+
+  it('pages candidates best match first', async () => {
+    await db.notes.add(createNote({ id: 'note-1', candidateId: 'cand-4', content: 'Referred by Grace' }));
+
+    const { candidates, total } = await DatabaseService.getCandidatesPage({ search: 'grace' });
+
+    expect(total).toBe(2);
+    expect(candidates.map(candidate => candidate.name)).toEqual(['Grace', 'Margaret']);
+    expect(candidates[0].searchMatch.score).toBeGreaterThan(candidates[1].searchMatch.score);
+  });
+});
@@ -0,0 +1,291 @@
+// Schema history for TalentFlowDB.
+//
+// Every entry is one Dexie version. Released entries must never be edited:
+// to change the schema, append a new entry with the next version number, the
+// stores whose indexes change, and (when existing rows need rewriting) an
+// upgrade(tx) function. Dexie runs the upgrades in order when a browser opens
+// a database created by an older build.
+
+// Helper function to keep the most recently updated application per
+// candidate/job pair; before v2 duplicates could not be detected.
+const dedupeJobApplications = async (tx) => {
+  const applications = await tx.table('jobApplications').toArray();
+  const latestByPair = new Map();
+  const duplicateIds = [];
+
+  applications.forEach((application) => {
+    const pair = `${application.candidateId}|${application.jobId}`;
+    const current = latestByPair.get(pair);
+    if (!current) {
+      latestByPair.set(pair, application);
+      return;
+    }
+
+    const isNewer = (application.updatedAt || '') > (current.updatedAt || '');
+    duplicateIds.push(isNewer ? current.id : application.id);
+    if (isNewer) {
+      latestByPair.set(pair, application);
+    }
+  });
+
+  if (duplicateIds.length > 0) {
+    await tx.table('jobApplications').bulkDelete(duplicateIds);
+  }
+};
+
+// Helper function to turn the stage/jobId stored on pre-v3 candidates into
+// job applications. An existing application for the same job wins, since it
+// was kept up to date by the candidate detail page. A stage that can't
+// become an application (no job, or a job that was deleted) is kept on the
+// candidate as `legacyStage` (and `legacyJobId`) and explained in their
+// timeline, so recruiters can place them on a job by hand.
+const convertCandidateStagesToApplications = async (tx) => {
+  const [candidates, jobs, applications] = await Promise.all([
+    tx.table('candidates').toArray(),
+    tx.table('jobs').toArray(),
+    tx.table('jobApplications').toArray(),
+  ]);
+  const jobTitles = new Map(jobs.map(job => [job.id, job.title]));
+  const existingPairs = new Set(applications.map(app => `${app.candidateId}|${app.jobId}`));
+  const now = new Date().toISOString();
+
+  const newApplications = candidates
+    .filter(candidate => jobTitles.has(candidate.jobId) && !existingPairs.has(`${candidate.id}|${candidate.jobId}`))
+    .map(candidate => ({
+      id: crypto.randomUUID(),
+      candidateId: candidate.id,
+      jobId: candidate.jobId,
+      jobTitle: jobTitles.get(candidate.jobId),
+      status: candidate.stage || 'applied',
+      appliedAt: candidate.createdAt || now,
+      updatedAt: candidate.updatedAt || candidate.createdAt || now,
+      notes: '',
+      interviewScheduled: null,
+      assessmentCompleted: false,
+    }));
+
+  const unplaced = candidates.filter(candidate =>
+    candidate.stage && !jobTitles.has(candidate.jobId) && !existingPairs.has(`${candidate.id}|${candidate.jobId}`)
+  );
+  const unplacedIds = new Set(unplaced.map(candidate => candidate.id));
+  const unplacedEvents = unplaced.map(candidate => ({
+    id: crypto.randomUUID(),
+    candidateId: candidate.id,
+    type: 'stage_not_migrated',
+    title: 'Stage Kept Without a Job',
+    description: candidate.jobId
+      ? `Was in the "${candidate.stage}" stage for a job that no longer exists; apply them to a job to place them on its board`
+      : `Was in the "${candidate.stage}" stage without a job; apply them to a job to place them on its board`,
+    metadata: { stage: candidate.stage, jobId: candidate.jobId || null },
+    createdAt: now,
+  }));
+
+  if (newApplications.length > 0) {
+    await tx.table('jobApplications').bulkAdd(newApplications);
+  }
+  if (unplacedEvents.length > 0) {
+    await tx.table('timelineEvents').bulkAdd(unplacedEvents);
+  }
+
+  await tx.table('candidates').toCollection().modify((candidate) => {
+    if (unplacedIds.has(candidate.id)) {
+      candidate.legacyStage = candidate.stage;
+      candidate.legacyJobId = candidate.jobId || null;
+    }
+    delete candidate.stage;
+    delete candidate.jobId;
+    delete candidate.jobApplications;
+  });
+};
+
+// The default pipeline as it was when pipelines were introduced in v4.
+// Copied rather than imported so later changes to the default don't alter
+// what this migration writes.
+const V4_DEFAULT_PIPELINE = [
+  { id: 'applied', name: 'Applied', color: 'blue', terminal: false, outcome: null },
+  { id: 'screen', name: 'Phone Screen', color: 'yellow', terminal: false, outcome: null },
+  { id: 'tech', name: 'Technical Interview', color: 'purple', terminal: false, outcome: null },
+  { id: 'offer', name: 'Offer Extended', color: 'green', terminal: false, outcome: null },
+  { id: 'hired', name: 'Hired', color: 'emerald', terminal: true, outcome: 'positive' },
+  { id: 'rejected', name: 'Rejected', color: 'red', terminal: true, outcome: 'negative' },
+];
+
+export const SCHEMA_VERSIONS = [
+  {
+    version: 1,
+    stores: {
+      jobs: '++id, title, slug, status, order, createdAt, updatedAt',
+      candidates: '++id, name, email, stage, jobId, createdAt, updatedAt',
+      assessments: '++id, jobId, title, createdAt, updatedAt',
+      timelineEvents: '++id, candidateId, type, createdAt',
+      notes: '++id, candidateId, createdAt, updatedAt',
+      assessmentResponses: '++id, candidateId, assessmentId, createdAt',
+      jobApplications: '++id, candidateId, jobId, status, appliedAt, updatedAt',
+      settings: '++id, key',
+    },
+  },
+  {
+    // Compound indexes used by applyCandidateToJob and getAssessmentResponse
+    version: 2,
+    stores: {
+      assessmentResponses: '++id, candidateId, assessmentId, createdAt, [candidateId+assessmentId]',
+      jobApplications: '++id, candidateId, jobId, status, appliedAt, updatedAt, [candidateId+jobId]',
+    },
+    upgrade: async (tx) => {
+      await dedupeJobApplications(tx);
+
+      // Fill in fields that older rows may be missing
+      const jobs = await tx.table('jobs').toArray();
+      const jobTitles = new Map(jobs.map(job => [job.id, job.title]));
+      await tx.table('jobApplications').toCollection().modify((application) => {
+        if (!application.jobTitle && jobTitles.has(application.jobId)) {
+          application.jobTitle = jobTitles.get(application.jobId);
+        }
+        if (!application.appliedAt) {
+          application.appliedAt = application.updatedAt || new Date().toISOString();
+        }
+        if (!application.updatedAt) {
+          application.updatedAt = application.appliedAt;
+        }
+      });
+    },
+  },
+  {
+    // The pipeline lives on job applications; candidates no longer carry a
+    // stage or a primary job
+    version: 3,
+    stores: {
+      candidates: '++id, name, email, createdAt, updatedAt',
+    },
+    upgrade: convertCandidateStagesToApplications,
+  },
+  {
+    // Every job owns its pipeline stages
+    version: 4,
+    stores: {},
+    upgrade: async (tx) => {
+      await tx.table('jobs').toCollection().modify((job) => {
+        if (!Array.isArray(job.pipeline) || job.pipeline.length === 0) {
+          job.pipeline = V4_DEFAULT_PIPELINE.map(stage => ({ ...stage }));
+        }
+      });
+    },
+  },
+  {
+    // Stages carry transition rules. The default stages get the requirements
+    // the default pipeline introduced with them; other stages get none.
+    version: 5,
+    stores: {},
+    upgrade: async (tx) => {
+      const v5DefaultRequirements = {
+        tech: ['assessment_completed'],
+        offer: ['offer_salary'],
+        rejected: ['rejection_reason'],
+      };
+      await tx.table('jobs').toCollection().modify((job) => {
+        if (!Array.isArray(job.pipeline)) return;
+        job.pipeline = job.pipeline.map(stage => ({
+          ...stage,
+          allowedTransitions: stage.allowedTransitions ?? null,
+          requirements: stage.requirements ?? [...(v5DefaultRequirements[stage.id] || [])],
+        }));
+      });
+    },
+  },
+  {
+    // Stages carry an SLA and applications remember when they entered their
+    // current stage: the last status change, or the application date when
+    // there is none. The default stages get the SLA they were introduced with.
+    version: 6,
+    stores: {},
+    upgrade: async (tx) => {
+      const v6DefaultSlaDays = { applied: 7, screen: 14, tech: 14, offer: 7 };
+      await tx.table('jobs').toCollection().modify((job) => {
+        if (!Array.isArray(job.pipeline)) return;
+        job.pipeline = job.pipeline.map(stage => ({
+          ...stage,
+          slaDays: stage.slaDays ?? (stage.terminal ? null : v6DefaultSlaDays[stage.id] ?? null),
+        }));
+      });
+
+      const statusChanges = await tx.table('timelineEvents').where('type').equals('status_change').toArray();
+      const lastMoveByApplication = new Map();
+      statusChanges.forEach((event) => {
+        const applicationId = event.metadata?.applicationId;
+        if (!applicationId || event.metadata.oldStatus === event.metadata.newStatus) return;
+        const last = lastMoveByApplication.get(applicationId);
+        if (!last || event.createdAt > last) {
+          lastMoveByApplication.set(applicationId, event.createdAt);
+        }
+      });
+
+      await tx.table('jobApplications').toCollection().modify((application) => {
+        if (application.stageEnteredAt) return;
+        application.stageEnteredAt = lastMoveByApplication.get(application.id)
+          || application.appliedAt
+          || application.updatedAt
+          || new Date().toISOString();
+      });
+    },
+  },
+  {
+    // Board columns page through a stage's applications, most recently moved
+    // first, without loading the whole stage
+    version: 7,
+    stores: {
+      jobApplications: '++id, candidateId, jobId, status, appliedAt, updatedAt, [candidateId+jobId], [status+stageEnteredAt], [jobId+status+stageEnteredAt]',
+    },
+  },
+  {
+    // Full-text search index, one row per term, document and field. It is
+    // built by the app on first use (see searchIndex.js), not here.
+    version: 8,
+    stores: {
+      searchTerms: '++id, term, [docType+docId]',
+    },
+  },
+  {
+    // Candidates get tags, and bulk actions keep what they changed so they
+    // can be undone
+    version: 9,
+    stores: {
+      candidates: '++id, name, email, createdAt, updatedAt, *tags',
+      bulkOperations: 'id, createdAt',
+    },
+    upgrade: async (tx) => {
+      await tx.table('candidates').toCollection().modify((candidate) => {
+        if (!Array.isArray(candidate.tags)) candidate.tags = [];
+      });
+    },
+  },
+  {
+    // Deleted jobs, candidates and assessments wait in the trash, each entry
+    // holding the rows its deletion removed
+    version: 10,
+    stores: {
+      trash: 'id, type, targetId, deletedAt',
+    },
+  },
+  {
+    // Links that let a candidate take an assessment, holding their draft
+    // answers until they submit
+    version: 11,
+    stores: {
+      assessmentInvites: 'id, candidateId, assessmentId, [candidateId+assessmentId]',
+    },
+  },
+];
+
+export const LATEST_SCHEMA_VERSION = SCHEMA_VERSIONS[SCHEMA_VERSIONS.length - 1].version;
+
+// Registers every schema version (up to maxVersion) on a Dexie instance
+export const applyMigrations = (db, { maxVersion = LATEST_SCHEMA_VERSION } = {}) => {
+  SCHEMA_VERSIONS
+    .filter(({ version }) => version <= maxVersion)
+    .forEach(({ version, stores, upgrade }) => {
+      const dexieVersion = db.version(version).stores(stores);
+      if (upgrade) {
+        dexieVersion.upgrade(upgrade);
+      }
+    });
+};
@@ -0,0 +1,328 @@
+import 'fake-indexeddb/auto';
+import Dexie from 'dexie';
+import { TalentFlowDB } from './database';
+import { applyMigrations, SCHEMA_VERSIONS, LATEST_SCHEMA_VERSION } from './migrations';
+
+let dbName;
+let dbCount = 0;
+let openDatabases = [];
+
+// Creates a database as an older build of the app would have left it
+const createLegacyDatabase = async (version, seed) => {
+  const legacy = new Dexie(dbName);
+  applyMigrations(legacy, { maxVersion: version });
+  await legacy.open();
+  await seed(legacy);
+  legacy.close();
+};
+
+const openCurrentDatabase = async () => {
+  const db = new TalentFlowDB(dbName);
+  openDatabases.push(db);
+  await db.open();
+  return db;
+};
+
+beforeEach(() => {
+  dbCount += 1;
+  dbName = `TalentFlowDB-test-${dbCount}`;
+});
+
+afterEach(async () => {
+  openDatabases.forEach(db => db.close());
+  openDatabases = [];
+  await Dexie.delete(dbName);
+});
+
+describe('SCHEMA_VERSIONS', () => {
+  it('lists versions in ascending order without gaps', () => {
+    SCHEMA_VERSIONS.forEach(({ version }, index) => {
+      expect(version).toBe(index + 1);
+    });
+    expect(LATEST_SCHEMA_VERSION).toBe(SCHEMA_VERSIONS.length);
+  });
+});
+
+describe('TalentFlowDB migrations', () => {
+  it('opens a fresh database at the latest version', async () => {
+    const db = await openCurrentDatabase();
+
+    expect(db.verno).toBe(LATEST_SCHEMA_VERSION);
+  });
+
+  it('upgrades a v1 database and adds the [candidateId+jobId] index', async () => {
+    await createLegacyDatabase(1, async (legacy) => {
+      await legacy.table('jobs').add({ id: 'job-1', title: 'Frontend Engineer', order: 1 });
+      await legacy.table('jobApplications').add({
+        id: 'app-1',
+        candidateId: 'cand-1',
+        jobId: 'job-1',
+        jobTitle: 'Frontend Engineer',
+        status: 'applied',
+        appliedAt: '2024-01-01T00:00:00.000Z',
+        updatedAt: '2024-01-01T00:00:00.000Z',
+      });
+    });
+
+    const db = await openCurrentDatabase();
+    const application = await db.jobApplications
+      .where('[candidateId+jobId]')
+      .equals(['cand-1', 'job-1'])
+      .first();
+
+    expect(db.verno).toBe(LATEST_SCHEMA_VERSION);
+    expect(application.id).toBe('app-1');
+  });
+
+  it('adds the [candidateId+assessmentId] index to assessment responses', async () => {
+    await createLegacyDatabase(1, async (legacy) => {
+      await legacy.table('assessmentResponses').add({
+        id: 'resp-1',
+        candidateId: 'cand-1',
+        assessmentId: 'assess-1',
+        createdAt: '2024-01-01T00:00:00.000Z',
+      });
+    });
+
+    const db = await openCurrentDatabase();
+    const response = await db.assessmentResponses
+      .where('[candidateId+assessmentId]')
+      .equals(['cand-1', 'assess-1'])
+      .first();
+
+    expect(response.id).toBe('resp-1');
+  });
+
+  it('keeps only the most recently updated duplicate application', async () => {
+    await createLegacyDatabase(1, async (legacy) => {
+      await legacy.table('jobApplications').bulkAdd([
+        {
+          id: 'app-old',
+          candidateId: 'cand-1',
+          jobId: 'job-1',
+          status: 'applied',
+          appliedAt: '2024-01-01T00:00:00.000Z',
+          updatedAt: '2024-01-01T00:00:00.000Z',
+        },
+        {
+          id: 'app-new',
+          candidateId: 'cand-1',
+          jobId: 'job-1',
+          status: 'tech',
+          appliedAt: '2024-01-01T00:00:00.000Z',
+          updatedAt: '2024-02-01T00:00:00.000Z',
+        },
+        {
+          id: 'app-other',
+          candidateId: 'cand-1',
+          jobId: 'job-2',
+          status: 'screen',
+          appliedAt: '2024-01-05T00:00:00.000Z',
+          updatedAt: '2024-01-05T00:00:00.000Z',
+        },
+      ]);
+    });
+
+    const db = await openCurrentDatabase();
+    const applications = await db.jobApplications.orderBy('id').toArray();
+
+    expect(applications.map(app => app.id)).toEqual(['app-new', 'app-other']);
+  });
+
+  it('backfills missing job titles and timestamps', async () => {
+    await createLegacyDatabase(1, async (legacy) => {
+      await legacy.table('jobs').add({ id: 'job-1', title: 'Data Analyst', order: 1 });
+      await legacy.table('jobApplications').add({
+        id: 'app-1',
+        candidateId: 'cand-1',
+        jobId: 'job-1',
+        status: 'applied',
+        updatedAt: '2024-03-01T00:00:00.000Z',
+      });
+    });
+
+    const db = await openCurrentDatabase();
+    const application = await db.jobApplications.get('app-1');
+
+    expect(application.jobTitle).toBe('Data Analyst');
+    expect(application.appliedAt).toBe('2024-03-01T00:00:00.000Z');
+    expect(application.updatedAt).toBe('2024-03-01T00:00:00.000Z');
+  });
+
+  it('leaves data in untouched tables intact', async () => {
+    await createLegacyDatabase(1, async (legacy) => {
+      await legacy.table('candidates').add({ id: 'cand-1', name: 'Ada Lovelace', stage: 'applied' });
+    });
+
+    const db = await openCurrentDatabase();
+
+    expect(await db.candidates.get('cand-1')).toMatchObject({ name: 'Ada Lovelace' });
+  });
+
+  it('converts legacy candidate stages into job applications', async () => {
+    await createLegacyDatabase(2, async (legacy) => {
+      await legacy.table('jobs').add({ id: 'job-1', title: 'Product Designer', order: 1 });
+      await legacy.table('candidates').add({
+        id: 'cand-1',
+        name: 'Grace Hopper',
+        stage: 'tech',
+        jobId: 'job-1',
+        createdAt: '2024-01-10T00:00:00.000Z',
+        updatedAt: '2024-01-20T00:00:00.000Z',
+      });
+    });
+
+    const db = await openCurrentDatabase();
+    const applications = await db.jobApplications.where('candidateId').equals('cand-1').toArray();
+    const candidate = await db.candidates.get('cand-1');
+
+    expect(applications).toHaveLength(1);
+    expect(applications[0]).toMatchObject({
+      jobId: 'job-1',
+      jobTitle: 'Product Designer',
+      status: 'tech',
+      appliedAt: '2024-01-10T00:00:00.000Z',
+    });
+    expect(candidate.stage).toBeUndefined();
+    expect(candidate.jobId).toBeUndefined();
+  });
+
+  it('keeps the stage of candidates without a job, or whose job was deleted, and notes it', async () => {
+    await createLegacyDatabase(2, async (legacy) => {
+      await legacy.table('candidates').bulkAdd([
+        { id: 'cand-1', name: 'Grace Hopper', stage: 'tech' },
+        { id: 'cand-2', name: 'Alan Turing', stage: 'offer', jobId: 'job-deleted' },
+      ]);
+    });
+
+    const db = await openCurrentDatabase();
+    const [unassigned, orphaned] = await db.candidates.orderBy('id').toArray();
+    const events = await db.timelineEvents.orderBy('candidateId').toArray();
+
+    expect(await db.jobApplications.count()).toBe(0);
+    expect(unassigned).toMatchObject({ legacyStage: 'tech', legacyJobId: null });
+    expect(orphaned).toMatchObject({ legacyStage: 'offer', legacyJobId: 'job-deleted' });
+    expect(unassigned.stage).toBeUndefined();
+    expect(events.map(event => [event.candidateId, event.type, event.metadata])).toEqual([
+      ['cand-1', 'stage_not_migrated', { stage: 'tech', jobId: null }],
+      ['cand-2', 'stage_not_migrated', { stage: 'offer', jobId: 'job-deleted' }],
+    ]);
+  });
+
+  it('keeps an existing application instead of the legacy candidate stage', async () => {
+    await createLegacyDatabase(2, async (legacy) => {
+      await legacy.table('candidates').add({ id: 'cand-1', name: 'Alan Turing', stage: 'applied', jobId: 'job-1' });
+      await legacy.table('jobApplications').add({
+        id: 'app-1',
+        candidateId: 'cand-1',
+        jobId: 'job-1',
+        status: 'offer',
+        appliedAt: '2024-01-01T00:00:00.000Z',
+        updatedAt: '2024-02-01T00:00:00.000Z',
+      });
+    });
+
+    const db = await openCurrentDatabase();
+    const applications = await db.jobApplications.toArray();
+
+    expect(applications).toHaveLength(1);
+    expect(applications[0]).toMatchObject({ id: 'app-1', status: 'offer' });
+  });
+
+  it('gives existing jobs the default pipeline', async () => {
+    await createLegacyDatabase(3, async (legacy) => {
+      await legacy.table('jobs').bulkAdd([
+        { id: 'job-1', title: 'Backend Engineer', order: 1 },
+        { id: 'job-2', title: 'Designer', order: 2, pipeline: [{ id: 'portfolio', name: 'Portfolio' }] },
+      ]);
+    });
+
+    const db = await openCurrentDatabase();
+    const [legacyJob, customJob] = await db.jobs.orderBy('order').toArray();
+
+    expect(legacyJob.pipeline.map(stage => stage.id)).toEqual(
+      ['applied', 'screen', 'tech', 'offer', 'hired', 'rejected']
+    );
+    expect(customJob.pipeline).toEqual([
+      { id: 'portfolio', name: 'Portfolio', allowedTransitions: null, requirements: [], slaDays: null },
+    ]);
+  });
+
+  it('adds transition rules to existing pipeline stages', async () => {
+    await createLegacyDatabase(4, async (legacy) => {
+      await legacy.table('jobs').add({
+        id: 'job-1',
+        title: 'Backend Engineer',
+        order: 1,
+        pipeline: [
+          { id: 'applied', name: 'Applied' },
+          { id: 'offer', name: 'Offer Extended' },
+          { id: 'rejected', name: 'Rejected', terminal: true, outcome: 'negative' },
+        ],
+      });
+    });
+
+    const db = await openCurrentDatabase();
+    const job = await db.jobs.get('job-1');
+
+    expect(job.pipeline.map(stage => stage.requirements)).toEqual(
+      [[], ['offer_salary'], ['rejection_reason']]
+    );
+    expect(job.pipeline.every(stage => stage.allowedTransitions === null)).toBe(true);
+  });
+
+  it('adds stage SLAs and backfills when applications entered their stage', async () => {
+    await createLegacyDatabase(5, async (legacy) => {
+      await legacy.table('jobs').add({
+        id: 'job-1',
+        title: 'Backend Engineer',
+        order: 1,
+        pipeline: [
+          { id: 'applied', name: 'Applied' },
+          { id: 'portfolio', name: 'Portfolio' },
+          { id: 'rejected', name: 'Rejected', terminal: true, outcome: 'negative' },
+        ],
+      });
+      await legacy.table('jobApplications').bulkAdd([
+        { id: 'app-1', candidateId: 'cand-1', jobId: 'job-1', status: 'portfolio', appliedAt: '2024-01-01T00:00:00.000Z' },
+        { id: 'app-2', candidateId: 'cand-2', jobId: 'job-1', status: 'applied', appliedAt: '2024-02-01T00:00:00.000Z' },
+      ]);
+      await legacy.table('timelineEvents').bulkAdd([
+        {
+          id: 'event-1',
+          candidateId: 'cand-1',
+          type: 'status_change',
+          createdAt: '2024-01-05T00:00:00.000Z',
+          metadata: { applicationId: 'app-1', oldStatus: 'applied', newStatus: 'portfolio' },
+        },
+        {
+          id: 'event-2',
+          candidateId: 'cand-1',
+          type: 'note_added',
+          createdAt: '2024-01-09T00:00:00.000Z',
+          metadata: { applicationId: 'app-1' },
+        },
+      ]);
+    });
+
+    const db = await openCurrentDatabase();
+    const job = await db.jobs.get('job-1');
+    const [moved, untouched] = await db.jobApplications.orderBy('appliedAt').toArray();
+
+    expect(job.pipeline.map(stage => stage.slaDays)).toEqual([7, null, null]);
+    expect(moved.stageEnteredAt).toBe('2024-01-05T00:00:00.000Z');
+    expect(untouched.stageEnteredAt).toBe('2024-02-01T00:00:00.000Z');
+  });
+
+  it('gives v8 candidates an empty tag list and indexes tags', async () => {
+    await createLegacyDatabase(8, async (legacy) => {
+      await legacy.table('candidates').add({ id: 'cand-1', name: 'Ada', email: 'ada@example.com' });
+    });
+
+    const db = await openCurrentDatabase();
+    expect((await db.candidates.get('cand-1')).tags).toEqual([]);
+    await db.candidates.update('cand-1', { tags: ['referral'] });
+
+    expect(await db.candidates.where('tags').equals('referral').primaryKeys()).toEqual(['cand-1']);
+  });
+});
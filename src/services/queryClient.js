@@ -0,0 +1,219 @@
+// Small client-side cache for API reads. Queries are keyed by an array such as
+// ['candidates', 'list', { stage: 'tech' }]; identical keys share one entry, so
+// concurrent requests for the same data are deduplicated. Cached data is
+// served immediately and refetched in the background once it is stale.
+
+const DEFAULT_STALE_TIME = 30 * 1000;
+const DEFAULT_GC_TIME = 5 * 60 * 1000;
+
+// Helper function to serialize a key with object properties in a stable order
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+export const hashQueryKey = (queryKey) => stableStringify(queryKey);
+
+// A key matches a filter when the filter is a prefix of it
+const matchesQueryKey = (queryKey, filterKey) =>
+  filterKey.every((part, index) => stableStringify(part) === stableStringify(queryKey[index]));
+
+export class QueryClient {
+  constructor({ staleTime = DEFAULT_STALE_TIME, gcTime = DEFAULT_GC_TIME } = {}) {
+    this.defaultStaleTime = staleTime;
+    this.gcTime = gcTime;
+    this.queries = new Map();
+  }
+
+  getQuery(queryKey) {
+    const hash = hashQueryKey(queryKey);
+    let query = this.queries.get(hash);
+    if (!query) {
+      query = {
+        queryKey,
+        data: undefined,
+        error: null,
+        updatedAt: 0,
+        isInvalidated: false,
+        promise: null,
+        fetchId: 0,
+        queryFn: null,
+        listeners: new Set(),
+        gcTimer: null,
+      };
+      this.queries.set(hash, query);
+    }
+    return query;
+  }
+
+  getState(queryKey) {
+    const query = this.queries.get(hashQueryKey(queryKey));
+    return {
+      data: query?.data,
+      error: query?.error || null,
+      updatedAt: query?.updatedAt || 0,
+      isFetching: !!query?.promise,
+    };
+  }
+
+  getQueryData(queryKey) {
+    return this.queries.get(hashQueryKey(queryKey))?.data;
+  }
+
+  setQueryData(queryKey, updater) {
+    const query = this.getQuery(queryKey);
+    query.data = typeof updater === 'function' ? updater(query.data) : updater;
+    query.updatedAt = Date.now();
+    this.notify(query);
+    return query.data;
+  }
+
+  // [queryKey, data] for every cached query whose key starts with filterKey
+  getQueriesData(filterKey) {
+    return Array.from(this.queries.values())
+      .filter(query => query.data !== undefined && matchesQueryKey(query.queryKey, filterKey))
+      .map(query => [query.queryKey, query.data]);
+  }
+
+  // Runs updater(data, queryKey) on every cached query matching filterKey
+  setQueriesData(filterKey, updater) {
+    this.getQueriesData(filterKey).forEach(([queryKey, data]) => {
+      this.setQueryData(queryKey, updater(data, queryKey));
+    });
+  }
+
+  isStale(queryKey, staleTime = this.defaultStaleTime) {
+    const query = this.queries.get(hashQueryKey(queryKey));
+    if (!query || query.data === undefined || query.isInvalidated) return true;
+    return Date.now() - query.updatedAt > staleTime;
+  }
+
+  /**
+   * Fetches a query, reusing the in-flight request if one exists.
+   * Resolves with the data; rejects with the request error.
+   */
+  fetchQuery(queryKey, queryFn, { force = false, staleTime = this.defaultStaleTime } = {}) {
+    const query = this.getQuery(queryKey);
+    query.queryFn = queryFn;
+
+    // A forced fetch (after invalidation) must not reuse a request that
+    // started before the data changed
+    if (query.promise && !force) return query.promise;
+    if (!force && !this.isStale(queryKey, staleTime)) {
+      return Promise.resolve(query.data);
+    }
+
+    const fetchId = query.fetchId + 1;
+    query.fetchId = fetchId;
+    const isLatest = () => query.fetchId === fetchId;
+
+    const promise = Promise.resolve()
+      .then(() => queryFn())
+      .then((data) => {
+        if (isLatest()) {
+          query.data = data;
+          query.error = null;
+          query.updatedAt = Date.now();
+          query.isInvalidated = false;
+        }
+        return data;
+      })
+      .catch((error) => {
+        if (isLatest()) {
+          query.error = error;
+        }
+        throw error;
+      })
+      .finally(() => {
+        if (isLatest()) {
+          query.promise = null;
+          this.notify(query);
+          this.scheduleGc(query);
+        }
+      });
+    query.promise = promise;
+
+    this.notify(query);
+    return promise;
+  }
+
+  /**
+   * Marks every query whose key starts with one of the given keys (or every
+   * query, when called without keys) as stale and refetches the ones
+   * currently on screen.
+   */
+  invalidateQueries(...filterKeys) {
+    const refetches = [];
+    this.queries.forEach((query) => {
+      if (
+        filterKeys.length > 0 &&
+        !filterKeys.some(filterKey => matchesQueryKey(query.queryKey, filterKey))
+      ) return;
+
+      query.isInvalidated = true;
+      if (query.listeners.size > 0 && query.queryFn) {
+        refetches.push(
+          this.fetchQuery(query.queryKey, query.queryFn, { force: true }).catch(() => {})
+        );
+      }
+    });
+    return Promise.all(refetches);
+  }
+
+  /**
+   * Discards the results of in-flight requests so they can't overwrite an
+   * optimistic update made with setQueryData.
+   */
+  cancelQueries(...filterKeys) {
+    this.queries.forEach((query) => {
+      if (query.promise && filterKeys.some(filterKey => matchesQueryKey(query.queryKey, filterKey))) {
+        query.fetchId += 1;
+        query.promise = null;
+        this.notify(query);
+        this.scheduleGc(query);
+      }
+    });
+  }
+
+  subscribe(queryKey, listener) {
+    const query = this.getQuery(queryKey);
+    clearTimeout(query.gcTimer);
+    query.listeners.add(listener);
+
+    return () => {
+      query.listeners.delete(listener);
+      this.scheduleGc(query);
+    };
+  }
+
+  // Drops an unused entry after a while so the cache doesn't grow forever. An
+  // entry still fetching when the timer fires is kept; its fetch schedules
+  // the next check when it settles.
+  scheduleGc(query) {
+    clearTimeout(query.gcTimer);
+    if (query.listeners.size > 0) return;
+    query.gcTimer = setTimeout(() => {
+      const hash = hashQueryKey(query.queryKey);
+      if (query.listeners.size === 0 && !query.promise && this.queries.get(hash) === query) {
+        this.queries.delete(hash);
+      }
+    }, this.gcTime);
+  }
+
+  notify(query) {
+    query.listeners.forEach(listener => listener());
+  }
+}
+
+export const queryClient = new QueryClient();
+
+export default queryClient;
@@ -0,0 +1,103 @@
+import { QueryClient, hashQueryKey } from './queryClient';
+
+// A promise the test settles by hand
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(res => { resolve = res; });
+  return { promise, resolve };
+};
+
+describe('QueryClient', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new QueryClient({ gcTime: 1000 });
+  });
+
+  it('shares one request between concurrent fetches of the same key', async () => {
+    const request = deferred();
+    const queryFn = jest.fn(() => request.promise);
+
+    const first = client.fetchQuery(['candidates', 'list', { page: 1, stage: 'tech' }], queryFn);
+    const second = client.fetchQuery(['candidates', 'list', { stage: 'tech', page: 1 }], queryFn);
+    request.resolve(['Ada']);
+
+    expect(await first).toEqual(['Ada']);
+    expect(await second).toEqual(['Ada']);
+    expect(queryFn).toHaveBeenCalledTimes(1);
+    // Fresh data is served without another request
+    expect(await client.fetchQuery(['candidates', 'list', { stage: 'tech', page: 1 }], queryFn)).toEqual(['Ada']);
+    expect(queryFn).toHaveBeenCalledTimes(1);
+  });
+
+  it('refetches the invalidated queries on screen and marks the rest stale', async () => {
+    const listFn = jest.fn().mockResolvedValueOnce(['Ada']).mockResolvedValueOnce(['Ada', 'Grace']);
+    const detailFn = jest.fn().mockResolvedValue({ id: 'job-1' });
+    const unsubscribe = client.subscribe(['candidates', 'list'], () => {});
+    await client.fetchQuery(['candidates', 'list'], listFn);
+    await client.fetchQuery(['candidates', 'detail', 'cand-1'], detailFn);
+    await client.fetchQuery(['jobs', 'detail', 'job-1'], detailFn);
+
+    await client.invalidateQueries(['candidates']);
+
+    expect(listFn).toHaveBeenCalledTimes(2);
+    expect(client.getQueryData(['candidates', 'list'])).toEqual(['Ada', 'Grace']);
+    expect(detailFn).toHaveBeenCalledTimes(2);
+    expect(client.isStale(['candidates', 'detail', 'cand-1'])).toBe(true);
+    expect(client.isStale(['jobs', 'detail', 'job-1'])).toBe(false);
+    unsubscribe();
+  });
+
+  it('keeps an optimistic update when a request that was in flight finishes', async () => {
+    const request = deferred();
+    client.setQueryData(['applications', 'board'], [{ id: 'app-1', status: 'screen' }]);
+    client.invalidateQueries();
+    const stale = client.fetchQuery(['applications', 'board'], () => request.promise);
+
+    client.cancelQueries(['applications']);
+    const previous = client.getQueriesData(['applications']);
+    client.setQueriesData(['applications'], apps => apps.map(app => ({ ...app, status: 'tech' })));
+    request.resolve([{ id: 'app-1', status: 'screen' }]);
+    await stale;
+
+    expect(client.getQueryData(['applications', 'board'])).toEqual([{ id: 'app-1', status: 'tech' }]);
+    expect(client.getState(['applications', 'board']).isFetching).toBe(false);
+
+    // Rolling back restores what was there before
+    previous.forEach(([queryKey, data]) => client.setQueryData(queryKey, data));
+    expect(client.getQueryData(['applications', 'board'])).toEqual([{ id: 'app-1', status: 'screen' }]);
+  });
+
+  describe('garbage collection', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    const isCached = (queryKey) => client.queries.has(hashQueryKey(queryKey));
+
+    it('drops entries nobody has used for a while', () => {
+      const unsubscribe = client.subscribe(['jobs'], () => {});
+      unsubscribe();
+
+      jest.advanceTimersByTime(999);
+      expect(isCached(['jobs'])).toBe(true);
+      jest.advanceTimersByTime(1);
+      expect(isCached(['jobs'])).toBe(false);
+    });
+
+    it('collects an entry once the fetch it was waiting on settles', async () => {
+      const request = deferred();
+      const unsubscribe = client.subscribe(['jobs'], () => {});
+      const fetched = client.fetchQuery(['jobs'], () => request.promise);
+      unsubscribe();
+
+      jest.advanceTimersByTime(1000);
+      expect(isCached(['jobs'])).toBe(true);
+
+      request.resolve([]);
+      await fetched;
+      expect(isCached(['jobs'])).toBe(true);
+      jest.advanceTimersByTime(1000);
+      expect(isCached(['jobs'])).toBe(false);
+    });
+  });
+});
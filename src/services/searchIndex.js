@@ -0,0 +1,315 @@
+import Dexie from 'dexie';
+import { QUESTION_TYPES } from '../types';
+import {
+  tokenize,
+  tokenizeField,
+  editDistance,
+  maxTypos,
+  MIN_PREFIX_LENGTH,
+  rankTargets,
+  highlightText,
+} from '../utils/search';
+
+// Bump when SEARCH_SOURCES change; an index built by an older version is rebuilt
+export const SEARCH_INDEX_VERSION = 3;
+
+const INDEX_VERSION_KEY = 'searchIndexVersion';
+
+const FREE_TEXT_TYPES = [QUESTION_TYPES.SHORT_TEXT, QUESTION_TYPES.LONG_TEXT];
+
+/**
+ * What gets indexed. Each table maps its rows to the search target they
+ * belong to (notes and assessment answers find their candidate) and to the
+ * weighted fields that are tokenized: a hit in a candidate's name outranks
+ * the same word in a note about them.
+ */
+export const SEARCH_SOURCES = {
+  candidates: {
+    docType: 'candidate',
+    getTarget: candidate => ({ targetType: 'candidate', targetId: candidate.id }),
+    getFields: candidate => [
+      { field: 'name', label: 'Name', text: candidate.name, weight: 5 },
+      { field: 'email', label: 'Email', text: candidate.email, weight: 3 },
+      { field: 'phone', label: 'Phone', text: candidate.phone, weight: 3, digits: true },
+      { field: 'tags', label: 'Tags', text: (candidate.tags || []).join(', '), weight: 3 },
+    ],
+  },
+  jobs: {
+    docType: 'job',
+    getTarget: job => ({ targetType: 'job', targetId: job.id }),
+    getFields: job => [
+      { field: 'title', label: 'Title', text: job.title, weight: 5 },
+      { field: 'tags', label: 'Tags', text: (job.tags || []).join(', '), weight: 3 },
+      { field: 'requirements', label: 'Requirements', text: (job.requirements || []).join('. '), weight: 1.5 },
+      { field: 'description', label: 'Description', text: job.description, weight: 1 },
+    ],
+  },
+  notes: {
+    docType: 'note',
+    getTarget: note => ({ targetType: 'candidate', targetId: note.candidateId }),
+    getFields: note => [
+      { field: 'content', label: 'Note', text: note.content, weight: 1.5 },
+    ],
+  },
+  assessments: {
+    docType: 'assessment',
+    getTarget: assessment => ({ targetType: 'assessment', targetId: assessment.id }),
+    getFields: assessment => [
+      { field: 'title', label: 'Title', text: assessment.title, weight: 5 },
+      {
+        field: 'questions',
+        label: 'Questions',
+        text: (assessment.sections || []).flatMap(section => section.questions || []).map(question => question.title).join(' · '),
+        weight: 1,
+      },
+      { field: 'description', label: 'Description', text: assessment.description, weight: 1 },
+    ],
+  },
+  assessmentResponses: {
+    docType: 'response',
+    getTarget: response => ({ targetType: 'candidate', targetId: response.candidateId }),
+    // Free-text answers only; without the assessment every text answer counts
+    getFields: (response, assessment) => {
+      const questions = new Map(
+        (assessment?.sections || []).flatMap(section => section.questions || []).map(question => [question.id, question])
+      );
+      return Object.entries(response.responses || {})
+        .filter(([questionId, value]) => {
+          if (typeof value !== 'string') return false;
+          const question = questions.get(questionId);
+          return assessment ? question && FREE_TEXT_TYPES.includes(question.type) : true;
+        })
+        .map(([questionId, value]) => ({
+          field: questionId,
+          label: questions.get(questionId)?.title || 'Assessment answer',
+          text: value,
+          weight: 1,
+        }));
+    },
+  },
+};
+
+const SOURCE_TABLES = Object.keys(SEARCH_SOURCES);
+const TABLE_BY_DOC_TYPE = Object.fromEntries(
+  SOURCE_TABLES.map(table => [SEARCH_SOURCES[table].docType, table])
+);
+
+// Helper function to turn one row into its index postings
+const buildPostings = (table, doc, assessment) => {
+  const source = SEARCH_SOURCES[table];
+  const target = source.getTarget(doc);
+  if (!target.targetId) return [];
+
+  return source.getFields(doc, assessment).flatMap(({ field, text, weight, digits }) =>
+    tokenizeField(text, { digits }).map(term => ({
+      term,
+      docType: source.docType,
+      docId: doc.id,
+      field,
+      weight,
+      ...target,
+    }))
+  );
+};
+
+/**
+ * Inverted index over the TalentFlow tables, stored in the searchTerms table
+ * with one row per term, document and field.
+ *
+ * Dexie hooks record every row created, updated or deleted in a source
+ * table; once the writing transaction commits, those rows are re-indexed in
+ * a transaction of their own (the writer's transaction doesn't include
+ * searchTerms). Searches wait for re-indexing in progress, so they always
+ * see the writes that came before them.
+ */
+export class SearchIndex {
+  constructor(db) {
+    this.db = db;
+    this.pending = new WeakMap();
+    this.idle = Promise.resolve();
+    this.readyPromise = null;
+
+    const index = this;
+    SOURCE_TABLES.forEach((table) => {
+      db[table].hook('creating', function (primKey, obj, trans) {
+        this.onsuccess = key => index.schedule(trans, table, obj.id ?? key);
+      });
+      db[table].hook('updating', (modifications, primKey, obj, trans) => {
+        index.schedule(trans, table, primKey);
+      });
+      db[table].hook('deleting', (primKey, obj, trans) => {
+        index.schedule(trans, table, primKey);
+      });
+    });
+  }
+
+  schedule(trans, table, id) {
+    let dirty = this.pending.get(trans);
+    if (!dirty) {
+      dirty = new Map();
+      this.pending.set(trans, dirty);
+      trans.on('complete', () => {
+        this.pending.delete(trans);
+        this.enqueue(() => this.reindex(dirty));
+      });
+    }
+    dirty.set(`${table}|${id}`, { table, id });
+  }
+
+  // Runs index writes one after another, outside any caller's transaction
+  enqueue(work) {
+    this.idle = this.idle
+      .then(() => Dexie.ignoreTransaction(work))
+      .catch(error => console.error('Error updating search index:', error));
+    return this.idle;
+  }
+
+  async reindex(dirty) {
+    const { db } = this;
+    await db.transaction('rw', db.searchTerms, ...SOURCE_TABLES.map(table => db[table]), async () => {
+      // Which answers a response indexes depends on its assessment's
+      // questions, so a changed assessment re-indexes its responses too
+      const docs = new Map(dirty);
+      for (const { table, id } of dirty.values()) {
+        if (table === 'assessments') {
+          const responseIds = await db.assessmentResponses.where('assessmentId').equals(id).primaryKeys();
+          responseIds.forEach(responseId =>
+            docs.set(`assessmentResponses|${responseId}`, { table: 'assessmentResponses', id: responseId })
+          );
+        }
+      }
+
+      for (const { table, id } of docs.values()) {
+        const doc = await db[table].get(id);
+        const assessment = table === 'assessmentResponses' && doc ? await db.assessments.get(doc.assessmentId) : null;
+        await db.searchTerms.where('[docType+docId]').equals([SEARCH_SOURCES[table].docType, id]).delete();
+        if (doc) {
+          await db.searchTerms.bulkAdd(buildPostings(table, doc, assessment));
+        }
+      }
+    });
+  }
+
+  // Rebuilds the whole index from the source tables
+  rebuild() {
+    const { db } = this;
+    return this.enqueue(() =>
+      db.transaction('rw', db.searchTerms, db.settings, ...SOURCE_TABLES.map(table => db[table]), async () => {
+        await db.searchTerms.clear();
+        const assessments = new Map((await db.assessments.toArray()).map(assessment => [assessment.id, assessment]));
+        for (const table of SOURCE_TABLES) {
+          const docs = await db[table].toArray();
+          await db.searchTerms.bulkAdd(
+            docs.flatMap(doc => buildPostings(table, doc, assessments.get(doc.assessmentId)))
+          );
+        }
+
+        const existing = await db.settings.where('key').equals(INDEX_VERSION_KEY).first();
+        const setting = { key: INDEX_VERSION_KEY, value: SEARCH_INDEX_VERSION, updatedAt: new Date().toISOString() };
+        if (existing) {
+          await db.settings.update(existing.id, setting);
+        } else {
+          await db.settings.add(setting);
+        }
+      })
+    );
+  }
+
+  // Builds the index the first time it is used by this version of the app
+  ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = Dexie.ignoreTransaction(async () => {
+        const setting = await this.db.settings.where('key').equals(INDEX_VERSION_KEY).first();
+        if (setting?.value !== SEARCH_INDEX_VERSION) {
+          await this.rebuild();
+        }
+      });
+    }
+    return this.readyPromise.then(() => this.idle);
+  }
+
+  // Empties the index; used when the source tables are cleared wholesale
+  clear() {
+    return this.enqueue(() => this.db.searchTerms.clear());
+  }
+
+  // Index rows for one query token: the term itself, longer terms it is a
+  // prefix of, and terms within its typo budget. Typos in the first letter
+  // aren't looked for, which keeps the candidate terms to one key range.
+  async findPostings(token) {
+    const { searchTerms } = this.db;
+    const typos = maxTypos(token);
+    const [direct, nearTerms] = await Promise.all([
+      token.length >= MIN_PREFIX_LENGTH
+        ? searchTerms.where('term').startsWith(token).toArray()
+        : searchTerms.where('term').equals(token).toArray(),
+      typos > 0 ? searchTerms.where('term').startsWith(token[0]).uniqueKeys() : [],
+    ]);
+
+    const fuzzyTerms = nearTerms.filter(term =>
+      !term.startsWith(token) && editDistance(token, term, typos) <= typos
+    );
+    const fuzzy = fuzzyTerms.length > 0 ? await searchTerms.where('term').anyOf(fuzzyTerms).toArray() : [];
+    return [...direct, ...fuzzy];
+  }
+
+  /**
+   * Ranked search over every indexed table. Returns
+   * [{ type, id, score, matches }] best first (see rankTargets), optionally
+   * limited to some target types ('candidate', 'job', 'assessment').
+   */
+  async search(query, { types = null, limit = null } = {}) {
+    const tokens = Array.from(new Set(tokenize(query)));
+    if (tokens.length === 0) return [];
+
+    await this.ready();
+    const postingLists = await Promise.all(tokens.map(token => this.findPostings(token)));
+    const postings = new Map();
+    postingLists.flat().forEach((posting) => {
+      if (!types || types.includes(posting.targetType)) {
+        postings.set(posting.id, posting);
+      }
+    });
+
+    const ranked = rankTargets(tokens, Array.from(postings.values()));
+    return limit ? ranked.slice(0, limit) : ranked;
+  }
+
+  /**
+   * Highlighted snippets for ranked results: up to `perResult` matched
+   * fields each, as { docType, field, label, fragments } (see highlightText).
+   */
+  async highlight(results, { perResult = 2 } = {}) {
+    const { db } = this;
+    const wanted = results.map(result => result.matches.slice(0, perResult));
+    const idsByTable = new Map();
+    wanted.flat().forEach(({ docType, docId }) => {
+      const table = TABLE_BY_DOC_TYPE[docType];
+      idsByTable.set(table, new Set([...(idsByTable.get(table) || []), docId]));
+    });
+
+    const docs = new Map();
+    await Promise.all(Array.from(idsByTable.entries()).map(async ([table, ids]) => {
+      const rows = await db[table].bulkGet(Array.from(ids));
+      rows.filter(Boolean).forEach(row => docs.set(`${SEARCH_SOURCES[table].docType}|${row.id}`, row));
+    }));
+
+    const assessmentIds = Array.from(docs.values()).map(doc => doc.assessmentId).filter(Boolean);
+    const assessments = new Map(
+      (await db.assessments.bulkGet(Array.from(new Set(assessmentIds)))).filter(Boolean).map(assessment => [assessment.id, assessment])
+    );
+
+    return wanted.map(matches => matches
+      .map(({ docType, docId, field, terms }) => {
+        const doc = docs.get(`${docType}|${docId}`);
+        if (!doc) return null;
+        const table = TABLE_BY_DOC_TYPE[docType];
+        const source = SEARCH_SOURCES[table].getFields(doc, assessments.get(doc.assessmentId)).find(item => item.field === field);
+        const fragments = source && highlightText(source.text, terms);
+        return fragments ? { docType, field, label: source.label, fragments } : null;
+      })
+      .filter(Boolean));
+  }
+}
+
+export default SearchIndex;
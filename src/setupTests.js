@@ -3,3 +3,9 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { webcrypto } from 'crypto';
+
+// jsdom doesn't provide crypto.randomUUID, which the data factories use for ids
+if (!global.crypto?.randomUUID) {
+  Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+}
@@ -41,6 +41,151 @@ export const STAGE_LABELS = {
   [CANDIDATE_STAGES.REJECTED]: 'Rejected',
 };
 
+// Outcome of a terminal pipeline stage
+export const STAGE_OUTCOMES = {
+  POSITIVE: 'positive',
+  NEGATIVE: 'negative',
+};
+
+// Things a stage can require before an application enters it
+export const STAGE_REQUIREMENTS = {
+  REJECTION_REASON: 'rejection_reason',
+  OFFER_SALARY: 'offer_salary',
+  ASSESSMENT_COMPLETED: 'assessment_completed',
+};
+
+// Colors a pipeline stage can use. Class names are spelled out so Tailwind
+// keeps them in the build.
+export const STAGE_COLOR_OPTIONS = {
+  blue: { label: 'Blue', badge: 'bg-blue-100 text-blue-800', text: 'text-blue-600', bar: 'bg-blue-500' },
+  yellow: { label: 'Yellow', badge: 'bg-yellow-100 text-yellow-800', text: 'text-yellow-600', bar: 'bg-yellow-500' },
+  orange: { label: 'Orange', badge: 'bg-orange-100 text-orange-800', text: 'text-orange-600', bar: 'bg-orange-500' },
+  purple: { label: 'Purple', badge: 'bg-purple-100 text-purple-800', text: 'text-purple-600', bar: 'bg-purple-500' },
+  indigo: { label: 'Indigo', badge: 'bg-indigo-100 text-indigo-800', text: 'text-indigo-600', bar: 'bg-indigo-500' },
+  pink: { label: 'Pink', badge: 'bg-pink-100 text-pink-800', text: 'text-pink-600', bar: 'bg-pink-500' },
+  teal: { label: 'Teal', badge: 'bg-teal-100 text-teal-800', text: 'text-teal-600', bar: 'bg-teal-500' },
+  green: { label: 'Green', badge: 'bg-green-100 text-green-800', text: 'text-green-600', bar: 'bg-green-500' },
+  emerald: { label: 'Emerald', badge: 'bg-emerald-100 text-emerald-800', text: 'text-emerald-600', bar: 'bg-emerald-500' },
+  red: { label: 'Red', badge: 'bg-red-100 text-red-800', text: 'text-red-600', bar: 'bg-red-500' },
+  gray: { label: 'Gray', badge: 'bg-gray-100 text-gray-800', text: 'text-gray-600', bar: 'bg-gray-500' },
+};
+
+// Pipeline stage data structure. Terminal stages end the application; their
+// outcome says whether it ended in a hire or a rejection. allowedTransitions
+// lists the stage ids an application may move to from here (null uses the
+// default rules in utils/transitions.js).
+export const createPipelineStage = (overrides = {}) => ({
+  id: '',
+  name: '',
+  color: 'gray',
+  terminal: false,
+  outcome: null,
+  allowedTransitions: null,
+  requirements: [],
+  slaDays: null, // days an application may sit in the stage before it needs attention
+  ...overrides,
+});
+
+// The pipeline every job starts with, matching CANDIDATE_STAGES
+export const DEFAULT_PIPELINE = [
+  createPipelineStage({
+    id: CANDIDATE_STAGES.APPLIED,
+    name: STAGE_LABELS[CANDIDATE_STAGES.APPLIED],
+    color: 'blue',
+    slaDays: 7,
+  }),
+  createPipelineStage({
+    id: CANDIDATE_STAGES.SCREEN,
+    name: STAGE_LABELS[CANDIDATE_STAGES.SCREEN],
+    color: 'yellow',
+    slaDays: 14,
+  }),
+  createPipelineStage({
+    id: CANDIDATE_STAGES.TECH,
+    name: STAGE_LABELS[CANDIDATE_STAGES.TECH],
+    color: 'purple',
+    requirements: [STAGE_REQUIREMENTS.ASSESSMENT_COMPLETED],
+    slaDays: 14,
+  }),
+  createPipelineStage({
+    id: CANDIDATE_STAGES.OFFER,
+    name: STAGE_LABELS[CANDIDATE_STAGES.OFFER],
+    color: 'green',
+    requirements: [STAGE_REQUIREMENTS.OFFER_SALARY],
+    slaDays: 7,
+  }),
+  createPipelineStage({
+    id: CANDIDATE_STAGES.HIRED,
+    name: STAGE_LABELS[CANDIDATE_STAGES.HIRED],
+    color: 'emerald',
+    terminal: true,
+    outcome: STAGE_OUTCOMES.POSITIVE,
+  }),
+  createPipelineStage({
+    id: CANDIDATE_STAGES.REJECTED,
+    name: STAGE_LABELS[CANDIDATE_STAGES.REJECTED],
+    color: 'red',
+    terminal: true,
+    outcome: STAGE_OUTCOMES.NEGATIVE,
+    requirements: [STAGE_REQUIREMENTS.REJECTION_REASON],
+  }),
+];
+
+export const createDefaultPipeline = () =>
+  DEFAULT_PIPELINE.map(stage => ({ ...stage, requirements: [...stage.requirements] }));
+
+// Who ended an application in a negative terminal stage
+export const REJECTION_SOURCES = {
+  COMPANY: 'company',
+  CANDIDATE: 'candidate',
+};
+
+export const REJECTION_SOURCE_LABELS = {
+  [REJECTION_SOURCES.COMPANY]: 'Rejected by us',
+  [REJECTION_SOURCES.CANDIDATE]: 'Candidate withdrew',
+};
+
+// Rejection reason data structure; the list is configured in settings
+export const createRejectionReason = (overrides = {}) => ({
+  id: '',
+  label: '',
+  source: REJECTION_SOURCES.COMPANY,
+  ...overrides,
+});
+
+export const DEFAULT_REJECTION_REASONS = [
+  createRejectionReason({ id: 'skills_gap', label: 'Skills or experience gap' }),
+  createRejectionReason({ id: 'failed_assessment', label: 'Did not pass the assessment' }),
+  createRejectionReason({ id: 'team_fit', label: 'Team or values mismatch' }),
+  createRejectionReason({ id: 'position_filled', label: 'Position filled' }),
+  createRejectionReason({ id: 'accepted_other_offer', label: 'Accepted another offer', source: REJECTION_SOURCES.CANDIDATE }),
+  createRejectionReason({ id: 'compensation', label: 'Compensation expectations', source: REJECTION_SOURCES.CANDIDATE }),
+  createRejectionReason({ id: 'lost_interest', label: 'Lost interest in the role', source: REJECTION_SOURCES.CANDIDATE }),
+  createRejectionReason({ id: 'unresponsive', label: 'Stopped responding', source: REJECTION_SOURCES.CANDIDATE }),
+];
+
+// Keys of the rows in the settings table and their values when unset
+export const SETTINGS_KEYS = {
+  REJECTION_REASONS: 'rejectionReasons',
+  CANDIDATE_VIEWS: 'candidateViews',
+  TRASH_RETENTION_DAYS: 'trashRetentionDays',
+};
+
+export const DEFAULT_SETTINGS = {
+  [SETTINGS_KEYS.REJECTION_REASONS]: DEFAULT_REJECTION_REASONS,
+  // Saved candidate filters: [{ id, name, filters }], see utils/candidateFilters.js
+  [SETTINGS_KEYS.CANDIDATE_VIEWS]: [],
+  // Deleted jobs, candidates and assessments are purged from the trash after this many days
+  [SETTINGS_KEYS.TRASH_RETENTION_DAYS]: 30,
+};
+
+// What can be deleted to the trash and restored
+export const TRASH_TYPES = {
+  JOB: 'job',
+  CANDIDATE: 'candidate',
+  ASSESSMENT: 'assessment',
+};
+
 // Job data structure
 export const createJob = (overrides = {}) => ({
   id: overrides.id || crypto.randomUUID(),
@@ -56,6 +201,7 @@ export const createJob = (overrides = {}) => ({
   salary: '',
   type: 'full-time',
   department: '',
+  pipeline: createDefaultPipeline(),
   createdAt: new Date().toISOString(),
   updatedAt: new Date().toISOString(),
   ...overrides,
@@ -67,14 +213,12 @@ export const createCandidate = (overrides = {}) => ({
   name: '',
   email: '',
   phone: '',
-  stage: CANDIDATE_STAGES.APPLIED,
-  jobId: null, // Primary job (for backward compatibility)
+  tags: [],
   resume: null,
   coverLetter: null,
   notes: [],
   timeline: [],
   assessmentResponses: {},
-  jobApplications: [], // Array of job applications with status
   createdAt: new Date().toISOString(),
   updatedAt: new Date().toISOString(),
   ...overrides,
@@ -89,9 +233,11 @@ export const createJobApplication = (overrides = {}) => ({
   status: CANDIDATE_STAGES.APPLIED, // applied, screen, tech, offer, hired, rejected
   appliedAt: new Date().toISOString(),
   updatedAt: new Date().toISOString(),
+  stageEnteredAt: overrides.appliedAt || new Date().toISOString(), // when the application entered its current status
   notes: '',
   interviewScheduled: null,
   assessmentCompleted: false,
+  rejection: null, // { reasonId, reasonLabel, source, note, fromStage, fromStageName, rejectedAt }
   ...overrides,
 });
 
@@ -106,6 +252,7 @@ export const createAssessment = (overrides = {}) => ({
     timeLimit: null,
     allowMultipleAttempts: false,
     showResults: false,
+    passingScore: null, // percentage needed to pass
   },
   createdAt: new Date().toISOString(),
   updatedAt: new Date().toISOString(),
@@ -127,7 +274,31 @@ export const createQuestion = (overrides = {}) => ({
     maxValue: null,
     pattern: null,
   },
-  conditionalLogic: null,
+  // Answer key; questions without one (and long text and file uploads,
+  // which are graded by hand) aren't scored automatically
+  scoring: {
+    points: 1,
+    correctOptions: [], // choice questions
+    partialCredit: false, // multi choice and keywords
+    minValue: null, // numeric answers in this range are correct
+    maxValue: null,
+    keywords: [], // short text
+    pattern: null, // short text regex, matched ignoring case
+  },
+  rubric: [], // criteria reviewers grade long text and file uploads against
+  conditionalLogic: null, // condition group that shows the question
+  ...overrides,
+});
+
+// Rubric criterion: the levels an answer can reach, each worth some points
+export const createRubricCriterion = (overrides = {}) => ({
+  id: crypto.randomUUID(),
+  title: '',
+  levels: [
+    { id: crypto.randomUUID(), label: 'Missing', points: 0 },
+    { id: crypto.randomUUID(), label: 'Partial', points: 1 },
+    { id: crypto.randomUUID(), label: 'Complete', points: 2 },
+  ],
   ...overrides,
 });
 
@@ -138,6 +309,8 @@ export const createSection = (overrides = {}) => ({
   description: '',
   questions: [],
   order: 0,
+  conditionalLogic: null, // condition group that shows the section
+  branching: [], // [{ condition, targetSectionId }]: after this section, skip ahead when a condition holds
   ...overrides,
 });
 
@@ -153,6 +326,15 @@ export const createTimelineEvent = (overrides = {}) => ({
   ...overrides,
 });
 
+// Team members who can be @mentioned in notes
+export const TEAM_MEMBERS = [
+  { id: '1', name: 'John Smith', role: 'HR Manager' },
+  { id: '2', name: 'Sarah Johnson', role: 'Recruiter' },
+  { id: '3', name: 'Mike Chen', role: 'Technical Lead' },
+  { id: '4', name: 'Emily Davis', role: 'Hiring Manager' },
+  { id: '5', name: 'Alex Rodriguez', role: 'HR Coordinator' },
+];
+
 // Note data structure with @mentions support
 export const createNote = (overrides = {}) => ({
   id: crypto.randomUUID(),
@@ -171,13 +353,31 @@ export const createAssessmentResponse = (overrides = {}) => ({
   candidateId: null,
   assessmentId: null,
   responses: {}, // Question ID -> response mapping
-  score: null,
+  score: null, // percentage of the points available, once scored
+  scoring: null, // breakdown by section and question (see utils/scoring)
+  reviews: [], // one per reviewer: { reviewerId, reviewerName, questions: { [id]: { points, levels, comment } }, updatedAt }
   completedAt: null,
   timeSpent: null,
   createdAt: new Date().toISOString(),
   ...overrides,
 });
 
+// Assessment invite data structure; the id is the token in the candidate's link
+export const createAssessmentInvite = (overrides = {}) => ({
+  id: crypto.randomUUID(),
+  candidateId: null,
+  assessmentId: null,
+  jobId: null,
+  startedAt: null, // set when the candidate starts; the time limit counts from here
+  draft: null, // answers saved while the candidate works
+  draftSavedAt: null,
+  submittedAt: null,
+  responseId: null,
+  timedOut: false, // submitted with the draft when the time limit ran out
+  createdAt: new Date().toISOString(),
+  ...overrides,
+});
+
 // API Response wrapper
 export const createApiResponse = (data, success = true, message = '') => ({
   success,
@@ -195,6 +395,27 @@ export const createPaginationMeta = (page, pageSize, total, hasMore = false) =>
   hasMore,
 });
 
+// Actions that can run on many candidates (or applications) at once
+export const BULK_ACTIONS = {
+  MOVE: 'move',
+  REJECT: 'reject',
+  APPLY: 'apply',
+  TAG: 'tag',
+  EXPORT: 'export',
+  DELETE: 'delete',
+};
+
+// What an import does with a row whose email or phone matches a candidate
+export const IMPORT_DUPLICATE_ACTIONS = {
+  SKIP: 'skip',
+  MERGE: 'merge', // fill in the candidate's missing details and add the application
+};
+
+export const BACKUP_RESTORE_MODES = {
+  MERGE: 'merge', // add what's missing; rows in both keep the more recently updated copy
+  REPLACE: 'replace', // delete everything, then load the backup
+};
+
 // Search and filter options
 export const createSearchOptions = (overrides = {}) => ({
   search: '',
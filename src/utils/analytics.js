@@ -0,0 +1,218 @@
+// Hiring funnel metrics computed from job applications and their
+// status_change timeline events. Everything here is a pure function of its
+// arguments; pass `now` to make results reproducible.
+import { isHiredStage } from './pipeline';
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DATE_RANGE_OPTIONS = [
+  { value: '7d', label: 'Last 7 days', days: 7 },
+  { value: '30d', label: 'Last 30 days', days: 30 },
+  { value: '90d', label: 'Last 90 days', days: 90 },
+  { value: '365d', label: 'Last 12 months', days: 365 },
+];
+
+export const DEFAULT_DATE_RANGE = '30d';
+
+const toTime = (date) => new Date(date).getTime();
+
+// The selected range ending now, as { start, end } Dates
+export const getDateRange = (rangeValue, now = new Date()) => {
+  const option = DATE_RANGE_OPTIONS.find(range => range.value === rangeValue)
+    || DATE_RANGE_OPTIONS.find(range => range.value === DEFAULT_DATE_RANGE);
+  const end = new Date(now);
+  return { start: new Date(end.getTime() - option.days * DAY_MS), end };
+};
+
+// The range of the same length right before `range`
+export const getPreviousRange = ({ start, end }) => {
+  const length = end.getTime() - start.getTime();
+  return { start: new Date(start.getTime() - length), end: new Date(start) };
+};
+
+// Start inclusive, end exclusive
+export const isInRange = (date, { start, end }) => {
+  if (!date) return false;
+  const time = toTime(date);
+  return time >= start.getTime() && time < end.getTime();
+};
+
+export const countInRange = (items, getDate, range) =>
+  items.filter(item => isInRange(getDate(item), range)).length;
+
+/**
+ * Compares a metric between two periods. `change` is a whole percentage, or
+ * null when there is nothing to compare against.
+ */
+export const periodDelta = (current, previous) => {
+  let direction = 'flat';
+  if (current > previous) direction = 'up';
+  if (current < previous) direction = 'down';
+
+  return {
+    current,
+    previous,
+    change: previous > 0 ? Math.round(((current - previous) / previous) * 100) : null,
+    direction,
+  };
+};
+
+export const formatDelta = ({ current, change }) => {
+  if (change === null) return current > 0 ? 'New' : '0%';
+  return `${change > 0 ? '+' : ''}${change}%`;
+};
+
+// Formats a duration in milliseconds as days (or hours when under a day)
+export const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '—';
+  const days = ms / DAY_MS;
+  if (days < 1) return `${Math.round(ms / (60 * 60 * 1000))}h`;
+  return `${days < 10 ? days.toFixed(1) : Math.round(days)}d`;
+};
+
+/**
+ * Rebuilds the stages an application went through from its status_change
+ * events: [{ stage, enteredAt, exitedAt }], oldest first, with exitedAt null
+ * for the current stage. Without events only the current stage is known.
+ */
+export const getStageHistory = (application, events = []) => {
+  const moves = events
+    .filter(event => event.metadata?.oldStatus !== event.metadata?.newStatus)
+    .sort((a, b) => toTime(a.createdAt) - toTime(b.createdAt));
+
+  if (moves.length === 0) {
+    return [{
+      stage: application.status,
+      enteredAt: application.stageEnteredAt || application.appliedAt,
+      exitedAt: null,
+    }];
+  }
+
+  const history = [];
+  let stage = moves[0].metadata.oldStatus;
+  let enteredAt = application.appliedAt;
+  moves.forEach((event) => {
+    history.push({ stage, enteredAt, exitedAt: event.createdAt });
+    stage = event.metadata.newStatus;
+    enteredAt = event.createdAt;
+  });
+  history.push({ stage, enteredAt, exitedAt: null });
+  return history;
+};
+
+// Stage histories of many applications, keyed by application id
+export const buildStageHistories = (applications, events) => {
+  const eventsByApplication = new Map();
+  events
+    .filter(event => event.type === 'status_change' && event.metadata?.applicationId)
+    .forEach((event) => {
+      const list = eventsByApplication.get(event.metadata.applicationId) || [];
+      list.push(event);
+      eventsByApplication.set(event.metadata.applicationId, list);
+    });
+
+  return new Map(applications.map(application => [
+    application.id,
+    getStageHistory(application, eventsByApplication.get(application.id)),
+  ]));
+};
+
+// The stages a funnel is measured over: open stages followed by the hire
+// stages, in pipeline order. Rejection and other closing stages are exits.
+export const getFunnelStages = (pipeline) =>
+  pipeline.filter(stage => !stage.terminal || isHiredStage(stage));
+
+/**
+ * How far applications got through the funnel. An application reached a stage
+ * if it ever entered it or any later funnel stage (moves may skip stages);
+ * every application reached the first stage. `conversion` is the share of
+ * applications reaching the previous stage that also reached this one.
+ */
+export const stageConversion = (funnelStages, applications, histories) => {
+  const positions = new Map(funnelStages.map((stage, index) => [stage.id, index]));
+  const reached = funnelStages.map(() => 0);
+
+  applications.forEach((application) => {
+    const visited = (histories.get(application.id) || []).map(entry => entry.stage);
+    visited.push(application.status);
+    if (application.rejection?.fromStage) visited.push(application.rejection.fromStage);
+
+    const furthest = Math.max(0, ...visited.map(id => (positions.has(id) ? positions.get(id) : 0)));
+    for (let i = 0; i <= furthest && i < reached.length; i++) {
+      reached[i] += 1;
+    }
+  });
+
+  return funnelStages.map((stage, index) => ({
+    stage,
+    reached: reached[index],
+    conversion: index === 0 || reached[index - 1] === 0 ? null : reached[index] / reached[index - 1],
+  }));
+};
+
+const average = (values) =>
+  (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+/**
+ * Average time spent per stage, from stays that ended within the range:
+ * { [stageId]: { averageMs, count } }. Ongoing stays are left out.
+ */
+export const timeInStage = (histories, range) => {
+  const durations = {};
+  histories.forEach((history) => {
+    history
+      .filter(entry => entry.exitedAt && entry.enteredAt && (!range || isInRange(entry.exitedAt, range)))
+      .forEach((entry) => {
+        durations[entry.stage] = durations[entry.stage] || [];
+        durations[entry.stage].push(toTime(entry.exitedAt) - toTime(entry.enteredAt));
+      });
+  });
+
+  return Object.fromEntries(Object.entries(durations).map(([stage, values]) => [
+    stage,
+    { averageMs: average(values), count: values.length },
+  ]));
+};
+
+/**
+ * Time from applying to entering a hire stage, for hires made within the
+ * range: { averageMs, medianMs, count }.
+ */
+export const timeToHire = (applications, histories, hiredStageIds, range) => {
+  const hired = new Set(hiredStageIds);
+  const durations = [];
+  applications.forEach((application) => {
+    const hire = (histories.get(application.id) || []).find(entry => hired.has(entry.stage));
+    if (!hire?.enteredAt || (range && !isInRange(hire.enteredAt, range))) return;
+    durations.push(toTime(hire.enteredAt) - toTime(application.appliedAt));
+  });
+
+  return { averageMs: average(durations), medianMs: median(durations), count: durations.length };
+};
+
+/**
+ * Applications received per week of the range: [{ weekStart, count }], with
+ * weeks counted back from the end of the range.
+ */
+export const applicationsPerWeek = (applications, range) => {
+  const weekCount = Math.max(1, Math.ceil((range.end.getTime() - range.start.getTime()) / (7 * DAY_MS)));
+  const weeks = Array.from({ length: weekCount }, (_, index) => ({
+    weekStart: new Date(range.end.getTime() - (weekCount - index) * 7 * DAY_MS),
+    count: 0,
+  }));
+
+  applications.forEach((application) => {
+    if (!isInRange(application.appliedAt, range)) return;
+    const weeksBeforeEnd = Math.floor((range.end.getTime() - toTime(application.appliedAt)) / (7 * DAY_MS));
+    const index = weekCount - 1 - weeksBeforeEnd;
+    if (index >= 0) weeks[index].count += 1;
+  });
+  return weeks;
+};
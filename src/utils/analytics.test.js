@@ -0,0 +1,123 @@
+import {
+  DAY_MS,
+  getDateRange,
+  getPreviousRange,
+  countInRange,
+  periodDelta,
+  formatDelta,
+  getStageHistory,
+  buildStageHistories,
+  getFunnelStages,
+  stageConversion,
+  timeInStage,
+  timeToHire,
+  applicationsPerWeek,
+} from './analytics';
+import { createDefaultPipeline } from '../types';
+
+const now = new Date('2024-06-30T00:00:00.000Z');
+const daysBefore = (days) => new Date(now.getTime() - days * DAY_MS).toISOString();
+
+const move = (applicationId, oldStatus, newStatus, days) => ({
+  type: 'status_change',
+  createdAt: daysBefore(days),
+  metadata: { applicationId, oldStatus, newStatus },
+});
+
+describe('date ranges', () => {
+  it('builds the selected range and the one before it', () => {
+    const range = getDateRange('7d', now);
+    const previous = getPreviousRange(range);
+
+    expect(range.start.toISOString()).toBe(daysBefore(7));
+    expect(previous.start.toISOString()).toBe(daysBefore(14));
+    expect(previous.end).toEqual(range.start);
+  });
+
+  it('counts items whose date falls inside a range', () => {
+    const items = [{ at: daysBefore(1) }, { at: daysBefore(8) }, { at: null }];
+
+    expect(countInRange(items, item => item.at, getDateRange('7d', now))).toBe(1);
+  });
+});
+
+describe('periodDelta', () => {
+  it('reports the percentage change between periods', () => {
+    expect(periodDelta(15, 10)).toEqual({ current: 15, previous: 10, change: 50, direction: 'up' });
+    expect(formatDelta(periodDelta(5, 10))).toBe('-50%');
+  });
+
+  it('has no percentage when the previous period was empty', () => {
+    expect(formatDelta(periodDelta(3, 0))).toBe('New');
+    expect(formatDelta(periodDelta(0, 0))).toBe('0%');
+  });
+});
+
+describe('getStageHistory', () => {
+  it('rebuilds the stays from status changes', () => {
+    const application = { id: 'app-1', status: 'tech', appliedAt: daysBefore(10) };
+    const history = getStageHistory(application, [
+      move('app-1', 'screen', 'tech', 2),
+      move('app-1', 'applied', 'screen', 6),
+    ]);
+
+    expect(history).toEqual([
+      { stage: 'applied', enteredAt: daysBefore(10), exitedAt: daysBefore(6) },
+      { stage: 'screen', enteredAt: daysBefore(6), exitedAt: daysBefore(2) },
+      { stage: 'tech', enteredAt: daysBefore(2), exitedAt: null },
+    ]);
+  });
+});
+
+describe('funnel metrics', () => {
+  const pipeline = createDefaultPipeline();
+  const applications = [
+    { id: 'hired', status: 'hired', appliedAt: daysBefore(20) },
+    { id: 'rejected', status: 'rejected', appliedAt: daysBefore(12), rejection: { fromStage: 'screen' } },
+    { id: 'new', status: 'applied', appliedAt: daysBefore(1) },
+  ];
+  const events = [
+    move('hired', 'applied', 'screen', 18),
+    move('hired', 'screen', 'tech', 14),
+    move('hired', 'tech', 'offer', 10),
+    move('hired', 'offer', 'hired', 5),
+    move('rejected', 'applied', 'screen', 10),
+    move('rejected', 'screen', 'rejected', 4),
+  ];
+  const histories = buildStageHistories(applications, events);
+
+  it('measures how many applications reach each stage', () => {
+    const funnel = stageConversion(getFunnelStages(pipeline), applications, histories);
+
+    expect(funnel.map(({ stage, reached }) => [stage.id, reached])).toEqual([
+      ['applied', 3],
+      ['screen', 2],
+      ['tech', 1],
+      ['offer', 1],
+      ['hired', 1],
+    ]);
+    expect(funnel[1].conversion).toBeCloseTo(2 / 3);
+    expect(funnel[0].conversion).toBeNull();
+  });
+
+  it('averages completed stays per stage', () => {
+    const durations = timeInStage(histories, getDateRange('365d', now));
+
+    expect(durations.screen).toEqual({ averageMs: 5 * DAY_MS, count: 2 });
+    expect(durations.hired).toBeUndefined();
+  });
+
+  it('measures time to hire for hires inside the range', () => {
+    expect(timeToHire(applications, histories, ['hired'], getDateRange('30d', now)))
+      .toEqual({ averageMs: 15 * DAY_MS, medianMs: 15 * DAY_MS, count: 1 });
+    expect(timeToHire(applications, histories, ['hired'], getPreviousRange(getDateRange('7d', now))).count)
+      .toBe(0);
+  });
+
+  it('buckets applications into weeks ending with the range', () => {
+    const weeks = applicationsPerWeek(applications, getDateRange('30d', now));
+
+    expect(weeks).toHaveLength(5);
+    expect(weeks.map(week => week.count)).toEqual([0, 0, 1, 1, 1]);
+  });
+});
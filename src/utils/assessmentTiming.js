@@ -0,0 +1,34 @@
+// Time limits for candidates taking an assessment through an invite link
+
+const MINUTE_MS = 60 * 1000;
+
+// Answers submitted this long after the deadline are still accepted, to
+// allow for the request the countdown sends when it reaches zero
+export const SUBMISSION_GRACE_MS = 30 * 1000;
+
+// When an invite's time runs out, or null when the assessment has no time
+// limit or the candidate hasn't started
+export const getDeadline = (invite, assessment) => {
+  const minutes = assessment?.settings?.timeLimit;
+  if (!minutes || !invite?.startedAt) return null;
+  return new Date(new Date(invite.startedAt).getTime() + minutes * MINUTE_MS);
+};
+
+// Milliseconds left before the deadline, never negative
+export const getRemainingMs = (deadline, now = new Date()) =>
+  (deadline ? Math.max(0, deadline.getTime() - now.getTime()) : null);
+
+// Whether answers can no longer be saved or submitted
+export const isPastDeadline = (invite, assessment, now = new Date(), { graceMs = SUBMISSION_GRACE_MS } = {}) => {
+  const deadline = getDeadline(invite, assessment);
+  return !!deadline && now.getTime() > deadline.getTime() + graceMs;
+};
+
+// "4:05" or "1:02:09", rounding partial seconds up so zero means time is up
+export const formatCountdown = (ms) => {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+};
@@ -0,0 +1,29 @@
+import { getDeadline, getRemainingMs, isPastDeadline, formatCountdown } from './assessmentTiming';
+
+const assessment = { settings: { timeLimit: 30 } };
+const invite = { startedAt: '2024-01-01T10:00:00.000Z' };
+
+describe('getDeadline', () => {
+  it('counts the time limit from when the candidate started', () => {
+    expect(getDeadline(invite, assessment).toISOString()).toBe('2024-01-01T10:30:00.000Z');
+    expect(getDeadline({ startedAt: null }, assessment)).toBeNull();
+    expect(getDeadline(invite, { settings: { timeLimit: null } })).toBeNull();
+  });
+});
+
+describe('isPastDeadline', () => {
+  it('allows a short grace period after the deadline', () => {
+    expect(isPastDeadline(invite, assessment, new Date('2024-01-01T10:30:20.000Z'))).toBe(false);
+    expect(isPastDeadline(invite, assessment, new Date('2024-01-01T10:31:00.000Z'))).toBe(true);
+    expect(isPastDeadline(invite, { settings: {} }, new Date('2030-01-01T00:00:00.000Z'))).toBe(false);
+  });
+});
+
+describe('formatCountdown', () => {
+  it('shows minutes and seconds, and hours when needed', () => {
+    const deadline = getDeadline(invite, assessment);
+    expect(formatCountdown(getRemainingMs(deadline, new Date('2024-01-01T10:25:55.500Z')))).toBe('4:05');
+    expect(formatCountdown(getRemainingMs(deadline, new Date('2024-01-01T11:00:00.000Z')))).toBe('0:00');
+    expect(formatCountdown((62 * 60 + 9) * 1000)).toBe('1:02:09');
+  });
+});
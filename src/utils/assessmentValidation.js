@@ -0,0 +1,86 @@
+// Checking a candidate's answers against each question's rules. The builder's
+// preview, the candidate's form and the submit handler share these, so the
+// server rejects exactly what the browser would.
+import { QUESTION_TYPES } from '../types';
+import { getVisibility } from './conditions';
+
+const isBlank = (answer) =>
+  answer === undefined ||
+  answer === null ||
+  (typeof answer === 'string' && answer.trim() === '') ||
+  (Array.isArray(answer) && answer.length === 0);
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+const checkText = (rules, answer) => {
+  if (isSet(rules.minLength) && answer.length < Number(rules.minLength)) return `Minimum length is ${rules.minLength}`;
+  if (isSet(rules.maxLength) && answer.length > Number(rules.maxLength)) return `Maximum length is ${rules.maxLength}`;
+  if (rules.pattern) {
+    try {
+      if (!new RegExp(rules.pattern).test(answer)) return 'Invalid format';
+    } catch (e) {
+      // A pattern that doesn't compile checks nothing
+    }
+  }
+  return null;
+};
+
+/**
+ * What's wrong with one answer that was given, or null. Answers have to be
+ * of the question's kind (text, a number, one or more of its options) and
+ * meet its length, range and pattern rules. Blank answers pass; whether the
+ * question must be answered is checked by validateResponses.
+ */
+export const validateAnswer = (question, answer) => {
+  if (isBlank(answer)) return null;
+  const rules = question.validation || {};
+
+  switch (question.type) {
+    case QUESTION_TYPES.SHORT_TEXT:
+    case QUESTION_TYPES.LONG_TEXT:
+      return typeof answer === 'string' ? checkText(rules, answer) : 'Enter text';
+    case QUESTION_TYPES.NUMERIC: {
+      const value = typeof answer === 'number' || typeof answer === 'string' ? Number(answer) : NaN;
+      if (!Number.isFinite(value)) return 'Enter a valid number';
+      if (isSet(rules.minValue) && value < Number(rules.minValue)) return `Minimum is ${rules.minValue}`;
+      if (isSet(rules.maxValue) && value > Number(rules.maxValue)) return `Maximum is ${rules.maxValue}`;
+      return null;
+    }
+    case QUESTION_TYPES.SINGLE_CHOICE:
+      return (question.options || []).includes(answer) ? null : 'Choose one of the options';
+    case QUESTION_TYPES.MULTI_CHOICE:
+      return Array.isArray(answer) && answer.every(option => (question.options || []).includes(option))
+        ? null
+        : 'Choose from the options';
+    case QUESTION_TYPES.FILE_UPLOAD:
+      return typeof answer === 'string' ? null : 'Upload a file';
+    default:
+      return null;
+  }
+};
+
+/**
+ * Problems with the answers to the questions the candidate is shown, by
+ * question id; empty when the answers can be submitted. Hidden questions,
+ * required or not, are never checked. With `requireAnswers` off (a
+ * submission whose time ran out) unanswered questions are fine and only the
+ * answers given are checked.
+ */
+export const validateResponses = (assessment, responses = {}, { requireAnswers = true } = {}) => {
+  const errors = {};
+  const visibility = getVisibility(assessment, responses);
+
+  assessment.sections.forEach(section => {
+    section.questions.forEach(question => {
+      if (!visibility.questions[question.id]) return;
+      const answer = responses[question.id];
+      if (isBlank(answer)) {
+        if (question.required && requireAnswers) errors[question.id] = 'This field is required';
+        return;
+      }
+      const error = validateAnswer(question, answer);
+      if (error) errors[question.id] = error;
+    });
+  });
+  return errors;
+};
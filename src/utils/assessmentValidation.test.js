@@ -0,0 +1,55 @@
+import { validateAnswer, validateResponses } from './assessmentValidation';
+import { createCondition, createConditionGroup } from './conditions';
+import { QUESTION_TYPES, createAssessment, createSection, createQuestion } from '../types';
+
+const question = (type, validation = {}, overrides = {}) =>
+  createQuestion({ type, ...overrides, validation: { ...createQuestion().validation, ...validation } });
+
+describe('validateAnswer', () => {
+  it('checks lengths, patterns and ranges', () => {
+    const text = question(QUESTION_TYPES.SHORT_TEXT, { minLength: 3, maxLength: 5, pattern: '^[a-z]+$' });
+    expect(validateAnswer(text, 'ab')).toBe('Minimum length is 3');
+    expect(validateAnswer(text, 'abcdef')).toBe('Maximum length is 5');
+    expect(validateAnswer(text, 'ab1')).toBe('Invalid format');
+    expect(validateAnswer(text, 'abc')).toBeNull();
+
+    const number = question(QUESTION_TYPES.NUMERIC, { minValue: 1, maxValue: 10 });
+    expect(validateAnswer(number, '0')).toBe('Minimum is 1');
+    expect(validateAnswer(number, 11)).toBe('Maximum is 10');
+    expect(validateAnswer(number, 'ten')).toBe('Enter a valid number');
+    expect(validateAnswer(number, '')).toBeNull();
+  });
+
+  it('only takes a choice question\'s own options', () => {
+    const single = question(QUESTION_TYPES.SINGLE_CHOICE, {}, { options: ['Yes', 'No'] });
+    const multi = question(QUESTION_TYPES.MULTI_CHOICE, {}, { options: ['Go', 'Rust'] });
+
+    expect(validateAnswer(single, 'Maybe')).toBe('Choose one of the options');
+    expect(validateAnswer(multi, ['Go', 'Java'])).toBe('Choose from the options');
+    expect(validateAnswer(multi, 'Go')).toBe('Choose from the options');
+    expect(validateAnswer(multi, ['Go', 'Rust'])).toBeNull();
+    expect(validateAnswer(question(QUESTION_TYPES.LONG_TEXT), { text: 'hi' })).toBe('Enter text');
+  });
+});
+
+describe('validateResponses', () => {
+  const remote = question(QUESTION_TYPES.SINGLE_CHOICE, {}, { id: 'remote', options: ['Yes', 'No'], required: true });
+  const city = question(QUESTION_TYPES.SHORT_TEXT, { minLength: 2 }, {
+    id: 'city',
+    required: true,
+    conditionalLogic: createConditionGroup({ conditions: [createCondition('remote', { value: 'No' })] }),
+  });
+  const assessment = createAssessment({ sections: [createSection({ questions: [remote, city] })] });
+
+  it('requires the questions the candidate is shown', () => {
+    expect(validateResponses(assessment, {})).toEqual({ remote: 'This field is required' });
+    expect(validateResponses(assessment, { remote: 'No', city: '  ' })).toEqual({ city: 'This field is required' });
+    expect(validateResponses(assessment, { remote: 'Yes', city: 'x' })).toEqual({});
+  });
+
+  it('lets timed-out submissions leave questions unanswered', () => {
+    expect(validateResponses(assessment, { remote: 'No' }, { requireAnswers: false })).toEqual({});
+    expect(validateResponses(assessment, { remote: 'No', city: 'x' }, { requireAnswers: false }))
+      .toEqual({ city: 'Minimum length is 2' });
+  });
+});
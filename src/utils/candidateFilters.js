@@ -0,0 +1,324 @@
+// Advanced candidate filters: an AND/OR tree of conditions over a candidate
+// and one of their applications, plus saved views and their URL form.
+import { getTimeInStage } from './sla';
+import { extractMentions } from './mentions';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const FILTER_OPERATORS = {
+  IS: 'is',
+  IS_NOT: 'is_not',
+  INCLUDES: 'includes',
+  EXCLUDES: 'excludes',
+  BEFORE: 'before',
+  AFTER: 'after',
+  BETWEEN: 'between',
+  GREATER_THAN: 'gt',
+  LESS_THAN: 'lt',
+  IS_SET: 'is_set',
+  IS_NOT_SET: 'is_not_set',
+};
+
+export const OPERATOR_LABELS = {
+  [FILTER_OPERATORS.IS]: 'is',
+  [FILTER_OPERATORS.IS_NOT]: 'is not',
+  [FILTER_OPERATORS.INCLUDES]: 'includes',
+  [FILTER_OPERATORS.EXCLUDES]: 'does not include',
+  [FILTER_OPERATORS.BEFORE]: 'before',
+  [FILTER_OPERATORS.AFTER]: 'after',
+  [FILTER_OPERATORS.BETWEEN]: 'between',
+  [FILTER_OPERATORS.GREATER_THAN]: 'more than',
+  [FILTER_OPERATORS.LESS_THAN]: 'less than',
+  [FILTER_OPERATORS.IS_SET]: 'is recorded',
+  [FILTER_OPERATORS.IS_NOT_SET]: 'is not recorded',
+};
+
+const VALUELESS_OPERATORS = [FILTER_OPERATORS.IS_SET, FILTER_OPERATORS.IS_NOT_SET];
+
+/**
+ * Fields a condition can test. `type` tells the filter builder which input
+ * to show; `resolve` reads the field from a filter context (see
+ * buildFilterContexts). Application fields are null for candidates without
+ * applications.
+ */
+export const FILTER_FIELDS = [
+  {
+    id: 'appliedAt',
+    label: 'Applied date',
+    type: 'date',
+    operators: [FILTER_OPERATORS.BETWEEN, FILTER_OPERATORS.AFTER, FILTER_OPERATORS.BEFORE],
+    resolve: ({ application }) => application?.appliedAt?.slice(0, 10) ?? null,
+  },
+  {
+    id: 'job',
+    label: 'Job',
+    type: 'job',
+    operators: [FILTER_OPERATORS.IS, FILTER_OPERATORS.IS_NOT],
+    resolve: ({ application }) => application?.jobId ?? null,
+  },
+  {
+    id: 'stage',
+    label: 'Stage',
+    type: 'stage',
+    operators: [FILTER_OPERATORS.IS, FILTER_OPERATORS.IS_NOT],
+    resolve: ({ application }) => application?.status ?? null,
+  },
+  {
+    id: 'department',
+    label: 'Department',
+    type: 'department',
+    operators: [FILTER_OPERATORS.IS, FILTER_OPERATORS.IS_NOT],
+    resolve: ({ job }) => job?.department ?? null,
+  },
+  {
+    id: 'tags',
+    label: 'Job tags',
+    type: 'tag',
+    operators: [FILTER_OPERATORS.INCLUDES, FILTER_OPERATORS.EXCLUDES],
+    resolve: ({ job }) => job?.tags || [],
+  },
+  {
+    id: 'assessmentScore',
+    label: 'Assessment score',
+    type: 'number',
+    operators: [
+      FILTER_OPERATORS.GREATER_THAN,
+      FILTER_OPERATORS.LESS_THAN,
+      FILTER_OPERATORS.IS_SET,
+      FILTER_OPERATORS.IS_NOT_SET,
+    ],
+    resolve: ({ score }) => (typeof score === 'number' ? score : null),
+  },
+  {
+    id: 'timeInStage',
+    label: 'Days in stage',
+    type: 'number',
+    operators: [FILTER_OPERATORS.GREATER_THAN, FILTER_OPERATORS.LESS_THAN],
+    resolve: ({ application, now }) => (application ? getTimeInStage(application, now) / DAY_MS : null),
+  },
+  {
+    id: 'mentionedBy',
+    label: 'Mentioned team member',
+    type: 'member',
+    operators: [FILTER_OPERATORS.IS, FILTER_OPERATORS.IS_NOT],
+    resolve: ({ mentions }) => mentions || [],
+  },
+];
+
+const FIELDS_BY_ID = new Map(FILTER_FIELDS.map(field => [field.id, field]));
+
+export const getFilterField = (id) => FIELDS_BY_ID.get(id) || null;
+
+export const createFilterCondition = (fieldId = 'job', overrides = {}) => ({
+  type: 'condition',
+  field: fieldId,
+  operator: getFilterField(fieldId).operators[0],
+  value: getFilterField(fieldId).operators[0] === FILTER_OPERATORS.BETWEEN ? { from: '', to: '' } : '',
+  ...overrides,
+});
+
+export const createFilterGroup = (overrides = {}) => ({
+  type: 'group',
+  combinator: 'and',
+  conditions: [],
+  ...overrides,
+});
+
+// A condition with no value yet is left out rather than matching nothing
+export const isConditionComplete = (condition) => {
+  if (!getFilterField(condition.field)) return false;
+  if (VALUELESS_OPERATORS.includes(condition.operator)) return true;
+  if (condition.operator === FILTER_OPERATORS.BETWEEN) {
+    return !!(condition.value?.from || condition.value?.to);
+  }
+  return condition.value !== '' && condition.value !== null && condition.value !== undefined;
+};
+
+/**
+ * Drops incomplete conditions and empty groups. Returns null when nothing is
+ * left, so an untouched filter builder filters nothing.
+ */
+export const pruneFilter = (node) => {
+  if (!node) return null;
+  if (node.type === 'condition') return isConditionComplete(node) ? node : null;
+
+  const conditions = (node.conditions || []).map(pruneFilter).filter(Boolean);
+  return conditions.length > 0 ? { ...node, conditions } : null;
+};
+
+export const countFilterConditions = (node) => {
+  if (!node) return 0;
+  if (node.type === 'condition') return 1;
+  return (node.conditions || []).reduce((sum, child) => sum + countFilterConditions(child), 0);
+};
+
+// The field ids a filter tests, so callers only load the data they need
+export const getFilterFieldIds = (node) => {
+  if (!node) return new Set();
+  if (node.type === 'condition') return new Set([node.field]);
+  return new Set((node.conditions || []).flatMap(child => Array.from(getFilterFieldIds(child))));
+};
+
+const evaluateCondition = (condition, context) => {
+  const field = getFilterField(condition.field);
+  const actual = field.resolve(context);
+  const expected = condition.value;
+
+  switch (condition.operator) {
+    case FILTER_OPERATORS.IS:
+      return Array.isArray(actual) ? actual.includes(expected) : actual === expected;
+    case FILTER_OPERATORS.IS_NOT:
+      return Array.isArray(actual) ? !actual.includes(expected) : actual !== expected;
+    case FILTER_OPERATORS.INCLUDES:
+      return actual.includes(expected);
+    case FILTER_OPERATORS.EXCLUDES:
+      return !actual.includes(expected);
+    case FILTER_OPERATORS.BEFORE:
+      return actual !== null && actual < expected;
+    case FILTER_OPERATORS.AFTER:
+      return actual !== null && actual > expected;
+    case FILTER_OPERATORS.BETWEEN:
+      return actual !== null
+        && (!expected.from || actual >= expected.from)
+        && (!expected.to || actual <= expected.to);
+    case FILTER_OPERATORS.GREATER_THAN:
+      return actual !== null && actual > Number(expected);
+    case FILTER_OPERATORS.LESS_THAN:
+      return actual !== null && actual < Number(expected);
+    case FILTER_OPERATORS.IS_SET:
+      return actual !== null;
+    case FILTER_OPERATORS.IS_NOT_SET:
+      return actual === null;
+    default:
+      return true;
+  }
+};
+
+/**
+ * Whether one filter context passes a (pruned) filter tree. An empty or
+ * missing filter passes everything.
+ */
+export const evaluateFilter = (node, context) => {
+  if (!node) return true;
+  if (node.type === 'condition') return evaluateCondition(node, context);
+  if (node.conditions.length === 0) return true;
+  return node.combinator === 'or'
+    ? node.conditions.some(child => evaluateFilter(child, context))
+    : node.conditions.every(child => evaluateFilter(child, context));
+};
+
+/**
+ * The contexts a candidate is filtered through: one per application (so
+ * "job is X and more than 14 days in stage" must hold for the same
+ * application), or a single one without an application.
+ *
+ * `scoreFor(application)` returns the candidate's score on that job's
+ * assessment, or null.
+ */
+export const buildFilterContexts = ({ candidate, applications = [], jobsById, notes = [], scoreFor = () => null, now = new Date() }) => {
+  const mentions = Array.from(new Set(notes.flatMap(note => extractMentions(note.content))));
+  const base = { candidate, mentions, now };
+  if (applications.length === 0) {
+    return [{ ...base, application: null, job: null, score: null }];
+  }
+  return applications.map(application => ({
+    ...base,
+    application,
+    job: jobsById.get(application.jobId) || null,
+    score: scoreFor(application),
+  }));
+};
+
+export const matchesFilter = (filter, contextInput) =>
+  !filter || buildFilterContexts(contextInput).some(context => evaluateFilter(filter, context));
+
+// Reads a filter tree from its URL form, dropping anything malformed
+export const parseFilterParam = (param) => {
+  if (!param) return null;
+  try {
+    const sanitize = (node) => {
+      if (node?.type === 'condition') {
+        const field = getFilterField(node.field);
+        if (!field || !field.operators.includes(node.operator)) return null;
+        return { type: 'condition', field: node.field, operator: node.operator, value: node.value ?? '' };
+      }
+      if (node?.type === 'group' && Array.isArray(node.conditions)) {
+        return createFilterGroup({
+          combinator: node.combinator === 'or' ? 'or' : 'and',
+          conditions: node.conditions.map(sanitize).filter(Boolean),
+        });
+      }
+      return null;
+    };
+    return pruneFilter(sanitize(JSON.parse(param)));
+  } catch (e) {
+    return null;
+  }
+};
+
+export const EMPTY_CANDIDATE_FILTERS = {
+  search: '',
+  stage: '',
+  jobId: '',
+  overdue: false,
+  filter: null,
+};
+
+// The candidate page's filters as URL search params (and back), so any
+// filtered list, saved view or not, can be shared as a link
+export const filtersToSearchParams = (filters, viewId = null) => {
+  const params = new URLSearchParams();
+  if (filters.search) params.set('search', filters.search);
+  if (filters.stage) params.set('stage', filters.stage);
+  if (filters.jobId) params.set('jobId', filters.jobId);
+  if (filters.overdue) params.set('overdue', 'true');
+  const filter = pruneFilter(filters.filter);
+  if (filter) params.set('filter', JSON.stringify(filter));
+  if (viewId) params.set('view', viewId);
+  return params;
+};
+
+export const filtersFromSearchParams = (params) => ({
+  search: params.get('search') || '',
+  stage: params.get('stage') || '',
+  jobId: params.get('jobId') || '',
+  overdue: params.get('overdue') === 'true',
+  filter: parseFilterParam(params.get('filter')),
+});
+
+export const getViewUrl = (view) =>
+  `/app/candidates?${filtersToSearchParams(view.filters, view.id).toString()}`;
+
+// Helper function to validate saved views before they are stored
+export const validateSavedViews = (views) => {
+  if (!Array.isArray(views)) {
+    return ['Saved views must be a list'];
+  }
+
+  const errors = [];
+  const names = new Set();
+  views.forEach((view, index) => {
+    const name = view.name?.trim();
+    if (!name) {
+      errors.push(`View ${index + 1} needs a name`);
+      return;
+    }
+    if (names.has(name.toLowerCase())) {
+      errors.push(`View names must be unique ("${name}" is used twice)`);
+    }
+    names.add(name.toLowerCase());
+  });
+  return errors;
+};
+
+// Helper function to give new views an id and store their filters pruned
+export const normalizeSavedViews = (views) =>
+  views.map(view => ({
+    id: view.id || crypto.randomUUID(),
+    name: view.name.trim(),
+    filters: {
+      ...EMPTY_CANDIDATE_FILTERS,
+      ...view.filters,
+      filter: pruneFilter(view.filters?.filter),
+    },
+  }));
@@ -0,0 +1,121 @@
+import {
+  FILTER_OPERATORS,
+  createFilterCondition,
+  createFilterGroup,
+  pruneFilter,
+  matchesFilter,
+  filtersToSearchParams,
+  filtersFromSearchParams,
+  parseFilterParam,
+  validateSavedViews,
+} from './candidateFilters';
+
+const NOW = new Date('2024-03-01T00:00:00.000Z');
+const jobsById = new Map([
+  ['job-1', { id: 'job-1', department: 'Engineering', tags: ['react', 'remote'] }],
+  ['job-2', { id: 'job-2', department: 'Design', tags: ['figma'] }],
+]);
+const application = (jobId, overrides = {}) => ({
+  id: `${jobId}-app`,
+  candidateId: 'cand-1',
+  jobId,
+  status: 'screen',
+  appliedAt: '2024-01-15T09:00:00.000Z',
+  stageEnteredAt: '2024-02-20T00:00:00.000Z',
+  ...overrides,
+});
+const condition = (field, operator, value) => createFilterCondition(field, { operator, value });
+const matches = (filter, input = {}) =>
+  matchesFilter(pruneFilter(filter), {
+    candidate: { id: 'cand-1' },
+    applications: [application('job-1'), application('job-2', { stageEnteredAt: '2024-01-01T00:00:00.000Z' })],
+    jobsById,
+    now: NOW,
+    ...input,
+  });
+
+describe('matchesFilter', () => {
+  it('requires AND conditions to hold for the same application', () => {
+    const engineeringOverTwoWeeks = createFilterGroup({
+      conditions: [
+        condition('department', FILTER_OPERATORS.IS, 'Engineering'),
+        condition('timeInStage', FILTER_OPERATORS.GREATER_THAN, '14'),
+      ],
+    });
+    const designOverTwoWeeks = createFilterGroup({
+      conditions: [
+        condition('department', FILTER_OPERATORS.IS, 'Design'),
+        condition('timeInStage', FILTER_OPERATORS.GREATER_THAN, '14'),
+      ],
+    });
+
+    expect(matches(engineeringOverTwoWeeks)).toBe(false);
+    expect(matches(designOverTwoWeeks)).toBe(true);
+  });
+
+  it('combines OR groups, date ranges, tags and scores', () => {
+    const filter = createFilterGroup({
+      combinator: 'or',
+      conditions: [
+        condition('assessmentScore', FILTER_OPERATORS.GREATER_THAN, '80'),
+        createFilterGroup({
+          conditions: [
+            condition('appliedAt', FILTER_OPERATORS.BETWEEN, { from: '2024-01-01', to: '2024-01-31' }),
+            condition('tags', FILTER_OPERATORS.INCLUDES, 'react'),
+          ],
+        }),
+      ],
+    });
+
+    expect(matches(filter)).toBe(true);
+    expect(matches(filter, { applications: [application('job-2')] })).toBe(false);
+    expect(matches(filter, { applications: [application('job-2')], scoreFor: () => 92 })).toBe(true);
+  });
+
+  it('reads mentions from note text', () => {
+    const filter = createFilterGroup({ conditions: [condition('mentionedBy', FILTER_OPERATORS.IS, '2')] });
+
+    expect(matches(filter, { notes: [{ content: 'Looping in @Sarah Johnson for the screen' }] })).toBe(true);
+    expect(matches(filter, { notes: [{ content: 'Sarah Johnson liked them' }] })).toBe(false);
+  });
+
+  it('ignores conditions without a value', () => {
+    const filter = createFilterGroup({ conditions: [createFilterCondition('job')] });
+
+    expect(pruneFilter(filter)).toBeNull();
+    expect(matches(filter, { applications: [] })).toBe(true);
+  });
+});
+
+describe('URL round trip', () => {
+  it('restores filters, including the filter tree, from search params', () => {
+    const filters = {
+      search: 'ada',
+      stage: '',
+      jobId: 'job-1',
+      overdue: true,
+      filter: createFilterGroup({ conditions: [condition('stage', FILTER_OPERATORS.IS_NOT, 'hired')] }),
+    };
+
+    const params = filtersToSearchParams(filters, 'view-1');
+
+    expect(params.get('view')).toBe('view-1');
+    expect(filtersFromSearchParams(new URLSearchParams(params.toString()))).toEqual(filters);
+  });
+
+  it('drops malformed filter params', () => {
+    expect(parseFilterParam('{not json')).toBeNull();
+    expect(parseFilterParam(JSON.stringify(createFilterGroup({
+      conditions: [{ type: 'condition', field: 'salary', operator: 'gt', value: 1 }],
+    })))).toBeNull();
+  });
+});
+
+describe('validateSavedViews', () => {
+  it('requires unique names', () => {
+    expect(validateSavedViews([{ name: 'Hot leads' }, { name: 'hot leads ' }, { name: '' }])).toEqual([
+      'View names must be unique ("hot leads" is used twice)',
+      'View 3 needs a name',
+    ]);
+  });
+});
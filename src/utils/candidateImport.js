@@ -0,0 +1,119 @@
+// Importing candidates from CSV/TSV: mapping columns to candidate fields and
+// checking every row before anything is written
+import { getJobPipeline } from './pipeline';
+import { getRequiredFields } from './transitions';
+import { normalizeEmail } from './duplicates';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Fields a column can be mapped to. `aliases` are header names recognised,
+// lowercase with dashes and underscores read as spaces, when guessing the mapping.
+export const IMPORT_FIELDS = [
+  { id: 'name', label: 'Name', required: true, aliases: ['full name', 'candidate', 'candidate name'] },
+  { id: 'email', label: 'Email', required: true, aliases: ['email address', 'e mail', 'mail'] },
+  { id: 'phone', label: 'Phone', aliases: ['phone number', 'mobile', 'telephone', 'tel'] },
+  { id: 'job', label: 'Job', aliases: ['job title', 'position', 'role', 'applied for'] },
+  { id: 'stage', label: 'Stage', aliases: ['status', 'pipeline stage'] },
+  { id: 'tags', label: 'Tags', aliases: ['labels', 'skills'] },
+];
+
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+
+// Field id -> column index, matched on header names; null when no column fits
+export const guessColumnMapping = (headers) =>
+  Object.fromEntries(IMPORT_FIELDS.map(field => {
+    const names = [field.id, field.label.toLowerCase(), ...field.aliases];
+    const index = headers.findIndex(header => names.includes(normalizeHeader(header)));
+    return [field.id, index === -1 ? null : index];
+  }));
+
+export const validateColumnMapping = (mapping) =>
+  IMPORT_FIELDS
+    .filter(field => field.required && (mapping[field.id] === null || mapping[field.id] === undefined))
+    .map(field => `Choose the column that holds the ${field.label.toLowerCase()}`);
+
+// Problems with a candidate's own details; used again when the import is saved
+export const validateImportCandidate = (candidate) => {
+  const errors = [];
+  if (!candidate.name?.trim()) {
+    errors.push('Name is missing');
+  }
+  if (!candidate.email?.trim()) {
+    errors.push('Email is missing');
+  } else if (!EMAIL_PATTERN.test(candidate.email.trim())) {
+    errors.push(`"${candidate.email}" isn't an email address`);
+  }
+  return errors;
+};
+
+const parseTags = (value) =>
+  Array.from(new Set(value.split(/[,;]/).map(tag => tag.trim()).filter(Boolean)));
+
+/**
+ * Turns the data rows of a parsed file into candidates to import, each with
+ * the problems found in it. Jobs are matched by title or id, stages by name
+ * or id within the job's pipeline, both ignoring case; stages that ask for
+ * details on entry can't be imported into. `row` counts from the header,
+ * which is row 1.
+ *
+ * @returns {{ row: number, candidate: { name, email, phone, jobId, stage, tags }, errors: string[] }[]}
+ */
+export const buildImportRows = (dataRows, mapping, { jobs = [] } = {}) => {
+  const jobsByKey = new Map();
+  jobs.forEach(job => {
+    jobsByKey.set(String(job.id).toLowerCase(), job);
+    if (!jobsByKey.has(job.title.toLowerCase())) jobsByKey.set(job.title.toLowerCase(), job);
+  });
+  const rowsByEmail = new Map();
+
+  return dataRows.map((cells, index) => {
+    const read = (fieldId) => (mapping[fieldId] === null || mapping[fieldId] === undefined
+      ? ''
+      : (cells[mapping[fieldId]] || '').trim());
+    const row = index + 2;
+    const candidate = {
+      name: read('name'),
+      email: read('email'),
+      phone: read('phone'),
+      jobId: null,
+      stage: null,
+      tags: parseTags(read('tags')),
+    };
+    const errors = validateImportCandidate(candidate);
+
+    const email = normalizeEmail(candidate.email);
+    if (email && rowsByEmail.has(email)) {
+      errors.push(`Same email as row ${rowsByEmail.get(email)}`);
+    } else if (email) {
+      rowsByEmail.set(email, row);
+    }
+
+    const jobName = read('job');
+    const stageName = read('stage');
+    const job = jobName ? jobsByKey.get(jobName.toLowerCase()) : null;
+    if (jobName && !job) {
+      errors.push(`No job called "${jobName}"`);
+    } else if (job && job.status !== 'active') {
+      errors.push(`${job.title} isn't open for applications`);
+    } else if (job) {
+      candidate.jobId = job.id;
+      if (stageName) {
+        const stage = getJobPipeline(job).find(item =>
+          item.id.toLowerCase() === stageName.toLowerCase() || item.name.toLowerCase() === stageName.toLowerCase()
+        );
+        if (!stage) {
+          errors.push(`"${stageName}" isn't a stage of ${job.title}`);
+        } else if (getRequiredFields(stage).length > 0) {
+          // Such as the reason a rejection needs
+          errors.push(`${stage.name} needs details an import can't provide`);
+        } else {
+          candidate.stage = stage.id;
+        }
+      }
+    } else if (stageName) {
+      errors.push('A stage needs a job');
+    }
+
+    return { row, candidate, errors };
+  });
+};
@@ -0,0 +1,48 @@
+import { guessColumnMapping, validateColumnMapping, buildImportRows } from './candidateImport';
+import { createJob } from '../types';
+
+describe('guessColumnMapping', () => {
+  it('matches headers by name and alias', () => {
+    const mapping = guessColumnMapping(['Full Name', 'E-mail', 'Position', 'notes']);
+
+    expect(mapping).toEqual({ name: 0, email: 1, phone: null, job: 2, stage: null, tags: null });
+    expect(validateColumnMapping(mapping)).toEqual([]);
+    expect(validateColumnMapping({ ...mapping, email: null })).toEqual(['Choose the column that holds the email']);
+  });
+});
+
+describe('buildImportRows', () => {
+  const jobs = [
+    createJob({ id: 'job-1', title: 'Engineer', status: 'active' }),
+    createJob({ id: 'job-2', title: 'Designer', status: 'archived' }),
+  ];
+  const mapping = { name: 0, email: 1, phone: null, job: 2, stage: 3, tags: 4 };
+
+  it('resolves jobs and stages by name and splits tags', () => {
+    const [row] = buildImportRows([['Ada', 'ada@example.com', 'engineer', 'phone screen', 'referral; python, referral']], mapping, { jobs });
+
+    expect(row).toEqual({
+      row: 2,
+      candidate: { name: 'Ada', email: 'ada@example.com', phone: '', jobId: 'job-1', stage: 'screen', tags: ['referral', 'python'] },
+      errors: [],
+    });
+  });
+
+  it('reports invalid rows without dropping them', () => {
+    const rows = buildImportRows([
+      ['', 'not-an-email', '', 'Tech', ''],
+      ['Grace', 'grace@example.com', 'Designer', '', ''],
+      ['Grace H', 'GRACE@example.com', 'Pilot', '', ''],
+      ['Ken', 'ken@example.com', 'job-1', 'Lunch', ''],
+      ['Linus', 'linus@example.com', 'Engineer', 'rejected', ''],
+    ], mapping, { jobs });
+
+    expect(rows.map(row => row.errors)).toEqual([
+      ['Name is missing', '"not-an-email" isn\'t an email address', 'A stage needs a job'],
+      ['Designer isn\'t open for applications'],
+      ['Same email as row 3', 'No job called "Pilot"'],
+      ['"Lunch" isn\'t a stage of Engineer'],
+      ['Rejected needs details an import can\'t provide'],
+    ]);
+  });
+});
@@ -0,0 +1,55 @@
+// Matching helpers for the command palette (components/CommandPalette.js)
+import { normalizeText } from './search';
+
+/**
+ * How well `query` matches a command or stage label, from 0 (no match) to 1.
+ * Whole-label and word-start matches beat substrings, which beat the query's
+ * letters merely appearing in order ("crj" → "Create job").
+ */
+export const fuzzyScore = (query, text) => {
+  const needle = normalizeText(query).trim();
+  const haystack = normalizeText(text);
+  if (!needle) return 1;
+  if (haystack === needle) return 1;
+  if (haystack.startsWith(needle)) return 0.9;
+  if (haystack.split(/[^a-z0-9]+/).some(word => word.startsWith(needle))) return 0.8;
+  if (haystack.includes(needle)) return 0.6;
+
+  let position = 0;
+  for (const char of needle.replace(/\s+/g, '')) {
+    position = haystack.indexOf(char, position);
+    if (position < 0) return 0;
+    position += 1;
+  }
+  return 0.3;
+};
+
+/**
+ * Reads "move <candidate> to <stage>" from the palette's input. The stage part
+ * may be missing or partly typed. Returns { candidateQuery, stageQuery }, or
+ * null when the input isn't a move.
+ */
+export const parseMoveCommand = (query) => {
+  const match = query.trim().match(/^move\s+(.+?)(?:\s+to(?:\s+(.*))?)?$/i);
+  if (!match) return null;
+  return { candidateQuery: match[1].trim(), stageQuery: (match[2] || '').trim() };
+};
+
+/**
+ * The stages of a pipeline an application could be moved to for a stage
+ * query, best match first. The application's current stage is left out.
+ */
+export const matchStages = (pipeline, stageQuery, currentStage) =>
+  pipeline
+    .filter(stage => stage.id !== currentStage)
+    .map(stage => ({ stage, score: Math.max(fuzzyScore(stageQuery, stage.name), fuzzyScore(stageQuery, stage.id)) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ stage }) => stage);
+
+/**
+ * Adds an item to the front of a recent-items list, dropping an older entry
+ * for the same thing and anything past `max`.
+ */
+export const pushRecentItem = (items, item, max = 6) =>
+  [item, ...items.filter(existing => existing.key !== item.key)].slice(0, max);
@@ -0,0 +1,40 @@
+import { fuzzyScore, parseMoveCommand, matchStages, pushRecentItem } from './commands';
+import { DEFAULT_PIPELINE } from '../types';
+
+describe('fuzzyScore', () => {
+  it('prefers whole labels, then word starts, then scattered letters', () => {
+    expect(fuzzyScore('create job', 'Create job')).toBe(1);
+    expect(fuzzyScore('job', 'Create job')).toBeGreaterThan(fuzzyScore('eat', 'Create job'));
+    expect(fuzzyScore('crj', 'Create job')).toBeGreaterThan(0);
+    expect(fuzzyScore('xyz', 'Create job')).toBe(0);
+  });
+});
+
+describe('parseMoveCommand', () => {
+  it('splits the candidate and stage', () => {
+    expect(parseMoveCommand('move Ada Lovelace to tech')).toEqual({ candidateQuery: 'Ada Lovelace', stageQuery: 'tech' });
+    expect(parseMoveCommand('Move ada to ')).toEqual({ candidateQuery: 'ada', stageQuery: '' });
+    expect(parseMoveCommand('move ada')).toEqual({ candidateQuery: 'ada', stageQuery: '' });
+  });
+
+  it('ignores other input', () => {
+    expect(parseMoveCommand('ada lovelace')).toBeNull();
+    expect(parseMoveCommand('move')).toBeNull();
+  });
+});
+
+describe('matchStages', () => {
+  it('finds stages by name or id, leaving out the current one', () => {
+    expect(matchStages(DEFAULT_PIPELINE, 'tech', 'screen').map(stage => stage.id)).toEqual(['tech']);
+    expect(matchStages(DEFAULT_PIPELINE, '', 'applied').map(stage => stage.id)).not.toContain('applied');
+  });
+});
+
+describe('pushRecentItem', () => {
+  it('moves repeated items to the front and caps the list', () => {
+    const items = [{ key: 'a' }, { key: 'b' }, { key: 'c' }];
+
+    expect(pushRecentItem(items, { key: 'c' }).map(item => item.key)).toEqual(['c', 'a', 'b']);
+    expect(pushRecentItem(items, { key: 'd' }, 3).map(item => item.key)).toEqual(['d', 'a', 'b']);
+  });
+});
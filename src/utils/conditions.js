@@ -0,0 +1,316 @@
+// Conditional logic on assessments: an AND/OR tree of conditions on earlier
+// answers that shows a question or a section, and branching that skips
+// sections. The builder's preview, the candidate's form and the submit
+// handler all use this one evaluator.
+import { QUESTION_TYPES } from '../types';
+
+export const CONDITION_OPERATORS = {
+  EQUALS: 'equals',
+  NOT_EQUALS: 'not_equals',
+  CONTAINS: 'contains',
+  GREATER_THAN: 'gt',
+  LESS_THAN: 'lt',
+  IS_ANSWERED: 'is_answered',
+};
+
+export const CONDITION_OPERATOR_LABELS = {
+  [CONDITION_OPERATORS.EQUALS]: 'equals',
+  [CONDITION_OPERATORS.NOT_EQUALS]: 'does not equal',
+  [CONDITION_OPERATORS.CONTAINS]: 'contains',
+  [CONDITION_OPERATORS.GREATER_THAN]: 'more than',
+  [CONDITION_OPERATORS.LESS_THAN]: 'less than',
+  [CONDITION_OPERATORS.IS_ANSWERED]: 'is answered',
+};
+
+// Branch target that skips every section left
+export const END_OF_ASSESSMENT = 'end';
+
+export const createCondition = (questionId = null, overrides = {}) => ({
+  type: 'condition',
+  questionId,
+  operator: CONDITION_OPERATORS.EQUALS,
+  value: '',
+  ...overrides,
+});
+
+export const createConditionGroup = (overrides = {}) => ({
+  type: 'group',
+  combinator: 'and',
+  conditions: [],
+  ...overrides,
+});
+
+const isBlank = (answer) =>
+  answer === undefined || answer === null || answer === '' || (Array.isArray(answer) && answer.length === 0);
+
+const isGroup = (node) => node?.type === 'group';
+
+// The operators that make sense for the answers a question takes
+export const getOperatorsForQuestion = (question) => {
+  const { EQUALS, NOT_EQUALS, CONTAINS, GREATER_THAN, LESS_THAN, IS_ANSWERED } = CONDITION_OPERATORS;
+  switch (question?.type) {
+    case QUESTION_TYPES.SINGLE_CHOICE:
+      return [EQUALS, NOT_EQUALS, IS_ANSWERED];
+    case QUESTION_TYPES.MULTI_CHOICE:
+      return [CONTAINS, NOT_EQUALS, IS_ANSWERED];
+    case QUESTION_TYPES.NUMERIC:
+      return [EQUALS, NOT_EQUALS, GREATER_THAN, LESS_THAN, IS_ANSWERED];
+    case QUESTION_TYPES.FILE_UPLOAD:
+      return [IS_ANSWERED];
+    default:
+      return [EQUALS, NOT_EQUALS, CONTAINS, IS_ANSWERED];
+  }
+};
+
+export const operatorTakesValue = (operator) => operator !== CONDITION_OPERATORS.IS_ANSWERED;
+
+/**
+ * Logic as a condition group. Questions saved before groups existed hold a
+ * single { questionId, operator, value }, which becomes a group of one.
+ */
+export const normalizeLogic = (logic) => {
+  if (!logic) return null;
+  if (isGroup(logic)) return logic;
+  return createConditionGroup({ conditions: [{ ...logic, type: 'condition' }] });
+};
+
+/**
+ * Whether one condition holds for the answers so far. A condition without a
+ * question yet holds, so half-written logic in the builder hides nothing.
+ * Multi choice answers equal or contain a value when it is one of the picks.
+ */
+export const evaluateCondition = (condition, answers = {}) => {
+  if (!condition?.questionId) return true;
+  const answer = answers[condition.questionId];
+  const value = condition.value ?? '';
+
+  switch (condition.operator) {
+    case CONDITION_OPERATORS.IS_ANSWERED:
+      return !isBlank(answer);
+    case CONDITION_OPERATORS.EQUALS:
+    case CONDITION_OPERATORS.NOT_EQUALS: {
+      const equal = Array.isArray(answer) ? answer.includes(value) : String(answer ?? '') === String(value);
+      return condition.operator === CONDITION_OPERATORS.EQUALS ? equal : !equal;
+    }
+    case CONDITION_OPERATORS.CONTAINS:
+      if (isBlank(answer)) return false;
+      if (Array.isArray(answer)) return answer.includes(value);
+      return String(answer).toLowerCase().includes(String(value).toLowerCase());
+    case CONDITION_OPERATORS.GREATER_THAN:
+    case CONDITION_OPERATORS.LESS_THAN: {
+      if (isBlank(answer) || value === '') return false;
+      const number = Number(answer);
+      const limit = Number(value);
+      if (!Number.isFinite(number) || !Number.isFinite(limit)) return false;
+      return condition.operator === CONDITION_OPERATORS.GREATER_THAN ? number > limit : number < limit;
+    }
+    default:
+      return true;
+  }
+};
+
+// Whether logic (a group, a legacy condition, or none) holds; an empty group does
+export const evaluateLogic = (logic, answers = {}) => {
+  const group = normalizeLogic(logic);
+  if (!group || group.conditions.length === 0) return true;
+  const holds = (item) => (isGroup(item) ? evaluateLogic(item, answers) : evaluateCondition(item, answers));
+  return group.combinator === 'or'
+    ? group.conditions.some(holds)
+    : group.conditions.every(holds);
+};
+
+// Every condition in some logic, however deeply grouped
+export const getConditions = (logic) => {
+  const group = normalizeLogic(logic);
+  if (!group) return [];
+  return group.conditions.flatMap(item => (isGroup(item) ? getConditions(item) : [item]));
+};
+
+/**
+ * Which sections and questions the candidate sees for their answers:
+ * { sections: { [id]: boolean }, questions: { [id]: boolean } }.
+ *
+ * Sections are walked in order and conditions only see the answers to
+ * questions shown before them, so an answer left behind on a question that
+ * has since been hidden changes nothing. After a section, its first branching
+ * rule that holds skips ahead to its target section, or past every section
+ * for the end of the assessment. Questions in a hidden section are hidden.
+ */
+export const getVisibility = (assessment, responses = {}) => {
+  const sections = {};
+  const questions = {};
+  const answers = {};
+  const sectionIndex = new Map(assessment.sections.map((section, index) => [section.id, index]));
+  let skipTo = null;
+
+  assessment.sections.forEach((section, index) => {
+    if (skipTo === section.id) skipTo = null;
+    const shown = !skipTo && evaluateLogic(section.conditionalLogic, answers);
+    sections[section.id] = shown;
+
+    section.questions.forEach(question => {
+      questions[question.id] = shown && evaluateLogic(question.conditionalLogic, answers);
+      if (questions[question.id] && question.id in responses) {
+        answers[question.id] = responses[question.id];
+      }
+    });
+
+    if (!shown) return;
+    const branch = (section.branching || []).find(rule =>
+      (rule.targetSectionId === END_OF_ASSESSMENT || sectionIndex.get(rule.targetSectionId) > index) &&
+      evaluateLogic(rule.condition, answers)
+    );
+    if (branch) skipTo = branch.targetSectionId;
+  });
+
+  return { sections, questions };
+};
+
+// The answers without those to questions the candidate wasn't shown
+export const pruneHiddenAnswers = (assessment, responses = {}) => {
+  const visibility = getVisibility(assessment, responses);
+  return Object.fromEntries(
+    Object.entries(responses).filter(([questionId]) => visibility.questions[questionId] !== false)
+  );
+};
+
+// The questions in the sections before a section, which its conditions can use
+export const getQuestionsBeforeSection = (assessment, sectionId) => {
+  const index = assessment.sections.findIndex(section => section.id === sectionId);
+  const before = index === -1 ? assessment.sections : assessment.sections.slice(0, index);
+  return before.flatMap(section => section.questions);
+};
+
+// The questions before a question, which its conditions can use; a question
+// not in the section yet is about to be added at its end
+export const getQuestionsBeforeQuestion = (assessment, sectionId, questionId) => {
+  const section = assessment.sections.find(candidate => candidate.id === sectionId);
+  const own = section?.questions || [];
+  const index = own.findIndex(question => question.id === questionId);
+  return [
+    ...getQuestionsBeforeSection(assessment, sectionId),
+    ...(index === -1 ? own : own.slice(0, index)),
+  ];
+};
+
+const describeQuestion = (question) => `"${question.title || 'Untitled question'}"`;
+const describeSection = (section) => `section "${section.title || 'Untitled section'}"`;
+
+/**
+ * Logic that can't work, as [{ sectionId, questionId, message }]: conditions
+ * without a question or on a question that was deleted, conditions on a
+ * question that doesn't come first, branches that don't skip ahead, and
+ * conditions that depend on each other in a loop. `questionId` is null for
+ * a section's own logic.
+ */
+export const findLogicProblems = (assessment) => {
+  const problems = [];
+  const positions = new Map();
+  assessment.sections.forEach((section, sectionIndex) => {
+    section.questions.forEach((question, questionIndex) => {
+      positions.set(question.id, { question, section, sectionIndex, questionIndex });
+    });
+  });
+  const sectionIndex = new Map(assessment.sections.map((section, index) => [section.id, index]));
+
+  // What each question and section's visibility depends on, as graph edges
+  const edges = new Map();
+  const addEdge = (from, to) => edges.set(from, [...(edges.get(from) || []), to]);
+  const names = new Map();
+  const forwardReferences = [];
+
+  const checkConditions = (logic, owner, isBefore) => {
+    getConditions(logic).forEach(condition => {
+      if (!condition.questionId) {
+        problems.push({ ...owner.ids, message: `${owner.name} has a condition without a question` });
+        return;
+      }
+      const target = positions.get(condition.questionId);
+      if (!target) {
+        problems.push({ ...owner.ids, message: `${owner.name} depends on a question that no longer exists` });
+        return;
+      }
+      owner.nodes.forEach(node => addEdge(node, `question:${condition.questionId}`));
+      if (!isBefore(target)) {
+        forwardReferences.push({
+          ...owner,
+          questionNode: `question:${condition.questionId}`,
+          message: `${owner.name} depends on ${describeQuestion(target.question)}, which doesn't come before it`,
+        });
+      }
+    });
+  };
+
+  assessment.sections.forEach((section, index) => {
+    const sectionNode = `section:${section.id}`;
+    names.set(sectionNode, describeSection(section));
+    const sectionName = describeSection(section);
+
+    checkConditions(section.conditionalLogic, {
+      ids: { sectionId: section.id, questionId: null },
+      name: sectionName.charAt(0).toUpperCase() + sectionName.slice(1),
+      nodes: [sectionNode],
+    }, target => target.sectionIndex < index);
+
+    section.questions.forEach((question, questionIndex) => {
+      const questionNode = `question:${question.id}`;
+      names.set(questionNode, describeQuestion(question));
+      addEdge(questionNode, sectionNode);
+      checkConditions(question.conditionalLogic, {
+        ids: { sectionId: section.id, questionId: question.id },
+        name: `Question ${describeQuestion(question)}`,
+        nodes: [questionNode],
+      }, target => target.sectionIndex < index || (target.sectionIndex === index && target.questionIndex < questionIndex));
+    });
+
+    (section.branching || []).forEach(rule => {
+      const ids = { sectionId: section.id, questionId: null };
+      const target = rule.targetSectionId;
+      if (target !== END_OF_ASSESSMENT && !sectionIndex.has(target)) {
+        problems.push({ ...ids, message: `A branch after ${sectionName} goes to a section that no longer exists` });
+      } else if (target !== END_OF_ASSESSMENT && sectionIndex.get(target) <= index) {
+        problems.push({ ...ids, message: `A branch after ${sectionName} goes back to ${describeSection(assessment.sections[sectionIndex.get(target)])}; branches can only skip ahead` });
+      }
+      // A branch decides whether every later section is shown
+      checkConditions(rule.condition, {
+        ids,
+        name: `A branch after ${sectionName}`,
+        nodes: assessment.sections.slice(index + 1).map(later => `section:${later.id}`),
+      }, candidate => candidate.sectionIndex <= index);
+    });
+  });
+
+  // Loops in the dependencies, found walking the graph depth first
+  const inLoop = new Set();
+  const state = new Map();
+  const visit = (node, path) => {
+    state.set(node, 'visiting');
+    (edges.get(node) || []).forEach(next => {
+      if (state.get(next) === 'visiting') {
+        const loop = [...path.slice(path.indexOf(next)), next];
+        loop.forEach(member => inLoop.add(member));
+        const questionNodes = loop.filter(member => member.startsWith('question:'));
+        const [sectionId, questionId] = questionNodes.length
+          ? [positions.get(questionNodes[0].slice('question:'.length)).section.id, questionNodes[0].slice('question:'.length)]
+          : [loop[0].slice('section:'.length), null];
+        problems.push({
+          sectionId,
+          questionId,
+          message: `Conditions depend on each other in a loop: ${loop.map(member => names.get(member)).join(' → ')}`,
+        });
+      } else if (!state.has(next)) {
+        visit(next, [...path, next]);
+      }
+    });
+    state.set(node, 'done');
+  };
+  Array.from(edges.keys()).forEach(node => {
+    if (!state.has(node)) visit(node, [node]);
+  });
+
+  forwardReferences
+    .filter(reference => !(inLoop.has(reference.questionNode) && reference.nodes.some(node => inLoop.has(node))))
+    .forEach(reference => problems.push({ ...reference.ids, message: reference.message }));
+
+  return problems;
+};
@@ -0,0 +1,148 @@
+import {
+  CONDITION_OPERATORS,
+  END_OF_ASSESSMENT,
+  createCondition,
+  createConditionGroup,
+  evaluateLogic,
+  getVisibility,
+  pruneHiddenAnswers,
+  findLogicProblems,
+  getQuestionsBeforeQuestion,
+} from './conditions';
+import { QUESTION_TYPES, createAssessment, createSection, createQuestion } from '../types';
+
+const { EQUALS, NOT_EQUALS, CONTAINS, GREATER_THAN, LESS_THAN, IS_ANSWERED } = CONDITION_OPERATORS;
+const when = (questionId, operator, value = '') => createCondition(questionId, { operator, value });
+const all = (...conditions) => createConditionGroup({ conditions });
+const any = (...conditions) => createConditionGroup({ combinator: 'or', conditions });
+
+describe('evaluateLogic', () => {
+  const answers = { role: 'Backend', skills: ['Go', 'SQL'], years: '4', notes: 'Loves Postgres', empty: '' };
+
+  it('compares answers with each operator', () => {
+    expect(evaluateLogic(all(when('role', EQUALS, 'Backend')), answers)).toBe(true);
+    expect(evaluateLogic(all(when('role', NOT_EQUALS, 'Backend')), answers)).toBe(false);
+    expect(evaluateLogic(all(when('skills', CONTAINS, 'SQL')), answers)).toBe(true);
+    expect(evaluateLogic(all(when('notes', CONTAINS, 'postgres')), answers)).toBe(true);
+    expect(evaluateLogic(all(when('years', GREATER_THAN, '3')), answers)).toBe(true);
+    expect(evaluateLogic(all(when('years', LESS_THAN, '3')), answers)).toBe(false);
+    expect(evaluateLogic(all(when('missing', GREATER_THAN, '0')), answers)).toBe(false);
+    expect(evaluateLogic(all(when('empty', IS_ANSWERED)), answers)).toBe(false);
+    expect(evaluateLogic(all(when('skills', IS_ANSWERED)), answers)).toBe(true);
+  });
+
+  it('joins conditions with AND and OR, nested in groups', () => {
+    const logic = all(
+      when('role', EQUALS, 'Backend'),
+      any(when('years', GREATER_THAN, '5'), when('skills', CONTAINS, 'Go'))
+    );
+
+    expect(evaluateLogic(logic, answers)).toBe(true);
+    expect(evaluateLogic(logic, { ...answers, skills: ['SQL'] })).toBe(false);
+    expect(evaluateLogic(any(), answers)).toBe(true);
+  });
+
+  it('reads conditions saved before groups existed', () => {
+    expect(evaluateLogic({ questionId: 'role', operator: 'equals', value: 'Backend' }, answers)).toBe(true);
+    expect(evaluateLogic({ questionId: 'skills', operator: 'equals', value: 'Rust' }, answers)).toBe(false);
+    expect(evaluateLogic(null, answers)).toBe(true);
+  });
+});
+
+describe('getVisibility', () => {
+  const q = (id, conditionalLogic = null) => createQuestion({ id, type: QUESTION_TYPES.SHORT_TEXT, conditionalLogic });
+  const assessment = createAssessment({
+    sections: [
+      createSection({
+        id: 'intro',
+        questions: [q('track'), q('why', all(when('track', EQUALS, 'skip')))],
+        branching: [{ condition: all(when('track', EQUALS, 'skip')), targetSectionId: 'wrapup' }],
+      }),
+      createSection({ id: 'deep-dive', questions: [q('design')] }),
+      createSection({ id: 'senior', conditionalLogic: all(when('design', IS_ANSWERED)), questions: [q('lead')] }),
+      createSection({
+        id: 'wrapup',
+        questions: [q('anything')],
+        branching: [{ condition: all(when('anything', EQUALS, 'no')), targetSectionId: END_OF_ASSESSMENT }],
+      }),
+      createSection({ id: 'extra', questions: [q('more')] }),
+    ],
+  });
+
+  it('shows sections and questions whose conditions hold', () => {
+    const visibility = getVisibility(assessment, { track: 'full', design: 'A queue' });
+
+    expect(visibility.sections).toEqual({ intro: true, 'deep-dive': true, senior: true, wrapup: true, extra: true });
+    expect(visibility.questions.why).toBe(false);
+  });
+
+  it('skips ahead on a branch and ignores answers on skipped questions', () => {
+    const visibility = getVisibility(assessment, { track: 'skip', design: 'Left behind', anything: 'no' });
+
+    expect(visibility.sections).toEqual({ intro: true, 'deep-dive': false, senior: false, wrapup: true, extra: false });
+    expect(visibility.questions).toEqual(expect.objectContaining({ why: true, design: false, lead: false, more: false }));
+  });
+
+  it('drops answers to hidden questions', () => {
+    expect(pruneHiddenAnswers(assessment, { track: 'skip', design: 'Left behind', anything: 'yes' }))
+      .toEqual({ track: 'skip', anything: 'yes' });
+  });
+});
+
+describe('findLogicProblems', () => {
+  const q = (id, conditionalLogic = null) => createQuestion({ id, title: id, conditionalLogic });
+
+  it('accepts conditions on earlier questions', () => {
+    const assessment = createAssessment({
+      sections: [
+        createSection({ id: 's1', questions: [q('a'), q('b', all(when('a', IS_ANSWERED)))] }),
+        createSection({ id: 's2', conditionalLogic: all(when('b', IS_ANSWERED)), questions: [q('c')] }),
+      ],
+    });
+
+    expect(findLogicProblems(assessment)).toEqual([]);
+    expect(getQuestionsBeforeQuestion(assessment, 's2', 'c').map(question => question.id)).toEqual(['a', 'b']);
+    expect(getQuestionsBeforeQuestion(assessment, 's1', 'b').map(question => question.id)).toEqual(['a']);
+  });
+
+  it('flags later and deleted questions and branches that go back', () => {
+    const assessment = createAssessment({
+      sections: [
+        createSection({
+          id: 's1',
+          title: 'One',
+          questions: [q('a', all(when('c', IS_ANSWERED))), q('b', all(when('gone', IS_ANSWERED)))],
+        }),
+        createSection({
+          id: 's2',
+          title: 'Two',
+          questions: [q('c')],
+          branching: [{ condition: all(when('c', IS_ANSWERED)), targetSectionId: 's1' }],
+        }),
+      ],
+    });
+
+    expect(findLogicProblems(assessment).map(problem => problem.message)).toEqual([
+      'Question "b" depends on a question that no longer exists',
+      'A branch after section "Two" goes back to section "One"; branches can only skip ahead',
+      'Question "a" depends on "c", which doesn\'t come before it',
+    ]);
+  });
+
+  it('reports conditions that depend on each other in a loop', () => {
+    const assessment = createAssessment({
+      sections: [
+        createSection({
+          id: 's1',
+          title: 'One',
+          conditionalLogic: all(when('b', IS_ANSWERED)),
+          questions: [q('a', all(when('b', EQUALS, 'x'))), q('b', all(when('a', EQUALS, 'y')))],
+        }),
+      ],
+    });
+
+    const problems = findLogicProblems(assessment);
+    expect(problems.every(problem => problem.message.startsWith('Conditions depend on each other in a loop'))).toBe(true);
+    expect(problems[0]).toEqual(expect.objectContaining({ sectionId: 's1' }));
+  });
+});
@@ -0,0 +1,87 @@
+// Delimited text (CSV, TSV) for imports and exports, and saving generated files
+
+// Quotes a cell when it holds the delimiter, a quote or a line break
+const formatCell = (value, delimiter) => {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(', ') : String(value);
+  return /["\r\n]/.test(text) || text.includes(delimiter)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+/**
+ * Builds delimited text from rows. `columns` is [{ label, value(row) }]; the
+ * labels become the header line.
+ */
+export const toDelimited = (rows, columns, { delimiter = ',' } = {}) =>
+  [
+    columns.map(column => formatCell(column.label, delimiter)),
+    ...rows.map(row => columns.map(column => formatCell(column.value(row), delimiter))),
+  ]
+    .map(cells => cells.join(delimiter))
+    .join('\r\n');
+
+// Tab-separated when the header line has more tabs than commas
+export const detectDelimiter = (text) => {
+  const header = text.split(/\r?\n/, 1)[0];
+  return (header.match(/\t/g) || []).length > (header.match(/,/g) || []).length ? '\t' : ',';
+};
+
+/**
+ * Parses delimited text into rows of cells. Handles quoted cells with
+ * doubled quotes, delimiters and line breaks inside them; blank lines are
+ * dropped. The delimiter is detected from the header line unless given.
+ */
+export const parseDelimited = (text, { delimiter = detectDelimiter(text) } = {}) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  // A byte order mark would end up in the first header
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) endRow();
+  return rows;
+};
+
+// Saves generated content through a temporary link
+export const downloadFile = (content, filename, type = 'text/csv;charset=utf-8') => {
+  const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,47 @@
+import { toDelimited, parseDelimited, detectDelimiter } from './csv';
+
+describe('toDelimited', () => {
+  const columns = [
+    { label: 'Name', value: row => row.name },
+    { label: 'Tags', value: row => row.tags },
+  ];
+
+  it('writes a header and one line per row, quoting where needed', () => {
+    const rows = [
+      { name: 'Ada "Countess" Lovelace', tags: ['math', 'poetry'] },
+      { name: 'Grace', tags: [] },
+    ];
+
+    expect(toDelimited(rows, columns)).toBe(
+      'Name,Tags\r\n"Ada ""Countess"" Lovelace","math, poetry"\r\nGrace,'
+    );
+  });
+
+  it('uses the given delimiter', () => {
+    expect(toDelimited([{ name: 'Linus', tags: ['a', 'b'] }], columns, { delimiter: '\t' })).toBe(
+      'Name\tTags\r\nLinus\ta, b'
+    );
+  });
+});
+
+describe('parseDelimited', () => {
+  it('reads what toDelimited writes', () => {
+    const text = 'Name,Notes\r\n"Ada ""Countess"" Lovelace","math,\npoetry"\r\n\r\nGrace,';
+
+    expect(parseDelimited(text)).toEqual([
+      ['Name', 'Notes'],
+      ['Ada "Countess" Lovelace', 'math,\npoetry'],
+      ['Grace', ''],
+    ]);
+  });
+
+  it('detects tab-separated files and skips a byte order mark', () => {
+    const text = '\uFEFFName\tTags\nLinus\tkernel, git\n';
+
+    expect(detectDelimiter(text)).toBe('\t');
+    expect(parseDelimited(text)).toEqual([
+      ['Name', 'Tags'],
+      ['Linus', 'kernel, git'],
+    ]);
+  });
+});
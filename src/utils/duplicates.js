@@ -0,0 +1,111 @@
+// Matching candidates that are the same person by their contact details
+import { tokenize, editDistance } from './search';
+
+// Shortest phone number worth matching on; anything shorter is likely an extension
+const MIN_PHONE_DIGITS = 7;
+
+export const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+// Digits only, and only the last ten, so "+1 (555) 010-2030" and
+// "555.010.2030" match
+export const normalizePhone = (phone) => {
+  const digits = (phone || '').replace(/\D/g, '');
+  return digits.length < MIN_PHONE_DIGITS ? '' : digits.slice(-10);
+};
+
+/**
+ * Indexes candidates by normalized email and phone for findContactMatch.
+ * Later candidates don't replace earlier ones with the same contact.
+ */
+export const buildContactIndex = (candidates = []) => {
+  const index = { byEmail: new Map(), byPhone: new Map() };
+  candidates.forEach(candidate => addToContactIndex(index, candidate));
+  return index;
+};
+
+export const addToContactIndex = (index, candidate) => {
+  const email = normalizeEmail(candidate.email);
+  const phone = normalizePhone(candidate.phone);
+  if (email && !index.byEmail.has(email)) index.byEmail.set(email, candidate);
+  if (phone && !index.byPhone.has(phone)) index.byPhone.set(phone, candidate);
+};
+
+/**
+ * The indexed candidate sharing an email or phone with `contact`, preferring
+ * an email match, as { candidate, matchedOn: 'email' | 'phone' }; or null.
+ */
+export const findContactMatch = (index, contact) => {
+  const email = normalizeEmail(contact.email);
+  if (email && index.byEmail.has(email)) {
+    return { candidate: index.byEmail.get(email), matchedOn: 'email' };
+  }
+  const phone = normalizePhone(contact.phone);
+  if (phone && index.byPhone.has(phone)) {
+    return { candidate: index.byPhone.get(phone), matchedOn: 'phone' };
+  }
+  return null;
+};
+
+/**
+ * Whether two names are probably the same person's: the same words in any
+ * order ("Lovelace Ada"), or the same words with at most one typo in each
+ * ("Jon Smith", "John Smith"). Single-word names only match exactly.
+ */
+export const namesMatch = (a, b) => {
+  const wordsA = tokenize(a);
+  const wordsB = tokenize(b);
+  if (wordsA.length === 0 || wordsA.length !== wordsB.length) return false;
+
+  const sortedB = [...wordsB].sort();
+  if ([...wordsA].sort().every((word, index) => word === sortedB[index])) return true;
+  if (wordsA.length < 2) return false;
+
+  return wordsA.every((word, index) => {
+    // Short words like "Al" and "Ed" differ too easily to allow a typo
+    const typos = Math.max(word.length, wordsB[index].length) >= 4 ? 1 : 0;
+    return editDistance(word, wordsB[index], typos) <= typos;
+  });
+};
+
+// What a possible duplicate has in common with the contact, strongest first
+export const DUPLICATE_MATCH_LABELS = {
+  email: 'Same email',
+  phone: 'Same phone',
+  name: 'Similar name',
+};
+
+/**
+ * Candidates that may be the same person as `contact` ({ name, email, phone }),
+ * as [{ candidate, matchedOn: ['email', 'phone', 'name'] }] with the most
+ * matching details first. `excludeId` leaves out the candidate being edited.
+ */
+export const findDuplicates = (candidates, contact, { excludeId = null } = {}) => {
+  const email = normalizeEmail(contact.email);
+  const phone = normalizePhone(contact.phone);
+
+  return candidates
+    .filter(candidate => candidate.id !== excludeId)
+    .map(candidate => ({
+      candidate,
+      matchedOn: [
+        email && normalizeEmail(candidate.email) === email && 'email',
+        phone && normalizePhone(candidate.phone) === phone && 'phone',
+        contact.name && namesMatch(candidate.name, contact.name) && 'name',
+      ].filter(Boolean),
+    }))
+    .filter(match => match.matchedOn.length > 0)
+    .sort((a, b) =>
+      b.matchedOn.length - a.matchedOn.length
+      || Object.keys(DUPLICATE_MATCH_LABELS).indexOf(a.matchedOn[0]) - Object.keys(DUPLICATE_MATCH_LABELS).indexOf(b.matchedOn[0])
+      || a.candidate.name.localeCompare(b.candidate.name)
+    );
+};
+
+// Profile fields whose value is picked from one of the records when merging
+// two candidates; tags are combined instead
+export const MERGE_FIELDS = [
+  { id: 'name', label: 'Name' },
+  { id: 'email', label: 'Email' },
+  { id: 'phone', label: 'Phone' },
+  { id: 'coverLetter', label: 'Cover letter' },
+];
@@ -0,0 +1,64 @@
+import { normalizePhone, buildContactIndex, findContactMatch, namesMatch, findDuplicates } from './duplicates';
+
+describe('normalizePhone', () => {
+  it('compares the last ten digits and ignores short numbers', () => {
+    expect(normalizePhone('+1 (555) 010-2030')).toBe('5550102030');
+    expect(normalizePhone('555.010.2030')).toBe('5550102030');
+    expect(normalizePhone('x123')).toBe('');
+  });
+});
+
+describe('findContactMatch', () => {
+  const index = buildContactIndex([
+    { id: 'cand-1', email: 'Ada@Example.com', phone: '+1-555-010-2030' },
+    { id: 'cand-2', email: 'grace@example.com', phone: '' },
+  ]);
+
+  it('prefers an email match over a phone match', () => {
+    expect(findContactMatch(index, { email: ' ada@example.com', phone: '' }))
+      .toEqual({ candidate: expect.objectContaining({ id: 'cand-1' }), matchedOn: 'email' });
+    expect(findContactMatch(index, { email: 'grace@example.com', phone: '5550102030' }).candidate.id).toBe('cand-2');
+  });
+
+  it('falls back to the phone number', () => {
+    expect(findContactMatch(index, { email: 'lovelace@example.com', phone: '(555) 010 2030' }))
+      .toEqual({ candidate: expect.objectContaining({ id: 'cand-1' }), matchedOn: 'phone' });
+    expect(findContactMatch(index, { email: 'linus@example.com', phone: '' })).toBeNull();
+  });
+});
+
+describe('namesMatch', () => {
+  it('matches reordered names and a typo per word', () => {
+    expect(namesMatch('Ada Lovelace', 'lovelace, ada')).toBe(true);
+    expect(namesMatch('Jon Smith', 'John Smith')).toBe(true);
+    expect(namesMatch('José García', 'Jose Garcia')).toBe(true);
+  });
+
+  it('keeps different people apart', () => {
+    expect(namesMatch('Jon Smith', 'Jonathan Smith')).toBe(false);
+    expect(namesMatch('Al Smith', 'Ed Smith')).toBe(false);
+    expect(namesMatch('Ada', 'Adam')).toBe(false);
+    expect(namesMatch('Ada Lovelace', 'Ada Byron Lovelace')).toBe(false);
+  });
+});
+
+describe('findDuplicates', () => {
+  const candidates = [
+    { id: 'cand-1', name: 'Ada Lovelace', email: 'ada@example.com', phone: '555-010-2030' },
+    { id: 'cand-2', name: 'Ada Lovelace', email: 'countess@example.com', phone: '' },
+    { id: 'cand-3', name: 'Grace Hopper', email: 'grace@example.com', phone: '' },
+  ];
+
+  it('lists the candidates sharing the most details first', () => {
+    const matches = findDuplicates(candidates, { name: 'Ada Lovelace', email: 'ADA@example.com', phone: '' });
+
+    expect(matches.map(match => [match.candidate.id, match.matchedOn])).toEqual([
+      ['cand-1', ['email', 'name']],
+      ['cand-2', ['name']],
+    ]);
+  });
+
+  it('leaves out the candidate being edited', () => {
+    expect(findDuplicates(candidates, candidates[2], { excludeId: 'cand-3' })).toEqual([]);
+  });
+});
@@ -0,0 +1,132 @@
+// Spreadsheet exports: the columns each list can export and the file formats
+import { toDelimited } from './csv';
+import { toXlsx } from './xlsx';
+import { getJobPipeline, getStageLabel } from './pipeline';
+
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json',
+  XLSX: 'xlsx',
+};
+
+export const EXPORT_FORMAT_LABELS = {
+  [EXPORT_FORMATS.CSV]: 'CSV',
+  [EXPORT_FORMATS.JSON]: 'JSON',
+  [EXPORT_FORMATS.XLSX]: 'Excel (XLSX)',
+};
+
+const MIME_TYPES = {
+  [EXPORT_FORMATS.CSV]: 'text/csv;charset=utf-8',
+  [EXPORT_FORMATS.JSON]: 'application/json',
+  [EXPORT_FORMATS.XLSX]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+const formatDate = (value) => value?.slice(0, 10) || '';
+
+/**
+ * Builds the file for an export. `columns` is [{ id, label, value(row) }]:
+ * CSV and XLSX get one column per entry under its label, JSON one object
+ * per row keyed by column id.
+ *
+ * @returns {{ content: string|Blob, filename: string, type: string }}
+ */
+export const buildExportFile = (rows, columns, format, { name = 'export', date = new Date() } = {}) => {
+  const filename = `${name}-${date.toISOString().slice(0, 10)}.${format}`;
+  const type = MIME_TYPES[format];
+
+  switch (format) {
+    case EXPORT_FORMATS.JSON: {
+      const objects = rows.map(row =>
+        Object.fromEntries(columns.map(column => [column.id, column.value(row) ?? null]))
+      );
+      return { content: JSON.stringify(objects, null, 2), filename, type };
+    }
+    case EXPORT_FORMATS.XLSX:
+      return { content: new Blob([toXlsx(rows, columns, { sheetName: name })], { type }), filename, type };
+    default:
+      return { content: toDelimited(rows, columns), filename, type };
+  }
+};
+
+// Jobs, each with `applications` attached
+export const JOB_EXPORT_COLUMNS = [
+  { id: 'title', label: 'Title', value: job => job.title },
+  { id: 'status', label: 'Status', value: job => job.status },
+  { id: 'department', label: 'Department', value: job => job.department },
+  { id: 'location', label: 'Location', value: job => job.location },
+  { id: 'type', label: 'Type', value: job => job.type },
+  { id: 'salary', label: 'Salary', value: job => job.salary },
+  { id: 'tags', label: 'Tags', value: job => job.tags || [] },
+  { id: 'applicants', label: 'Applicants', value: job => job.applications.length },
+  {
+    id: 'pipeline',
+    label: 'Applicants by stage',
+    value: job => getJobPipeline(job)
+      .map(stage => `${stage.name}: ${job.applications.filter(app => app.status === stage.id).length}`)
+      .join('; '),
+  },
+  { id: 'createdAt', label: 'Created', value: job => formatDate(job.createdAt) },
+  { id: 'slug', label: 'URL slug', value: job => job.slug },
+];
+
+// Candidates, each with `applications` attached
+export const CANDIDATE_EXPORT_COLUMNS = [
+  { id: 'name', label: 'Name', value: candidate => candidate.name },
+  { id: 'email', label: 'Email', value: candidate => candidate.email },
+  { id: 'phone', label: 'Phone', value: candidate => candidate.phone },
+  { id: 'tags', label: 'Tags', value: candidate => candidate.tags || [] },
+  {
+    id: 'applications',
+    label: 'Applications',
+    value: candidate => candidate.applications.map(app => `${app.jobTitle} (${app.status})`).join('; '),
+  },
+  { id: 'createdAt', label: 'Added', value: candidate => formatDate(candidate.createdAt) },
+];
+
+// A job's applications, each with its `candidate`
+export const getApplicantExportColumns = (job) => {
+  const pipeline = getJobPipeline(job);
+  return [
+    { id: 'name', label: 'Name', value: app => app.candidate.name },
+    { id: 'email', label: 'Email', value: app => app.candidate.email },
+    { id: 'phone', label: 'Phone', value: app => app.candidate.phone },
+    { id: 'stage', label: 'Stage', value: app => getStageLabel(pipeline, app.status) },
+    { id: 'appliedAt', label: 'Applied', value: app => formatDate(app.appliedAt) },
+    { id: 'stageEnteredAt', label: 'In stage since', value: app => formatDate(app.stageEnteredAt) },
+    { id: 'rejectionReason', label: 'Rejection reason', value: app => app.rejection?.reasonLabel || '' },
+    { id: 'assessmentCompleted', label: 'Assessment completed', value: app => (app.assessmentCompleted ? 'Yes' : 'No') },
+  ];
+};
+
+const formatAnswer = (answer) => {
+  if (answer === null || answer === undefined) return '';
+  if (typeof answer === 'object' && !Array.isArray(answer)) {
+    // File uploads keep the file's metadata
+    return answer.name || JSON.stringify(answer);
+  }
+  return answer;
+};
+
+// An assessment's responses, each with its `candidate`; one column per question
+export const getResponseExportColumns = (assessment) => [
+  { id: 'name', label: 'Candidate', value: response => response.candidate?.name || '' },
+  { id: 'email', label: 'Email', value: response => response.candidate?.email || '' },
+  { id: 'completedAt', label: 'Completed', value: response => formatDate(response.completedAt || response.createdAt) },
+  { id: 'score', label: 'Score', value: response => response.score },
+  {
+    id: 'result',
+    label: 'Result',
+    value: (response) => {
+      if (response.scoring?.needsGrading) return 'Needs grading';
+      if (typeof response.scoring?.passed !== 'boolean') return '';
+      return response.scoring.passed ? 'Passed' : 'Failed';
+    },
+  },
+  ...assessment.sections.flatMap(section =>
+    section.questions.map(question => ({
+      id: question.id,
+      label: question.title || 'Untitled question',
+      value: response => formatAnswer(response.responses?.[question.id]),
+    }))
+  ),
+];
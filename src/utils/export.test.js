@@ -0,0 +1,47 @@
+import { buildExportFile, getResponseExportColumns, EXPORT_FORMATS } from './export';
+
+const columns = [
+  { id: 'name', label: 'Name', value: row => row.name },
+  { id: 'tags', label: 'Tags', value: row => row.tags },
+];
+const rows = [{ name: 'Ada', tags: ['math'] }, { name: 'Grace' }];
+const date = new Date('2024-03-05T12:00:00Z');
+
+describe('buildExportFile', () => {
+  it('names the file after the export, the date and the format', () => {
+    const file = buildExportFile(rows, columns, EXPORT_FORMATS.CSV, { name: 'candidates', date });
+
+    expect(file.filename).toBe('candidates-2024-03-05.csv');
+    expect(file.content).toBe('Name,Tags\r\nAda,math\r\nGrace,');
+  });
+
+  it('writes JSON objects keyed by column id', () => {
+    const file = buildExportFile(rows, columns, EXPORT_FORMATS.JSON, { name: 'candidates', date });
+
+    expect(JSON.parse(file.content)).toEqual([
+      { name: 'Ada', tags: ['math'] },
+      { name: 'Grace', tags: null },
+    ]);
+  });
+});
+
+describe('getResponseExportColumns', () => {
+  it('adds a column per question and shows uploaded files by name', () => {
+    const assessment = {
+      sections: [{ questions: [{ id: 'q1', title: 'Why us?' }, { id: 'q2', title: 'CV' }] }],
+    };
+    const response = {
+      candidate: { name: 'Ada', email: 'ada@example.com' },
+      completedAt: '2024-03-01T09:00:00Z',
+      responses: { q1: 'Because', q2: { name: 'cv.pdf', size: 100 } },
+    };
+
+    const columns = getResponseExportColumns(assessment);
+
+    expect(columns.map(column => column.label)).toEqual(['Candidate', 'Email', 'Completed', 'Score', 'Result', 'Why us?', 'CV']);
+    expect(columns.map(column => column.value(response))).toEqual([
+      'Ada', 'ada@example.com', '2024-03-01', undefined, '', 'Because', 'cv.pdf',
+    ]);
+    expect(columns[4].value({ ...response, score: 80, scoring: { passed: true } })).toBe('Passed');
+  });
+});
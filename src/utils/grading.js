@@ -0,0 +1,49 @@
+// Manual grading: rubrics on long text and file upload questions, and the
+// reviews team members leave on a response.
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const maxLevelPoints = (criterion) =>
+  criterion.levels.reduce((max, level) => Math.max(max, Number(level.points) || 0), 0);
+
+// The most a rubric can award: the top level of every criterion
+export const getRubricPoints = (rubric = []) =>
+  rubric.reduce((sum, criterion) => sum + maxLevelPoints(criterion), 0);
+
+/**
+ * Points for the level picked on each criterion (`levels` maps criterion id
+ * to level id), or null until every criterion has a level.
+ */
+export const scoreRubric = (rubric, levels = {}) => {
+  let total = 0;
+  for (const criterion of rubric) {
+    const level = criterion.levels.find(candidate => candidate.id === levels[criterion.id]);
+    if (!level) return null;
+    total += Number(level.points) || 0;
+  }
+  return total;
+};
+
+/**
+ * The points each question got, averaged over the reviewers who graded it,
+ * by question id. This is what scoring takes as its manual scores.
+ */
+export const getManualScores = (reviews = []) => {
+  const totals = {};
+  reviews.forEach(review => {
+    Object.entries(review.questions || {}).forEach(([questionId, grade]) => {
+      if (!Number.isFinite(grade.points)) return;
+      const total = totals[questionId] || { sum: 0, count: 0 };
+      totals[questionId] = { sum: total.sum + grade.points, count: total.count + 1 };
+    });
+  });
+  return Object.fromEntries(
+    Object.entries(totals).map(([questionId, { sum, count }]) => [questionId, round(sum / count)])
+  );
+};
+
+// Each reviewer's grade for one question, for showing alongside the others
+export const getQuestionGrades = (reviews = [], questionId) =>
+  reviews
+    .filter(review => Number.isFinite(review.questions?.[questionId]?.points))
+    .map(review => ({ reviewerId: review.reviewerId, reviewerName: review.reviewerName, ...review.questions[questionId] }));
@@ -0,0 +1,36 @@
+import { getRubricPoints, scoreRubric, getManualScores, getQuestionGrades } from './grading';
+import { getQuestionPoints } from './scoring';
+import { QUESTION_TYPES, createQuestion, createRubricCriterion } from '../types';
+
+const level = (id, points) => ({ id, label: id, points });
+const rubric = [
+  createRubricCriterion({ id: 'clarity', levels: [level('c0', 0), level('c2', 2)] }),
+  createRubricCriterion({ id: 'depth', levels: [level('d0', 0), level('d1', 1), level('d3', 3)] }),
+];
+
+describe('rubrics', () => {
+  it('are worth the top level of each criterion', () => {
+    expect(getRubricPoints(rubric)).toBe(5);
+    expect(getQuestionPoints(createQuestion({ type: QUESTION_TYPES.LONG_TEXT, rubric }))).toBe(5);
+  });
+
+  it('score the picked levels once every criterion has one', () => {
+    expect(scoreRubric(rubric, { clarity: 'c2', depth: 'd1' })).toBe(3);
+    expect(scoreRubric(rubric, { clarity: 'c2' })).toBeNull();
+  });
+});
+
+describe('getManualScores', () => {
+  it('averages each question over the reviewers who graded it', () => {
+    const reviews = [
+      { reviewerId: '1', reviewerName: 'John Smith', questions: { q1: { points: 2 }, q2: { points: 1, comment: 'Thin' } } },
+      { reviewerId: '2', reviewerName: 'Sarah Johnson', questions: { q1: { points: 3 } } },
+      { reviewerId: '3', reviewerName: 'Mike Chen', questions: { q1: { points: 3 } } },
+    ];
+
+    expect(getManualScores(reviews)).toEqual({ q1: 2.67, q2: 1 });
+    expect(getQuestionGrades(reviews, 'q2')).toEqual([
+      { reviewerId: '1', reviewerName: 'John Smith', points: 1, comment: 'Thin' },
+    ]);
+  });
+});
@@ -0,0 +1,13 @@
+// @mentions in note text
+import { TEAM_MEMBERS } from '../types';
+
+/**
+ * Ids of the team members mentioned in a note, written "@Full Name" by the
+ * note form's mention picker.
+ */
+export const extractMentions = (content, members = TEAM_MEMBERS) => {
+  const text = (content || '').toLowerCase();
+  return members
+    .filter(member => text.includes(`@${member.name.toLowerCase()}`))
+    .map(member => member.id);
+};
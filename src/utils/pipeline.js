@@ -0,0 +1,103 @@
+import { DEFAULT_PIPELINE, STAGE_COLOR_OPTIONS, STAGE_OUTCOMES } from '../types';
+import { generateSlug } from './slug';
+
+// Jobs created before pipelines existed fall back to the default stages
+export const getJobPipeline = (job) =>
+  job?.pipeline?.length ? job.pipeline : DEFAULT_PIPELINE;
+
+export const findStage = (pipeline, stageId) =>
+  pipeline.find(stage => stage.id === stageId) || null;
+
+export const getStageLabel = (pipeline, stageId) =>
+  findStage(pipeline, stageId)?.name || stageId;
+
+// Color classes for a stage; unknown stages and colors render gray
+export const getStageColors = (pipeline, stageId) =>
+  STAGE_COLOR_OPTIONS[findStage(pipeline, stageId)?.color] || STAGE_COLOR_OPTIONS.gray;
+
+export const isHiredStage = (stage) =>
+  !!stage?.terminal && stage.outcome === STAGE_OUTCOMES.POSITIVE;
+
+export const isRejectedStage = (stage) =>
+  !!stage?.terminal && stage.outcome === STAGE_OUTCOMES.NEGATIVE;
+
+// Stages between the first one and the terminal ones
+export const isInterviewStage = (pipeline, stage) =>
+  !!stage && !stage.terminal && pipeline[0]?.id !== stage.id;
+
+/**
+ * Combines several pipelines into one ordered list of stages, e.g. for a
+ * board showing applications to every job. A stage that only some jobs have
+ * is placed right after the stage that precedes it in the first such job.
+ */
+export const mergePipelines = (pipelines) => {
+  const merged = [];
+  pipelines.forEach((pipeline) => {
+    pipeline.forEach((stage, index) => {
+      if (merged.some(existing => existing.id === stage.id)) return;
+
+      const previousId = pipeline[index - 1]?.id;
+      const previousIndex = merged.findIndex(existing => existing.id === previousId);
+      merged.splice(previousIndex + 1, 0, stage);
+    });
+  });
+  return merged;
+};
+
+/**
+ * Returns a list of problems with a pipeline; an empty list means it is valid.
+ */
+export const validatePipeline = (pipeline) => {
+  const errors = [];
+  if (!Array.isArray(pipeline) || pipeline.length < 2) {
+    return ['A pipeline needs at least two stages'];
+  }
+
+  const names = new Set();
+  pipeline.forEach((stage, index) => {
+    const name = stage.name?.trim();
+    if (!name) {
+      errors.push(`Stage ${index + 1} needs a name`);
+      return;
+    }
+    if (names.has(name.toLowerCase())) {
+      errors.push(`Stage names must be unique ("${name}" is used twice)`);
+    }
+    names.add(name.toLowerCase());
+  });
+
+  if (pipeline[0].terminal) {
+    errors.push('The first stage cannot be terminal');
+  }
+  if (pipeline.some(stage => stage.outcome && !stage.terminal)) {
+    errors.push('Only terminal stages can have a positive or negative outcome');
+  }
+  pipeline.forEach((stage) => {
+    const slaDays = stage.slaDays;
+    if (slaDays !== null && slaDays !== undefined && slaDays !== '' && !(Number(slaDays) > 0)) {
+      errors.push(`The SLA of "${stage.name}" must be a positive number of days`);
+    }
+  });
+  return errors;
+};
+
+/**
+ * Gives new stages an id derived from their name. Existing ids are kept, so
+ * renaming a stage doesn't move the applications in it.
+ */
+export const assignStageIds = (pipeline) => {
+  const usedIds = new Set(pipeline.map(stage => stage.id).filter(Boolean));
+  return pipeline.map((stage) => {
+    if (stage.id) return { ...stage, name: stage.name.trim() };
+
+    const baseId = generateSlug(stage.name).replace(/-/g, '_') || 'stage';
+    let id = baseId;
+    let counter = 1;
+    while (usedIds.has(id)) {
+      id = `${baseId}_${counter}`;
+      counter++;
+    }
+    usedIds.add(id);
+    return { ...stage, id, name: stage.name.trim() };
+  });
+};
@@ -0,0 +1,55 @@
+import { mergePipelines, validatePipeline, assignStageIds } from './pipeline';
+import { createDefaultPipeline, createPipelineStage } from '../types';
+
+const stage = (id, overrides = {}) => createPipelineStage({ id, name: id, ...overrides });
+
+describe('mergePipelines', () => {
+  it('places a job-specific stage after the stage that precedes it', () => {
+    const engineering = [stage('applied'), stage('screen'), stage('take_home'), stage('offer')];
+    const sales = [stage('applied'), stage('screen'), stage('offer'), stage('panel')];
+
+    const merged = mergePipelines([sales, engineering]);
+
+    expect(merged.map(s => s.id)).toEqual(['applied', 'screen', 'take_home', 'offer', 'panel']);
+  });
+});
+
+describe('validatePipeline', () => {
+  it('accepts the default pipeline', () => {
+    expect(validatePipeline(createDefaultPipeline())).toEqual([]);
+  });
+
+  it('rejects blank and duplicate names and a terminal first stage', () => {
+    const errors = validatePipeline([
+      stage('done', { terminal: true }),
+      stage('a', { name: 'Review' }),
+      stage('b', { name: 'review' }),
+      stage('c', { name: ' ' }),
+    ]);
+
+    expect(errors).toEqual([
+      'Stage names must be unique ("review" is used twice)',
+      'Stage 4 needs a name',
+      'The first stage cannot be terminal',
+    ]);
+  });
+
+  it('rejects SLAs that are not a positive number of days', () => {
+    const errors = validatePipeline([stage('a', { slaDays: 0 }), stage('b', { slaDays: 3 }), stage('c', { slaDays: null })]);
+
+    expect(errors).toEqual(['The SLA of "a" must be a positive number of days']);
+  });
+});
+
+describe('assignStageIds', () => {
+  it('derives ids for new stages and keeps existing ones', () => {
+    const pipeline = assignStageIds([
+      stage('applied', { name: 'Applied ' }),
+      createPipelineStage({ name: 'Take-home Task' }),
+      createPipelineStage({ name: 'Applied' }),
+    ]);
+
+    expect(pipeline.map(s => s.id)).toEqual(['applied', 'take_home_task', 'applied_1']);
+    expect(pipeline[0].name).toBe('Applied');
+  });
+});
@@ -0,0 +1,104 @@
+import { REJECTION_SOURCES } from '../types';
+import { generateSlug } from './slug';
+
+/**
+ * Returns a list of problems with a rejection reason list; an empty list
+ * means it is valid.
+ */
+export const validateRejectionReasons = (reasons) => {
+  if (!Array.isArray(reasons) || reasons.length === 0) {
+    return ['At least one rejection reason is required'];
+  }
+
+  const errors = [];
+  const labels = new Set();
+  reasons.forEach((reason, index) => {
+    const label = reason.label?.trim();
+    if (!label) {
+      errors.push(`Reason ${index + 1} needs a label`);
+      return;
+    }
+    if (labels.has(label.toLowerCase())) {
+      errors.push(`Reason labels must be unique ("${label}" is used twice)`);
+    }
+    labels.add(label.toLowerCase());
+    if (!Object.values(REJECTION_SOURCES).includes(reason.source)) {
+      errors.push(`"${label}" needs to say who ended the application`);
+    }
+  });
+  return errors;
+};
+
+// Gives new reasons an id derived from their label; existing ids are kept so
+// past rejections still point at the same reason
+export const assignReasonIds = (reasons) => {
+  const usedIds = new Set(reasons.map(reason => reason.id).filter(Boolean));
+  return reasons.map((reason) => {
+    const label = reason.label.trim();
+    if (reason.id) return { ...reason, label };
+
+    const baseId = generateSlug(label).replace(/-/g, '_') || 'reason';
+    let id = baseId;
+    let counter = 1;
+    while (usedIds.has(id)) {
+      id = `${baseId}_${counter}`;
+      counter++;
+    }
+    usedIds.add(id);
+    return { ...reason, id, label };
+  });
+};
+
+// Helper function to count items by key, keeping the first item seen per key
+const countBy = (items, getKey, describe) => {
+  const counts = new Map();
+  items.forEach((item) => {
+    const key = getKey(item);
+    const entry = counts.get(key) || { ...describe(item), count: 0 };
+    entry.count += 1;
+    counts.set(key, entry);
+  });
+  return [...counts.values()].sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Aggregates the rejection recorded on applications for the funnel report:
+ * totals per source, reason, stage the application was rejected from, and job.
+ */
+export const summarizeRejections = (applications) => {
+  const rejected = applications.filter(app => app.rejection);
+
+  return {
+    total: rejected.length,
+    bySource: Object.values(REJECTION_SOURCES).map(source => ({
+      source,
+      count: rejected.filter(app => app.rejection.source === source).length,
+    })),
+    byReason: countBy(
+      rejected,
+      app => app.rejection.reasonId,
+      app => ({
+        reasonId: app.rejection.reasonId,
+        label: app.rejection.reasonLabel,
+        source: app.rejection.source,
+      })
+    ),
+    byStage: countBy(
+      rejected,
+      app => app.rejection.fromStage,
+      app => ({ stageId: app.rejection.fromStage, stageName: app.rejection.fromStageName })
+    ).map(stage => ({
+      ...stage,
+      reasons: countBy(
+        rejected.filter(app => app.rejection.fromStage === stage.stageId),
+        app => app.rejection.reasonId,
+        app => ({ reasonId: app.rejection.reasonId, label: app.rejection.reasonLabel })
+      ),
+    })),
+    byJob: countBy(
+      rejected,
+      app => app.jobId,
+      app => ({ jobId: app.jobId, jobTitle: app.jobTitle })
+    ),
+  };
+};
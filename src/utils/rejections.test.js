@@ -0,0 +1,70 @@
+import { validateRejectionReasons, assignReasonIds, summarizeRejections } from './rejections';
+import { DEFAULT_REJECTION_REASONS, createRejectionReason } from '../types';
+
+describe('validateRejectionReasons', () => {
+  it('accepts the default reasons', () => {
+    expect(validateRejectionReasons(DEFAULT_REJECTION_REASONS)).toEqual([]);
+  });
+
+  it('rejects blank and duplicate labels and unknown sources', () => {
+    const errors = validateRejectionReasons([
+      createRejectionReason({ label: 'No show' }),
+      createRejectionReason({ label: 'no show' }),
+      createRejectionReason({ label: ' ' }),
+      createRejectionReason({ label: 'Relocated', source: 'recruiter' }),
+    ]);
+
+    expect(errors).toEqual([
+      'Reason labels must be unique ("no show" is used twice)',
+      'Reason 3 needs a label',
+      '"Relocated" needs to say who ended the application',
+    ]);
+  });
+});
+
+describe('assignReasonIds', () => {
+  it('keeps existing ids and derives new ones from the label', () => {
+    const reasons = assignReasonIds([
+      createRejectionReason({ id: 'no_show', label: 'Missed interview' }),
+      createRejectionReason({ label: 'No show ' }),
+    ]);
+
+    expect(reasons.map(reason => reason.id)).toEqual(['no_show', 'no_show_1']);
+    expect(reasons[1].label).toBe('No show');
+  });
+});
+
+describe('summarizeRejections', () => {
+  const rejection = (reasonId, source, fromStage) => ({
+    reasonId,
+    reasonLabel: reasonId,
+    source,
+    fromStage,
+    fromStageName: fromStage,
+  });
+
+  it('groups rejected applications by source, reason, stage and job', () => {
+    const summary = summarizeRejections([
+      { jobId: 'job-1', jobTitle: 'Designer', rejection: rejection('skills_gap', 'company', 'tech') },
+      { jobId: 'job-1', jobTitle: 'Designer', rejection: rejection('skills_gap', 'company', 'screen') },
+      { jobId: 'job-2', jobTitle: 'Engineer', rejection: rejection('compensation', 'candidate', 'tech') },
+      { jobId: 'job-2', jobTitle: 'Engineer', rejection: null },
+    ]);
+
+    expect(summary.total).toBe(3);
+    expect(summary.bySource).toEqual([
+      { source: 'company', count: 2 },
+      { source: 'candidate', count: 1 },
+    ]);
+    expect(summary.byReason.map(({ reasonId, count }) => [reasonId, count])).toEqual([
+      ['skills_gap', 2],
+      ['compensation', 1],
+    ]);
+    expect(summary.byStage[0]).toMatchObject({ stageId: 'tech', count: 2 });
+    expect(summary.byStage[0].reasons.map(reason => reason.reasonId)).toEqual(['skills_gap', 'compensation']);
+    expect(summary.byJob).toEqual([
+      { jobId: 'job-1', jobTitle: 'Designer', count: 2 },
+      { jobId: 'job-2', jobTitle: 'Engineer', count: 1 },
+    ]);
+  });
+});
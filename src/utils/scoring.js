@@ -0,0 +1,175 @@
+// Scoring candidates' answers against the answer key on each question.
+// Everything here is a pure function of its arguments.
+import { QUESTION_TYPES } from '../types';
+import { getVisibility } from './conditions';
+import { getRubricPoints } from './grading';
+
+export const SCORING_MODES = {
+  AUTO: 'auto',
+  MANUAL: 'manual',
+};
+
+// Answers a reviewer has to read to score
+export const MANUALLY_GRADED_TYPES = [QUESTION_TYPES.LONG_TEXT, QUESTION_TYPES.FILE_UPLOAD];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const isBlank = (answer) =>
+  answer === undefined || answer === null || answer === '' || (Array.isArray(answer) && answer.length === 0);
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+// A question's points; a rubric's top levels decide them when it has one
+export const getQuestionPoints = (question) => {
+  if (question.rubric?.length) return getRubricPoints(question.rubric);
+  const points = Number(question.scoring?.points ?? 1);
+  return Number.isFinite(points) && points > 0 ? points : 0;
+};
+
+/**
+ * How a question is scored: automatically when it has an answer key, by a
+ * reviewer for long text and file uploads, and not at all (null) when it is
+ * worth no points or has no key.
+ */
+export const getScoringMode = (question) => {
+  if (getQuestionPoints(question) === 0) return null;
+  if (MANUALLY_GRADED_TYPES.includes(question.type)) return SCORING_MODES.MANUAL;
+
+  const key = question.scoring || {};
+  switch (question.type) {
+    case QUESTION_TYPES.SINGLE_CHOICE:
+    case QUESTION_TYPES.MULTI_CHOICE:
+      return key.correctOptions?.length ? SCORING_MODES.AUTO : null;
+    case QUESTION_TYPES.NUMERIC:
+      return isSet(key.minValue) || isSet(key.maxValue) ? SCORING_MODES.AUTO : null;
+    case QUESTION_TYPES.SHORT_TEXT:
+      return key.pattern || key.keywords?.length ? SCORING_MODES.AUTO : null;
+    default:
+      return null;
+  }
+};
+
+const matchesPattern = (pattern, text) => {
+  try {
+    return new RegExp(pattern, 'i').test(text);
+  } catch (e) {
+    return false;
+  }
+};
+
+// The share of keywords found, or all-or-nothing without partial credit
+const keywordCredit = (keywords, text, partialCredit) => {
+  const haystack = text.toLowerCase();
+  const found = keywords.filter(keyword => haystack.includes(keyword.trim().toLowerCase())).length;
+  if (partialCredit) return found / keywords.length;
+  return found === keywords.length ? 1 : 0;
+};
+
+/**
+ * The share (0 to 1) of an automatically scored question's points the
+ * answer earns. Multi choice with partial credit takes a wrong pick off
+ * for every right one, never going below zero; short text earns full credit
+ * when it matches the pattern, otherwise credit for its keywords.
+ */
+export const getAnswerCredit = (question, answer) => {
+  if (isBlank(answer)) return 0;
+  const key = question.scoring || {};
+
+  switch (question.type) {
+    case QUESTION_TYPES.SINGLE_CHOICE:
+      return key.correctOptions.includes(answer) ? 1 : 0;
+    case QUESTION_TYPES.MULTI_CHOICE: {
+      const selected = Array.isArray(answer) ? answer : [answer];
+      const right = selected.filter(option => key.correctOptions.includes(option)).length;
+      const wrong = selected.length - right;
+      if (key.partialCredit) return Math.max(0, (right - wrong) / key.correctOptions.length);
+      return right === key.correctOptions.length && wrong === 0 ? 1 : 0;
+    }
+    case QUESTION_TYPES.NUMERIC: {
+      const value = Number(answer);
+      if (!Number.isFinite(value)) return 0;
+      if (isSet(key.minValue) && value < Number(key.minValue)) return 0;
+      if (isSet(key.maxValue) && value > Number(key.maxValue)) return 0;
+      return 1;
+    }
+    case QUESTION_TYPES.SHORT_TEXT: {
+      const text = String(answer).trim();
+      if (key.pattern && matchesPattern(key.pattern, text)) return 1;
+      return key.keywords?.length ? keywordCredit(key.keywords, text, key.partialCredit) : 0;
+    }
+    default:
+      return 0;
+  }
+};
+
+const toPercentage = (earned, possible) => (possible > 0 ? Math.round((earned / possible) * 100) : null);
+
+/**
+ * Scores a set of answers: { score, earned, possible, passed, needsGrading,
+ * pendingQuestionIds, sections: [{ id, title, earned, possible, score }],
+ * questions: { [id]: { mode, earned, possible } } }.
+ *
+ * Hidden questions don't count. Answered questions graded by hand count once
+ * `manualScores` (points by question id) has their score; until then they
+ * are pending, left out of the totals, and `passed` stays null. `score` is a
+ * percentage, null when nothing could be scored; `passed` compares it with
+ * the assessment's passing score, when it has one.
+ */
+export const scoreAssessment = (assessment, responses = {}, { manualScores = {} } = {}) => {
+  const questions = {};
+  const pendingQuestionIds = [];
+  const visibility = getVisibility(assessment, responses);
+
+  const sections = assessment.sections.map(section => {
+    let earned = 0;
+    let possible = 0;
+    section.questions.forEach(question => {
+      const mode = getScoringMode(question);
+      if (!mode || !visibility.questions[question.id]) return;
+
+      const points = getQuestionPoints(question);
+      const answer = responses[question.id];
+      let questionEarned;
+      if (mode === SCORING_MODES.AUTO) {
+        questionEarned = round(points * getAnswerCredit(question, answer));
+      } else if (isBlank(answer)) {
+        questionEarned = 0;
+      } else if (Number.isFinite(manualScores[question.id])) {
+        questionEarned = Math.min(points, Math.max(0, manualScores[question.id]));
+      } else {
+        pendingQuestionIds.push(question.id);
+        questions[question.id] = { mode, earned: null, possible: points };
+        return;
+      }
+
+      questions[question.id] = { mode, earned: questionEarned, possible: points };
+      earned += questionEarned;
+      possible += points;
+    });
+    return { id: section.id, title: section.title, earned: round(earned), possible, score: toPercentage(earned, possible) };
+  });
+
+  const earned = round(sections.reduce((sum, section) => sum + section.earned, 0));
+  const possible = sections.reduce((sum, section) => sum + section.possible, 0);
+  const score = toPercentage(earned, possible);
+  const needsGrading = pendingQuestionIds.length > 0;
+  const passingScore = assessment.settings?.passingScore;
+
+  return {
+    score,
+    earned,
+    possible,
+    passed: isSet(passingScore) && score !== null && !needsGrading ? score >= Number(passingScore) : null,
+    needsGrading,
+    pendingQuestionIds,
+    sections,
+    questions,
+  };
+};
+
+// "85%", with the state of grading and the pass mark; "Not scored" without a score
+export const formatScore = (scoring) => {
+  if (!scoring) return 'Not scored';
+  if (scoring.score === null) return scoring.needsGrading ? 'Needs grading' : 'Not scored';
+  return scoring.needsGrading ? `${scoring.score}% so far` : `${scoring.score}%`;
+};
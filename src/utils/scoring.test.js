@@ -0,0 +1,73 @@
+import { getScoringMode, getAnswerCredit, scoreAssessment, formatScore, SCORING_MODES } from './scoring';
+import { QUESTION_TYPES, createAssessment, createSection, createQuestion } from '../types';
+
+const question = (type, scoring = {}, overrides = {}) =>
+  createQuestion({ type, ...overrides, scoring: { ...createQuestion().scoring, ...scoring } });
+
+describe('getScoringMode', () => {
+  it('scores questions with an answer key and leaves long answers to reviewers', () => {
+    expect(getScoringMode(question(QUESTION_TYPES.SINGLE_CHOICE, { correctOptions: ['B'] }))).toBe(SCORING_MODES.AUTO);
+    expect(getScoringMode(question(QUESTION_TYPES.SINGLE_CHOICE))).toBeNull();
+    expect(getScoringMode(question(QUESTION_TYPES.NUMERIC, { minValue: 0 }))).toBe(SCORING_MODES.AUTO);
+    expect(getScoringMode(question(QUESTION_TYPES.LONG_TEXT))).toBe(SCORING_MODES.MANUAL);
+    expect(getScoringMode(question(QUESTION_TYPES.LONG_TEXT, { points: 0 }))).toBeNull();
+  });
+});
+
+describe('getAnswerCredit', () => {
+  it('gives partial credit on multi choice, taking wrong picks off', () => {
+    const multi = question(QUESTION_TYPES.MULTI_CHOICE, { correctOptions: ['A', 'B', 'C', 'D'], partialCredit: true });
+
+    expect(getAnswerCredit(multi, ['A', 'B'])).toBe(0.5);
+    expect(getAnswerCredit(multi, ['A', 'E'])).toBe(0);
+    expect(getAnswerCredit({ ...multi, scoring: { ...multi.scoring, partialCredit: false } }, ['A', 'B', 'C'])).toBe(0);
+  });
+
+  it('checks numeric ranges, patterns and keywords', () => {
+    expect(getAnswerCredit(question(QUESTION_TYPES.NUMERIC, { minValue: 3, maxValue: 5 }), '4')).toBe(1);
+    expect(getAnswerCredit(question(QUESTION_TYPES.NUMERIC, { minValue: 3, maxValue: 5 }), 6)).toBe(0);
+    expect(getAnswerCredit(question(QUESTION_TYPES.SHORT_TEXT, { pattern: '^o\\(n\\)$' }), ' O(n) ')).toBe(1);
+    expect(getAnswerCredit(question(QUESTION_TYPES.SHORT_TEXT, { pattern: '(' }), '(')).toBe(0);
+    expect(getAnswerCredit(question(QUESTION_TYPES.SHORT_TEXT, { keywords: ['hash', 'map'], partialCredit: true }), 'A Hash table')).toBe(0.5);
+  });
+});
+
+describe('scoreAssessment', () => {
+  const single = question(QUESTION_TYPES.SINGLE_CHOICE, { correctOptions: ['B'], points: 2 }, { id: 'q1' });
+  const numeric = question(QUESTION_TYPES.NUMERIC, { minValue: 10, points: 2 }, { id: 'q2' });
+  const essay = question(QUESTION_TYPES.LONG_TEXT, { points: 4 }, { id: 'q3' });
+  const hidden = question(QUESTION_TYPES.SINGLE_CHOICE, { correctOptions: ['Yes'] }, {
+    id: 'q4',
+    conditionalLogic: { questionId: 'q1', operator: 'equals', value: 'A' },
+  });
+  const assessment = createAssessment({
+    settings: { passingScore: 50 },
+    sections: [
+      createSection({ id: 's1', title: 'Basics', questions: [single, numeric, hidden] }),
+      createSection({ id: 's2', title: 'Writing', questions: [essay] }),
+    ],
+  });
+
+  it('scores sections and the total, leaving answers to grade out until graded', () => {
+    const scoring = scoreAssessment(assessment, { q1: 'B', q2: 3, q3: 'An essay' });
+
+    expect(scoring).toEqual(expect.objectContaining({
+      score: 50,
+      earned: 2,
+      possible: 4,
+      passed: null,
+      needsGrading: true,
+      pendingQuestionIds: ['q3'],
+    }));
+    expect(scoring.sections.map(section => [section.id, section.score])).toEqual([['s1', 50], ['s2', null]]);
+    expect(scoring.questions.q4).toBeUndefined();
+    expect(formatScore(scoring)).toBe('50% so far');
+  });
+
+  it('counts manual scores and checks the pass mark', () => {
+    const scoring = scoreAssessment(assessment, { q1: 'A', q3: 'An essay' }, { manualScores: { q3: 1 } });
+
+    expect(scoring).toEqual(expect.objectContaining({ earned: 1, possible: 9, score: 11, passed: false, needsGrading: false }));
+    expect(formatScore(null)).toBe('Not scored');
+  });
+});
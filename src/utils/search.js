@@ -0,0 +1,183 @@
+// Text processing and ranking for the local full-text search index. The
+// index itself (services/searchIndex.js) stores one row per term, document
+// and field; everything here is a pure function of its arguments.
+
+// Lowercases and strips accents so "José" and "jose" index the same
+export const normalizeText = (text) =>
+  String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+export const tokenize = (text) => normalizeText(text).split(/[^a-z0-9]+/).filter(Boolean);
+
+/**
+ * The distinct terms indexed for a field value. Phone numbers also index
+ * all their digits run together, so "5551234567" finds "(555) 123-4567".
+ */
+export const tokenizeField = (text, { digits = false } = {}) => {
+  const values = Array.isArray(text) ? text : [text];
+  const terms = new Set(values.flatMap(tokenize));
+  if (digits) {
+    values.forEach((value) => {
+      const allDigits = String(value ?? '').replace(/\D/g, '');
+      if (allDigits.length >= 7) terms.add(allDigits);
+    });
+  }
+  return Array.from(terms);
+};
+
+// Levenshtein distance, giving up (returning max + 1) once it exceeds max
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos tolerated in a query token: none for short tokens, where almost
+// everything would be a near miss
+export const maxTypos = (token) => {
+  if (token.length >= 8) return 2;
+  if (token.length >= 4) return 1;
+  return 0;
+};
+
+export const MATCH_FACTORS = {
+  exact: 1,
+  prefix: 0.7,
+  fuzzy: 0.4,
+};
+
+// Shortest query token that matches terms by prefix; shorter ones must match exactly
+export const MIN_PREFIX_LENGTH = 2;
+
+/**
+ * How well an index term matches a query token: 1 for the same word, less
+ * for a word it starts (scaled by how much of the word was typed) or a word
+ * within the typo budget, and 0 for no match.
+ */
+export const matchFactor = (token, term) => {
+  if (term === token) return MATCH_FACTORS.exact;
+  if (token.length >= MIN_PREFIX_LENGTH && term.startsWith(token)) {
+    return MATCH_FACTORS.prefix * (0.5 + 0.5 * (token.length / term.length));
+  }
+  const typos = maxTypos(token);
+  if (typos > 0 && editDistance(token, term, typos) <= typos) {
+    return MATCH_FACTORS.fuzzy;
+  }
+  return 0;
+};
+
+/**
+ * Ranks search targets (candidates, jobs) from index postings. Every query
+ * token must match at least one posting of a target; its score adds up the
+ * best weight × match factor of each token. Returns
+ * [{ type, id, score, matches: [{ docType, docId, field, terms }] }], best first.
+ */
+export const rankTargets = (tokens, postings) => {
+  const targets = new Map();
+
+  postings.forEach((posting) => {
+    tokens.forEach((token, tokenIndex) => {
+      const factor = matchFactor(token, posting.term);
+      if (factor === 0) return;
+
+      const key = `${posting.targetType}|${posting.targetId}`;
+      const target = targets.get(key) || {
+        type: posting.targetType,
+        id: posting.targetId,
+        best: tokens.map(() => 0),
+        matches: new Map(),
+      };
+      target.best[tokenIndex] = Math.max(target.best[tokenIndex], posting.weight * factor);
+
+      const matchKey = `${posting.docType}|${posting.docId}|${posting.field}`;
+      const match = target.matches.get(matchKey) || {
+        docType: posting.docType,
+        docId: posting.docId,
+        field: posting.field,
+        weight: posting.weight,
+        terms: new Set(),
+      };
+      match.terms.add(posting.term);
+      target.matches.set(matchKey, match);
+      targets.set(key, target);
+    });
+  });
+
+  return Array.from(targets.values())
+    .filter(target => target.best.every(score => score > 0))
+    .map(target => ({
+      type: target.type,
+      id: target.id,
+      score: target.best.reduce((sum, score) => sum + score, 0),
+      matches: Array.from(target.matches.values())
+        .sort((a, b) => b.weight - a.weight)
+        .map(({ weight, ...match }) => ({ ...match, terms: Array.from(match.terms) })),
+    }))
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Cuts a snippet of `text` around the first word matching one of `terms` and
+ * splits it into [{ text, match }] fragments for highlighting. Short texts
+ * that only match as a whole (e.g. phone digits) are highlighted entirely.
+ * Returns null when nothing in the text matches.
+ */
+export const highlightText = (text, terms, { context = 40 } = {}) => {
+  const source = String(text ?? '');
+  const termSet = new Set(terms);
+  const words = [];
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let found;
+  while ((found = wordPattern.exec(source)) !== null) {
+    const normalized = normalizeText(found[0]);
+    if (termSet.has(normalized)) {
+      words.push({ start: found.index, end: found.index + found[0].length });
+    }
+  }
+
+  if (words.length === 0) {
+    const digits = source.replace(/\D/g, '');
+    if (digits && termSet.has(digits)) return [{ text: source, match: true }];
+    return null;
+  }
+
+  let start = Math.max(0, words[0].start - context);
+  let end = Math.min(source.length, words[0].end + context * 2);
+  if (start > 0) {
+    const space = source.indexOf(' ', start);
+    start = space >= 0 && space < words[0].start ? space + 1 : start;
+  }
+  if (end < source.length) {
+    const space = source.lastIndexOf(' ', end);
+    end = space > words[0].end ? space : end;
+  }
+
+  const fragments = [];
+  let position = start;
+  words
+    .filter(word => word.start >= start && word.end <= end)
+    .forEach((word) => {
+      if (word.start > position) fragments.push({ text: source.slice(position, word.start), match: false });
+      fragments.push({ text: source.slice(word.start, word.end), match: true });
+      position = word.end;
+    });
+  if (position < end) fragments.push({ text: source.slice(position, end), match: false });
+
+  if (start > 0) fragments.unshift({ text: '…', match: false });
+  if (end < source.length) fragments.push({ text: '…', match: false });
+  return fragments;
+};
@@ -0,0 +1,90 @@
+import {
+  tokenize,
+  tokenizeField,
+  editDistance,
+  matchFactor,
+  MATCH_FACTORS,
+  rankTargets,
+  highlightText,
+} from './search';
+
+describe('tokenize', () => {
+  it('splits on punctuation and folds case and accents', () => {
+    expect(tokenize('José Álvarez <jose.alvarez@example.com>')).toEqual(
+      ['jose', 'alvarez', 'jose', 'alvarez', 'example', 'com']
+    );
+  });
+
+  it('indexes phone numbers as groups and as one run of digits', () => {
+    expect(tokenizeField('+1 (555) 123-4567', { digits: true })).toEqual(
+      ['1', '555', '123', '4567', '15551234567']
+    );
+  });
+});
+
+describe('matchFactor', () => {
+  it('prefers exact words, then prefixes, then typos', () => {
+    expect(matchFactor('react', 'react')).toBe(MATCH_FACTORS.exact);
+    expect(matchFactor('rea', 'react')).toBeGreaterThan(MATCH_FACTORS.fuzzy);
+    expect(matchFactor('rea', 'react')).toBeLessThan(MATCH_FACTORS.exact);
+    expect(matchFactor('reatc', 'react')).toBe(0);
+    expect(matchFactor('raect', 'react')).toBe(0);
+    expect(matchFactor('recat', 'react')).toBe(0);
+    expect(matchFactor('reakt', 'react')).toBe(MATCH_FACTORS.fuzzy);
+  });
+
+  it('only matches short tokens exactly', () => {
+    expect(matchFactor('r', 'react')).toBe(0);
+    expect(matchFactor('go', 'og')).toBe(0);
+  });
+
+  it('bounds the edit distance', () => {
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+    expect(editDistance('kitten', 'sitting', 1)).toBe(2);
+  });
+});
+
+describe('rankTargets', () => {
+  const posting = (targetId, term, field, weight, docType = 'candidate') => ({
+    term, targetType: 'candidate', targetId, docType, docId: targetId, field, weight,
+  });
+
+  it('requires every token and weights fields', () => {
+    const ranked = rankTargets(['ada', 'love'], [
+      posting('c1', 'ada', 'name', 5),
+      posting('c1', 'lovelace', 'name', 5),
+      posting('c2', 'ada', 'email', 3),
+      posting('c2', 'love', 'content', 1, 'note'),
+      posting('c3', 'ada', 'name', 5),
+    ]);
+
+    expect(ranked.map(target => target.id)).toEqual(['c1', 'c2']);
+    expect(ranked[1].matches.map(match => match.field)).toEqual(['email', 'content']);
+  });
+});
+
+describe('highlightText', () => {
+  it('marks matched words in a snippet', () => {
+    const fragments = highlightText('Strong React and TypeScript skills', ['react']);
+
+    expect(fragments).toEqual([
+      { text: 'Strong ', match: false },
+      { text: 'React', match: true },
+      { text: ' and TypeScript skills', match: false },
+    ]);
+  });
+
+  it('cuts long texts around the first match', () => {
+    const text = `${'lorem '.repeat(20)}kubernetes ${'ipsum '.repeat(40)}`;
+    const fragments = highlightText(text, ['kubernetes'], { context: 12 });
+
+    expect(fragments[0]).toEqual({ text: '…', match: false });
+    expect(fragments.find(fragment => fragment.match).text).toBe('kubernetes');
+    expect(fragments[fragments.length - 1]).toEqual({ text: '…', match: false });
+  });
+
+  it('highlights a phone number matched by its digits', () => {
+    expect(highlightText('(555) 123-4567', ['5551234567'])).toEqual([{ text: '(555) 123-4567', match: true }]);
+    expect(highlightText('No match here', ['react'])).toBeNull();
+  });
+});
@@ -0,0 +1,32 @@
+// Multi-select over ordered lists: a plain click toggles one item, a
+// shift-click selects everything between the last clicked item and this one.
+
+export const EMPTY_SELECTION = { selected: new Set(), anchor: null };
+
+/**
+ * The selection after clicking the item at `index` of `group` (the list, or
+ * one kanban column; ranges stay within a group). `getId(index)` returns the
+ * id at a position, or undefined for rows that haven't loaded, which ranges
+ * leave out.
+ */
+export const applySelectionClick = (state, { group = null, index, getId, shiftKey = false }) => {
+  const selected = new Set(state.selected);
+  const { anchor } = state;
+
+  if (shiftKey && anchor && anchor.group === group) {
+    const [from, to] = anchor.index < index ? [anchor.index, index] : [index, anchor.index];
+    for (let position = from; position <= to; position += 1) {
+      const id = getId(position);
+      if (id !== undefined) selected.add(id);
+    }
+  } else {
+    const id = getId(index);
+    if (selected.has(id)) {
+      selected.delete(id);
+    } else {
+      selected.add(id);
+    }
+  }
+
+  return { selected, anchor: { group, index } };
+};
@@ -0,0 +1,28 @@
+import { EMPTY_SELECTION, applySelectionClick } from './selection';
+
+const ids = ['a', 'b', 'c', 'd', undefined, 'f'];
+const getId = (index) => ids[index];
+
+describe('applySelectionClick', () => {
+  it('toggles single items', () => {
+    const once = applySelectionClick(EMPTY_SELECTION, { index: 1, getId });
+    const twice = applySelectionClick(once, { index: 1, getId });
+
+    expect(Array.from(once.selected)).toEqual(['b']);
+    expect(twice.selected.size).toBe(0);
+  });
+
+  it('selects a shift-clicked range in either direction, skipping unloaded rows', () => {
+    const anchored = applySelectionClick(EMPTY_SELECTION, { index: 5, getId });
+    const ranged = applySelectionClick(anchored, { index: 2, getId, shiftKey: true });
+
+    expect(Array.from(ranged.selected).sort()).toEqual(['c', 'd', 'f']);
+  });
+
+  it('keeps ranges within one group', () => {
+    const anchored = applySelectionClick(EMPTY_SELECTION, { group: 'screen', index: 0, getId });
+    const other = applySelectionClick(anchored, { group: 'tech', index: 2, getId, shiftKey: true });
+
+    expect(Array.from(other.selected).sort()).toEqual(['a', 'c']);
+  });
+});
@@ -0,0 +1,84 @@
+// Time-in-stage tracking against the SLA configured on each pipeline stage.
+// Everything here is a pure function of its arguments; pass `now` to make
+// results reproducible.
+import { findStage } from './pipeline';
+import { DAY_MS } from './analytics';
+
+const toTime = (date) => new Date(date).getTime();
+
+// When the application entered its current stage. Applications that never
+// moved have been in their first stage since they applied.
+export const getStageEnteredAt = (application) =>
+  application.stageEnteredAt || application.appliedAt || null;
+
+export const getTimeInStage = (application, now = new Date()) => {
+  const enteredAt = getStageEnteredAt(application);
+  return enteredAt ? Math.max(0, toTime(now) - toTime(enteredAt)) : 0;
+};
+
+// The stage's SLA in days, or null when it has none. Terminal stages are
+// where applications end, so they are never overdue.
+export const getStageSla = (stage) => {
+  if (!stage || stage.terminal) return null;
+  const days = Number(stage.slaDays);
+  return Number.isFinite(days) && days > 0 ? days : null;
+};
+
+/**
+ * How long an application has been in its current stage compared with the
+ * stage's SLA: { stage, timeInStageMs, daysInStage, slaDays, overdue, overdueByMs }.
+ */
+export const getSlaStatus = (application, pipeline, now = new Date()) => {
+  const stage = findStage(pipeline, application.status);
+  const slaDays = getStageSla(stage);
+  const timeInStageMs = getTimeInStage(application, now);
+  const overdueByMs = slaDays === null ? 0 : Math.max(0, timeInStageMs - slaDays * DAY_MS);
+
+  return {
+    stage,
+    timeInStageMs,
+    daysInStage: Math.floor(timeInStageMs / DAY_MS),
+    slaDays,
+    overdue: overdueByMs > 0,
+    overdueByMs,
+  };
+};
+
+export const isOverdue = (application, pipeline, now = new Date()) =>
+  getSlaStatus(application, pipeline, now).overdue;
+
+/**
+ * Applications past their stage SLA, most overdue first:
+ * [{ application, ...slaStatus }]. `getPipeline(jobId)` returns the pipeline
+ * of the application's job.
+ */
+export const findOverdueApplications = (applications, getPipeline, now = new Date()) =>
+  applications
+    .map(application => ({ application, ...getSlaStatus(application, getPipeline(application.jobId), now) }))
+    .filter(entry => entry.overdue)
+    .sort((a, b) => b.overdueByMs - a.overdueByMs);
+
+/**
+ * Overdue applications grouped by job and stage, largest group first:
+ * [{ jobId, jobTitle, stageId, stageName, slaDays, count, longestDays }].
+ */
+export const groupOverdueByStage = (overdueEntries) => {
+  const groups = new Map();
+  overdueEntries.forEach(({ application, stage, slaDays, daysInStage }) => {
+    const key = `${application.jobId}|${stage.id}`;
+    const group = groups.get(key) || {
+      jobId: application.jobId,
+      jobTitle: application.jobTitle,
+      stageId: stage.id,
+      stageName: stage.name,
+      slaDays,
+      count: 0,
+      longestDays: 0,
+    };
+    group.count += 1;
+    group.longestDays = Math.max(group.longestDays, daysInStage);
+    groups.set(key, group);
+  });
+
+  return Array.from(groups.values()).sort((a, b) => b.count - a.count || b.longestDays - a.longestDays);
+};
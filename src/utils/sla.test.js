@@ -0,0 +1,62 @@
+import {
+  getStageEnteredAt,
+  getStageSla,
+  getSlaStatus,
+  findOverdueApplications,
+  groupOverdueByStage,
+} from './sla';
+import { DAY_MS } from './analytics';
+import { createDefaultPipeline } from '../types';
+
+const now = new Date('2024-06-30T00:00:00.000Z');
+const daysBefore = (days) => new Date(now.getTime() - days * DAY_MS).toISOString();
+const pipeline = createDefaultPipeline();
+
+describe('getStageSla', () => {
+  it('uses the configured days of open stages only', () => {
+    expect(getStageSla({ slaDays: 5 })).toBe(5);
+    expect(getStageSla({ slaDays: null })).toBeNull();
+    expect(getStageSla({ slaDays: 0 })).toBeNull();
+    expect(getStageSla({ slaDays: 5, terminal: true })).toBeNull();
+  });
+});
+
+describe('getSlaStatus', () => {
+  it('falls back to the application date when the stage entry is unknown', () => {
+    expect(getStageEnteredAt({ appliedAt: daysBefore(3) })).toBe(daysBefore(3));
+    expect(getStageEnteredAt({ appliedAt: daysBefore(3), stageEnteredAt: daysBefore(1) })).toBe(daysBefore(1));
+  });
+
+  it('flags applications that stayed longer than the stage SLA', () => {
+    const status = getSlaStatus({ status: 'screen', stageEnteredAt: daysBefore(20) }, pipeline, now);
+
+    expect(status).toMatchObject({ daysInStage: 20, slaDays: 14, overdue: true, overdueByMs: 6 * DAY_MS });
+    expect(status.stage.id).toBe('screen');
+  });
+
+  it('never flags stages without an SLA', () => {
+    expect(getSlaStatus({ status: 'hired', stageEnteredAt: daysBefore(90) }, pipeline, now).overdue).toBe(false);
+    expect(getSlaStatus({ status: 'screen', stageEnteredAt: daysBefore(10) }, pipeline, now).overdue).toBe(false);
+  });
+});
+
+describe('overdue applications', () => {
+  const applications = [
+    { id: 'a', jobId: 'job-1', jobTitle: 'Engineer', status: 'screen', stageEnteredAt: daysBefore(15) },
+    { id: 'b', jobId: 'job-1', jobTitle: 'Engineer', status: 'screen', stageEnteredAt: daysBefore(30) },
+    { id: 'c', jobId: 'job-1', jobTitle: 'Engineer', status: 'applied', stageEnteredAt: daysBefore(8) },
+    { id: 'd', jobId: 'job-1', jobTitle: 'Engineer', status: 'applied', stageEnteredAt: daysBefore(2) },
+  ];
+  const overdue = findOverdueApplications(applications, () => pipeline, now);
+
+  it('lists the most overdue first', () => {
+    expect(overdue.map(entry => entry.application.id)).toEqual(['b', 'a', 'c']);
+  });
+
+  it('groups them by job and stage', () => {
+    expect(groupOverdueByStage(overdue)).toEqual([
+      { jobId: 'job-1', jobTitle: 'Engineer', stageId: 'screen', stageName: 'Phone Screen', slaDays: 14, count: 2, longestDays: 30 },
+      { jobId: 'job-1', jobTitle: 'Engineer', stageId: 'applied', stageName: 'Applied', slaDays: 7, count: 1, longestDays: 8 },
+    ]);
+  });
+});
@@ -0,0 +1,10 @@
+// Turns a job title into a URL slug, e.g. "Senior Engineer!" -> "senior-engineer"
+export const generateSlug = (title = '') =>
+  title
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '') // Remove special characters
+    .replace(/\s+/g, '-') // Replace spaces with hyphens
+    .replace(/-+/g, '-') // Replace multiple hyphens with single
+    .replace(/^-|-$/g, ''); // Remove leading/trailing hyphens
+
+export default generateSlug;
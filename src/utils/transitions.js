@@ -0,0 +1,102 @@
+import { STAGE_REQUIREMENTS, STAGE_OUTCOMES } from '../types';
+import { findStage } from './pipeline';
+
+// What each stage requirement asks for. Requirements with a `field` are
+// collected from the user when the move is made; the others are checks
+// against data that must already exist.
+export const REQUIREMENT_DEFINITIONS = {
+  [STAGE_REQUIREMENTS.REJECTION_REASON]: {
+    label: 'Rejection reason',
+    field: 'rejectionReasonId',
+    input: 'rejection_reason', // one of the reasons configured in settings
+  },
+  [STAGE_REQUIREMENTS.OFFER_SALARY]: {
+    label: 'Offer salary',
+    field: 'offerSalary',
+    input: 'number',
+  },
+  [STAGE_REQUIREMENTS.ASSESSMENT_COMPLETED]: {
+    label: 'Completed assessment',
+    check: 'assessmentCompleted',
+    message: 'The candidate has to complete the assessment for this job first',
+  },
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Stage ids an application in `fromStageId` may move to. Stages without an
+ * explicit allowedTransitions list move one step forward or back, or to any
+ * terminal stage that isn't a hire. Terminal stages can be reopened into any
+ * stage that isn't terminal.
+ */
+export const getAllowedTransitions = (pipeline, fromStageId) => {
+  const index = pipeline.findIndex(stage => stage.id === fromStageId);
+  if (index === -1) return pipeline.map(stage => stage.id);
+
+  const fromStage = pipeline[index];
+  if (Array.isArray(fromStage.allowedTransitions)) {
+    return fromStage.allowedTransitions.filter(id => id !== fromStageId);
+  }
+
+  if (fromStage.terminal) {
+    return pipeline.filter(stage => !stage.terminal).map(stage => stage.id);
+  }
+
+  const allowed = new Set();
+  if (pipeline[index + 1]) allowed.add(pipeline[index + 1].id);
+  if (index > 0 && !pipeline[index - 1].terminal) allowed.add(pipeline[index - 1].id);
+  pipeline
+    .filter(stage => stage.terminal && stage.outcome !== STAGE_OUTCOMES.POSITIVE)
+    .forEach(stage => allowed.add(stage.id));
+  allowed.delete(fromStageId);
+  return pipeline.map(stage => stage.id).filter(id => allowed.has(id));
+};
+
+// Fields the user must fill in to enter a stage
+export const getRequiredFields = (stage) =>
+  (stage?.requirements || [])
+    .map(requirement => REQUIREMENT_DEFINITIONS[requirement])
+    .filter(definition => definition?.field);
+
+/**
+ * Decides whether an application may move between two stages of a pipeline.
+ *
+ * `details` holds the values collected for the target stage's fields. Checks
+ * such as a completed assessment are only evaluated when the context says
+ * something about them, so the client can ask for fields up front and leave
+ * the checks to the server.
+ *
+ * @returns {{ allowed: boolean, reason: string|null, missingFields: object[] }}
+ */
+export const evaluateTransition = (pipeline, fromStageId, toStageId, { details = {}, context = {} } = {}) => {
+  const toStage = findStage(pipeline, toStageId);
+  if (!toStage) {
+    return { allowed: false, reason: `"${toStageId}" is not a stage of this pipeline`, missingFields: [] };
+  }
+  const fromName = findStage(pipeline, fromStageId)?.name || fromStageId;
+
+  if (!getAllowedTransitions(pipeline, fromStageId).includes(toStageId)) {
+    return {
+      allowed: false,
+      reason: `Applications can't move from ${fromName} to ${toStage.name}`,
+      missingFields: [],
+    };
+  }
+
+  const failedCheck = (toStage.requirements || [])
+    .map(requirement => REQUIREMENT_DEFINITIONS[requirement])
+    .find(definition => definition?.check && context[definition.check] === false);
+  if (failedCheck) {
+    return { allowed: false, reason: `${failedCheck.message} before moving to ${toStage.name}`, missingFields: [] };
+  }
+
+  const missingFields = getRequiredFields(toStage).filter(definition => isBlank(details[definition.field]));
+  return {
+    allowed: missingFields.length === 0,
+    reason: missingFields.length > 0
+      ? `${toStage.name} requires: ${missingFields.map(definition => definition.label.toLowerCase()).join(', ')}`
+      : null,
+    missingFields,
+  };
+};
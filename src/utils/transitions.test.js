@@ -0,0 +1,52 @@
+import { getAllowedTransitions, evaluateTransition } from './transitions';
+import { createDefaultPipeline } from '../types';
+
+describe('getAllowedTransitions', () => {
+  const pipeline = createDefaultPipeline();
+
+  it('moves one step either way or to a closing stage by default', () => {
+    expect(getAllowedTransitions(pipeline, 'screen')).toEqual(['applied', 'tech', 'rejected']);
+    expect(getAllowedTransitions(pipeline, 'offer')).toEqual(['tech', 'hired', 'rejected']);
+  });
+
+  it('reopens terminal stages into any open stage', () => {
+    expect(getAllowedTransitions(pipeline, 'rejected')).toEqual(['applied', 'screen', 'tech', 'offer']);
+  });
+
+  it('uses the explicit list when a stage has one', () => {
+    const custom = pipeline.map(stage => (
+      stage.id === 'applied' ? { ...stage, allowedTransitions: ['tech', 'rejected'] } : stage
+    ));
+
+    expect(getAllowedTransitions(custom, 'applied')).toEqual(['tech', 'rejected']);
+  });
+});
+
+describe('evaluateTransition', () => {
+  const pipeline = createDefaultPipeline();
+
+  it('blocks moves the rules do not allow', () => {
+    const result = evaluateTransition(pipeline, 'applied', 'offer');
+
+    expect(result.allowed).toBe(false);
+    expect(result.reason).toBe("Applications can't move from Applied to Offer Extended");
+  });
+
+  it('lists the fields a stage requires until they are provided', () => {
+    const missing = evaluateTransition(pipeline, 'tech', 'offer');
+    const provided = evaluateTransition(pipeline, 'tech', 'offer', { details: { offerSalary: 95000 } });
+
+    expect(missing.allowed).toBe(false);
+    expect(missing.missingFields.map(field => field.field)).toEqual(['offerSalary']);
+    expect(provided).toEqual({ allowed: true, reason: null, missingFields: [] });
+  });
+
+  it('only checks the assessment when the context knows about it', () => {
+    expect(evaluateTransition(pipeline, 'screen', 'tech').allowed).toBe(true);
+
+    const blocked = evaluateTransition(pipeline, 'screen', 'tech', { context: { assessmentCompleted: false } });
+
+    expect(blocked.allowed).toBe(false);
+    expect(blocked.reason).toMatch(/complete the assessment/);
+  });
+});
@@ -0,0 +1,47 @@
+// Trash retention: how long deleted items can be restored before they are purged
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const MAX_TRASH_RETENTION_DAYS = 365;
+
+// Helper function to validate the retention setting before it is stored
+export const validateRetentionDays = (days) => {
+  if (!Number.isInteger(days) || days < 1 || days > MAX_TRASH_RETENTION_DAYS) {
+    return [`Keep deleted items between 1 and ${MAX_TRASH_RETENTION_DAYS} days`];
+  }
+  return [];
+};
+
+// When a trash entry will be purged
+export const getPurgeDate = (entry, retentionDays) =>
+  new Date(new Date(entry.deletedAt).getTime() + retentionDays * DAY_MS);
+
+// Entries deleted before this date have outlived the retention period
+export const getPurgeCutoff = (retentionDays, now = new Date()) =>
+  new Date(now.getTime() - retentionDays * DAY_MS).toISOString();
+
+// Whole days until an entry is purged (0 on its last day)
+export const getDaysUntilPurge = (entry, retentionDays, now = new Date()) =>
+  Math.max(0, Math.floor((getPurgeDate(entry, retentionDays) - now) / DAY_MS));
+
+// A trash entry without its stored rows: how many rows of each table it holds
+export const summarizeTrashEntry = ({ records = {}, ...entry }) => ({
+  ...entry,
+  counts: Object.fromEntries(Object.entries(records).map(([table, rows]) => [table, rows.length])),
+});
+
+const LEFT_OUT_LABELS = {
+  jobApplications: 'application',
+  assessmentResponses: 'assessment response',
+  assessmentInvites: 'assessment invite',
+};
+
+// Tells what a restore left out because the candidate, job or assessment it
+// belonged to has been deleted since; '' when nothing was
+export const describeLeftOut = (leftOut = {}) => {
+  const parts = Object.entries(leftOut)
+    .filter(([, count]) => count > 0)
+    .map(([table, count]) => `${count} ${LEFT_OUT_LABELS[table] || 'record'}${count !== 1 ? 's' : ''}`);
+  if (parts.length === 0) return '';
+  return `Not restored: ${parts.join(', ')} for a candidate, job or assessment that has been deleted`;
+};
@@ -0,0 +1,32 @@
+import { validateRetentionDays, getPurgeCutoff, getDaysUntilPurge, describeLeftOut } from './trash';
+
+describe('validateRetentionDays', () => {
+  it('accepts whole days within the limit', () => {
+    expect(validateRetentionDays(30)).toEqual([]);
+    expect(validateRetentionDays(0)).toHaveLength(1);
+    expect(validateRetentionDays(2.5)).toHaveLength(1);
+    expect(validateRetentionDays(400)).toHaveLength(1);
+  });
+});
+
+describe('purge dates', () => {
+  const now = new Date('2024-03-31T12:00:00.000Z');
+
+  it('counts the days left before an entry is purged', () => {
+    expect(getDaysUntilPurge({ deletedAt: '2024-03-30T12:00:00.000Z' }, 30, now)).toBe(29);
+    expect(getDaysUntilPurge({ deletedAt: '2024-01-01T00:00:00.000Z' }, 30, now)).toBe(0);
+  });
+
+  it('purges entries deleted before the retention period', () => {
+    expect(getPurgeCutoff(30, now)).toBe('2024-03-01T12:00:00.000Z');
+  });
+});
+
+describe('describeLeftOut', () => {
+  it('lists what a restore left out, or nothing', () => {
+    expect(describeLeftOut({})).toBe('');
+    expect(describeLeftOut({ jobApplications: 2, assessmentResponses: 1 })).toBe(
+      'Not restored: 2 applications, 1 assessment response for a candidate, job or assessment that has been deleted'
+    );
+  });
+});
@@ -0,0 +1,24 @@
+// Windowing math for lists whose rows all have the same height.
+
+/**
+ * The rows to render for a scroll position: [start, end) widened by
+ * `overscan` rows on each side so fast scrolling doesn't show blank space.
+ */
+export const getVisibleRange = ({ scrollTop, viewportHeight, itemHeight, count, overscan = 5 }) => {
+  if (count === 0 || itemHeight <= 0) return { start: 0, end: 0 };
+
+  const first = Math.floor(Math.max(0, scrollTop) / itemHeight);
+  const last = Math.ceil((Math.max(0, scrollTop) + viewportHeight) / itemHeight);
+  return {
+    start: Math.max(0, first - overscan),
+    end: Math.min(count, last + overscan),
+  };
+};
+
+// The pages (1-based) holding rows [start, end)
+export const getPagesInRange = ({ start, end }, pageSize) => {
+  if (end <= start) return [1];
+  const firstPage = Math.floor(start / pageSize) + 1;
+  const lastPage = Math.floor((end - 1) / pageSize) + 1;
+  return Array.from({ length: lastPage - firstPage + 1 }, (_, index) => firstPage + index);
+};
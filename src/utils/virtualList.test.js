@@ -0,0 +1,26 @@
+import { getVisibleRange, getPagesInRange } from './virtualList';
+
+describe('getVisibleRange', () => {
+  it('covers the viewport plus the overscan rows', () => {
+    expect(getVisibleRange({ scrollTop: 1000, viewportHeight: 400, itemHeight: 100, count: 100, overscan: 2 }))
+      .toEqual({ start: 8, end: 16 });
+  });
+
+  it('stays inside the list', () => {
+    expect(getVisibleRange({ scrollTop: 0, viewportHeight: 400, itemHeight: 100, count: 3 }))
+      .toEqual({ start: 0, end: 3 });
+    expect(getVisibleRange({ scrollTop: 0, viewportHeight: 400, itemHeight: 100, count: 0 }))
+      .toEqual({ start: 0, end: 0 });
+  });
+});
+
+describe('getPagesInRange', () => {
+  it('lists every page a range touches', () => {
+    expect(getPagesInRange({ start: 45, end: 105 }, 50)).toEqual([1, 2, 3]);
+    expect(getPagesInRange({ start: 50, end: 100 }, 50)).toEqual([2]);
+  });
+
+  it('asks for the first page of an empty range', () => {
+    expect(getPagesInRange({ start: 0, end: 0 }, 50)).toEqual([1]);
+  });
+});
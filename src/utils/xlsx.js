@@ -0,0 +1,162 @@
+// A minimal XLSX writer: one worksheet of strings and numbers, packed into an
+// uncompressed zip, so spreadsheets can be generated without a library
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Packs files ({ name, data: Uint8Array }) into a zip without compression
+const zipStored = (files) => {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // local file header signature
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(8, 0, true); // stored, no compression
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // central directory signature
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true); // version needed
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // end of central directory signature
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+};
+
+// Control characters other than tab and line breaks aren't allowed in XML
+const ALLOWED_CONTROL_CHARACTERS = ['\t', '\n', '\r'];
+const isAllowedInXml = (char) => char.charCodeAt(0) >= 32 || ALLOWED_CONTROL_CHARACTERS.includes(char);
+
+const escapeXml = (text) =>
+  [...text]
+    .filter(isAllowedInXml)
+    .join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Column letters: 0 -> A, 25 -> Z, 26 -> AA
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// `style` indexes cellXfs in styles.xml: 0 is plain, 1 is bold
+const cellXml = (value, ref, style = 0) => {
+  if (value === null || value === undefined || value === '') return '';
+  const attributes = `r="${ref}"${style ? ` s="${style}"` : ''}`;
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c ${attributes}><v>${value}</v></c>`;
+  }
+  const text = Array.isArray(value) ? value.join(', ') : String(value);
+  return `<c ${attributes} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+};
+
+// Sheet names are limited to 31 characters and can't contain []:*?/\
+const sanitizeSheetName = (name) => (name.replace(/[[\]:*?/\\]/g, ' ').trim() || 'Sheet1').slice(0, 31);
+
+/**
+ * Builds an .xlsx workbook with one sheet from rows and columns
+ * ([{ label, value(row) }], as for toDelimited). The header row is bold.
+ * Numbers stay numeric; arrays are joined with commas.
+ *
+ * @returns {Uint8Array}
+ */
+export const toXlsx = (rows, columns, { sheetName = 'Sheet1' } = {}) => {
+  const header = `<row r="1">${columns
+    .map((column, index) => cellXml(column.label, `${columnName(index)}1`, 1))
+    .join('')}</row>`;
+  const body = rows
+    .map((row, rowIndex) => {
+      const r = rowIndex + 2;
+      const cells = columns.map((column, index) => cellXml(column.value(row), `${columnName(index)}${r}`)).join('');
+      return `<row r="${r}">${cells}</row>`;
+    })
+    .join('');
+
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  const mainNs = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+  const relNs = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  const files = {
+    '[Content_Types].xml': `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+      + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+      + '</Types>',
+    '_rels/.rels': `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+      + `<Relationship Id="rId1" Type="${relNs}/officeDocument" Target="xl/workbook.xml"/>`
+      + '</Relationships>',
+    'xl/workbook.xml': `${xmlHeader}<workbook xmlns="${mainNs}" xmlns:r="${relNs}">`
+      + `<sheets><sheet name="${escapeXml(sanitizeSheetName(sheetName))}" sheetId="1" r:id="rId1"/></sheets>`
+      + '</workbook>',
+    'xl/_rels/workbook.xml.rels': `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+      + `<Relationship Id="rId1" Type="${relNs}/worksheet" Target="worksheets/sheet1.xml"/>`
+      + `<Relationship Id="rId2" Type="${relNs}/styles" Target="styles.xml"/>`
+      + '</Relationships>',
+    'xl/styles.xml': `${xmlHeader}<styleSheet xmlns="${mainNs}">`
+      + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+      + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+      + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+      + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+      + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+      + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+      + '</styleSheet>',
+    'xl/worksheets/sheet1.xml': `${xmlHeader}<worksheet xmlns="${mainNs}"><sheetData>${header}${body}</sheetData></worksheet>`,
+  };
+
+  const encoder = new TextEncoder();
+  return zipStored(Object.entries(files).map(([name, xml]) => ({ name, data: encoder.encode(xml) })));
+};
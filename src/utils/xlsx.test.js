@@ -0,0 +1,38 @@
+/**
+ * @jest-environment node
+ */
+import { crc32, toXlsx } from './xlsx';
+
+describe('crc32', () => {
+  it('matches the standard checksum', () => {
+    const bytes = new TextEncoder().encode('The quick brown fox jumps over the lazy dog');
+    expect(crc32(bytes)).toBe(0x414fa339);
+  });
+});
+
+describe('toXlsx', () => {
+  const columns = [
+    { label: 'Name', value: row => row.name },
+    { label: 'Score', value: row => row.score },
+  ];
+
+  it('packs a workbook whose sheet holds the header and rows', () => {
+    const zip = toXlsx([{ name: 'Ada & <co>', score: 92 }, { name: 'Grace', score: null }], columns, { sheetName: 'Q3/Q4 hires' });
+    const text = new TextDecoder().decode(zip);
+    const view = new DataView(zip.buffer);
+
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    // End of central directory: six files
+    expect(view.getUint16(zip.length - 22 + 10, true)).toBe(6);
+    expect(text).toContain('<sheet name="Q3 Q4 hires"');
+    expect(text).toContain('<row r="1"><c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">Name</t></is></c>');
+    expect(text).toContain('<c r="A2" t="inlineStr"><is><t xml:space="preserve">Ada &amp; &lt;co&gt;</t></is></c><c r="B2"><v>92</v></c>');
+    expect(text).toContain('<row r="3"><c r="A3" t="inlineStr"><is><t xml:space="preserve">Grace</t></is></c></row>');
+  });
+
+  it('drops control characters other than tabs and line breaks', () => {
+    const text = new TextDecoder().decode(toXlsx([{ name: 'Ada\u0000\u0007\tLovelace\r\n\u001F', score: 1 }], columns));
+
+    expect(text).toContain('<t xml:space="preserve">Ada\tLovelace\r\n</t>');
+  });
+});